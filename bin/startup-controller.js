@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const WebSocket = require('ws');
+const { authHeaders } = require('../lib/bridge/auth-token');
 
 class PAIREDStartupController {
   constructor() {
@@ -154,7 +155,7 @@ class PAIREDStartupController {
   
   async checkWebSocketHealth(port = this.config.bridgePort, timeout = 5000) {
     return new Promise((resolve) => {
-      const ws = new WebSocket(`ws://localhost:${port}`);
+      const ws = new WebSocket(`ws://localhost:${port}`, { headers: authHeaders() });
       
       const timeoutId = setTimeout(() => {
         ws.terminate();
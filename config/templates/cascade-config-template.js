@@ -122,8 +122,9 @@ global.PAIRED_AGENT_RELAY = {
         lowerMessage.includes('hey alex') || (lowerMessage.includes('hi') && lowerMessage.includes('alex'))) {
       // Send special assessment trigger to unified bridge
       const WebSocket = require('ws');
+      const { authHeaders } = require(path.join(process.env.HOME, '.paired', 'lib', 'bridge', 'auth-token.js'));
       try {
-        const ws = new WebSocket('ws://localhost:7890');
+        const ws = new WebSocket('ws://localhost:7890', { headers: authHeaders() });
         ws.on('open', () => {
           ws.send(JSON.stringify({
             type: 'user_request',
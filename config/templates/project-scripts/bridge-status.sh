@@ -22,6 +22,8 @@ NC='\033[0m' # No Color
 # Path variables with fallback capability
 LOCAL_PAIRED_DIR="$(pwd)/.paired"
 GLOBAL_PAIRED_DIR="$HOME/.paired"
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$GLOBAL_PAIRED_DIR/lib/bridge/auth-token.js"
 
 # Try to find bridge files with fallback logic
 find_bridge_file() {
@@ -79,7 +81,7 @@ is_bridge_running() {
 get_connection_count() {
   local result=$(node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => {
   ws.send(JSON.stringify({type: 'GET_CONNECTIONS'}));
 });
@@ -98,7 +100,7 @@ setTimeout(() => { ws.close(); }, 2000);
 get_bridge_uptime() {
   local result=$(node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => {
   ws.send(JSON.stringify({type: 'GET_UPTIME'}));
 });
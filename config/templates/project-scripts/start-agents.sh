@@ -27,6 +27,8 @@ BRIDGE_PORT="${BRIDGE_PORT:-7890}" # No Color
 # Configuration
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PAIRED_ROOT="$(dirname "$SCRIPT_DIR")"
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$HOME/.paired/lib/bridge/auth-token.js"
 
 # Find agent_launcher.js - check project first, then global installation
 if [ -f "$PAIRED_ROOT/platform/agent_launcher.js" ]; then
@@ -159,7 +161,7 @@ show_status() {
     # Check bridge status
     if node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => { ws.close(); process.exit(0); });
 ws.on('error', () => process.exit(1));
 setTimeout(() => process.exit(1), 2000);
@@ -3,6 +3,9 @@
  * Manages CLI command registration and execution for PAIRED agents
  */
 
+const path = require('path');
+const { getAgentPluginRegistry } = require('./agents/agent_plugins');
+
 class AgentCLIRegistry {
     constructor() {
         this.commands = new Map();
@@ -36,6 +39,45 @@ class AgentCLIRegistry {
         console.log(`📝 Registered command: ${commandKey}`);
     }
 
+    /**
+     * Register agent plugins and the CLI commands from their manifests.
+     * A command runs `method` on the agent, or the function exported by
+     * `handler` (a path relative to the plugin) with the agent as `this`.
+     */
+    registerPluginAgents(plugins = getAgentPluginRegistry().list(), options = {}) {
+        const registered = [];
+
+        for (const plugin of plugins) {
+            try {
+                const agent = plugin.instantiate(options.orchestrator || null);
+                const commands = plugin.commands.map(command => ({
+                    ...command,
+                    handler: command.method
+                        ? function (args, commandOptions) {
+                            if (typeof this[command.method] !== 'function') {
+                                throw new Error(`${plugin.id} has no method ${command.method}`);
+                            }
+                            return this[command.method](args, commandOptions);
+                        }
+                        : require(path.resolve(plugin.dir, command.handler))
+                }));
+
+                this.registerAgent(plugin.id, agent);
+                for (const command of commands) {
+                    this.registerCommand(plugin.id, command.name, command.handler, {
+                        description: command.description,
+                        category: command.category || 'plugin'
+                    });
+                }
+                registered.push(plugin.id);
+            } catch (error) {
+                console.error(`❌ Agent plugin ${plugin.id} not registered:`, error.message);
+            }
+        }
+
+        return registered;
+    }
+
     /**
      * Execute a command for a specific agent
      */
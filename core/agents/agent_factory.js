@@ -26,12 +26,15 @@ const ArchitectureAgent = require('./leonardo/architecture_agent');
 const UXAgent = require('./maya/ux_expert_agent');
 const ScrumMasterAgent = require('./vince/scrum_master_agent');
 const AnalystAgent = require('./marie/analyst_agent');
+const { getAgentPluginRegistry } = require('./agent_plugins');
+const { runWithRequestId } = require('../infrastructure/logger');
 
 class AgentFactory extends EventEmitter {
-  constructor(orchestrator) {
+  constructor(orchestrator, options = {}) {
     super();
 
     this.orchestrator = orchestrator;
+    this.plugins = options.plugins || getAgentPluginRegistry();
     this.agents = new Map();
     this.agentConfigs = new Map();
     this.agentClasses = new Map();
@@ -56,7 +59,7 @@ class AgentFactory extends EventEmitter {
   }
 
   /**
-   * Register available agent classes
+   * Register available agent classes, including agent plugins
    */
   registerAgentClasses() {
     // All PAIRED agents
@@ -68,6 +71,15 @@ class AgentFactory extends EventEmitter {
     this.agentClasses.set('scrum_master_agent', ScrumMasterAgent);
     this.agentClasses.set('analyst_agent', AnalystAgent);
 
+    for (const plugin of this.plugins.list()) {
+      try {
+        this.agentClasses.set(plugin.agentType, plugin.loadClass());
+        this.agentPorts[plugin.id] = plugin.port;
+      } catch (error) {
+        console.warn(`⚠️ Agent plugin ${plugin.id} not registered: ${error.message}`);
+      }
+    }
+
     console.log(`📋 Registered ${this.agentClasses.size} agent classes`);
   }
 
@@ -107,6 +119,13 @@ class AgentFactory extends EventEmitter {
         }
       }
 
+      // Agent plugins carry their configuration in their manifest
+      for (const plugin of this.plugins.list()) {
+        if (this.agentClasses.has(plugin.agentType)) {
+          this.agentConfigs.set(plugin.id, plugin.createConfig());
+        }
+      }
+
       console.log(`📚 Loaded ${this.agentConfigs.size} agent configurations`);
     } catch (error) {
       console.error('❌ Failed to load agent configurations:', error.message);
@@ -633,8 +652,9 @@ class AgentFactory extends EventEmitter {
               try {
                 const request = JSON.parse(body);
                 
-                // Process request through agent
-                const response = await this.processAgentRequest(agentId, agent, request);
+                // Process request through agent, logging under the caller's request id
+                const requestId = req.headers['x-request-id'] || request.requestId;
+                const response = await runWithRequestId(requestId, () => this.processAgentRequest(agentId, agent, request));
                 
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify(response));
@@ -653,6 +673,8 @@ class AgentFactory extends EventEmitter {
               status: 'active',
               agent: agentId,
               port: port,
+              pid: process.pid,
+              uptime: process.uptime(),
               timestamp: Date.now()
             }));
           } else {
@@ -661,19 +683,21 @@ class AgentFactory extends EventEmitter {
           }
         });
 
-        // Try to start server on current port
+        // Try to start server on current port (listen errors arrive as events)
         await new Promise((resolve, reject) => {
-          server.listen(port, 'localhost', (err) => {
-            if (err) {
-              reject(err);
-            } else {
-              console.log(`🔌 Agent ${agentId} server listening on port ${port}`);
-              this.agentServers.set(agentId, server);
-              resolve(server);
-            }
+          server.once('error', reject);
+          server.listen(port, 'localhost', () => {
+            server.removeListener('error', reject);
+            console.log(`🔌 Agent ${agentId} server listening on port ${port}`);
+            this.agentServers.set(agentId, server);
+            resolve(server);
           });
         });
-        
+
+        // The port may have drifted from the configured one; publish the real one
+        this.agentPorts[agentId] = port;
+        this.emit('agentServerListening', { agentId, port });
+
         return server; // Success - exit loop
         
       } catch (error) {
@@ -698,6 +722,21 @@ class AgentFactory extends EventEmitter {
     const agentName = config?.agent?.name || agentId;
     const agentEmoji = this.getAgentEmoji(agentId);
 
+    // Agent plugins answer for themselves
+    if (config?.agent?.category === 'plugin') {
+      const result = await agent.processRequest(request.message, request.context || {});
+      return {
+        type: `${agentId}_response`,
+        agent: agentId,
+        name: `${agentEmoji} ${agentName}`,
+        emoji: agentEmoji,
+        content: typeof result === 'string' ? result : result?.content || result?.message || JSON.stringify(result),
+        result,
+        timestamp: Date.now(),
+        directResponse: true
+      };
+    }
+
     // Simulate agent processing the request
     const response = {
       type: `${agentId}_response`,
@@ -725,7 +764,8 @@ class AgentFactory extends EventEmitter {
       'vince': '🏈',
       'marie': '🔬'
     };
-    return emojis[agentId] || '🤖';
+    const plugin = this.plugins.get(agentId);
+    return emojis[agentId] || (plugin ? plugin.emoji : '🤖');
   }
 
   /**
@@ -0,0 +1,404 @@
+/**
+ * PAIRED Agent Plugins
+ *
+ * Third-party agents packaged outside core. A plugin is a directory (or npm
+ * package) with a `paired-agent.json` manifest - or a `pairedAgent` field in
+ * its package.json - and a module exporting a class that extends BaseAgent:
+ *
+ *   {
+ *     "id": "release_manager",            // lowercase letters and underscores
+ *     "name": "Rita",
+ *     "title": "Release Manager",
+ *     "emoji": "🚀",
+ *     "role": "Release coordination and changelogs",
+ *     "version": "1.0.0",
+ *     "main": "./release_manager_agent.js",
+ *     "capabilities": ["release_planning", "changelogs"],
+ *     "commands": [
+ *       { "name": "changelog", "description": "Draft the changelog", "method": "draftChangelog" }
+ *     ],
+ *     "triggers": {
+ *       "mentions": ["release manager"],
+ *       "keywords": ["release", "changelog"],
+ *       "examples": ["cut the 2.1 release", "what goes in the changelog"]
+ *     },
+ *     "personality": { "personality": "calm_shipper", "authority": "release_domain", "responseStyle": "checklists" },
+ *     "port": 7897                        // optional; HTTP port when run by the agent factory
+ *   }
+ *
+ * Plugins are discovered, in order, from PAIRED_AGENT_PLUGINS (directories
+ * or package names separated by the path delimiter), <project>/.paired/plugins/*,
+ * ~/.paired/plugins/*, and packages named `paired-agent-*` (or
+ * `@scope/paired-agent-*`) in <project>/node_modules and ~/.paired/node_modules.
+ * The first plugin found for an id wins; ids of built-in agents are reserved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const MANIFEST_FILE = 'paired-agent.json';
+const PACKAGE_PREFIX = 'paired-agent-';
+const BUILTIN_AGENT_IDS = ['alex', 'sherlock', 'leonardo', 'edison', 'maya', 'vince', 'marie'];
+const FIRST_PLUGIN_PORT = 7897; // after the built-in agents' 7890-7896
+
+function pluginError(message, dir) {
+  const error = new Error(dir ? `${message} (${dir})` : message);
+  error.code = 'INVALID_AGENT_PLUGIN';
+  return error;
+}
+
+/**
+ * Manifest problems, empty when valid
+ */
+function validateManifest(manifest) {
+  const problems = [];
+  if (!manifest || typeof manifest !== 'object') {
+    return ['manifest must be a JSON object'];
+  }
+
+  if (typeof manifest.id !== 'string' || !/^[a-z][a-z_]*$/.test(manifest.id)) {
+    problems.push('id must be lowercase letters and underscores');
+  } else if (BUILTIN_AGENT_IDS.includes(manifest.id)) {
+    problems.push(`id ${manifest.id} is reserved for a built-in agent`);
+  }
+  ['name', 'main'].forEach(field => {
+    if (typeof manifest[field] !== 'string' || !manifest[field]) problems.push(`${field} is required`);
+  });
+  if (manifest.version !== undefined && !/^\d+\.\d+\.\d+$/.test(manifest.version)) {
+    problems.push('version must be a semantic version (x.y.z)');
+  }
+  if (manifest.capabilities !== undefined && !Array.isArray(manifest.capabilities)) {
+    problems.push('capabilities must be an array');
+  }
+  if (manifest.commands !== undefined) {
+    if (!Array.isArray(manifest.commands)) {
+      problems.push('commands must be an array');
+    } else {
+      manifest.commands.forEach((command, index) => {
+        if (!command || typeof command.name !== 'string') problems.push(`commands[${index}].name is required`);
+        else if (!command.method && !command.handler) problems.push(`commands[${index}] needs a method or handler`);
+      });
+    }
+  }
+  if (manifest.port !== undefined && !Number.isInteger(manifest.port)) {
+    problems.push('port must be an integer');
+  }
+  return problems;
+}
+
+class AgentPlugin {
+  /**
+   * @param {Object} manifest - Validated manifest
+   * @param {string} dir - Plugin root directory
+   * @param {string} source - Where it was discovered ('env', 'project', 'user', 'npm')
+   */
+  constructor(manifest, dir, source) {
+    this.manifest = manifest;
+    this.dir = dir;
+    this.source = source;
+
+    this.id = manifest.id;
+    this.name = manifest.name;
+    this.title = manifest.title || manifest.name;
+    this.emoji = manifest.emoji || '🤖';
+    this.role = manifest.role || this.title;
+    this.version = manifest.version || '1.0.0';
+    this.capabilities = manifest.capabilities || [];
+    this.commands = manifest.commands || [];
+    this.triggers = { mentions: [], keywords: [], examples: [], ...manifest.triggers };
+    this.port = manifest.port || null;
+    this.AgentClass = null;
+  }
+
+  /**
+   * Agent type the factory registers the class under
+   */
+  get agentType() {
+    return `plugin:${this.id}`;
+  }
+
+  /**
+   * The agent class, loaded on first use
+   */
+  loadClass() {
+    if (!this.AgentClass) {
+      const BaseAgent = require('./base_agent');
+      const exported = require(path.resolve(this.dir, this.manifest.main));
+      const AgentClass = typeof exported === 'function' ? exported : exported && exported.default;
+
+      if (typeof AgentClass !== 'function' || !(AgentClass.prototype instanceof BaseAgent)) {
+        throw pluginError(`${this.manifest.main} must export a class extending BaseAgent`, this.dir);
+      }
+      this.AgentClass = AgentClass;
+    }
+    return this.AgentClass;
+  }
+
+  /**
+   * Agent configuration in the shape of core/config/agents/*.yml
+   */
+  createConfig() {
+    return {
+      agent: {
+        id: this.id,
+        name: this.name,
+        role: this.role,
+        version: this.version,
+        type: this.agentType,
+        status: 'active',
+        emoji: this.emoji,
+        persona: this.manifest.description || null,
+        category: 'plugin'
+      },
+      specializations: {
+        expertise_areas: this.capabilities,
+        capabilities: this.capabilities.map(name => ({ name, confidence: 0.8 }))
+      },
+      integration: {
+        notification_types: []
+      },
+      plugin: {
+        dir: this.dir,
+        source: this.source
+      }
+    };
+  }
+
+  /**
+   * Agent instance for hosts other than the agent factory. BaseAgent reports
+   * initialization failures as 'error' events, which would otherwise crash
+   * the host process.
+   */
+  instantiate(orchestrator = null) {
+    const AgentClass = this.loadClass();
+    const agent = new AgentClass(orchestrator, this.createConfig());
+    agent.on('error', data => console.error(`❌ Agent plugin ${this.id} error: ${data.error}`));
+    return agent;
+  }
+
+  /**
+   * Profile in AgentPersonalityManager's shape
+   */
+  profile() {
+    const personality = this.manifest.personality || {};
+    return {
+      emoji: this.emoji,
+      name: this.name,
+      title: this.title,
+      personality: personality.personality || 'specialist',
+      authority: personality.authority || `${this.id}_domain`,
+      responseStyle: personality.responseStyle || 'focused',
+      expertise: this.capabilities,
+      plugin: true
+    };
+  }
+
+  /**
+   * Words and phrases that address this agent directly
+   */
+  mentions() {
+    return Array.from(new Set([
+      this.id.replace(/_/g, ' '),
+      this.name.toLowerCase(),
+      ...this.triggers.mentions.map(mention => mention.toLowerCase())
+    ]));
+  }
+
+  /**
+   * Labeled training examples for the intent classifier
+   */
+  trainingExamples() {
+    return [...this.triggers.examples, ...this.triggers.keywords];
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      title: this.title,
+      emoji: this.emoji,
+      role: this.role,
+      version: this.version,
+      capabilities: this.capabilities,
+      commands: this.commands.map(({ name, description, category }) => ({ name, description: description || '', category: category || 'plugin' })),
+      plugin: true,
+      source: this.source,
+      dir: this.dir
+    };
+  }
+}
+
+class AgentPluginRegistry {
+  /**
+   * @param {Object} options - `projectRoot`, `userDir` (default ~/.paired),
+   *   `searchPaths` (overrides PAIRED_AGENT_PLUGINS), `logger`
+   */
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.userDir = options.userDir || path.join(os.homedir(), '.paired');
+    this.searchPaths = options.searchPaths || (process.env.PAIRED_AGENT_PLUGINS || '').split(path.delimiter).filter(Boolean);
+    this.logger = options.logger || console;
+    this.plugins = new Map();
+    this.errors = [];
+    this.discovered = false;
+  }
+
+  /**
+   * Find and load every plugin; invalid ones are skipped and kept in `errors`
+   */
+  discover() {
+    this.plugins.clear();
+    this.errors = [];
+
+    for (const { dir, source } of this.candidateDirs()) {
+      try {
+        const plugin = this.load(dir, source);
+        if (!plugin) continue;
+
+        if (this.plugins.has(plugin.id)) {
+          this.logger.log(`⚠️ Agent plugin ${plugin.id} in ${dir} ignored; already loaded from ${this.plugins.get(plugin.id).dir}`);
+          continue;
+        }
+        this.plugins.set(plugin.id, plugin);
+      } catch (error) {
+        this.errors.push({ dir, error: error.message });
+        this.logger.log(`⚠️ Skipping agent plugin in ${dir}: ${error.message}`);
+      }
+    }
+
+    this.discovered = true;
+    this.assignPorts();
+    if (this.plugins.size > 0) {
+      this.logger.log(`🧩 Loaded ${this.plugins.size} agent plugin(s): ${this.list().map(plugin => plugin.id).join(', ')}`);
+    }
+    return this.list();
+  }
+
+  /**
+   * Plugin in `dir`, or null when it has no manifest
+   */
+  load(dir, source = 'local') {
+    let manifest = null;
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    const packagePath = path.join(dir, 'package.json');
+
+    if (fs.existsSync(manifestPath)) {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } else if (fs.existsSync(packagePath)) {
+      manifest = JSON.parse(fs.readFileSync(packagePath, 'utf8')).pairedAgent || null;
+    }
+    if (!manifest) return null;
+
+    const problems = validateManifest(manifest);
+    if (problems.length > 0) {
+      throw pluginError(`Invalid agent manifest: ${problems.join('; ')}`, dir);
+    }
+    try {
+      require.resolve(path.resolve(dir, manifest.main));
+    } catch (error) {
+      throw pluginError(`Agent module ${manifest.main} not found`, dir);
+    }
+    return new AgentPlugin(manifest, dir, source);
+  }
+
+  candidateDirs() {
+    const candidates = [];
+
+    for (const entry of this.searchPaths) {
+      const dir = path.isAbsolute(entry) ? entry : this.resolvePackage(entry);
+      if (dir) candidates.push({ dir, source: 'env' });
+    }
+    candidates.push(...this.subdirectories(path.join(this.projectRoot, '.paired', 'plugins')).map(dir => ({ dir, source: 'project' })));
+    candidates.push(...this.subdirectories(path.join(this.userDir, 'plugins')).map(dir => ({ dir, source: 'user' })));
+    for (const modulesDir of [path.join(this.projectRoot, 'node_modules'), path.join(this.userDir, 'node_modules')]) {
+      candidates.push(...this.pluginPackages(modulesDir).map(dir => ({ dir, source: 'npm' })));
+    }
+    return candidates;
+  }
+
+  subdirectories(dir) {
+    try {
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+        .map(entry => path.join(dir, entry.name));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * `paired-agent-*` and `@scope/paired-agent-*` packages in a node_modules dir
+   */
+  pluginPackages(modulesDir) {
+    const packages = [];
+    for (const dir of this.subdirectories(modulesDir)) {
+      const name = path.basename(dir);
+      if (name.startsWith('@')) {
+        packages.push(...this.subdirectories(dir).filter(scoped => path.basename(scoped).startsWith(PACKAGE_PREFIX)));
+      } else if (name.startsWith(PACKAGE_PREFIX)) {
+        packages.push(dir);
+      }
+    }
+    return packages;
+  }
+
+  resolvePackage(name) {
+    try {
+      return path.dirname(require.resolve(`${name}/package.json`, { paths: [this.projectRoot, this.userDir] }));
+    } catch (error) {
+      this.errors.push({ dir: name, error: `Package not found: ${name}` });
+      return null;
+    }
+  }
+
+  /**
+   * Ports for plugins that did not ask for one, after the built-in agents'
+   */
+  assignPorts() {
+    const taken = new Set(this.list().map(plugin => plugin.port).filter(Boolean));
+    let next = FIRST_PLUGIN_PORT;
+    for (const plugin of this.list()) {
+      if (plugin.port) continue;
+      while (taken.has(next)) next++;
+      plugin.port = next;
+      taken.add(next);
+    }
+  }
+
+  list() {
+    if (!this.discovered) this.discover();
+    return Array.from(this.plugins.values());
+  }
+
+  get(id) {
+    if (!this.discovered) this.discover();
+    return this.plugins.get(id) || null;
+  }
+
+  has(id) {
+    return !!this.get(id);
+  }
+}
+
+let sharedRegistry = null;
+
+/**
+ * Process-wide plugin registry, discovered on first use
+ */
+function getAgentPluginRegistry(options) {
+  if (!sharedRegistry) {
+    sharedRegistry = new AgentPluginRegistry(options);
+    sharedRegistry.discover();
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  AgentPlugin,
+  AgentPluginRegistry,
+  getAgentPluginRegistry,
+  validateManifest,
+  BUILTIN_AGENT_IDS,
+  MANIFEST_FILE
+};
@@ -1,13 +1,23 @@
 /**
  * Team Coordination Module for PM Agent (Alex)
  *
- * Integrates agent trigger patterns directly into Alex's communication processing
+ * Integrates agent routing directly into Alex's communication processing
  * to enable intelligent delegation and coordinated responses with learning capabilities.
+ * Which specialist a message is for comes from the shared intent classifier
+ * (core/infrastructure/intent_classifier.js), which also learns from
+ * delegation feedback.
  */
 
+const { getIntentClassifier } = require('../../../infrastructure/intent_classifier');
+const { getRoutingLog } = require('../../../infrastructure/routing_log');
+const { getAgentPluginRegistry } = require('../../agent_plugins');
+
 class TeamCoordination {
-  constructor(pmAgent) {
+  constructor(pmAgent, options = {}) {
     this.pmAgent = pmAgent;
+    this.classifier = options.classifier || getIntentClassifier();
+    this.routingLog = options.routingLog || getRoutingLog();
+    this.plugins = options.plugins || getAgentPluginRegistry().list();
     this.agentTriggers = new Map();
     this.learningPatterns = new Map(); // For adaptive learning
     this.delegationHistory = []; // Track delegation success
@@ -18,13 +28,14 @@ class TeamCoordination {
   }
 
   /**
-   * Setup agent trigger patterns for intelligent delegation
+   * Setup the specialists Alex can delegate to; `routingAgent` is the
+   * classifier's label for each. Agent plugins the classifier knows about
+   * become specialists too.
    */
   setupAgentTriggers() {
     this.agentTriggers.set('qa_specialist', {
-      keywords: ['test', 'testing', 'quality', 'bug', 'debug', 'coverage', 'spec', 'qa', 'quality assurance'],
-      patterns: [/test/i, /quality/i, /bug/i, /debug/i, /coverage/i, /spec/i],
       agent: 'Sherlock',
+      routingAgent: 'sherlock',
       agentId: 'qa_agent',
       emoji: '🕵️',
       specialization: 'Quality Analysis and Testing',
@@ -32,9 +43,8 @@ class TeamCoordination {
     });
 
     this.agentTriggers.set('architecture_specialist', {
-      keywords: ['architecture', 'design', 'pattern', 'structure', 'system', 'config', 'setup', 'framework'],
-      patterns: [/architecture/i, /design/i, /pattern/i, /structure/i, /system/i, /config/i],
       agent: 'Leonardo',
+      routingAgent: 'leonardo',
       agentId: 'architecture_agent',
       emoji: '🏛️',
       specialization: 'System Architecture and Design',
@@ -42,9 +52,8 @@ class TeamCoordination {
     });
 
     this.agentTriggers.set('dev_specialist', {
-      keywords: ['implement', 'code', 'coding', 'function', 'class', 'method', 'algorithm', 'programming', 'development'],
-      patterns: [/implement/i, /code/i, /coding/i, /function/i, /class/i, /method/i, /algorithm/i],
       agent: 'Edison',
+      routingAgent: 'edison',
       agentId: 'dev_agent',
       emoji: '⚡',
       specialization: 'Development and Implementation',
@@ -52,9 +61,8 @@ class TeamCoordination {
     });
 
     this.agentTriggers.set('ux_specialist', {
-      keywords: ['ui', 'ux', 'user experience', 'interface', 'design', 'usability', 'accessibility', 'user'],
-      patterns: [/ui/i, /ux/i, /user.*experience/i, /interface/i, /usability/i, /accessibility/i],
       agent: 'Maya',
+      routingAgent: 'maya',
       agentId: 'ux_expert_agent',
       emoji: '🎨',
       specialization: 'User Experience and Interface Design',
@@ -62,9 +70,8 @@ class TeamCoordination {
     });
 
     this.agentTriggers.set('scrum_specialist', {
-      keywords: ['sprint', 'scrum', 'ceremony', 'standup', 'retrospective', 'impediment', 'velocity', 'backlog'],
-      patterns: [/sprint/i, /scrum/i, /ceremony/i, /standup/i, /retrospective/i, /impediment/i],
       agent: 'Vince',
+      routingAgent: 'vince',
       agentId: 'scrum_master_agent',
       emoji: '🏈',
       specialization: 'Scrum Process and Team Coaching',
@@ -72,14 +79,27 @@ class TeamCoordination {
     });
 
     this.agentTriggers.set('analyst_specialist', {
-      keywords: ['data', 'analysis', 'metrics', 'report', 'statistics', 'performance', 'analytics', 'insights'],
-      patterns: [/data/i, /analysis/i, /metrics/i, /report/i, /statistics/i, /performance/i],
       agent: 'Marie',
+      routingAgent: 'marie',
       agentId: 'analyst_agent',
       emoji: '🔬',
       specialization: 'Data Analysis and Strategic Insights',
       confidence: 0.8
     });
+
+    for (const plugin of this.plugins) {
+      if (!this.classifier.agents.includes(plugin.id)) continue;
+
+      this.agentTriggers.set(`${plugin.id}_specialist`, {
+        agent: plugin.name,
+        routingAgent: plugin.id,
+        agentId: plugin.id,
+        emoji: plugin.emoji,
+        specialization: plugin.role,
+        confidence: 0.8,
+        plugin: true
+      });
+    }
   }
 
   /**
@@ -87,26 +107,18 @@ class TeamCoordination {
    */
   analyzeMessageForDelegation(userMessage) {
     const message = userMessage.toLowerCase();
+    const routing = this.classifier.classify(userMessage);
     const triggeredSpecialists = [];
 
     for (const [specialistKey, trigger] of this.agentTriggers) {
-      let confidence = 0;
+      const score = routing.scores.find(entry => entry.agent === trigger.routingAgent);
+      let confidence = score ? score.confidence : 0;
       const matchReasons = [];
 
-      // Check keywords (more generous scoring)
-      const keywordMatches = trigger.keywords.filter(keyword =>
-        message.includes(keyword.toLowerCase())
-      );
-      if (keywordMatches.length > 0) {
-        confidence += 0.5 + (keywordMatches.length * 0.1); // Base 0.5 + bonus per match
-        matchReasons.push(`keywords: ${keywordMatches.join(', ')}`);
-      }
-
-      // Check patterns (more generous scoring)
-      const patternMatches = trigger.patterns.filter(pattern => pattern.test(message));
-      if (patternMatches.length > 0) {
-        confidence += 0.4 + (patternMatches.length * 0.1); // Base 0.4 + bonus per match
-        matchReasons.push(`patterns: ${patternMatches.length} matches`);
+      if (routing.agent === trigger.routingAgent) {
+        matchReasons.push(routing.explanation.reason);
+      } else if (confidence > 0) {
+        matchReasons.push(`classifier: ${Math.round(confidence * 100)}%`);
       }
 
       // Apply learning adjustments
@@ -121,6 +133,7 @@ class TeamCoordination {
       if (confidence > triggerThreshold) {
         triggeredSpecialists.push({
           ...trigger,
+          specialistKey,
           confidence: Math.min(confidence, 1.0),
           matchReasons,
           shouldDelegate: confidence > delegationThreshold,
@@ -130,7 +143,19 @@ class TeamCoordination {
     }
 
     // Sort by confidence
-    return triggeredSpecialists.sort((a, b) => b.confidence - a.confidence);
+    triggeredSpecialists.sort((a, b) => b.confidence - a.confidence);
+
+    const delegated = triggeredSpecialists.filter(s => s.shouldDelegate);
+    const decisionId = this.routingLog.recordDecision('team_coordination.analyzeMessageForDelegation', userMessage, {
+      ...routing,
+      agent: delegated.length > 0 ? delegated[0].routingAgent : 'alex'
+    }, {
+      delegations: delegated.map(s => s.routingAgent),
+      triggered: triggeredSpecialists.map(s => ({ agent: s.routingAgent, confidence: s.confidence, delegated: s.shouldDelegate }))
+    });
+    triggeredSpecialists.forEach(s => { s.decisionId = decisionId; });
+
+    return triggeredSpecialists;
   }
 
   /**
@@ -226,7 +251,7 @@ class TeamCoordination {
         // Look for 2-3 word phrases that might be new triggers
         for (let i = 0; i < words.length - 1; i++) {
           const phrase = words.slice(i, i + 2).join(' ');
-          if (phrase.length > 3 && !specialist.keywords.includes(phrase)) {
+          if (phrase.length > 3) {
             const existing = existingPatterns.find(p => p.phrase === phrase);
             if (existing) {
               existing.weight = Math.min(existing.weight + 0.1, 1.0);
@@ -246,7 +271,9 @@ class TeamCoordination {
     this.delegationHistory.push({
       timestamp: Date.now(),
       message: userMessage,
+      decisionId: triggeredSpecialists.length > 0 ? triggeredSpecialists[0].decisionId : null,
       specialists: triggeredSpecialists.map(s => ({
+        specialistKey: s.specialistKey,
         agent: s.agent,
         confidence: s.confidence,
         delegated: s.shouldDelegate
@@ -326,14 +353,32 @@ class TeamCoordination {
   }
 
   /**
-   * Provide feedback on delegation success to adjust thresholds
+   * Provide feedback on delegation success to adjust thresholds. The message
+   * delegated (by default the latest one that triggered this specialist) is
+   * also fed back to the intent classifier and logged as the outcome of its
+   * routing decision.
    */
-  provideDelegationFeedback(specialistKey, wasSuccessful, userSatisfaction = 0.5) {
+  provideDelegationFeedback(specialistKey, wasSuccessful, userSatisfaction = 0.5, message = null) {
     const feedback = this.delegationFeedback.get(specialistKey);
     const thresholds = this.triggerThresholds.get(specialistKey);
 
     if (!feedback || !thresholds) return;
 
+    const routingAgent = this.agentTriggers.get(specialistKey).routingAgent;
+    const interaction = message ? null : this.findDelegation(specialistKey);
+    const delegatedMessage = message || (interaction && interaction.message);
+    if (delegatedMessage) {
+      this.classifier.recordFeedback(delegatedMessage, routingAgent, wasSuccessful, userSatisfaction);
+    }
+    if (interaction) {
+      this.routingLog.recordOutcome(interaction.decisionId, {
+        status: wasSuccessful ? 'feedback_success' : 'feedback_failure',
+        source: 'team_coordination.provideDelegationFeedback',
+        agent: routingAgent,
+        satisfaction: userSatisfaction
+      });
+    }
+
     // Record feedback
     feedback.totalDelegations++;
     if (wasSuccessful) {
@@ -396,6 +441,19 @@ class TeamCoordination {
     }
   }
 
+  /**
+   * Latest interaction that triggered a specialist
+   */
+  findDelegation(specialistKey) {
+    for (let i = this.delegationHistory.length - 1; i >= 0; i--) {
+      const interaction = this.delegationHistory[i];
+      if (interaction.specialists.some(s => s.specialistKey === specialistKey)) {
+        return interaction;
+      }
+    }
+    return null;
+  }
+
   /**
    * Auto-adjust thresholds based on historical performance
    */
@@ -4,6 +4,21 @@ const crypto = require('crypto');
 const { spawn } = require('child_process');
 const yaml = require('js-yaml');
 const glob = require('glob');
+const HashPool = require('../infrastructure/hash_pool');
+const {
+  isBinary,
+  unifiedDiff,
+  structuredFormat,
+  parseStructured,
+  structuredDiff
+} = require('../infrastructure/content_diff');
+
+// Index entries this close to the scan start are not trusted (mtime granularity)
+const RACY_WINDOW_MS = 2000;
+const SCAN_INDEX_VERSION = 1;
+
+const COLORS = { add: '\x1b[32m', remove: '\x1b[31m', hunk: '\x1b[36m', header: '\x1b[1m' };
+const RESET = '\x1b[0m';
 
 /**
  * PAIRED Environment Agent
@@ -30,6 +45,11 @@ class EnvironmentAgent {
     this.indexPath = path.join(this.environmentStatesDir, 'snapshot_index.json');
     this.environmentRegistryPath = path.join(this.environmentStatesDir, 'environment_registry.json');
     this.currentEnvironmentPath = path.join(this.environmentStatesDir, 'current_environment.json');
+    // Content-addressed file contents: objects/<first 2 hash chars>/<sha256>
+    this.objectsDir = path.join(this.environmentStatesDir, 'objects');
+    this.reportsDir = path.join(this.environmentStatesDir, 'reports');
+    // path -> size, mtime, inode and hash from the last scan
+    this.scanIndexPath = path.join(this.environmentStatesDir, 'scan_index.json');
 
     // Default configuration
     this.defaultConfig = {
@@ -68,7 +88,9 @@ class EnvironmentAgent {
       ],
       max_file_size_mb: 1,
       max_snapshots: 50,
-      auto_cleanup: true
+      auto_cleanup: true,
+      store_file_contents: false,
+      scan_concurrency: 8
     };
 
     console.log('🌍 Standalone Environment Agent initialized - Ready to protect your development ecosystem!');
@@ -119,20 +141,23 @@ class EnvironmentAgent {
      * Create environment snapshot
      * @param {string} description - Snapshot description
      * @param {Array} tags - Optional tags for categorization
+     * @param {Object} options - { storeContents } keeps file contents in the object store
+     *   so the snapshot can be restored (defaults to config.store_file_contents)
      * @returns {Promise<Object>} Snapshot information
      */
-  async createSnapshot(description = 'Manual snapshot', tags = []) {
+  async createSnapshot(description = 'Manual snapshot', tags = [], options = {}) {
     console.log('🌍 Environment Agent: Creating environment snapshot...');
 
     try {
       await this.initializeEnvironmentTracking();
 
       const config = await this.loadConfig();
-      const snapshotId = `env_snapshot_${this.generateTimestamp()}`;
+      const storeContents = options.storeContents ?? Boolean(config.store_file_contents);
+      const snapshotId = await this.generateSnapshotId();
 
       // Scan environment files
       console.log('🔍 Scanning environment files...');
-      const files = await this.scanEnvironmentFiles(config);
+      const files = await this.scanEnvironmentFiles(config, { storeContents });
 
       // Get git information
       const gitInfo = await this.getGitInfo();
@@ -145,6 +170,7 @@ class EnvironmentAgent {
         tags: tags,
         git_commit: gitInfo.commit,
         git_branch: gitInfo.branch,
+        contents_stored: storeContents,
         files: files.fileData,
         summary: {
           total_files: files.totalFiles,
@@ -167,12 +193,15 @@ class EnvironmentAgent {
 
       console.log(`✅ Environment snapshot created: ${snapshotId}`);
       console.log(`📊 Tracked ${files.totalFiles} files (${this.formatBytes(files.totalSize)})`);
+      console.log(this.formatScanStats(files.stats));
 
       return {
         success: true,
         snapshot_id: snapshotId,
         files_tracked: files.totalFiles,
         total_size: files.totalSize,
+        contents_stored: storeContents,
+        scan_stats: files.stats,
         description: description
       };
 
@@ -184,10 +213,15 @@ class EnvironmentAgent {
 
   /**
      * Detect changes since last snapshot or specific baseline
+     *
+     * Content diffs read every changed file and its stored version, so they are
+     * only attached when asked for.
+     *
      * @param {string} baselineId - Optional baseline snapshot ID
+     * @param {Object} options - { contents: true attaches content diffs, context: lines around changes }
      * @returns {Promise<Object>} Change detection results
      */
-  async detectChanges(baselineId = null) {
+  async detectChanges(baselineId = null, options = {}) {
     console.log('🌍 Environment Agent: Detecting environment changes...');
 
     try {
@@ -213,23 +247,29 @@ class EnvironmentAgent {
 
       // Compare with baseline
       const changes = this.compareFileStates(baseline.files, current.fileData);
+      if (options.contents === true) {
+        await this.attachContentDiffs(
+          changes,
+          this.snapshotContentLoader(baseline),
+          file => fs.readFile(this.resolveTrackedPath(file)),
+          options
+        );
+      }
 
       console.log('🔍 Change detection complete:');
       console.log(`  📝 Modified: ${changes.modified.length} files`);
       console.log(`  ➕ Added: ${changes.added.length} files`);
       console.log(`  ➖ Deleted: ${changes.deleted.length} files`);
+      console.log(`  🔐 Permissions: ${changes.permissions.length} files`);
+      console.log(this.formatScanStats(current.stats));
 
       return {
         success: true,
         baseline_id: baseline.snapshot_id,
         baseline_timestamp: baseline.timestamp,
         changes: changes,
-        summary: {
-          total_changes: changes.modified.length + changes.added.length + changes.deleted.length,
-          modified_count: changes.modified.length,
-          added_count: changes.added.length,
-          deleted_count: changes.deleted.length
-        }
+        summary: this.summarizeChanges(changes),
+        scan_stats: current.stats
       };
 
     } catch (error) {
@@ -240,11 +280,15 @@ class EnvironmentAgent {
 
   /**
      * Compare two snapshots
+     *
+     * Content diffs are only available for snapshots taken with storeContents.
+     *
      * @param {string} snapshot1Id - First snapshot ID
      * @param {string} snapshot2Id - Second snapshot ID
+     * @param {Object} options - { contents: false skips content diffs, context: lines around changes }
      * @returns {Promise<Object>} Comparison results
      */
-  async compareSnapshots(snapshot1Id, snapshot2Id) {
+  async compareSnapshots(snapshot1Id, snapshot2Id, options = {}) {
     console.log(`🌍 Environment Agent: Comparing snapshots ${snapshot1Id} vs ${snapshot2Id}...`);
 
     try {
@@ -252,6 +296,14 @@ class EnvironmentAgent {
       const snapshot2 = await this.loadSnapshot(snapshot2Id);
 
       const changes = this.compareFileStates(snapshot1.files, snapshot2.files);
+      if (options.contents !== false) {
+        await this.attachContentDiffs(
+          changes,
+          this.snapshotContentLoader(snapshot1),
+          this.snapshotContentLoader(snapshot2),
+          options
+        );
+      }
 
       return {
         success: true,
@@ -266,12 +318,7 @@ class EnvironmentAgent {
           description: snapshot2.description
         },
         changes: changes,
-        summary: {
-          total_changes: changes.modified.length + changes.added.length + changes.deleted.length,
-          modified_count: changes.modified.length,
-          added_count: changes.added.length,
-          deleted_count: changes.deleted.length
-        }
+        summary: this.summarizeChanges(changes)
       };
 
     } catch (error) {
@@ -344,7 +391,8 @@ class EnvironmentAgent {
         environment: {
           tracked_files: current.totalFiles,
           total_size: current.totalSize,
-          file_types: current.fileTypes
+          file_types: current.fileTypes,
+          scan: current.stats
         },
         snapshots: {
           total_count: index.snapshots.length,
@@ -389,12 +437,20 @@ class EnvironmentAgent {
         return 0;
       }
 
-      // Sort by timestamp and keep only the most recent
+      // Sort by timestamp and keep only the most recent, plus any snapshot an
+      // environment still points at (switching restores from it)
       const sortedSnapshots = index.snapshots
         .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-      const toKeep = sortedSnapshots.slice(0, keepCount);
-      const toDelete = sortedSnapshots.slice(keepCount);
+      const registry = await this.loadEnvironmentRegistry();
+      const referenced = new Set(Object.values(registry.environments).map(env => env.snapshot_id));
+
+      const toKeep = sortedSnapshots.filter((snapshot, i) => i < keepCount || referenced.has(snapshot.snapshot_id));
+      const toDelete = sortedSnapshots.filter(snapshot => !toKeep.includes(snapshot));
+
+      if (toDelete.length === 0) {
+        return 0;
+      }
 
       // Delete old snapshot files
       for (const snapshot of toDelete) {
@@ -408,6 +464,7 @@ class EnvironmentAgent {
 
       // Update index
       await this.saveSnapshotIndex({ snapshots: toKeep });
+      await this.pruneObjects(toKeep);
 
       console.log(`🗑️ Cleaned up ${toDelete.length} old snapshots`);
       return toDelete.length;
@@ -420,57 +477,206 @@ class EnvironmentAgent {
 
   // Helper Methods
 
+  /**
+     * Remove stored contents no remaining snapshot refers to
+     * @param {Array} snapshots - Index entries of the snapshots being kept
+     * @returns {Promise<number>} Number of objects removed
+     */
+  async pruneObjects(snapshots) {
+    if (!await this.fileExists(this.objectsDir)) {
+      return 0;
+    }
+
+    const live = new Set();
+    for (const entry of snapshots) {
+      try {
+        const snapshot = await this.loadSnapshot(entry.snapshot_id);
+        if (!snapshot.contents_stored) continue;
+        Object.values(snapshot.files).forEach(info => live.add(info.hash));
+      } catch (error) {
+        // A snapshot we cannot read can still own objects; keep everything
+        console.warn(`⚠️ Could not read snapshot ${entry.snapshot_id}, skipping object cleanup`);
+        return 0;
+      }
+    }
+
+    let removed = 0;
+    for (const prefix of await fs.readdir(this.objectsDir)) {
+      const prefixDir = path.join(this.objectsDir, prefix);
+      for (const hash of await fs.readdir(prefixDir)) {
+        if (!live.has(hash)) {
+          await fs.unlink(path.join(prefixDir, hash));
+          removed++;
+        }
+      }
+      if ((await fs.readdir(prefixDir)).length === 0) {
+        await fs.rmdir(prefixDir);
+      }
+    }
+    return removed;
+  }
+
   /**
      * Scan environment files based on configuration
+     *
+     * Files whose path, size, mtime and inode match the scan index reuse the
+     * hash recorded there. Up to `scan_concurrency` files are stat'ed at once,
+     * and the rest are read and hashed in worker threads (at most
+     * `scan_concurrency`, and no more than there are cores).
+     *
+     * @param {Object} config - Tracker configuration
+     * @param {Object} options - { storeContents } also writes each file to the object store
      */
-  async scanEnvironmentFiles(config) {
+  async scanEnvironmentFiles(config, options = {}) {
+    const startedAt = Date.now();
     const fileData = {};
     let totalFiles = 0;
     let totalSize = 0;
     const fileTypes = {};
+    const stats = {
+      files_matched: 0,
+      cache_hits: 0,
+      files_hashed: 0,
+      bytes_hashed: 0,
+      skipped_large: 0,
+      errors: 0,
+      concurrency: Math.max(1, config.scan_concurrency || this.defaultConfig.scan_concurrency)
+    };
 
-    // Process tracked patterns
-    for (const pattern of config.tracked_patterns) {
-      const files = glob.sync(pattern, {
-        cwd: this.pairedRoot,
-        ignore: config.excluded_patterns
-      });
+    // One walk for all tracked patterns; a file matching several is scanned once
+    const files = glob.sync(config.tracked_patterns, {
+      cwd: this.pairedRoot,
+      ignore: config.excluded_patterns
+    }).sort();
+    stats.files_matched = files.length;
+
+    const scanIndex = await this.loadScanIndex();
+    const nextIndex = {};
+    const results = new Map();
+    const maxSize = config.max_file_size_mb * 1024 * 1024;
+    const hashPool = new HashPool({ size: stats.concurrency });
+    stats.hash_workers = hashPool.size;
+
+    await this.runPool(files, stats.concurrency, async (file) => {
+      try {
+        const fullPath = path.join(this.pairedRoot, file);
+        const fileStats = await fs.stat(fullPath);
+
+        // Skip files larger than max size
+        if (fileStats.size > maxSize) {
+          stats.skipped_large++;
+          return;
+        }
 
-      for (const file of files) {
-        try {
-          const fullPath = path.join(this.pairedRoot, file);
-          const stats = await fs.stat(fullPath);
+        // When contents must be stored and are not yet, the file is read anyway,
+        // so hash what is actually read
+        const cached = scanIndex.files[file];
+        const unchanged = cached && cached.size === fileStats.size &&
+          cached.mtime_ms === fileStats.mtimeMs && cached.ino === fileStats.ino &&
+          (!options.storeContents || await this.fileExists(this.objectPath(cached.hash)));
+
+        let hash;
+        if (unchanged) {
+          hash = cached.hash;
+          stats.cache_hits++;
+        } else {
+          // Calculate file hash
+          const hashed = await hashPool.hashFile(fullPath, { withContent: options.storeContents });
+          hash = hashed.hash;
+          stats.files_hashed++;
+          stats.bytes_hashed += hashed.size;
 
-          // Skip files larger than max size
-          if (stats.size > config.max_file_size_mb * 1024 * 1024) {
-            continue;
+          if (options.storeContents) {
+            await this.storeObject(hash, hashed.content);
           }
+        }
 
-          // Calculate file hash
-          const content = await fs.readFile(fullPath);
-          const hash = crypto.createHash('sha256').update(content).digest('hex');
+        // A file written in the same instant as the scan could change again
+        // without its mtime moving; leave it out so the next scan rehashes it
+        if (fileStats.mtimeMs < startedAt - RACY_WINDOW_MS) {
+          nextIndex[file] = { size: fileStats.size, mtime_ms: fileStats.mtimeMs, ino: fileStats.ino, hash };
+        }
 
-          fileData[file] = {
-            hash: hash,
-            size: stats.size,
-            modified: stats.mtime.getTime() / 1000,
-            permissions: (stats.mode & parseInt('777', 8)).toString(8)
-          };
+        results.set(file, {
+          hash: hash,
+          size: fileStats.size,
+          modified: fileStats.mtime.getTime() / 1000,
+          permissions: (fileStats.mode & parseInt('777', 8)).toString(8)
+        });
 
-          totalFiles++;
-          totalSize += stats.size;
+      } catch (error) {
+        stats.errors++;
+        console.warn(`⚠️ Could not process file: ${file}`);
+      }
+    }).finally(() => hashPool.close());
 
-          // Track file types
-          const ext = path.extname(file);
-          fileTypes[ext] = (fileTypes[ext] || 0) + 1;
+    // Same order as the walk, whichever worker finished first
+    for (const file of files) {
+      const info = results.get(file);
+      if (!info) continue;
 
-        } catch (error) {
-          console.warn(`⚠️ Could not process file: ${file}`);
-        }
+      fileData[file] = info;
+      totalFiles++;
+      totalSize += info.size;
+
+      // Track file types
+      const ext = path.extname(file);
+      fileTypes[ext] = (fileTypes[ext] || 0) + 1;
+    }
+
+    await this.saveScanIndex({ version: SCAN_INDEX_VERSION, files: nextIndex });
+    stats.duration_ms = Date.now() - startedAt;
+
+    return { fileData, totalFiles, totalSize, fileTypes, stats };
+  }
+
+  /**
+     * Run `worker` over items with at most `limit` in flight
+     */
+  async runPool(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        await worker(items[next++]);
+      }
+    });
+    await Promise.all(runners);
+  }
+
+  /**
+     * One-line scan timing summary
+     */
+  formatScanStats(stats) {
+    return `⏱️ Scanned ${stats.files_matched} files in ${stats.duration_ms}ms ` +
+      `(${stats.cache_hits} unchanged, ${stats.files_hashed} hashed, ${this.formatBytes(stats.bytes_hashed)} read)`;
+  }
+
+  /**
+     * Load the scan index; a missing, unreadable or outdated index is empty
+     */
+  async loadScanIndex() {
+    try {
+      const index = JSON.parse(await fs.readFile(this.scanIndexPath, 'utf8'));
+      if (index.version === SCAN_INDEX_VERSION && index.files) {
+        return index;
       }
+    } catch (error) {
+      // Rebuilt by the next scan
     }
+    return { version: SCAN_INDEX_VERSION, files: {} };
+  }
 
-    return { fileData, totalFiles, totalSize, fileTypes };
+  /**
+     * Save the scan index
+     */
+  async saveScanIndex(index) {
+    try {
+      await fs.mkdir(this.environmentStatesDir, { recursive: true });
+      await fs.writeFile(this.scanIndexPath, JSON.stringify(index));
+    } catch (error) {
+      // Only costs a full rehash next time
+      console.warn(`⚠️ Could not save scan index: ${error.message}`);
+    }
   }
 
   /**
@@ -480,7 +686,8 @@ class EnvironmentAgent {
     const changes = {
       modified: [],
       added: [],
-      deleted: []
+      deleted: [],
+      permissions: []
     };
 
     // Find modified and deleted files
@@ -494,6 +701,13 @@ class EnvironmentAgent {
             size_change: current[filePath].size - baselineInfo.size
           });
         }
+        if (baselineInfo.permissions && current[filePath].permissions !== baselineInfo.permissions) {
+          changes.permissions.push({
+            file: filePath,
+            from: baselineInfo.permissions,
+            to: current[filePath].permissions
+          });
+        }
       } else {
         changes.deleted.push({
           file: filePath,
@@ -517,6 +731,513 @@ class EnvironmentAgent {
     return changes;
   }
 
+  /**
+     * Counts for a compareFileStates() result; a file whose contents and
+     * permissions both changed counts once
+     */
+  summarizeChanges(changes) {
+    const modified = new Set(changes.modified.map(change => change.file));
+    const permissionOnly = changes.permissions.filter(change => !modified.has(change.file)).length;
+
+    return {
+      total_changes: changes.modified.length + changes.added.length + changes.deleted.length + permissionOnly,
+      modified_count: changes.modified.length,
+      added_count: changes.added.length,
+      deleted_count: changes.deleted.length,
+      permission_count: changes.permissions.length
+    };
+  }
+
+  /**
+     * Reads a file's contents as stored with a snapshot; resolves null when
+     * the snapshot was taken without contents
+     */
+  snapshotContentLoader(snapshot) {
+    return async (file) => {
+      if (!snapshot.contents_stored || !snapshot.files[file]) {
+        return null;
+      }
+      return this.readObject(snapshot.files[file].hash);
+    };
+  }
+
+  /**
+     * Add a `diff` to every modified, added and deleted entry
+     * @param {Object} changes - From compareFileStates()
+     * @param {Function} loadBefore - file -> Promise<Buffer|null> for the baseline side
+     * @param {Function} loadAfter - file -> Promise<Buffer|null> for the current side
+     * @param {Object} options - { context }
+     */
+  async attachContentDiffs(changes, loadBefore, loadAfter, options = {}) {
+    const load = async (loader, file) => {
+      try {
+        return await loader(file);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    for (const change of changes.modified) {
+      change.diff = this.diffContents(change.file, await load(loadBefore, change.file), await load(loadAfter, change.file), options);
+    }
+    for (const change of changes.added) {
+      change.diff = this.diffContents(change.file, null, await load(loadAfter, change.file), { ...options, side: 'after' });
+    }
+    for (const change of changes.deleted) {
+      change.diff = this.diffContents(change.file, await load(loadBefore, change.file), null, { ...options, side: 'before' });
+    }
+    return changes;
+  }
+
+  /**
+     * Diff two versions of a file: unified for text, plus key-level changes
+     * when both versions of a JSON/YAML file parse
+     * @param {string} file - Path relative to the project root
+     * @param {Buffer|null} before - Old contents (null: did not exist or not stored)
+     * @param {Buffer|null} after - New contents (null: deleted or not stored)
+     * @param {Object} options - { side: 'before' | 'after' when only that side exists, context }
+     */
+  diffContents(file, before, after, options = {}) {
+    const missing = (options.side !== 'after' && before === null) || (options.side !== 'before' && after === null);
+    if (missing) {
+      return { available: false, reason: 'File contents were not stored with the snapshot' };
+    }
+
+    if (isBinary(before) || isBinary(after)) {
+      return { available: true, kind: 'binary' };
+    }
+
+    const beforeText = before === null ? null : before.toString('utf8');
+    const afterText = after === null ? null : after.toString('utf8');
+    const unified = unifiedDiff(beforeText, afterText, {
+      fromFile: `a/${file}`,
+      toFile: `b/${file}`,
+      context: options.context
+    });
+
+    const diff = {
+      available: true,
+      kind: 'text',
+      unified: unified.text,
+      additions: unified.additions,
+      deletions: unified.deletions,
+      too_large: unified.tooLarge
+    };
+
+    const format = structuredFormat(file);
+    if (format && beforeText !== null && afterText !== null) {
+      diff.kind = format;
+      try {
+        diff.structured = structuredDiff(parseStructured(format, beforeText), parseStructured(format, afterText));
+      } catch (error) {
+        diff.parse_error = error.message.split('\n')[0];
+      }
+    }
+
+    return diff;
+  }
+
+  /**
+     * Render a detectChanges(), compareSnapshots() or compareEnvironments() result
+     * @param {Object} result - Successful comparison result
+     * @param {Object} options - { format: 'terminal' | 'markdown', color, maxDiffLines }
+     * @returns {string} Rendered changes
+     */
+  renderComparison(result, options = {}) {
+    const format = options.format || 'terminal';
+    const maxDiffLines = options.maxDiffLines || 200;
+    const { from, to } = this.comparisonLabels(result);
+    const changes = result.changes;
+    const summary = result.summary || this.summarizeChanges(changes);
+
+    if (format === 'markdown') {
+      return this.renderMarkdownComparison(from, to, changes, summary, maxDiffLines);
+    }
+    if (format !== 'terminal') {
+      throw new Error(`Unknown comparison format: ${format} (use terminal or markdown)`);
+    }
+
+    const color = options.color ?? Boolean(process.stdout.isTTY);
+    const paint = (key, text) => color ? `${COLORS[key]}${text}${RESET}` : text;
+    const lines = [
+      paint('header', `🌍 Environment changes: ${from} → ${to}`),
+      `   ${summary.modified_count} modified, ${summary.added_count} added, ${summary.deleted_count} deleted, ${summary.permission_count} permission changes`
+    ];
+
+    const entries = [
+      ...changes.modified.map(change => ({ mark: 'M', change })),
+      ...changes.added.map(change => ({ mark: 'A', change })),
+      ...changes.deleted.map(change => ({ mark: 'D', change }))
+    ].sort((a, b) => a.change.file.localeCompare(b.change.file));
+
+    for (const { mark, change } of entries) {
+      const diff = change.diff;
+      const stat = diff?.available && diff.kind !== 'binary' ? ` (+${diff.additions} -${diff.deletions})` : '';
+      lines.push('', paint('header', `${mark} ${change.file}${stat}`));
+
+      if (!diff) continue;
+      if (!diff.available) {
+        lines.push(`    ${diff.reason}`);
+      } else if (diff.kind === 'binary') {
+        lines.push('    Binary file changed');
+      } else if (diff.too_large) {
+        lines.push('    Diff too large to show');
+      } else if (diff.structured && diff.structured.length > 0) {
+        for (const entry of diff.structured) {
+          if (entry.type === 'added') lines.push(paint('add', `    + ${entry.path}: ${this.formatDiffValue(entry.after)}`));
+          if (entry.type === 'removed') lines.push(paint('remove', `    - ${entry.path}: ${this.formatDiffValue(entry.before)}`));
+          if (entry.type === 'changed') {
+            lines.push(`    ~ ${entry.path}: ${paint('remove', this.formatDiffValue(entry.before))} → ${paint('add', this.formatDiffValue(entry.after))}`);
+          }
+        }
+      } else {
+        if (diff.structured) lines.push('    Formatting only, no key changes');
+        const diffLines = diff.unified.split('\n').filter(Boolean).slice(2); // drop ---/+++ headers
+        for (const line of diffLines.slice(0, maxDiffLines)) {
+          const key = line.startsWith('@@') ? 'hunk' : line.startsWith('+') ? 'add' : line.startsWith('-') ? 'remove' : null;
+          lines.push(`    ${key ? paint(key, line) : line}`);
+        }
+        if (diffLines.length > maxDiffLines) {
+          lines.push(`    … ${diffLines.length - maxDiffLines} more lines`);
+        }
+      }
+    }
+
+    if (changes.permissions.length > 0) {
+      lines.push('', paint('header', 'Permissions'));
+      for (const change of changes.permissions) {
+        lines.push(`    ${change.file}: ${change.from} → ${change.to}`);
+      }
+    }
+
+    if (summary.total_changes === 0) {
+      lines.push('', '✅ No changes');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+     * Markdown report of a comparison; see renderComparison()
+     */
+  renderMarkdownComparison(from, to, changes, summary, maxDiffLines) {
+    const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const lines = [
+      '# Environment Changes',
+      '',
+      `**From:** ${from}  `,
+      `**To:** ${to}  `,
+      `**Generated:** ${new Date().toISOString()}`,
+      '',
+      '| Change | Files |',
+      '|--------|-------|',
+      `| Modified | ${summary.modified_count} |`,
+      `| Added | ${summary.added_count} |`,
+      `| Deleted | ${summary.deleted_count} |`,
+      `| Permissions | ${summary.permission_count} |`
+    ];
+
+    const sections = [
+      ['Modified', changes.modified],
+      ['Added', changes.added],
+      ['Deleted', changes.deleted]
+    ];
+
+    for (const [title, entries] of sections) {
+      if (entries.length === 0) continue;
+      lines.push('', `## ${title}`);
+
+      for (const change of entries) {
+        const diff = change.diff;
+        lines.push('', `### \`${change.file}\``, '');
+
+        if (!diff) {
+          lines.push('_Content diff not requested._');
+          continue;
+        }
+        if (!diff.available) {
+          lines.push(`_${diff.reason}._`);
+          continue;
+        }
+        if (diff.kind === 'binary') {
+          lines.push('_Binary file changed._');
+          continue;
+        }
+        if (diff.too_large) {
+          lines.push('_Diff too large to show._');
+          continue;
+        }
+
+        if (diff.structured && diff.structured.length > 0) {
+          lines.push('| Key | Change | Before | After |', '|-----|--------|--------|-------|');
+          for (const entry of diff.structured) {
+            const before = entry.type === 'added' ? '' : `\`${cell(this.formatDiffValue(entry.before))}\``;
+            const after = entry.type === 'removed' ? '' : `\`${cell(this.formatDiffValue(entry.after))}\``;
+            lines.push(`| \`${cell(entry.path)}\` | ${entry.type} | ${before} | ${after} |`);
+          }
+          lines.push('');
+        } else if (diff.structured) {
+          lines.push('_Formatting only, no key changes._', '');
+        } else if (diff.parse_error) {
+          lines.push(`_Could not parse as ${diff.kind}: ${diff.parse_error}_`, '');
+        }
+
+        const diffLines = diff.unified.split('\n').filter(Boolean);
+        if (diffLines.length === 0) continue;
+        const shown = diffLines.slice(0, maxDiffLines + 2); // keep the ---/+++ headers
+        lines.push('```diff', ...shown, '```');
+        if (diffLines.length > shown.length) {
+          lines.push(`_… ${diffLines.length - shown.length} more lines._`);
+        }
+      }
+    }
+
+    if (changes.permissions.length > 0) {
+      lines.push('', '## Permissions', '', '| File | Before | After |', '|------|--------|-------|');
+      for (const change of changes.permissions) {
+        lines.push(`| \`${cell(change.file)}\` | ${change.from} | ${change.to} |`);
+      }
+    }
+
+    if (summary.total_changes === 0) {
+      lines.push('', 'No changes.');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+     * Write a comparison as a markdown report
+     * @param {Object} result - detectChanges(), compareSnapshots() or compareEnvironments() result
+     * @param {string} outputPath - Defaults to .paired/environment_states/reports/<from>_vs_<to>.md
+     * @returns {Promise<string>} Report path
+     */
+  async saveComparisonReport(result, outputPath = null) {
+    if (!outputPath) {
+      const { from, to } = this.comparisonLabels(result);
+      const name = `${from}_vs_${to}`.replace(/[^A-Za-z0-9_.-]+/g, '_');
+      outputPath = path.join(this.reportsDir, `${name}.md`);
+    }
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, this.renderComparison(result, { format: 'markdown' }));
+    console.log(`📄 Environment comparison report: ${outputPath}`);
+    return outputPath;
+  }
+
+  /**
+     * What a comparison result compares, for headings and report names
+     */
+  comparisonLabels(result) {
+    if (result.environment1) {
+      return { from: result.environment1.name, to: result.environment2.name };
+    }
+    if (result.snapshot1) {
+      return { from: result.snapshot1.id, to: result.snapshot2.id };
+    }
+    return { from: result.baseline_id, to: 'working tree' };
+  }
+
+  formatDiffValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+
+  /**
+     * Work needed to turn the current file state into a snapshot's
+     */
+  planRestore(current, target) {
+    const plan = {
+      write: [],
+      delete: [],
+      permissions: []
+    };
+
+    for (const [filePath, targetInfo] of Object.entries(target)) {
+      const currentInfo = current[filePath];
+      if (!currentInfo || currentInfo.hash !== targetInfo.hash) {
+        plan.write.push({
+          file: filePath,
+          action: currentInfo ? 'modify' : 'create',
+          hash: targetInfo.hash,
+          size: targetInfo.size,
+          permissions: targetInfo.permissions
+        });
+      } else if (currentInfo.permissions !== targetInfo.permissions) {
+        plan.permissions.push({
+          file: filePath,
+          from: currentInfo.permissions,
+          to: targetInfo.permissions
+        });
+      }
+    }
+
+    for (const [filePath, currentInfo] of Object.entries(current)) {
+      if (!target[filePath]) {
+        plan.delete.push({
+          file: filePath,
+          hash: currentInfo.hash,
+          size: currentInfo.size
+        });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+     * Files a restore would overwrite or delete whose current contents differ
+     * from the last restorable state (see findConflictBaseline()). Without
+     * one nothing counts as uncommitted.
+     */
+  async findSwitchConflicts(current, plan) {
+    const baselineId = await this.findConflictBaseline();
+    if (!baselineId) {
+      return [];
+    }
+
+    let baseline;
+    try {
+      baseline = await this.loadSnapshot(baselineId);
+    } catch (error) {
+      console.warn(`⚠️ Conflict baseline snapshot ${baselineId} is missing; skipping conflict check`);
+      return [];
+    }
+
+    // Local deletions are not conflicts: restoring over them loses nothing
+    const changes = this.compareFileStates(baseline.files, current);
+    const changed = new Map([
+      ...changes.modified.map(change => [change.file, 'modified']),
+      ...changes.added.map(change => [change.file, 'added'])
+    ]);
+
+    const conflicts = [];
+    for (const entry of [...plan.write, ...plan.delete]) {
+      if (changed.has(entry.file)) {
+        conflicts.push({
+          file: entry.file,
+          change: changed.get(entry.file),
+          action: plan.delete.includes(entry) ? 'delete' : entry.action
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+     * Planned creates that would overwrite something the scan did not see -
+     * a file over max_file_size_mb, an excluded file, a directory - or whose
+     * parent is not a directory. The safety snapshot cannot preserve these,
+     * so even a forced switch refuses them.
+     */
+  async findBlockedWrites(plan) {
+    const blocked = [];
+
+    for (const entry of plan.write.filter(write => write.action === 'create')) {
+      const fullPath = this.resolveTrackedPath(entry.file);
+      const existing = await fs.lstat(fullPath).catch(() => null);
+      if (existing) {
+        blocked.push({
+          file: entry.file,
+          reason: existing.isDirectory()
+            ? 'a directory is in the way'
+            : `an untracked file is in the way (${this.formatBytes(existing.size)}; larger than max_file_size_mb or excluded)`
+        });
+        continue;
+      }
+
+      for (let dir = path.dirname(fullPath); dir !== this.pairedRoot && dir !== path.dirname(dir); dir = path.dirname(dir)) {
+        const parent = await fs.lstat(dir).catch(() => null);
+        if (parent && !parent.isDirectory()) {
+          blocked.push({ file: entry.file, reason: `${path.relative(this.pairedRoot, dir)} is not a directory` });
+          break;
+        }
+      }
+    }
+
+    return blocked;
+  }
+
+  /**
+     * Snapshot whose state counts as committed: the latest snapshot with
+     * stored contents, or the active environment's snapshot when the switch
+     * to it happened after that snapshot was taken
+     * @returns {Promise<string|null>} Snapshot ID
+     */
+  async findConflictBaseline() {
+    let baselineId = null;
+    let baselineTime = -Infinity;
+
+    const currentEnv = await this.loadCurrentEnvironment();
+    if (currentEnv.environment_name) {
+      const registry = await this.loadEnvironmentRegistry();
+      const active = registry.environments[currentEnv.environment_name];
+      baselineId = currentEnv.snapshot_id || active?.snapshot_id || null;
+      baselineTime = Date.parse(currentEnv.switched_at) || -Infinity;
+    }
+
+    const index = await this.loadSnapshotIndex();
+    for (const entry of index.snapshots) {
+      const time = Date.parse(entry.timestamp);
+      if (!(time > baselineTime)) continue;
+
+      // Index entries written before contents_stored was recorded
+      let stored = entry.contents_stored;
+      if (stored === undefined) {
+        stored = await this.loadSnapshot(entry.snapshot_id).then(snapshot => snapshot.contents_stored, () => false);
+      }
+      if (stored) {
+        baselineId = entry.snapshot_id;
+        baselineTime = time;
+      }
+    }
+
+    return baselineId;
+  }
+
+  /**
+     * Write, delete and re-permission files according to a restore plan
+     * @param {Object} plan - From planRestore()
+     * @param {Map} contents - Hash -> Buffer for every file to write
+     */
+  async applyRestorePlan(plan, contents) {
+    for (const entry of plan.write) {
+      const fullPath = this.resolveTrackedPath(entry.file);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+
+      const tempPath = `${fullPath}.paired-restore.tmp`;
+      await fs.writeFile(tempPath, contents.get(entry.hash));
+      if (entry.permissions) {
+        await fs.chmod(tempPath, parseInt(entry.permissions, 8));
+      }
+      await fs.rename(tempPath, fullPath);
+    }
+
+    for (const entry of plan.delete) {
+      try {
+        await fs.unlink(this.resolveTrackedPath(entry.file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    for (const entry of plan.permissions) {
+      await fs.chmod(this.resolveTrackedPath(entry.file), parseInt(entry.to, 8));
+    }
+  }
+
+  /**
+     * Absolute path of a snapshot file entry; refuses paths outside the project
+     */
+  resolveTrackedPath(file) {
+    const fullPath = path.resolve(this.pairedRoot, file);
+    if (path.relative(this.pairedRoot, fullPath).startsWith('..') || path.isAbsolute(file)) {
+      throw new Error(`Refusing to restore a path outside the project: ${file}`);
+    }
+    return fullPath;
+  }
+
   /**
      * Get git information
      */
@@ -612,6 +1333,7 @@ class EnvironmentAgent {
       tags: snapshot.tags,
       git_commit: snapshot.git_commit,
       git_branch: snapshot.git_branch,
+      contents_stored: Boolean(snapshot.contents_stored),
       summary: snapshot.summary
     });
     await this.saveSnapshotIndex(index);
@@ -649,6 +1371,62 @@ class EnvironmentAgent {
       .replace('T', '_');
   }
 
+  /**
+     * Snapshot ID that does not clash with one taken earlier in the same second
+     * (e.g. the safety snapshot taken right before a switch)
+     */
+  async generateSnapshotId() {
+    const base = `env_snapshot_${this.generateTimestamp()}`;
+    let snapshotId = base;
+    for (let n = 2; await this.fileExists(path.join(this.environmentStatesDir, `${snapshotId}.json`)); n++) {
+      snapshotId = `${base}_${n}`;
+    }
+    return snapshotId;
+  }
+
+  // Object Store Helper Methods
+
+  /**
+     * Path of a stored object
+     */
+  objectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+     * Store file contents under their hash; identical contents are stored once
+     */
+  async storeObject(hash, content) {
+    const objectPath = this.objectPath(hash);
+    if (await this.fileExists(objectPath)) {
+      return objectPath;
+    }
+
+    await fs.mkdir(path.dirname(objectPath), { recursive: true });
+    const tempPath = `${objectPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, objectPath);
+    return objectPath;
+  }
+
+  /**
+     * Read stored contents, verifying they still match their hash
+     */
+  async readObject(hash) {
+    let content;
+    try {
+      content = await fs.readFile(this.objectPath(hash));
+    } catch (error) {
+      throw new Error(`Stored contents missing for object ${hash.substring(0, 12)}`);
+    }
+
+    const actual = crypto.createHash('sha256').update(content).digest('hex');
+    if (actual !== hash) {
+      throw new Error(`Stored contents corrupted for object ${hash.substring(0, 12)}`);
+    }
+    return content;
+  }
+
   /**
      * Create or promote environment
      * @param {string} environmentName - Name of the environment
@@ -664,8 +1442,9 @@ class EnvironmentAgent {
       await this.initializeEnvironmentTracking();
 
       // If no snapshot ID provided, create a snapshot of current state
+      // (with contents, so the environment can be switched back to)
       if (!snapshotId) {
-        const snapshotResult = await this.createSnapshot(`Environment baseline for ${environmentName}`);
+        const snapshotResult = await this.createSnapshot(`Environment baseline for ${environmentName}`, [], { storeContents: true });
         if (!snapshotResult.success) {
           return { success: false, error: 'Failed to create baseline snapshot' };
         }
@@ -750,14 +1529,27 @@ class EnvironmentAgent {
   }
 
   /**
-     * Switch to environment
+     * Switch to environment, restoring the files of its snapshot
+     *
+     * Tracked files are rewritten, created, deleted and re-permissioned to match
+     * the snapshot. Before anything is touched a safety snapshot (with contents)
+     * of the current state is taken, so a switch can always be undone by
+     * switching to an environment created from it. Tracked files the switch
+     * would overwrite or delete that changed since the last snapshot with
+     * contents (or since the switch to the active environment, if later) are
+     * conflicts: the switch is refused unless forced.
+     *
      * @param {string} environmentName - Name of environment to switch to
+     * @param {Object} options - { dryRun: only report the plan, force: overwrite conflicting changes }
      * @returns {Promise<Object>} Switch result
      */
-  async switchToEnvironment(environmentName) {
-    console.log(`🌍 Environment Agent: Switching to environment '${environmentName}'...`);
+  async switchToEnvironment(environmentName, options = {}) {
+    const { dryRun = false, force = false } = options;
+    console.log(`🌍 Environment Agent: ${dryRun ? 'Planning switch' : 'Switching'} to environment '${environmentName}'...`);
 
     try {
+      await this.initializeEnvironmentTracking();
+
       const registry = await this.loadEnvironmentRegistry();
 
       if (!registry.environments[environmentName]) {
@@ -765,11 +1557,93 @@ class EnvironmentAgent {
       }
 
       const environment = registry.environments[environmentName];
+      const target = await this.loadSnapshot(environment.snapshot_id);
+      const config = await this.loadConfig();
+      const current = await this.scanEnvironmentFiles(config);
+
+      if (!target.contents_stored) {
+        return this.switchToLegacyEnvironment(environmentName, target, current, dryRun);
+      }
+      const plan = this.planRestore(current.fileData, target.files);
+      const conflicts = await this.findSwitchConflicts(current.fileData, plan);
+      const blocked = await this.findBlockedWrites(plan);
+
+      const summary = {
+        write_count: plan.write.length,
+        delete_count: plan.delete.length,
+        permission_count: plan.permissions.length,
+        conflict_count: conflicts.length,
+        blocked_count: blocked.length
+      };
+
+      console.log(`📋 Switch plan: ${plan.write.length} to write, ${plan.delete.length} to delete, ${plan.permissions.length} permission changes`);
+      if (conflicts.length > 0) {
+        console.log(`⚠️ ${conflicts.length} files changed since the last snapshot with contents would be overwritten`);
+      }
+      if (blocked.length > 0) {
+        console.log(`⛔ ${blocked.length} files would overwrite untracked files or directories`);
+      }
+
+      if (dryRun) {
+        return {
+          success: true,
+          dry_run: true,
+          environment_name: environmentName,
+          snapshot_id: environment.snapshot_id,
+          plan: plan,
+          conflicts: conflicts,
+          blocked: blocked,
+          summary: summary
+        };
+      }
+
+      if (blocked.length > 0) {
+        return {
+          success: false,
+          error: `Switching to '${environmentName}' would overwrite ${blocked.length} untracked files or directories`,
+          suggestion: 'Move or remove them first; the safety snapshot cannot preserve untracked files',
+          blocked: blocked,
+          conflicts: conflicts,
+          plan: plan
+        };
+      }
+
+      if (conflicts.length > 0 && !force) {
+        return {
+          success: false,
+          error: `Switching to '${environmentName}' would overwrite uncommitted changes to ${conflicts.length} files`,
+          suggestion: 'Take a snapshot with contents or revert the changes, or switch with force',
+          conflicts: conflicts,
+          blocked: blocked,
+          plan: plan
+        };
+      }
+
+      // Every object must be present and intact before the first file is touched
+      const contents = new Map();
+      for (const entry of plan.write) {
+        if (!contents.has(entry.hash)) {
+          contents.set(entry.hash, await this.readObject(entry.hash));
+        }
+      }
+
+      const safety = await this.createSnapshot(
+        `Safety snapshot before switching to ${environmentName}`,
+        ['safety', 'pre-switch'],
+        { storeContents: true }
+      );
+      if (!safety.success) {
+        return { success: false, error: `Could not take safety snapshot: ${safety.error}` };
+      }
+
+      await this.applyRestorePlan(plan, contents);
 
       // Update current environment
       await this.saveCurrentEnvironment({
         environment_name: environmentName,
-        switched_at: new Date().toISOString()
+        snapshot_id: environment.snapshot_id,
+        switched_at: new Date().toISOString(),
+        safety_snapshot_id: safety.snapshot_id
       });
 
       // Update last accessed time
@@ -777,14 +1651,18 @@ class EnvironmentAgent {
       registry.environments[environmentName] = environment;
       await this.saveEnvironmentRegistry(registry);
 
-      console.log(`✅ Switched to environment '${environmentName}'`);
+      console.log(`✅ Switched to environment '${environmentName}' (safety snapshot: ${safety.snapshot_id})`);
 
       return {
         success: true,
         environment_name: environmentName,
         type: environment.type,
         description: environment.description,
-        snapshot_id: environment.snapshot_id
+        snapshot_id: environment.snapshot_id,
+        safety_snapshot_id: safety.snapshot_id,
+        forced: conflicts.length > 0,
+        conflicts: conflicts,
+        summary: summary
       };
 
     } catch (error) {
@@ -793,6 +1671,124 @@ class EnvironmentAgent {
     }
   }
 
+  /**
+     * Switch to an environment whose snapshot predates stored contents. Nothing
+     * can be restored from it, but when the files already match it the
+     * environment is captured with contents and selected, as switching used to.
+     */
+  async switchToLegacyEnvironment(environmentName, target, current, dryRun) {
+    const changes = this.compareFileStates(target.files, current.fileData);
+    const summary = this.summarizeChanges(changes);
+
+    if (summary.total_changes > 0) {
+      return {
+        success: false,
+        error: `Snapshot ${target.snapshot_id} of '${environmentName}' has no stored file contents and the files differ from it (${summary.total_changes} changes)`,
+        suggestion: `Bring the files to that state and run capture-env ${environmentName}, or capture the current state as '${environmentName}'`,
+        legacy_snapshot: true,
+        changes: changes
+      };
+    }
+
+    if (dryRun) {
+      return {
+        success: true,
+        dry_run: true,
+        environment_name: environmentName,
+        snapshot_id: target.snapshot_id,
+        legacy_snapshot: true,
+        plan: { write: [], delete: [], permissions: [] },
+        conflicts: [],
+        blocked: [],
+        summary: { write_count: 0, delete_count: 0, permission_count: 0, conflict_count: 0, blocked_count: 0 }
+      };
+    }
+
+    console.log(`📦 '${environmentName}' matches the current files; storing its contents so it can be restored later`);
+    const captured = await this.captureEnvironment(environmentName);
+    if (!captured.success) {
+      return captured;
+    }
+
+    const registry = await this.loadEnvironmentRegistry();
+    const environment = registry.environments[environmentName];
+    environment.last_accessed = new Date().toISOString();
+    await this.saveEnvironmentRegistry(registry);
+    await this.saveCurrentEnvironment({
+      environment_name: environmentName,
+      snapshot_id: captured.snapshot_id,
+      switched_at: new Date().toISOString()
+    });
+
+    console.log(`✅ Switched to environment '${environmentName}'`);
+
+    return {
+      success: true,
+      environment_name: environmentName,
+      type: environment.type,
+      description: environment.description,
+      snapshot_id: captured.snapshot_id,
+      migrated_from: target.snapshot_id,
+      conflicts: [],
+      summary: { write_count: 0, delete_count: 0, permission_count: 0, conflict_count: 0, blocked_count: 0 }
+    };
+  }
+
+  /**
+     * Point an environment at a new snapshot (with contents) of the current
+     * files, e.g. to make an environment created before contents were stored
+     * switchable
+     * @param {string} environmentName - Name of the environment
+     * @returns {Promise<Object>} Capture result
+     */
+  async captureEnvironment(environmentName) {
+    console.log(`🌍 Environment Agent: Capturing current files as environment '${environmentName}'...`);
+
+    try {
+      const registry = await this.loadEnvironmentRegistry();
+      const environment = registry.environments[environmentName];
+
+      if (!environment) {
+        return { success: false, error: `Environment '${environmentName}' not found` };
+      }
+
+      const snapshotResult = await this.createSnapshot(`Environment baseline for ${environmentName}`, [], { storeContents: true });
+      if (!snapshotResult.success) {
+        return { success: false, error: `Failed to create baseline snapshot: ${snapshotResult.error}` };
+      }
+
+      const previousSnapshotId = environment.snapshot_id;
+      environment.snapshot_id = snapshotResult.snapshot_id;
+      environment.previous_snapshot_id = previousSnapshotId;
+      registry.environments[environmentName] = environment;
+      await this.saveEnvironmentRegistry(registry);
+
+      // Switching measures conflicts from here if this is the active environment
+      const currentEnv = await this.loadCurrentEnvironment();
+      if (currentEnv.environment_name === environmentName) {
+        await this.saveCurrentEnvironment({
+          ...currentEnv,
+          snapshot_id: snapshotResult.snapshot_id,
+          switched_at: new Date().toISOString()
+        });
+      }
+
+      console.log(`✅ Environment '${environmentName}' now points to ${snapshotResult.snapshot_id}`);
+
+      return {
+        success: true,
+        environment_name: environmentName,
+        snapshot_id: snapshotResult.snapshot_id,
+        previous_snapshot_id: previousSnapshotId,
+        files_tracked: snapshotResult.files_tracked
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to capture environment:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
      * Get current environment
      * @returns {Promise<Object>} Current environment info
@@ -839,9 +1835,10 @@ class EnvironmentAgent {
      * Compare two environments
      * @param {string} env1Name - First environment name
      * @param {string} env2Name - Second environment name
+     * @param {Object} options - Passed to compareSnapshots()
      * @returns {Promise<Object>} Comparison results
      */
-  async compareEnvironments(env1Name, env2Name) {
+  async compareEnvironments(env1Name, env2Name, options = {}) {
     console.log(`🌍 Environment Agent: Comparing environments '${env1Name}' vs '${env2Name}'...`);
 
     try {
@@ -854,7 +1851,7 @@ class EnvironmentAgent {
       if (!env2) return { success: false, error: `Environment '${env2Name}' not found` };
 
       // Compare snapshots
-      const comparison = await this.compareSnapshots(env1.snapshot_id, env2.snapshot_id);
+      const comparison = await this.compareSnapshots(env1.snapshot_id, env2.snapshot_id, options);
 
       if (comparison.success) {
         return {
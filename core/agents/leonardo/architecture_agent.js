@@ -49,6 +49,9 @@ class ArchitectureAgent extends BaseAgent {
     this.patternCatalog = null;
     this.techDebtTracker = null;
 
+    // Import graph shared by debt, pattern and compliance analysis (built on demand)
+    this.moduleGraph = null;
+
     // Agent state
     this.activeADRs = new Map();
     this.detectedPatterns = new Map();
@@ -180,7 +183,8 @@ class ArchitectureAgent extends BaseAgent {
         maintainability: 9,
         performance: 7,
         security: 9
-      }
+      },
+      layers: []
     };
   }
 
@@ -266,7 +270,8 @@ class ArchitectureAgent extends BaseAgent {
       decision: context.decision || analysis.decision || 'Architecture decision details',
       consequences: context.consequences || analysis.consequences || 'Decision consequences',
       alternatives: context.alternatives || [],
-      stakeholders: context.stakeholders || ['Development Team', 'Architecture Team']
+      stakeholders: context.stakeholders || ['Development Team', 'Architecture Team'],
+      diagrams: context.diagrams || []
     };
 
     const adr = await this.adrManager.createADR(adrData);
@@ -417,6 +422,15 @@ class ArchitectureAgent extends BaseAgent {
 
     complianceResult.compliance_score = Math.max(0, 100 - (totalViolations * 10) - (criticalDebt * 15));
     complianceResult.violations = [...patternViolations, ...debtItems.filter(item => item.severity === 'high' || item.severity === 'critical')];
+
+    // Dependency structure from the module graph built during debt analysis
+    if (this.moduleGraph && this.moduleGraph.modules.size > 0) {
+      complianceResult.dependency_graph = {
+        ...this.moduleGraph.getSummary(),
+        cycles: debtItems.filter(item => item.title === 'Circular Dependency').length,
+        layer_violations: debtItems.filter(item => item.edge).length
+      };
+    }
     complianceResult.recommendations = this.generateComplianceRecommendations(complianceResult.violations);
 
     return complianceResult;
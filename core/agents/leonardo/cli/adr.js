@@ -6,6 +6,7 @@
  */
 
 const path = require('path');
+const fs = require('fs');
 const ADRManager = require('../modules/adr_manager');
 
 // Mock Architecture Agent for CLI usage
@@ -29,7 +30,7 @@ async function runADRCommand(command, ...args) {
 
     switch (command) {
     case 'create':
-      await createADR(adrManager, args[0]);
+      await createADR(adrManager, args[0], parseDiagramArgs(args.slice(1)));
       break;
     case 'list':
       await listADRs(adrManager);
@@ -59,7 +60,24 @@ async function runADRCommand(command, ...args) {
   }
 }
 
-async function createADR(adrManager, title) {
+/**
+ * --diagram <file.mmd> options: Mermaid files to embed, titled by file name
+ */
+function parseDiagramArgs(args) {
+  const diagrams = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--diagram' && args[i + 1]) {
+      const file = args[++i];
+      diagrams.push({
+        title: path.basename(file).replace(/\.(mindmap\.)?mmd$/, ''),
+        mermaid: fs.readFileSync(file, 'utf8')
+      });
+    }
+  }
+  return diagrams;
+}
+
+async function createADR(adrManager, title, diagrams = []) {
   if (!title) {
     console.error('❌ Title is required for creating an ADR');
     console.log('Usage: adr.js create "Decision Title"');
@@ -82,7 +100,8 @@ async function createADR(adrManager, title) {
         cons: ['Technical debt accumulation', 'Limited scalability']
       }
     ],
-    stakeholders: ['Development Team', 'Architecture Team', 'Product Team']
+    stakeholders: ['Development Team', 'Architecture Team', 'Product Team'],
+    diagrams
   };
 
   const adr = await adrManager.createADR(adrData);
@@ -257,7 +276,8 @@ function showHelp() {
 Usage: node adr.js <command> [options]
 
 Commands:
-  create <title>           Create a new ADR
+  create <title> [--diagram <file.mmd>...]
+                           Create a new ADR, embedding Mermaid diagrams
   list                     List all ADRs
   status                   Show ADR status summary
   accept <id> [reason]     Accept an ADR
@@ -267,6 +287,7 @@ Commands:
 
 Examples:
   node adr.js create "Microservices Architecture"
+  node adr.js create "Split routing" --diagram diagrams/logic-overview.mmd
   node adr.js list
   node adr.js accept 1 "Approved by architecture team"
   node adr.js reject 2 "Security concerns identified"
@@ -7,6 +7,10 @@
 
 const path = require('path');
 const TechDebtTracker = require('../modules/tech_debt_tracker');
+const SarifExporter = require('../../../infrastructure/sarif_exporter');
+const { fromDebtItem } = require('../../../infrastructure/findings');
+const { loadProjectContext } = require('../../../infrastructure/project_sources');
+const { parseFindingArgs } = require('../../../infrastructure/findings_cli');
 
 // Mock Architecture Agent for CLI usage
 class MockArchAgent {
@@ -29,7 +33,7 @@ async function runDebtCommand(command, ...args) {
 
     switch (command) {
     case 'scan':
-      await scanDebt(debtTracker);
+      await scanDebt(debtTracker, parseFindingArgs(args));
       break;
     case 'summary':
       await showSummary(debtTracker);
@@ -53,11 +57,82 @@ async function runDebtCommand(command, ...args) {
   }
 }
 
-async function scanDebt(debtTracker) {
+async function scanDebt(debtTracker, options = parseFindingArgs([])) {
   console.log('🔍 Scanning for technical debt...');
 
-  // Mock context for CLI usage
-  const context = {
+  const projectRoot = debtTracker.agent.config.projectRoot;
+  const context = options.targets.length > 0 ?
+    await loadProjectContext(projectRoot, options.targets) :
+    getSampleContext();
+
+  const debtItems = await debtTracker.identifyDebtItems(context, {
+    includeBaselined: options.includeBaselined || options.updateBaseline
+  });
+
+  if (options.updateBaseline) {
+    const updated = await debtTracker.baseline.update(debtItems, item => fromDebtItem(item), 'leonardo/debt');
+    console.log(`📌 Baseline updated with ${updated.findings} debt item(s): ${updated.file}`);
+  }
+
+  if (options.sarif) {
+    const exporter = new SarifExporter(projectRoot);
+    const written = await exporter.write(options.sarif, debtItems.map(item => fromDebtItem(item)), ['leonardo']);
+    console.log(`📄 SARIF report written to ${written.file} (${written.results} result(s))`);
+  }
+
+  console.log('\n💳 TECHNICAL DEBT SCAN RESULTS');
+  console.log('==============================');
+  printBaselineSummary(debtTracker.lastBaselineSummary, options);
+
+  if (debtItems.length === 0) {
+    console.log('✅ No technical debt items detected');
+    return;
+  }
+
+  console.log(`Found ${debtItems.length} technical debt item(s):`);
+  console.log('');
+
+  debtItems.forEach((item, index) => {
+    const severityIcon = getSeverityIcon(item.severity);
+    const effortIcon = getEffortIcon(item.effort);
+    const priorityIcon = getPriorityIcon(item.priority);
+
+    console.log(`${severityIcon} ${item.title}`);
+    console.log(`   Category: ${item.category} | Severity: ${item.severity} ${effortIcon} Effort: ${item.effort}`);
+    console.log(`   ${priorityIcon} Priority Score: ${item.priority}`);
+    console.log(`   Description: ${item.description}`);
+    if (item.file) {
+      console.log(`   File: ${item.file}${item.location ? ` (${item.location})` : ''}`);
+    } else if (item.location) {
+      console.log(`   Location: ${item.location}`);
+    }
+    console.log(`   Remediation: ${item.remediation}`);
+    console.log('');
+  });
+
+  // Update tracking
+  await debtTracker.updateTracking({
+    type: 'debt_scan',
+    items_found: debtItems.length,
+    timestamp: new Date().toISOString(),
+    debt_items: debtItems
+  });
+}
+
+function printBaselineSummary(summary, options) {
+  if (!summary || (summary.baselined === 0 && summary.suppressed === 0)) return;
+
+  const hidden = options.includeBaselined || options.updateBaseline ? 0 : summary.baselined;
+  console.log(`ℹ️  ${summary.new} new, ${summary.baselined} baselined, ${summary.suppressed} suppressed` +
+    (hidden > 0 ? ' (use --include-baselined to show baselined items)' : ''));
+  console.log('');
+}
+
+/**
+ * Sample context used when no paths are given
+ */
+function getSampleContext() {
+  return {
     files: [
       'archive/legacy/old-user-manager.js',
       'core/models/user.js',
@@ -113,43 +188,6 @@ async function scanDebt(debtTracker) {
       }
     `
   };
-
-  const debtItems = await debtTracker.identifyDebtItems(context);
-
-  console.log('\n💳 TECHNICAL DEBT SCAN RESULTS');
-  console.log('==============================');
-
-  if (debtItems.length === 0) {
-    console.log('✅ No technical debt items detected');
-    return;
-  }
-
-  console.log(`Found ${debtItems.length} technical debt item(s):`);
-  console.log('');
-
-  debtItems.forEach((item, index) => {
-    const severityIcon = getSeverityIcon(item.severity);
-    const effortIcon = getEffortIcon(item.effort);
-    const priorityIcon = getPriorityIcon(item.priority);
-
-    console.log(`${severityIcon} ${item.title}`);
-    console.log(`   Category: ${item.category} | Severity: ${item.severity} ${effortIcon} Effort: ${item.effort}`);
-    console.log(`   ${priorityIcon} Priority Score: ${item.priority}`);
-    console.log(`   Description: ${item.description}`);
-    if (item.location) {
-      console.log(`   Location: ${item.location}`);
-    }
-    console.log(`   Remediation: ${item.remediation}`);
-    console.log('');
-  });
-
-  // Update tracking
-  await debtTracker.updateTracking({
-    type: 'debt_scan',
-    items_found: debtItems.length,
-    timestamp: new Date().toISOString(),
-    debt_items: debtItems
-  });
 }
 
 async function showSummary(debtTracker) {
@@ -348,18 +386,27 @@ function showHelp() {
 Usage: node debt.js <command> [options]
 
 Commands:
-  scan                    Scan for technical debt items
+  scan [paths...]         Scan for technical debt items (sample code when no paths given)
   summary                 Show technical debt summary
   plan                    Create remediation plan
   priority                Show high priority debt items
   category [category]     Show debt items by category
 
+Options:
+  --sarif <file>          Write scan results as SARIF 2.1.0
+  --include-baselined     Also report items recorded in the findings baseline
+  --update-baseline       Record all current items in .paired/findings_baseline.json
+
+Suppress an item inline with "// paired-ignore <rule>: <reason>" on or above
+its line, or "// paired-ignore-file <rule>: <reason>" for the whole file.
+
 Categories:
   code_quality, architecture, documentation, testing,
   performance, security, dependencies, design
 
 Examples:
   node debt.js scan
+  node debt.js scan core lib --sarif reports/leonardo-debt.sarif
   node debt.js summary
   node debt.js plan
   node debt.js priority
@@ -7,6 +7,10 @@
 
 const path = require('path');
 const PatternCatalog = require('../modules/pattern_catalog');
+const SarifExporter = require('../../../infrastructure/sarif_exporter');
+const { fromPatternViolation } = require('../../../infrastructure/findings');
+const { loadProjectContext } = require('../../../infrastructure/project_sources');
+const { parseFindingArgs } = require('../../../infrastructure/findings_cli');
 
 // Mock Architecture Agent for CLI usage
 class MockArchAgent {
@@ -32,7 +36,7 @@ async function runPatternsCommand(command, ...args) {
       await analyzePatterns(patternCatalog);
       break;
     case 'violations':
-      await checkViolations(patternCatalog);
+      await checkViolations(patternCatalog, parseFindingArgs(args));
       break;
     case 'opportunities':
       await findOpportunities(patternCatalog);
@@ -126,42 +130,32 @@ async function analyzePatterns(patternCatalog) {
   });
 }
 
-async function checkViolations(patternCatalog) {
+async function checkViolations(patternCatalog, options = parseFindingArgs([])) {
   console.log('🚨 Checking for pattern violations...');
 
-  // Mock context for CLI usage
-  const context = {
-    files: [
-      'core/models/user.js',
-      'shared/views/dashboard.js',
-      'platform/controllers/auth.js'
-    ],
-    codeContent: `
-      // Example of MVC violation - business logic in view
-      class DashboardView {
-        render() {
-          const users = database.query('SELECT * FROM users');
-          return '<div>' + users.map(u => u.name).join('</div><div>') + '</div>';
-        }
-      }
-      
-      // Example of singleton overuse
-      class DatabaseSingleton {
-        static getInstance() { return this.instance; }
-      }
-      class CacheSingleton {
-        static getInstance() { return this.instance; }
-      }
-      class LoggerSingleton {
-        static getInstance() { return this.instance; }
-      }
-    `
-  };
+  const projectRoot = patternCatalog.agent.config.projectRoot;
+  const context = options.targets.length > 0 ?
+    await loadProjectContext(projectRoot, options.targets) :
+    getSampleViolationContext();
+
+  const violations = await patternCatalog.findViolations(context, {
+    includeBaselined: options.includeBaselined || options.updateBaseline
+  });
 
-  const violations = await patternCatalog.findViolations(context);
+  if (options.updateBaseline) {
+    const updated = await patternCatalog.baseline.update(violations, fromPatternViolation, 'leonardo/patterns');
+    console.log(`📌 Baseline updated with ${updated.findings} violation(s): ${updated.file}`);
+  }
+
+  if (options.sarif) {
+    const exporter = new SarifExporter(projectRoot);
+    const written = await exporter.write(options.sarif, violations.map(fromPatternViolation), ['leonardo']);
+    console.log(`📄 SARIF report written to ${written.file} (${written.results} result(s))`);
+  }
 
   console.log('\n🚨 PATTERN VIOLATIONS');
   console.log('====================');
+  printBaselineSummary(patternCatalog.lastBaselineSummary, options);
 
   if (violations.length === 0) {
     console.log('✅ No pattern violations detected');
@@ -173,7 +167,9 @@ async function checkViolations(patternCatalog) {
     console.log(`${severityIcon} ${violation.type} (${violation.severity} severity)`);
     console.log(`   Description: ${violation.description}`);
     console.log(`   Recommendation: ${violation.recommendation}`);
-    if (violation.files) {
+    if (violation.location) {
+      console.log(`   Location: ${violation.location}`);
+    } else if (violation.files) {
       console.log(`   Affected files: ${violation.files.join(', ')}`);
     }
     console.log('');
@@ -188,6 +184,48 @@ async function checkViolations(patternCatalog) {
   });
 }
 
+function printBaselineSummary(summary, options) {
+  if (!summary || (summary.baselined === 0 && summary.suppressed === 0)) return;
+
+  const hidden = options.includeBaselined || options.updateBaseline ? 0 : summary.baselined;
+  console.log(`ℹ️  ${summary.new} new, ${summary.baselined} baselined, ${summary.suppressed} suppressed` +
+    (hidden > 0 ? ' (use --include-baselined to show baselined violations)' : ''));
+  console.log('');
+}
+
+/**
+ * Sample context used when no paths are given
+ */
+function getSampleViolationContext() {
+  return {
+    files: [
+      'core/models/user.js',
+      'shared/views/dashboard.js',
+      'platform/controllers/auth.js'
+    ],
+    codeContent: `
+      // Example of MVC violation - business logic in view
+      class DashboardView {
+        render() {
+          const users = database.query('SELECT * FROM users');
+          return '<div>' + users.map(u => u.name).join('</div><div>') + '</div>';
+        }
+      }
+      
+      // Example of singleton overuse
+      class DatabaseSingleton {
+        static getInstance() { return this.instance; }
+      }
+      class CacheSingleton {
+        static getInstance() { return this.instance; }
+      }
+      class LoggerSingleton {
+        static getInstance() { return this.instance; }
+      }
+    `
+  };
+}
+
 async function findOpportunities(patternCatalog) {
   console.log('💡 Identifying pattern opportunities...');
 
@@ -356,14 +394,20 @@ Usage: node patterns.js <command>
 
 Commands:
   analyze        Analyze architectural patterns in the codebase
-  violations     Check for pattern violations
+  violations [paths...]  Check for pattern violations (sample code when no paths given)
   opportunities  Identify pattern implementation opportunities
   health         Calculate pattern health score
   list           List all available patterns
 
+Options (violations command):
+  --sarif <file>         Write violations as SARIF 2.1.0
+  --include-baselined    Also report violations recorded in the findings baseline
+  --update-baseline      Record all current violations in .paired/findings_baseline.json
+
 Examples:
   node patterns.js analyze
   node patterns.js violations
+  node patterns.js violations core --sarif reports/leonardo-patterns.sarif
   node patterns.js opportunities
   node patterns.js health
 `);
@@ -81,7 +81,9 @@ class ADRManager {
       decision: adrData.decision,
       consequences: adrData.consequences,
       alternatives: adrData.alternatives || [],
-      stakeholders: adrData.stakeholders || []
+      stakeholders: adrData.stakeholders || [],
+      // [{ title, mermaid }], e.g. from `paired-logic-diagram --format mermaid`
+      diagrams: adrData.diagrams || []
     };
 
     // Create ADR document
@@ -138,6 +140,10 @@ ${adr.alternatives && adr.alternatives.length > 0 ? `## Alternatives Considered
 
 ${adr.alternatives.map((alt, i) => `### Alternative ${i + 1}: ${alt.title}\n${alt.description}\n**Pros**: ${alt.pros.join(', ')}\n**Cons**: ${alt.cons.join(', ')}`).join('\n\n')}` : ''}
 
+${adr.diagrams && adr.diagrams.length > 0 ? `## Diagrams
+
+${adr.diagrams.map(diagram => `### ${diagram.title}\n\n\`\`\`mermaid\n${diagram.mermaid.trim()}\n\`\`\``).join('\n\n')}
+` : ''}
 ## References
 
 - Architecture Agent Decision: ${adr.date}
@@ -0,0 +1,506 @@
+/**
+ * Module Graph Module
+ *
+ * Builds an import graph from require/import/dynamic import() statements so
+ * architectural checks can reason about real dependencies: circular
+ * dependencies, layer violations and pattern boundaries. Sources are parsed
+ * with @babel/parser, so imports inside comments and strings are not counted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+const { parse } = require('@babel/parser');
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'];
+const RESOLVE_EXTENSIONS = [...SOURCE_EXTENSIONS, '.json'];
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'range']);
+
+const DEFAULT_IGNORE = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/.paired/**',
+  '**/*.min.js'
+];
+
+class ModuleGraph {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot || process.cwd();
+    this.modules = new Map();
+    this.parseCache = new Map();
+  }
+
+  /**
+   * Graph shared by an agent's modules (debt tracking, pattern checks),
+   * created on first use so parsed files are cached across them
+   */
+  static forAgent(agent) {
+    if (!agent.moduleGraph) {
+      agent.moduleGraph = new ModuleGraph(agent.config?.projectRoot || process.cwd());
+    }
+    return agent.moduleGraph;
+  }
+
+  /**
+   * Build the graph from the given files, or from every source file in the project
+   */
+  async build(files = null) {
+    const sourceFiles = files && files.length > 0 ?
+      files.map(file => this.normalize(file)).filter(file => this.isSourceFile(file)) :
+      await this.discoverSourceFiles();
+
+    this.modules = new Map();
+
+    for (const file of sourceFiles) {
+      const imports = await this.parseFile(file);
+      if (imports === null) continue;
+      this.modules.set(file, { file, imports });
+    }
+
+    // Resolve after all modules are known so edges only point at analyzed files
+    for (const module of this.modules.values()) {
+      for (const entry of module.imports) {
+        entry.resolved = entry.external ? null : this.resolveSpecifier(module.file, entry.specifier);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Discover all source files under the project root
+   */
+  async discoverSourceFiles() {
+    const extensions = SOURCE_EXTENSIONS.map(ext => ext.slice(1)).join(',');
+    const files = await glob.glob(`**/*.{${extensions}}`, {
+      cwd: this.projectRoot,
+      ignore: DEFAULT_IGNORE,
+      nodir: true
+    });
+    return files.map(file => this.normalize(file)).sort();
+  }
+
+  /**
+   * Parse a file's import statements, cached by modification time
+   */
+  async parseFile(file) {
+    const absolutePath = path.join(this.projectRoot, file);
+
+    let stats;
+    try {
+      stats = await fs.stat(absolutePath);
+    } catch {
+      return null;
+    }
+
+    const cached = this.parseCache.get(file);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.imports.map(entry => ({ ...entry }));
+    }
+
+    const content = await fs.readFile(absolutePath, 'utf8');
+    const imports = this.extractImports(content, file);
+    this.parseCache.set(file, { mtimeMs: stats.mtimeMs, imports });
+
+    return imports.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Extract import specifiers with line numbers from source text; files that
+   * do not parse have no imports
+   */
+  extractImports(content, file = '') {
+    let ast;
+    try {
+      ast = this.parse(content, file);
+    } catch {
+      return [];
+    }
+
+    const imports = [];
+    const seen = new Set();
+    const add = (kind, source) => {
+      const specifier = ModuleGraph.staticString(source);
+      if (specifier === null) return;
+
+      const line = source.loc.start.line;
+      const key = `${specifier}:${line}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      imports.push({
+        specifier,
+        kind,
+        line,
+        external: !specifier.startsWith('.') && !specifier.startsWith('/')
+      });
+    };
+
+    this.traverse(ast, node => {
+      switch (node.type) {
+      case 'ImportDeclaration':
+        add('import', node.source);
+        break;
+      case 'ExportAllDeclaration':
+      case 'ExportNamedDeclaration':
+        if (node.source) add('export_from', node.source);
+        break;
+      case 'TSImportEqualsDeclaration':
+        if (node.moduleReference.type === 'TSExternalModuleReference') add('require', node.moduleReference.expression);
+        break;
+      case 'ImportExpression':
+        add('dynamic_import', node.source);
+        break;
+      case 'CallExpression':
+        if (node.callee.type === 'Import') {
+          add('dynamic_import', node.arguments[0]);
+        } else if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+          add('require', node.arguments[0]);
+        }
+        break;
+      default:
+        break;
+      }
+    });
+
+    return imports.sort((a, b) => a.line - b.line);
+  }
+
+  parse(content, file) {
+    const extension = path.extname(file).toLowerCase();
+    const plugins = [];
+    if (['.ts', '.mts', '.cts'].includes(extension)) {
+      plugins.push('typescript');
+    } else if (extension === '.tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return parse(content, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      errorRecovery: true,
+      plugins
+    });
+  }
+
+  traverse(node, callback) {
+    if (!node || typeof node.type !== 'string') return;
+    callback(node);
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.traverse(item, callback));
+      } else if (child && typeof child.type === 'string') {
+        this.traverse(child, callback);
+      }
+    }
+  }
+
+  /**
+   * Value of a string literal or a template literal without interpolation;
+   * null for anything that cannot be resolved statically
+   */
+  static staticString(node) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a relative specifier to a module in the graph
+   */
+  resolveSpecifier(fromFile, specifier) {
+    const base = specifier.startsWith('/') ?
+      specifier.slice(1) :
+      path.posix.join(path.posix.dirname(fromFile), specifier);
+    const normalized = path.posix.normalize(base);
+
+    const candidates = [normalized];
+    RESOLVE_EXTENSIONS.forEach(ext => candidates.push(`${normalized}${ext}`));
+    // TypeScript sources are commonly imported with their compiled .js extension
+    if (/\.(m|c)?js$/.test(normalized)) {
+      const stem = normalized.replace(/\.(m|c)?js$/, '');
+      ['.ts', '.tsx', '.mts', '.cts'].forEach(ext => candidates.push(`${stem}${ext}`));
+    }
+    RESOLVE_EXTENSIONS.forEach(ext => candidates.push(`${normalized}/index${ext}`));
+
+    for (const candidate of candidates) {
+      if (this.modules.has(candidate)) return candidate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Internal edges (resolved imports between analyzed modules)
+   */
+  getEdges() {
+    const edges = [];
+    for (const module of this.modules.values()) {
+      for (const entry of module.imports) {
+        if (entry.resolved) {
+          edges.push({ from: module.file, to: entry.resolved, line: entry.line, kind: entry.kind });
+        }
+      }
+    }
+    return edges;
+  }
+
+  getDependencies(file) {
+    const module = this.modules.get(this.normalize(file));
+    if (!module) return [];
+    return [...new Set(module.imports.filter(entry => entry.resolved).map(entry => entry.resolved))];
+  }
+
+  getDependents(file) {
+    const target = this.normalize(file);
+    return [...this.modules.values()]
+      .filter(module => module.imports.some(entry => entry.resolved === target))
+      .map(module => module.file);
+  }
+
+  /**
+   * External package imports (bare specifiers) per module
+   */
+  getExternalImports(file) {
+    const module = this.modules.get(this.normalize(file));
+    if (!module) return [];
+    return module.imports.filter(entry => entry.external);
+  }
+
+  /**
+   * Find import cycles: the shortest cycle through each module of every
+   * strongly connected component, deduplicated and capped per component
+   */
+  findCycles(maxPerComponent = 20) {
+    const adjacency = new Map();
+    for (const module of this.modules.values()) {
+      adjacency.set(module.file, this.getDependencies(module.file).sort());
+    }
+
+    const cycles = [];
+    for (const component of this.findStronglyConnectedComponents(adjacency)) {
+      const members = new Set(component);
+      const seen = new Set();
+      let found = 0;
+
+      for (const start of [...component].sort()) {
+        if (found >= maxPerComponent) break;
+
+        const chain = adjacency.get(start).includes(start) ?
+          [start, start] :
+          this.shortestCycle(start, adjacency, members);
+        if (!chain) continue;
+
+        // Rotate so the same cycle found from different modules compares equal
+        const ring = chain.slice(0, -1);
+        const pivot = ring.indexOf([...ring].sort()[0]);
+        const rotated = [...ring.slice(pivot), ...ring.slice(0, pivot)];
+        const key = rotated.join('\0');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        found++;
+
+        const normalizedChain = [...rotated, rotated[0]];
+        cycles.push({
+          chain: normalizedChain,
+          edges: rotated.map((from, index) => this.describeEdge(from, normalizedChain[index + 1])),
+          size: rotated.length,
+          component: [...component].sort()
+        });
+      }
+    }
+
+    return cycles.sort((a, b) => a.size - b.size || a.chain[0].localeCompare(b.chain[0]));
+  }
+
+  /**
+   * Tarjan's algorithm over the adjacency map
+   */
+  findStronglyConnectedComponents(adjacency) {
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    const visit = node => {
+      indices.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+
+      for (const neighbour of adjacency.get(node) || []) {
+        if (!indices.has(neighbour)) {
+          visit(neighbour);
+          lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(neighbour)));
+        } else if (onStack.has(neighbour)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(neighbour)));
+        }
+      }
+
+      if (lowLinks.get(node) === indices.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    };
+
+    for (const node of adjacency.keys()) {
+      if (!indices.has(node)) visit(node);
+    }
+
+    return components;
+  }
+
+  /**
+   * Breadth-first search for the shortest path from start back to itself
+   */
+  shortestCycle(start, adjacency, members) {
+    const previous = new Map();
+    const queue = [start];
+    const visited = new Set([start]);
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const neighbour of adjacency.get(node) || []) {
+        if (!members.has(neighbour)) continue;
+
+        if (neighbour === start) {
+          const chain = [node];
+          let current = node;
+          while (previous.has(current)) {
+            current = previous.get(current);
+            chain.unshift(current);
+          }
+          return [...chain, start];
+        }
+
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          previous.set(neighbour, node);
+          queue.push(neighbour);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  describeEdge(from, to) {
+    const module = this.modules.get(from);
+    const entry = module && module.imports.find(item => item.resolved === to);
+    return { from, to, line: entry ? entry.line : null, specifier: entry ? entry.specifier : null };
+  }
+
+  /**
+   * Check import edges against declared layers
+   *
+   * Each layer is { name, paths: [globs], may_import: [layer names] }.
+   * Imports within a layer are always allowed.
+   */
+  findLayerViolations(layers = []) {
+    const compiled = layers
+      .filter(layer => layer && layer.name && Array.isArray(layer.paths))
+      .map(layer => ({
+        name: layer.name,
+        allowed: new Set(layer.may_import || []),
+        matchers: layer.paths.map(pattern => ModuleGraph.globToRegex(pattern))
+      }));
+
+    if (compiled.length === 0) return [];
+
+    const layerOf = file => compiled.find(layer => layer.matchers.some(regex => regex.test(file)));
+    const violations = [];
+
+    for (const edge of this.getEdges()) {
+      const fromLayer = layerOf(edge.from);
+      const toLayer = layerOf(edge.to);
+      if (!fromLayer || !toLayer || fromLayer === toLayer) continue;
+      if (fromLayer.allowed.has(toLayer.name)) continue;
+
+      violations.push({
+        from: edge.from,
+        to: edge.to,
+        line: edge.line,
+        from_layer: fromLayer.name,
+        to_layer: toLayer.name
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Convert a path glob (*, **, ?) to an anchored regular expression
+   */
+  static globToRegex(pattern) {
+    let regex = '';
+    const normalized = pattern.replace(/^\.\//, '').replace(/\/$/, '/**');
+
+    for (let i = 0; i < normalized.length; i++) {
+      const char = normalized[i];
+      if (char === '*' && normalized[i + 1] === '*') {
+        const followedBySlash = normalized[i + 2] === '/';
+        regex += followedBySlash ? '(?:.*/)?' : '.*';
+        i += followedBySlash ? 2 : 1;
+      } else if (char === '*') {
+        regex += '[^/]*';
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    // A bare directory name matches everything beneath it
+    if (!/[*?]/.test(normalized) && !path.posix.extname(normalized)) {
+      regex += '(?:/.*)?';
+    }
+
+    return new RegExp(`^${regex}$`);
+  }
+
+  /**
+   * Graph summary for reports
+   */
+  getSummary() {
+    return {
+      modules: this.modules.size,
+      edges: this.getEdges().length,
+      external_packages: [...new Set([...this.modules.values()]
+        .flatMap(module => module.imports.filter(entry => entry.external))
+        .map(entry => entry.specifier.startsWith('@') ?
+          entry.specifier.split('/').slice(0, 2).join('/') :
+          entry.specifier.split('/')[0]))].sort()
+    };
+  }
+
+  isSourceFile(file) {
+    return SOURCE_EXTENSIONS.includes(path.extname(file));
+  }
+
+  normalize(file) {
+    const relative = path.isAbsolute(file) ? path.relative(this.projectRoot, file) : file;
+    return relative.split(path.sep).join('/').replace(/^\.\//, '');
+  }
+}
+
+module.exports = ModuleGraph;
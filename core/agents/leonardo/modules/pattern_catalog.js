@@ -6,6 +6,17 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const ModuleGraph = require('./module_graph');
+const FindingBaseline = require('../../../infrastructure/finding_baseline');
+const { fromPatternViolation } = require('../../../infrastructure/findings');
+
+const VIEW_PATH = /(^|\/)(views?|ui|components|pages|templates)\//i;
+const DATA_PATH = /(^|\/)(models?|db|database|data|repositor(y|ies)|dao)\//i;
+const REPOSITORY_PATH = /(^|\/)(repositor(y|ies)|dao|db|database|data|models?|migrations?)\/|repository\.|repo\./i;
+const DATABASE_PACKAGES = [
+  'pg', 'mysql', 'mysql2', 'sqlite3', 'better-sqlite3', 'mongodb', 'mongoose',
+  'sequelize', 'knex', 'typeorm', '@prisma/client', 'redis', 'ioredis'
+];
 
 class PatternCatalog {
   constructor(agent) {
@@ -14,6 +25,8 @@ class PatternCatalog {
     this.violations = [];
     this.opportunities = [];
     this.trackingFile = path.join(this.agent.config?.projectRoot || process.cwd(), 'core/agents/leonardo/tracking/pattern_analysis.md');
+    this.baseline = new FindingBaseline(this.agent.config?.projectRoot || process.cwd());
+    this.lastBaselineSummary = null;
   }
 
   async initialize() {
@@ -163,7 +176,12 @@ class PatternCatalog {
     };
   }
 
-  async findViolations(context) {
+  /**
+   * Find pattern violations and anti-patterns; baselined and suppressed ones
+   * are left out unless `options.includeBaselined` is set (counts in
+   * `lastBaselineSummary`)
+   */
+  async findViolations(context, options = {}) {
     console.log('🚨 Analyzing pattern violations...');
 
     const violations = [];
@@ -182,8 +200,11 @@ class PatternCatalog {
     const antiPatterns = await this.detectAntiPatterns(context);
     violations.push(...antiPatterns);
 
-    this.violations = violations;
-    return violations;
+    const filtered = await this.baseline.filter(violations, fromPatternViolation, 'leonardo/patterns', options);
+    this.lastBaselineSummary = filtered.summary;
+
+    this.violations = filtered.items;
+    return filtered.items;
   }
 
   async checkPatternViolations(pattern, detection, context) {
@@ -216,8 +237,37 @@ class PatternCatalog {
     return violations;
   }
 
+  /**
+   * Build the shared module graph for the context's files, if any exist on disk
+   */
+  async getModuleGraph(context) {
+    if (!context.files || context.files.length === 0) {
+      return null;
+    }
+    const graph = await ModuleGraph.forAgent(this.agent).build(context.files);
+    return graph.modules.size > 0 ? graph : null;
+  }
+
   async checkMVCViolations(context) {
     const violations = [];
+    const graph = await this.getModuleGraph(context);
+
+    if (graph) {
+      // Views importing data-layer modules directly
+      graph.getEdges()
+        .filter(edge => VIEW_PATH.test(edge.from) && DATA_PATH.test(edge.to))
+        .forEach(edge => {
+          violations.push({
+            type: 'MVC Violation',
+            severity: 'high',
+            description: `View ${edge.from} imports data layer module ${edge.to} directly`,
+            files: [edge.from],
+            location: `${edge.from}:${edge.line}`,
+            recommendation: 'Move business logic to controller or model layer'
+          });
+        });
+      return violations;
+    }
 
     // Check for business logic in views
     if (context.codeContent && context.codeContent.includes('view') &&
@@ -252,6 +302,28 @@ class PatternCatalog {
 
   async checkRepositoryViolations(context) {
     const violations = [];
+    const graph = await this.getModuleGraph(context);
+
+    if (graph) {
+      // Database drivers imported outside the data access layer
+      for (const file of graph.modules.keys()) {
+        if (REPOSITORY_PATH.test(file)) continue;
+
+        graph.getExternalImports(file)
+          .filter(entry => DATABASE_PACKAGES.includes(entry.specifier))
+          .forEach(entry => {
+            violations.push({
+              type: 'Repository Pattern Violation',
+              severity: 'medium',
+              description: `${file} imports database package "${entry.specifier}" outside the repository layer`,
+              files: [file],
+              location: `${file}:${entry.line}`,
+              recommendation: 'Encapsulate data access within repository classes'
+            });
+          });
+      }
+      return violations;
+    }
 
     // Check for direct database access outside repositories
     if (context.codeContent && !context.codeContent.includes('repository') &&
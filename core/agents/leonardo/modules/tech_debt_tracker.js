@@ -6,6 +6,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const ModuleGraph = require('./module_graph');
+const FindingBaseline = require('../../../infrastructure/finding_baseline');
+const { fromDebtItem } = require('../../../infrastructure/findings');
 
 class TechDebtTracker {
   constructor(agent) {
@@ -22,6 +25,8 @@ class TechDebtTracker {
       'design'
     ];
     this.trackingFile = path.join(this.agent.config?.projectRoot || process.cwd(), 'core/agents/leonardo/tracking/tech_debt.md');
+    this.baseline = new FindingBaseline(this.agent.config?.projectRoot || process.cwd());
+    this.lastBaselineSummary = null;
   }
 
   async initialize() {
@@ -72,10 +77,14 @@ class TechDebtTracker {
     }
   }
 
-  async identifyDebtItems(context) {
+  /**
+   * Identify debt items; baselined and suppressed items are left out unless
+   * `options.includeBaselined` is set (counts in `lastBaselineSummary`)
+   */
+  async identifyDebtItems(context, options = {}) {
     console.log('🔍 Identifying technical debt items...');
 
-    const debtItems = [];
+    let debtItems = [];
 
     // Analyze code quality debt
     const codeQualityDebt = await this.analyzeCodeQualityDebt(context);
@@ -102,6 +111,10 @@ class TechDebtTracker {
       item.priority = this.calculatePriority(item);
     });
 
+    const filtered = await this.baseline.filter(debtItems, item => fromDebtItem(item), 'leonardo/debt', options);
+    debtItems = filtered.items;
+    this.lastBaselineSummary = filtered.summary;
+
     // Update internal state
     this.debtItems = [...this.debtItems, ...debtItems];
 
@@ -111,22 +124,27 @@ class TechDebtTracker {
   async analyzeCodeQualityDebt(context) {
     const debtItems = [];
 
-    if (context.codeContent) {
+    // Per-file sources keep items attached to their file; codeContent is analyzed as one blob
+    const sources = context.sources ||
+      (context.codeContent ? [{ file: context.filePath || null, content: context.codeContent }] : []);
+
+    for (const source of sources) {
       // Check for code smells
-      const codeSmells = this.detectCodeSmells(context.codeContent);
+      const codeSmells = this.detectCodeSmells(source.content);
       debtItems.push(...codeSmells.map(smell => ({
         title: `Code Smell: ${smell.type}`,
         description: smell.description,
         category: 'code_quality',
         severity: smell.severity,
         effort: smell.effort,
+        file: source.file,
         location: smell.location,
         remediation: smell.remediation
       })));
 
       // Check for complexity issues
-      const complexityIssues = this.analyzeComplexity(context.codeContent);
-      debtItems.push(...complexityIssues);
+      const complexityIssues = this.analyzeComplexity(source.content);
+      debtItems.push(...complexityIssues.map(issue => ({ ...issue, file: source.file })));
     }
 
     return debtItems;
@@ -241,63 +259,51 @@ class TechDebtTracker {
     // Check for architectural violations
     if (context.files) {
       // Circular dependencies
-      const circularDeps = this.detectCircularDependencies(context.files);
-      if (circularDeps.length > 0) {
+      const circularDeps = await this.detectCircularDependencies(context.files);
+      circularDeps.forEach(cycle => {
         debtItems.push({
-          title: 'Circular Dependencies',
-          description: `${circularDeps.length} potential circular dependencies detected`,
+          title: 'Circular Dependency',
+          description: `Import cycle across ${cycle.size} module(s): ${cycle.chain.join(' → ')}`,
           category: 'architecture',
           severity: 'high',
-          effort: 'high',
-          remediation: 'Refactor to eliminate circular dependencies'
+          effort: cycle.size > 3 ? 'high' : 'medium',
+          location: cycle.edges.map(edge => `${edge.from}:${edge.line}`).join(', '),
+          chain: cycle.chain,
+          remediation: 'Break the cycle by extracting shared code or inverting one of the dependencies'
         });
-      }
+      });
 
       // Layer violations
-      const layerViolations = this.detectLayerViolations(context.files);
+      const layerViolations = await this.detectLayerViolations(context.files);
       debtItems.push(...layerViolations);
     }
 
     return debtItems;
   }
 
-  detectCircularDependencies(files) {
-    // Simplified circular dependency detection
-    const dependencies = {};
-    const circularDeps = [];
-
-    files.forEach(file => {
-      if (file.includes('import') || file.includes('require')) {
-        // This is a simplified check - would need actual dependency analysis
-        const fileName = path.basename(file);
-        if (!dependencies[fileName]) {
-          dependencies[fileName] = [];
-        }
-      }
-    });
-
-    return circularDeps;
+  async detectCircularDependencies(files) {
+    const graph = await ModuleGraph.forAgent(this.agent).build(files);
+    return graph.findCycles();
   }
 
-  detectLayerViolations(files) {
-    const violations = [];
-
-    // Check for presentation layer accessing data layer directly
-    const presentationFiles = files.filter(f => f.includes('view') || f.includes('ui'));
-    const dataFiles = files.filter(f => f.includes('data') || f.includes('db'));
-
-    if (presentationFiles.length > 0 && dataFiles.length > 0) {
-      violations.push({
-        title: 'Potential Layer Violation',
-        description: 'Presentation layer may be accessing data layer directly',
-        category: 'architecture',
-        severity: 'medium',
-        effort: 'medium',
-        remediation: 'Ensure proper layering with business logic as intermediary'
-      });
+  async detectLayerViolations(files) {
+    const layers = this.agent.architectureConfig?.layers || [];
+    if (layers.length === 0) {
+      return [];
     }
 
-    return violations;
+    const graph = await ModuleGraph.forAgent(this.agent).build(files);
+
+    return graph.findLayerViolations(layers).map(violation => ({
+      title: `Layer Violation: ${violation.from_layer} → ${violation.to_layer}`,
+      description: `${violation.from} imports ${violation.to}, but layer "${violation.from_layer}" may not depend on "${violation.to_layer}"`,
+      category: 'architecture',
+      severity: 'medium',
+      effort: 'medium',
+      location: `${violation.from}:${violation.line}`,
+      edge: violation,
+      remediation: `Route the dependency through a layer that "${violation.from_layer}" is allowed to import, or update the layer rules`
+    }));
   }
 
   async analyzeDocumentationDebt(context) {
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * QA Agent CLI Review Tool
+ *
+ * Provides command-line interface for code review, security scanning and
+ * quality audits, with SARIF output for code-scanning dashboards
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CodeReviewer = require('../modules/code_reviewer');
+const QualityAuditor = require('../modules/quality_auditor');
+const DiffReviewer = require('../modules/diff_reviewer');
+const SarifExporter = require('../../../infrastructure/sarif_exporter');
+const findings = require('../../../infrastructure/findings');
+const { collectFiles, isCodeFile } = require('../../../infrastructure/project_sources');
+const { parseFindingArgs } = require('../../../infrastructure/findings_cli');
+
+// Mock QA Agent for CLI usage
+class MockQAAgent {
+  constructor() {
+    this.config = {
+      projectRoot: path.resolve(__dirname, '../../../..')
+    };
+  }
+}
+
+async function runReviewCommand(command, ...args) {
+  console.log('🕵️ QA Agent - Code Review Tool');
+  console.log('==============================');
+
+  try {
+    const qaAgent = new MockQAAgent();
+    const options = parseFindingArgs(args, {
+      values: { '--markdown': 'markdown' },
+      flags: { '--staged': 'staged' }
+    });
+    let results;
+
+    switch (command) {
+    case 'quality':
+      results = await reviewQuality(qaAgent, options);
+      break;
+    case 'security':
+      results = await reviewSecurity(qaAgent, options);
+      break;
+    case 'all':
+      results = [
+        ...await reviewQuality(qaAgent, options),
+        ...await reviewSecurity(qaAgent, options)
+      ];
+      break;
+    case 'audit':
+      results = await runAudit(qaAgent);
+      break;
+    case 'diff':
+      results = await reviewDiff(qaAgent, options);
+      break;
+    default:
+      showHelp();
+      return;
+    }
+
+    if (options.sarif) {
+      const exporter = new SarifExporter(qaAgent.config.projectRoot);
+      const written = await exporter.write(options.sarif, results, ['sherlock']);
+      console.log(`\n📄 SARIF report written to ${written.file} (${written.results} result(s))`);
+    }
+
+  } catch (error) {
+    console.error('❌ Code review failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function getReviewFiles(qaAgent, targets) {
+  const projectRoot = qaAgent.config.projectRoot;
+  const files = await collectFiles(projectRoot, targets);
+  return files.filter(isCodeFile).map(file => path.join(projectRoot, file));
+}
+
+async function reviewQuality(qaAgent, options) {
+  const codeReviewer = new CodeReviewer(qaAgent);
+  await codeReviewer.initialize();
+
+  const files = await getReviewFiles(qaAgent, options.targets);
+  const analysis = await codeReviewer.analyzeQuality(files, {
+    includeBaselined: options.includeBaselined || options.updateBaseline
+  });
+  const results = analysis.issues.map(issue => findings.fromCodeIssue(issue));
+
+  if (options.updateBaseline) {
+    const updated = await codeReviewer.baseline.update(analysis.issues, issue => findings.fromCodeIssue(issue), 'sherlock/quality');
+    console.log(`📌 Baseline updated with ${updated.findings} issue(s): ${updated.file}`);
+  }
+
+  console.log('\n📊 CODE QUALITY');
+  console.log('===============');
+  console.log(`Files analyzed: ${files.length}`);
+  console.log(`Overall score: ${analysis.overallScore.toFixed(1)}/10`);
+  printFindingCounts(results);
+
+  printBaselineSummary(analysis.baseline, options, 'issues');
+
+  return results;
+}
+
+async function reviewSecurity(qaAgent, options) {
+  const codeReviewer = new CodeReviewer(qaAgent);
+
+  const files = await getReviewFiles(qaAgent, options.targets);
+  const vulnerabilities = await codeReviewer.analyzeSecurityVulnerabilities({ files }, {
+    includeBaselined: options.includeBaselined || options.updateBaseline
+  });
+  const results = vulnerabilities.map(findings.fromVulnerability);
+
+  if (options.updateBaseline) {
+    const updated = await codeReviewer.baseline.update(vulnerabilities, findings.fromVulnerability, 'sherlock/security');
+    console.log(`📌 Baseline updated with ${updated.findings} finding(s): ${updated.file}`);
+  }
+
+  console.log('\n🔒 SECURITY');
+  console.log('===========');
+  printBaselineSummary(codeReviewer.lastBaselineSummary, options, 'vulnerabilities');
+
+  if (results.length === 0) {
+    console.log('✅ No security vulnerabilities detected');
+    return results;
+  }
+
+  results.forEach(result => {
+    const relative = path.relative(qaAgent.config.projectRoot, result.file);
+    console.log(`${getSeverityIcon(result.severity)} ${result.ruleId} ${relative}:${result.line}`);
+    console.log(`   ${result.message}`);
+    if (result.codeFlow) {
+      console.log(`   Flow: ${result.codeFlow.map(step => `${step.expression} (line ${step.line})`).join(' → ')}`);
+    }
+  });
+
+  return results;
+}
+
+async function runAudit(qaAgent) {
+  const auditor = new QualityAuditor(qaAgent);
+  await auditor.initialize();
+
+  const compliance = await auditor.checkCompliance({});
+  const codeIssues = auditor.qualityMetrics.security_score?.codeIssues || [];
+
+  const results = [
+    ...Object.values(compliance).map(findings.fromComplianceResult),
+    ...codeIssues.map(findings.fromAuditIssue)
+  ].filter(Boolean);
+
+  console.log('\n✅ COMPLIANCE');
+  console.log('=============');
+  Object.values(compliance).forEach(result => {
+    const icon = result.passed ? '✅' : getSeverityIcon(result.severity);
+    console.log(`${icon} ${result.rule_name}: ${result.actual_value} (threshold ${result.threshold})`);
+  });
+  printFindingCounts(results);
+
+  return results;
+}
+
+async function reviewDiff(qaAgent, options) {
+  const diffReviewer = new DiffReviewer(qaAgent);
+  const review = await diffReviewer.review({
+    range: options.targets[0],
+    staged: options.staged,
+    includeBaselined: options.includeBaselined
+  });
+
+  console.log('\n🔀 DIFF REVIEW');
+  console.log('==============');
+  console.log(`Range: ${review.range}`);
+  console.log(`Changed files reviewed: ${review.files.length}`);
+  printFindingCounts(review.findings);
+  printBaselineSummary(review.baseline, options, 'findings');
+
+  review.findings.forEach(result => {
+    console.log(`${getSeverityIcon(result.severity)} ${result.ruleId} ${result.file}:${result.line}`);
+    console.log(`   ${result.message}`);
+  });
+
+  if (options.markdown) {
+    await fs.mkdir(path.dirname(path.resolve(options.markdown)), { recursive: true });
+    await fs.writeFile(options.markdown, diffReviewer.formatMarkdown(review));
+    console.log(`\n📝 Review summary written to ${options.markdown}`);
+  }
+
+  return review.findings;
+}
+
+function printBaselineSummary(summary, options, noun) {
+  if (!summary || (summary.baselined === 0 && summary.suppressed === 0)) return;
+
+  const hidden = options.includeBaselined || options.updateBaseline ? 0 : summary.baselined;
+  console.log(`ℹ️  ${summary.new} new, ${summary.baselined} baselined, ${summary.suppressed} suppressed` +
+    (hidden > 0 ? ` (use --include-baselined to show baselined ${noun})` : ''));
+}
+
+function printFindingCounts(results) {
+  const counts = results.reduce((acc, result) => {
+    acc[result.severity] = (acc[result.severity] || 0) + 1;
+    return acc;
+  }, {});
+
+  console.log(`Findings: ${results.length}`);
+  ['critical', 'high', 'medium', 'low'].forEach(severity => {
+    if (counts[severity]) {
+      console.log(`  ${getSeverityIcon(severity)} ${severity}: ${counts[severity]}`);
+    }
+  });
+}
+
+function getSeverityIcon(severity) {
+  switch (severity) {
+  case 'critical': return '🚨';
+  case 'high': return '🔴';
+  case 'medium': return '🟡';
+  case 'low': return '🟢';
+  default: return '⚪';
+  }
+}
+
+function showHelp() {
+  console.log(`
+🕵️ QA Agent Code Review CLI Tool
+
+Usage: node review.js <command> [paths...] [options]
+
+Commands:
+  quality [paths...]    Analyze code quality (line length, TODOs, debug code, error handling)
+  security [paths...]   Scan for security vulnerabilities with data-flow tracking
+  all [paths...]        Run quality and security review
+  audit                 Run the project quality audit and compliance check
+  diff [range]          Review only changed lines of a git range (default: uncommitted changes)
+
+Options:
+  --sarif <file>        Write findings as SARIF 2.1.0
+  --staged              diff: review staged changes instead of a range
+  --markdown <file>     diff: write a pull request comment summary as markdown
+  --include-baselined   Also report findings recorded in the findings baseline
+  --update-baseline     Record all current quality/security findings in .paired/findings_baseline.json
+
+Suppress a finding inline with "// paired-ignore <rule>: <reason>" on or above
+its line, or "// paired-ignore-file <rule>: <reason>" for the whole file.
+
+Paths default to the whole project.
+
+Examples:
+  node review.js security core
+  node review.js all src --sarif reports/sherlock.sarif
+  node review.js audit --sarif reports/sherlock-audit.sarif
+  node review.js diff origin/main...HEAD --markdown reports/review.md
+`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  const [,, command, ...args] = process.argv;
+
+  if (!command) {
+    showHelp();
+    process.exit(1);
+  }
+
+  runReviewCommand(command, ...args);
+}
+
+module.exports = { runReviewCommand };
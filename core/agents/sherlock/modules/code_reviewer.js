@@ -10,14 +10,20 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const SecurityScanner = require('./security_scanner');
+const FindingBaseline = require('../../../infrastructure/finding_baseline');
+const { fromCodeIssue, fromVulnerability } = require('../../../infrastructure/findings');
 
 class CodeReviewer {
   constructor(qaAgent) {
     this.qaAgent = qaAgent;
     this.reviewHistory = [];
+    this.securityScanner = new SecurityScanner();
     const projectRoot = (qaAgent && qaAgent.config && qaAgent.config.projectRoot) ?
       qaAgent.config.projectRoot : process.cwd();
     this.trackingDir = path.join(projectRoot, 'core/agents/sherlock/tracking');
+    this.baseline = new FindingBaseline(projectRoot);
+    this.lastBaselineSummary = null;
   }
 
   /**
@@ -58,8 +64,12 @@ class CodeReviewer {
 
   /**
    * Analyze code quality for given files
+   *
+   * Baselined and suppressed issues are left out of `issues` (see
+   * `analysis.baseline` for counts) unless `options.includeBaselined` is set;
+   * file scores always account for every issue.
    */
-  async analyzeQuality(files) {
+  async analyzeQuality(files, options = {}) {
     console.log(`🔍 Analyzing code quality for ${files.length} files...`);
 
     const analysis = {
@@ -84,7 +94,11 @@ class CodeReviewer {
     }
 
     analysis.overallScore = files.length > 0 ? totalScore / files.length : 0;
-    analysis.metrics = this.calculateAggregateMetrics(analysis.fileAnalyses);
+    analysis.metrics = await this.calculateAggregateMetrics(analysis.fileAnalyses);
+
+    const filtered = await this.baseline.filter(analysis.issues, issue => fromCodeIssue(issue), 'sherlock/quality', options);
+    analysis.issues = filtered.items;
+    analysis.baseline = filtered.summary;
 
     // Update tracking
     await this.updateQualityTracking(analysis);
@@ -110,26 +124,13 @@ class CodeReviewer {
 
     try {
       const content = await fs.readFile(filePath, 'utf8');
-      analysis.metrics.lines = content.split('\n').length;
-
-      // Simple complexity analysis
-      const functionMatches = content.match(/function\s+\w+|=>\s*{|class\s+\w+/g) || [];
-      analysis.metrics.functions = functionMatches.length;
-
-      const classMatches = content.match(/class\s+\w+/g) || [];
-      analysis.metrics.classes = classMatches.length;
-
-      // Detect common issues
-      analysis.issues = this.detectCodeIssues(content, filePath);
-
-      // Calculate score based on issues
-      analysis.score = this.calculateFileScore(analysis.issues, analysis.metrics);
-
+      return this.analyzeContent(content, filePath);
     } catch (error) {
       analysis.issues.push({
         type: 'file_access',
         severity: 'high',
         description: `Could not analyze file: ${error.message}`,
+        file: filePath,
         line: 0
       });
       analysis.score = 0;
@@ -138,6 +139,38 @@ class CodeReviewer {
     return analysis;
   }
 
+  /**
+   * Analyze file contents that may not match the working tree (e.g. staged)
+   */
+  analyzeContent(content, filePath) {
+    const analysis = {
+      file: filePath,
+      score: 7.5,
+      issues: [],
+      metrics: {
+        complexity: 5,
+        lines: content.split('\n').length,
+        functions: 0,
+        classes: 0
+      }
+    };
+
+    // Simple complexity analysis
+    const functionMatches = content.match(/function\s+\w+|=>\s*{|class\s+\w+/g) || [];
+    analysis.metrics.functions = functionMatches.length;
+
+    const classMatches = content.match(/class\s+\w+/g) || [];
+    analysis.metrics.classes = classMatches.length;
+
+    // Detect common issues
+    analysis.issues = this.detectCodeIssues(content, filePath);
+
+    // Calculate score based on issues
+    analysis.score = this.calculateFileScore(analysis.issues, analysis.metrics);
+
+    return analysis;
+  }
+
   /**
    * Detect common code issues
    */
@@ -154,6 +187,7 @@ class CodeReviewer {
           type: 'line_length',
           severity: 'medium',
           description: `Line exceeds 120 characters (${line.length})`,
+          file: filePath,
           line: lineNumber
         });
       }
@@ -164,6 +198,7 @@ class CodeReviewer {
           type: 'todo',
           severity: 'low',
           description: 'TODO/FIXME comment found',
+          file: filePath,
           line: lineNumber
         });
       }
@@ -174,6 +209,7 @@ class CodeReviewer {
           type: 'debug_code',
           severity: 'medium',
           description: 'Console.log statement found in production code',
+          file: filePath,
           line: lineNumber
         });
       }
@@ -184,6 +220,7 @@ class CodeReviewer {
           type: 'error_handling',
           severity: 'high',
           description: 'JSON.parse without error handling',
+          file: filePath,
           line: lineNumber
         });
       }
@@ -306,8 +343,11 @@ class CodeReviewer {
 
   /**
    * Analyze security vulnerabilities
+   *
+   * Baselined and suppressed vulnerabilities are left out unless
+   * `options.includeBaselined` is set (counts in `lastBaselineSummary`)
    */
-  async analyzeSecurityVulnerabilities(context) {
+  async analyzeSecurityVulnerabilities(context, options = {}) {
     const vulnerabilities = [];
 
     if (context.files) {
@@ -322,13 +362,31 @@ class CodeReviewer {
       }
     }
 
-    return vulnerabilities;
+    const filtered = await this.baseline.filter(vulnerabilities, fromVulnerability, 'sherlock/security', options);
+    this.lastBaselineSummary = filtered.summary;
+
+    return filtered.items;
   }
 
   /**
    * Detect security issues in code
+   *
+   * Uses the parser-backed taint scanner and falls back to line heuristics
+   * for files that cannot be parsed.
    */
   detectSecurityIssues(content, filePath) {
+    const vulnerabilities = this.securityScanner.scan(content, filePath);
+    if (vulnerabilities) {
+      return vulnerabilities;
+    }
+
+    return this.detectSecurityIssuesByLine(content, filePath);
+  }
+
+  /**
+   * Line-based security heuristics for unparseable files
+   */
+  detectSecurityIssuesByLine(content, filePath) {
     const vulnerabilities = [];
     const lines = content.split('\n');
 
@@ -408,6 +466,7 @@ class CodeReviewer {
       description: `Address ${vuln.type}: ${vuln.description}`,
       file: vuln.file,
       line: vuln.line,
+      data_flow: vuln.path ? vuln.path.map(step => `${step.expression} (line ${step.line})`).join(' → ') : undefined,
       remediation: this.getSecurityRemediation(vuln.type)
     }));
   }
@@ -420,7 +479,10 @@ class CodeReviewer {
       sql_injection: 'Use parameterized queries or ORM with proper escaping',
       xss: 'Sanitize user input and use Content Security Policy',
       hardcoded_secret: 'Move secrets to environment variables or secure vault',
-      weak_crypto: 'Use strong encryption algorithms and proper key management'
+      weak_crypto: 'Use strong encryption algorithms and proper key management',
+      command_injection: 'Avoid shell execution with user input; use execFile/spawn with a fixed command and validated arguments',
+      code_injection: 'Never evaluate user input as code; replace eval/Function/vm with explicit parsing',
+      path_traversal: 'Resolve paths against a fixed base directory and reject inputs that escape it'
     };
 
     return remediations[vulnType] || 'Review security best practices for this vulnerability type';
@@ -513,6 +575,9 @@ class CodeReviewer {
 
   /**
    * Calculate aggregate metrics
+   *
+   * Average complexity per file, duplication (% of repeated lines),
+   * maintainability (0-100) and testability (% of files with a test file).
    */
   async calculateAggregateMetrics(fileAnalyses) {
     if (fileAnalyses.length === 0) {
@@ -543,6 +608,83 @@ class CodeReviewer {
     };
   }
 
+  /**
+   * Percentage of significant lines that repeat a line seen earlier in the analyzed files
+   */
+  async calculateDuplication(fileAnalyses) {
+    const seen = new Set();
+    let significant = 0;
+    let duplicated = 0;
+
+    for (const analysis of fileAnalyses) {
+      let content;
+      try {
+        content = await fs.readFile(analysis.file, 'utf8');
+      } catch {
+        continue;
+      }
+
+      content.split('\n').forEach(line => {
+        const normalized = line.trim().replace(/\s+/g, ' ');
+        if (normalized.length <= 10) return;
+
+        significant++;
+        if (seen.has(normalized)) {
+          duplicated++;
+        } else {
+          seen.add(normalized);
+        }
+      });
+    }
+
+    return significant > 0 ? Math.round((duplicated / significant) * 1000) / 10 : 0;
+  }
+
+  /**
+   * Maintainability (0-100) from function size and issue density per file
+   */
+  async calculateMaintainability(fileAnalyses) {
+    const scores = fileAnalyses.map(analysis => {
+      const linesPerFunction = analysis.metrics.lines / Math.max(analysis.metrics.functions, 1);
+      const issuesPer100Lines = (analysis.issues.length / Math.max(analysis.metrics.lines, 1)) * 100;
+      const score = 100 - Math.min(50, linesPerFunction / 2) - Math.min(50, issuesPer100Lines * 5);
+      return Math.max(0, score);
+    });
+
+    return Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) / 10;
+  }
+
+  /**
+   * Percentage of analyzed files that have a matching test file
+   */
+  async calculateTestability(fileAnalyses) {
+    let tested = 0;
+
+    for (const analysis of fileAnalyses) {
+      const dir = path.dirname(analysis.file);
+      const ext = path.extname(analysis.file);
+      const base = path.basename(analysis.file, ext);
+      const candidates = [
+        path.join(dir, `${base}.test${ext}`),
+        path.join(dir, `${base}.spec${ext}`),
+        path.join(dir, '__tests__', `${base}${ext}`),
+        path.join(dir, '__tests__', `${base}.test${ext}`)
+      ];
+
+      for (const candidate of candidates) {
+        try {
+          await fs.access(candidate);
+          tested++;
+          break;
+        } catch {
+          // Try next candidate
+        }
+      }
+    }
+
+    return Math.round((tested / fileAnalyses.length) * 1000) / 10;
+  }
+
   /**
    * Get review history template
    */
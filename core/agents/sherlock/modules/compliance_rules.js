@@ -0,0 +1,390 @@
+/**
+ * Compliance Rules Module for QA Agent
+ *
+ * Loads QualityAuditor compliance rules from a project-level YAML/JSON file:
+ * built-in rules can be retuned or disabled, custom rules can check any metric
+ * returned by collectMetrics(), and per-directory overrides adjust rules for
+ * parts of the tree. The gate section maps failing severities to exit codes
+ * (exit code 1 is reserved for errors, such as an invalid rules file).
+ *
+ * Example (.paired/config/compliance_rules.yml):
+ *
+ *   gate:
+ *     fail_on: high
+ *   rules:
+ *     - id: test_coverage
+ *       threshold: 85
+ *     - id: debt_ratio
+ *       name: Technical Debt Ratio Maximum
+ *       metric: technical_debt_ratio.percentage
+ *       type: maximum
+ *       threshold: 15
+ *       severity: medium
+ *   overrides:
+ *     - paths: ['legacy/**']
+ *       rules:
+ *         - id: test_coverage
+ *           threshold: 40
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+const RULE_FILES = [
+  '.paired/config/compliance_rules.yml',
+  '.paired/config/compliance_rules.yaml',
+  '.paired/config/compliance_rules.json'
+];
+
+const DEFAULT_RULES = [
+  {
+    id: 'test_coverage',
+    name: 'Test Coverage Minimum',
+    metric: 'test_coverage.overall',
+    threshold: 80,
+    type: 'percentage',
+    severity: 'high'
+  },
+  {
+    id: 'code_complexity',
+    name: 'Code Complexity Maximum',
+    metric: 'code_complexity.average',
+    threshold: 10,
+    type: 'maximum',
+    severity: 'medium'
+  },
+  {
+    id: 'duplication',
+    name: 'Code Duplication Maximum',
+    metric: 'duplication_ratio.percentage',
+    threshold: 5,
+    type: 'percentage_max',
+    severity: 'medium'
+  },
+  {
+    id: 'security_score',
+    name: 'Security Score Minimum',
+    metric: 'security_score.overall',
+    threshold: 8,
+    type: 'minimum',
+    severity: 'high'
+  },
+  {
+    id: 'performance_score',
+    name: 'Performance Score Minimum',
+    metric: 'performance_score.overall',
+    threshold: 7,
+    type: 'minimum',
+    severity: 'medium'
+  }
+];
+
+const RULE_TYPES = ['percentage', 'minimum', 'maximum', 'percentage_max'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const DEFAULT_GATE = {
+  fail_on: 'high',
+  exit_codes: { critical: 5, high: 4, medium: 3, low: 2 }
+};
+
+const TOP_LEVEL_KEYS = ['version', 'extends_defaults', 'gate', 'rules', 'overrides'];
+const GATE_KEYS = ['fail_on', 'exit_codes'];
+const RULE_KEYS = ['id', 'name', 'metric', 'threshold', 'type', 'severity', 'enabled', 'description'];
+const OVERRIDE_KEYS = ['paths', 'rules'];
+
+class ComplianceRules {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot || process.cwd();
+  }
+
+  /**
+   * Resolve the rules and gate for a directory
+   *
+   * @param {Object} options
+   * @param {string} [options.file] - Rules file; defaults to the first of RULE_FILES that exists
+   * @param {string} [options.targetDir] - Directory being audited, for per-directory overrides
+   * @returns {Promise<{rules: Array, gate: Object, source: string|null}>}
+   * @throws {Error} with `code: 'INVALID_COMPLIANCE_RULES'` and `details` listing each problem
+   */
+  async load(options = {}) {
+    const source = options.file ? path.resolve(this.projectRoot, options.file) : await this.findRulesFile();
+    if (!source) {
+      return { rules: DEFAULT_RULES.map(rule => ({ ...rule })), gate: this.mergeGate({}), source: null };
+    }
+
+    const config = await this.readRulesFile(source);
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw this.validationError(source, errors);
+    }
+
+    const targetDir = path.relative(this.projectRoot, path.resolve(this.projectRoot, options.targetDir || '.'));
+    const rules = this.resolveRules(config, targetDir.split(path.sep).join('/'));
+
+    return { rules, gate: this.mergeGate(config.gate || {}), source };
+  }
+
+  async findRulesFile() {
+    for (const candidate of RULE_FILES) {
+      const file = path.join(this.projectRoot, candidate);
+      try {
+        await fs.access(file);
+        return file;
+      } catch {
+        // Try next candidate
+      }
+    }
+    return null;
+  }
+
+  async readRulesFile(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      throw this.validationError(file, [`cannot read file: ${error.message}`]);
+    }
+
+    try {
+      const config = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+      return config === undefined || config === null ? {} : config;
+    } catch (error) {
+      throw this.validationError(file, [`cannot parse ${file.endsWith('.json') ? 'JSON' : 'YAML'}: ${error.message}`]);
+    }
+  }
+
+  validationError(source, errors) {
+    const relative = path.relative(this.projectRoot, source) || source;
+    const error = new Error(`Invalid compliance rules in ${relative}:\n${errors.map(item => `  - ${item}`).join('\n')}`);
+    error.code = 'INVALID_COMPLIANCE_RULES';
+    error.source = source;
+    error.details = errors;
+    return error;
+  }
+
+  /**
+   * Validate a parsed rules file, returning one message per problem, each
+   * prefixed with the offending key (e.g. "rules[2].threshold")
+   */
+  validate(config) {
+    const errors = [];
+
+    if (!this.isObject(config)) {
+      return ['root: expected a mapping with "rules", "overrides" and/or "gate"'];
+    }
+
+    this.checkKeys(config, TOP_LEVEL_KEYS, '', errors);
+
+    if (config.extends_defaults !== undefined && typeof config.extends_defaults !== 'boolean') {
+      errors.push(`extends_defaults: expected true or false, got ${this.describe(config.extends_defaults)}`);
+    }
+
+    if (config.gate !== undefined) {
+      this.validateGate(config.gate, errors);
+    }
+
+    const knownIds = new Set(config.extends_defaults === false ? [] : DEFAULT_RULES.map(rule => rule.id));
+
+    if (config.rules !== undefined) {
+      if (!Array.isArray(config.rules)) {
+        errors.push(`rules: expected a list, got ${this.describe(config.rules)}`);
+      } else {
+        const seen = new Set();
+        config.rules.forEach((rule, index) => {
+          const key = `rules[${index}]`;
+          this.validateRule(rule, key, knownIds.has(rule?.id), errors);
+          if (this.isObject(rule) && typeof rule.id === 'string') {
+            if (seen.has(rule.id)) {
+              errors.push(`${key}.id: duplicate rule id "${rule.id}"`);
+            }
+            seen.add(rule.id);
+          }
+        });
+        config.rules.filter(rule => this.isObject(rule) && typeof rule.id === 'string').forEach(rule => knownIds.add(rule.id));
+      }
+    }
+
+    if (config.overrides !== undefined) {
+      if (!Array.isArray(config.overrides)) {
+        errors.push(`overrides: expected a list, got ${this.describe(config.overrides)}`);
+      } else {
+        config.overrides.forEach((override, index) => this.validateOverride(override, `overrides[${index}]`, knownIds, errors));
+      }
+    }
+
+    return errors;
+  }
+
+  validateGate(gate, errors) {
+    if (!this.isObject(gate)) {
+      errors.push(`gate: expected a mapping, got ${this.describe(gate)}`);
+      return;
+    }
+
+    this.checkKeys(gate, GATE_KEYS, 'gate', errors);
+
+    if (gate.fail_on !== undefined && !SEVERITIES.includes(gate.fail_on)) {
+      errors.push(`gate.fail_on: expected one of ${SEVERITIES.join(', ')}, got ${this.describe(gate.fail_on)}`);
+    }
+
+    if (gate.exit_codes !== undefined) {
+      if (!this.isObject(gate.exit_codes)) {
+        errors.push(`gate.exit_codes: expected a mapping of severity to exit code, got ${this.describe(gate.exit_codes)}`);
+      } else {
+        Object.entries(gate.exit_codes).forEach(([severity, code]) => {
+          if (!SEVERITIES.includes(severity)) {
+            errors.push(`gate.exit_codes.${severity}: unknown severity (expected ${SEVERITIES.join(', ')})`);
+          } else if (!Number.isInteger(code) || code < 0 || code > 255) {
+            errors.push(`gate.exit_codes.${severity}: expected an integer from 0 to 255, got ${this.describe(code)}`);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * Rules that adjust a known rule may be partial; new rules need metric,
+   * type and threshold
+   */
+  validateRule(rule, key, isKnown, errors) {
+    if (!this.isObject(rule)) {
+      errors.push(`${key}: expected a mapping, got ${this.describe(rule)}`);
+      return;
+    }
+
+    this.checkKeys(rule, RULE_KEYS, key, errors);
+
+    if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(rule.id)) {
+      errors.push(`${key}.id: expected an identifier like "test_coverage", got ${this.describe(rule.id)}`);
+    } else if (!isKnown) {
+      ['metric', 'type', 'threshold'].forEach(field => {
+        if (rule[field] === undefined) {
+          errors.push(`${key}.${field}: required for custom rule "${rule.id}"`);
+        }
+      });
+    }
+
+    if (rule.metric !== undefined && (typeof rule.metric !== 'string' || !/^[\w-]+(\.[\w-]+)*$/.test(rule.metric))) {
+      errors.push(`${key}.metric: expected a metric path like "security_score.overall", got ${this.describe(rule.metric)}`);
+    }
+    if (rule.threshold !== undefined && (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold))) {
+      errors.push(`${key}.threshold: expected a number, got ${this.describe(rule.threshold)}`);
+    }
+    if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+      errors.push(`${key}.type: expected one of ${RULE_TYPES.join(', ')}, got ${this.describe(rule.type)}`);
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      errors.push(`${key}.severity: expected one of ${SEVERITIES.join(', ')}, got ${this.describe(rule.severity)}`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push(`${key}.enabled: expected true or false, got ${this.describe(rule.enabled)}`);
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      errors.push(`${key}.name: expected a string, got ${this.describe(rule.name)}`);
+    }
+  }
+
+  validateOverride(override, key, knownIds, errors) {
+    if (!this.isObject(override)) {
+      errors.push(`${key}: expected a mapping with "paths" and "rules", got ${this.describe(override)}`);
+      return;
+    }
+
+    this.checkKeys(override, OVERRIDE_KEYS, key, errors);
+
+    if (!Array.isArray(override.paths) || override.paths.length === 0 ||
+        override.paths.some(item => typeof item !== 'string' || item.length === 0)) {
+      errors.push(`${key}.paths: expected a non-empty list of directory globs, got ${this.describe(override.paths)}`);
+    }
+
+    if (!Array.isArray(override.rules)) {
+      errors.push(`${key}.rules: expected a list, got ${this.describe(override.rules)}`);
+      return;
+    }
+
+    override.rules.forEach((rule, index) => {
+      this.validateRule(rule, `${key}.rules[${index}]`, knownIds.has(rule?.id), errors);
+    });
+  }
+
+  checkKeys(object, allowed, prefix, errors) {
+    Object.keys(object).forEach(name => {
+      if (!allowed.includes(name)) {
+        errors.push(`${prefix ? `${prefix}.` : ''}${name}: unknown key (expected one of ${allowed.join(', ')})`);
+      }
+    });
+  }
+
+  /**
+   * Merge defaults, project rules and matching overrides, dropping disabled rules
+   */
+  resolveRules(config, targetDir) {
+    const rules = new Map();
+
+    if (config.extends_defaults !== false) {
+      DEFAULT_RULES.forEach(rule => rules.set(rule.id, { ...rule }));
+    }
+
+    const apply = (rule) => {
+      const current = rules.get(rule.id) || { name: rule.id, severity: 'medium' };
+      rules.set(rule.id, { ...current, ...rule });
+    };
+
+    (config.rules || []).forEach(apply);
+
+    (config.overrides || [])
+      .filter(override => override.paths.some(pattern => this.matchesDirectory(pattern, targetDir)))
+      .forEach(override => override.rules.forEach(apply));
+
+    return [...rules.values()].filter(rule => rule.enabled !== false);
+  }
+
+  /**
+   * Whether a directory glob covers the target directory or one of its parents
+   */
+  matchesDirectory(pattern, targetDir) {
+    // "legacy", "legacy/" and "legacy/**" all cover legacy and everything below it
+    const normalized = pattern.replace(/^\.\//, '').replace(/(\/\*\*)+$/, '').replace(/\/+$/, '') || '.';
+    if (normalized === '.' || normalized === '**') return true;
+
+    const regex = new RegExp('^' + normalized
+      .split('**').map(part => part
+        .split('*').map(segment => segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+      .join('.*') + '(/.*)?$');
+
+    return regex.test(targetDir || '.');
+  }
+
+  mergeGate(gate) {
+    return {
+      fail_on: gate.fail_on || DEFAULT_GATE.fail_on,
+      exit_codes: { ...DEFAULT_GATE.exit_codes, ...(gate.exit_codes || {}) }
+    };
+  }
+
+  /**
+   * Read a dotted metric path (e.g. "security_score.overall") from collected metrics
+   */
+  static getMetricValue(metrics, metricPath) {
+    return metricPath.split('.').reduce((value, key) =>
+      value !== null && value !== undefined ? value[key] : undefined, metrics);
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  describe(value) {
+    if (value === undefined) return 'nothing';
+    if (Array.isArray(value)) return 'a list';
+    if (value === null) return 'null';
+    return typeof value === 'object' ? 'a mapping' : JSON.stringify(value);
+  }
+}
+
+ComplianceRules.DEFAULT_RULES = DEFAULT_RULES;
+ComplianceRules.SEVERITIES = SEVERITIES;
+ComplianceRules.RULE_FILES = RULE_FILES;
+
+module.exports = ComplianceRules;
@@ -0,0 +1,481 @@
+/**
+ * Coverage Reader Module for QA Agent
+ *
+ * Reads coverage reports written by the project's test tooling instead of
+ * scraping console output:
+ * - lcov (lcov.info)
+ * - Istanbul JSON (coverage-final.json)
+ * - Cobertura XML (cobertura-coverage.xml, coverage.xml)
+ *
+ * Reports are merged into per-line hit counts, summarized per file and per
+ * directory, and optionally intersected with a git diff to get coverage of
+ * changed lines.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+const { runGit, parseUnifiedDiff } = require('../../../infrastructure/git_diff');
+
+const REPORT_PATTERNS = [
+  { format: 'lcov', pattern: 'coverage/**/lcov.info' },
+  { format: 'istanbul', pattern: 'coverage/**/coverage-final.json' },
+  { format: 'cobertura', pattern: 'coverage/**/{cobertura-coverage,cobertura,coverage}.xml' },
+  { format: 'cobertura', pattern: '{coverage,cobertura}.xml' }
+];
+
+class CoverageReader {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot || process.cwd();
+  }
+
+  /**
+   * Read and summarize all coverage reports in the project
+   *
+   * @param {Object} [options]
+   * @param {string} [options.baseRef] - Git ref to compute changed-lines coverage against
+   * @returns {Promise<Object|null>} Coverage summary, or null when no report exists
+   */
+  async read(options = {}) {
+    const reports = await this.findReports();
+    if (reports.length === 0) {
+      return null;
+    }
+
+    const files = new Map();
+    for (const report of reports) {
+      const parsed = await this.parseReport(report);
+      this.mergeFiles(files, parsed);
+    }
+
+    if (files.size === 0) {
+      return null;
+    }
+
+    const summary = this.summarize(files);
+    summary.source = [...new Set(reports.map(report => report.format))].join(', ');
+    summary.reports = reports.map(report => ({
+      file: path.relative(this.projectRoot, report.file),
+      format: report.format,
+      modified: report.modified
+    }));
+
+    if (options.baseRef) {
+      summary.changed_lines = this.getChangedLinesCoverage(files, options.baseRef);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Locate coverage reports; the first pattern with matches wins per format
+   */
+  async findReports() {
+    const reports = [];
+    const seenFormats = new Set();
+
+    for (const { format, pattern } of REPORT_PATTERNS) {
+      if (seenFormats.has(format)) continue;
+
+      const matches = await glob.glob(pattern, {
+        cwd: this.projectRoot,
+        ignore: ['**/node_modules/**'],
+        nodir: true
+      });
+
+      for (const match of matches.sort()) {
+        const file = path.join(this.projectRoot, match);
+        const stats = await fs.stat(file);
+        reports.push({ format, file, modified: stats.mtime.toISOString() });
+        seenFormats.add(format);
+      }
+    }
+
+    return reports;
+  }
+
+  async parseReport(report) {
+    const content = await fs.readFile(report.file, 'utf8');
+
+    try {
+      switch (report.format) {
+      case 'lcov':
+        return this.parseLcov(content);
+      case 'istanbul':
+        return this.parseIstanbul(JSON.parse(content));
+      case 'cobertura':
+        return this.parseCobertura(content);
+      default:
+        return new Map();
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not parse coverage report ${report.file}: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  createFileCoverage() {
+    return {
+      lines: new Map(),
+      functions: { total: 0, covered: 0 },
+      branches: { total: 0, covered: 0 },
+      statements: null
+    };
+  }
+
+  /**
+   * Parse lcov tracefile records (SF, DA, FN/FNDA/FNF/FNH, BRDA/BRF/BRH)
+   */
+  parseLcov(content) {
+    const files = new Map();
+    let current = null;
+    let functionHits = null;
+    let branchDetail = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      const separator = line.indexOf(':');
+      const tag = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1);
+
+      switch (tag) {
+      case 'SF':
+        current = this.createFileCoverage();
+        functionHits = new Map();
+        branchDetail = { total: 0, covered: 0 };
+        files.set(this.normalizePath(value), current);
+        break;
+      case 'DA': {
+        if (!current) break;
+        const [lineNumber, hits] = value.split(',');
+        this.addLineHits(current, parseInt(lineNumber, 10), parseInt(hits, 10));
+        break;
+      }
+      case 'FNDA': {
+        if (!current) break;
+        const [hits, name] = value.split(',');
+        functionHits.set(name, (functionHits.get(name) || 0) + parseInt(hits, 10));
+        break;
+      }
+      case 'FNF':
+        if (current) current.functions.total = parseInt(value, 10);
+        break;
+      case 'FNH':
+        if (current) current.functions.covered = parseInt(value, 10);
+        break;
+      case 'BRDA': {
+        if (!current) break;
+        const taken = value.split(',')[3];
+        branchDetail.total++;
+        if (taken !== '-' && parseInt(taken, 10) > 0) branchDetail.covered++;
+        break;
+      }
+      case 'BRF':
+        if (current) current.branches.total = parseInt(value, 10);
+        break;
+      case 'BRH':
+        if (current) current.branches.covered = parseInt(value, 10);
+        break;
+      case 'end_of_record':
+        if (current) {
+          // Fall back to per-item records when summary counts are absent
+          if (current.functions.total === 0 && functionHits.size > 0) {
+            current.functions.total = functionHits.size;
+            current.functions.covered = [...functionHits.values()].filter(hits => hits > 0).length;
+          }
+          if (current.branches.total === 0 && branchDetail.total > 0) {
+            current.branches = branchDetail;
+          }
+        }
+        current = null;
+        break;
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse Istanbul coverage-final.json (statementMap/s, fnMap/f, branchMap/b)
+   */
+  parseIstanbul(data) {
+    const files = new Map();
+
+    for (const [key, entry] of Object.entries(data || {})) {
+      const coverage = this.createFileCoverage();
+      const statements = Object.entries(entry.s || {});
+
+      statements.forEach(([id, hits]) => {
+        const location = entry.statementMap?.[id];
+        if (location) {
+          this.addLineHits(coverage, location.start.line, hits);
+        }
+      });
+      coverage.statements = {
+        total: statements.length,
+        covered: statements.filter(([, hits]) => hits > 0).length
+      };
+
+      const functions = Object.values(entry.f || {});
+      coverage.functions = {
+        total: functions.length,
+        covered: functions.filter(hits => hits > 0).length
+      };
+
+      const branches = Object.values(entry.b || {}).flat();
+      coverage.branches = {
+        total: branches.length,
+        covered: branches.filter(hits => hits > 0).length
+      };
+
+      files.set(this.normalizePath(entry.path || key), coverage);
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse Cobertura XML; class-level <lines> carry line hits and branch
+   * conditions, <methods> give function coverage
+   */
+  parseCobertura(content) {
+    const files = new Map();
+    const sources = [...content.matchAll(/<source>([^<]*)<\/source>/g)].map(match => this.decodeXml(match[1].trim()));
+
+    for (const classMatch of content.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+      const filename = this.getXmlAttribute(classMatch[1], 'filename');
+      if (!filename) continue;
+
+      const file = this.normalizePath(this.resolveCoberturaPath(filename, sources));
+      const coverage = files.get(file) || this.createFileCoverage();
+      const body = classMatch[2];
+
+      const methods = body.match(/<methods>[\s\S]*?<\/methods>/);
+      if (methods) {
+        for (const methodMatch of methods[0].matchAll(/<method\b[^>]*>([\s\S]*?)<\/method>/g)) {
+          const hits = [...methodMatch[1].matchAll(/<line\b([^>]*)\/?>/g)]
+            .map(match => parseInt(this.getXmlAttribute(match[1], 'hits') || '0', 10));
+          coverage.functions.total++;
+          if (hits.some(count => count > 0)) coverage.functions.covered++;
+        }
+      }
+
+      const classLines = body.replace(/<methods>[\s\S]*?<\/methods>/, '');
+      for (const lineMatch of classLines.matchAll(/<line\b([^>]*)\/?>/g)) {
+        const attributes = lineMatch[1];
+        const lineNumber = parseInt(this.getXmlAttribute(attributes, 'number'), 10);
+        const hits = parseInt(this.getXmlAttribute(attributes, 'hits') || '0', 10);
+        this.addLineHits(coverage, lineNumber, hits);
+
+        const condition = (this.getXmlAttribute(attributes, 'condition-coverage') || '').match(/\((\d+)\/(\d+)\)/);
+        if (this.getXmlAttribute(attributes, 'branch') === 'true' && condition) {
+          coverage.branches.covered += parseInt(condition[1], 10);
+          coverage.branches.total += parseInt(condition[2], 10);
+        }
+      }
+
+      files.set(file, coverage);
+    }
+
+    return files;
+  }
+
+  resolveCoberturaPath(filename, sources) {
+    if (path.isAbsolute(filename)) return filename;
+
+    for (const source of sources) {
+      const candidate = path.resolve(this.projectRoot, source, filename);
+      if (candidate.startsWith(this.projectRoot)) {
+        return candidate;
+      }
+    }
+    return filename;
+  }
+
+  getXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? this.decodeXml(match[1]) : null;
+  }
+
+  decodeXml(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+
+  addLineHits(coverage, lineNumber, hits) {
+    if (!Number.isFinite(lineNumber)) return;
+    const count = Number.isFinite(hits) ? hits : 0;
+    coverage.lines.set(lineNumber, Math.max(coverage.lines.get(lineNumber) || 0, count));
+  }
+
+  /**
+   * Merge parsed reports; line hits take the maximum, function and branch
+   * counts the better-covered report
+   */
+  mergeFiles(target, source) {
+    for (const [file, coverage] of source) {
+      const existing = target.get(file);
+      if (!existing) {
+        target.set(file, coverage);
+        continue;
+      }
+
+      coverage.lines.forEach((hits, lineNumber) => this.addLineHits(existing, lineNumber, hits));
+      ['functions', 'branches'].forEach(kind => {
+        if (coverage[kind].total > existing[kind].total ||
+            (coverage[kind].total === existing[kind].total && coverage[kind].covered > existing[kind].covered)) {
+          existing[kind] = coverage[kind];
+        }
+      });
+      if (!existing.statements && coverage.statements) {
+        existing.statements = coverage.statements;
+      }
+    }
+  }
+
+  /**
+   * Summary in the shape QualityAuditor and TestManager report: overall
+   * percentages plus per-file and per-directory breakdowns
+   */
+  summarize(files) {
+    const fileSummaries = {};
+    const directories = {};
+    const totals = this.emptyCounts();
+
+    for (const [file, coverage] of [...files.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      const counts = this.countFile(coverage);
+      fileSummaries[file] = this.toPercentages(counts);
+      this.addCounts(totals, counts);
+
+      // Roll up into every ancestor directory
+      const parts = file.split('/').slice(0, -1);
+      for (let depth = 0; depth <= parts.length; depth++) {
+        const directory = depth === 0 ? '.' : parts.slice(0, depth).join('/');
+        directories[directory] = directories[directory] || this.emptyCounts();
+        this.addCounts(directories[directory], counts);
+      }
+    }
+
+    const overall = this.toPercentages(totals);
+    const coveredFiles = Object.values(fileSummaries).filter(summary => summary.lines.covered > 0).length;
+    const fileCount = Object.keys(fileSummaries).length;
+
+    return {
+      statements: overall.statements.percentage,
+      branches: overall.branches.percentage,
+      functions: overall.functions.percentage,
+      lines: overall.lines.percentage,
+      overall: overall.statements.percentage,
+      totals: overall,
+      files: {
+        covered: coveredFiles,
+        total: fileCount,
+        percentage: this.percentage(coveredFiles, fileCount)
+      },
+      by_file: fileSummaries,
+      by_directory: Object.fromEntries(Object.entries(directories)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([directory, counts]) => [directory, this.toPercentages(counts)]))
+    };
+  }
+
+  countFile(coverage) {
+    const hits = [...coverage.lines.values()];
+    const lines = { total: hits.length, covered: hits.filter(count => count > 0).length };
+
+    return {
+      lines,
+      // lcov and Cobertura have no statement data; line coverage stands in
+      statements: coverage.statements || { ...lines },
+      functions: { ...coverage.functions },
+      branches: { ...coverage.branches }
+    };
+  }
+
+  emptyCounts() {
+    return {
+      lines: { total: 0, covered: 0 },
+      statements: { total: 0, covered: 0 },
+      functions: { total: 0, covered: 0 },
+      branches: { total: 0, covered: 0 }
+    };
+  }
+
+  addCounts(target, counts) {
+    Object.keys(target).forEach(kind => {
+      target[kind].total += counts[kind].total;
+      target[kind].covered += counts[kind].covered;
+    });
+  }
+
+  toPercentages(counts) {
+    return Object.fromEntries(Object.entries(counts).map(([kind, value]) => [kind, {
+      total: value.total,
+      covered: value.covered,
+      percentage: this.percentage(value.covered, value.total)
+    }]));
+  }
+
+  /**
+   * Percentage with one decimal; nothing to cover counts as fully covered
+   */
+  percentage(covered, total) {
+    return total > 0 ? Math.round((covered / total) * 1000) / 10 : 100;
+  }
+
+  /**
+   * Coverage of lines added or modified since the merge base with `baseRef`
+   */
+  getChangedLinesCoverage(files, baseRef) {
+    let diff;
+    try {
+      const mergeBase = runGit(this.projectRoot, ['merge-base', baseRef, 'HEAD']).trim();
+      diff = runGit(this.projectRoot, [
+        'diff', '--relative', '--unified=0', '--no-color', '--no-ext-diff', mergeBase, '--'
+      ]);
+    } catch (error) {
+      return { base: baseRef, error: `Could not diff against ${baseRef}: ${error.message.split('\n')[0]}` };
+    }
+
+    const changed = parseUnifiedDiff(diff);
+    const result = { base: baseRef, total: 0, covered: 0, percentage: 100, files: {}, not_instrumented: [] };
+
+    for (const [file, lineNumbers] of changed) {
+      const coverage = files.get(file);
+      if (!coverage) {
+        if (/\.(c|m)?(j|t)sx?$/.test(file)) {
+          result.not_instrumented.push(file);
+        }
+        continue;
+      }
+
+      // Only lines the instrumenter tracked are coverable
+      const coverable = lineNumbers.filter(lineNumber => coverage.lines.has(lineNumber));
+      if (coverable.length === 0) continue;
+
+      const uncovered = coverable.filter(lineNumber => coverage.lines.get(lineNumber) === 0);
+      result.files[file] = {
+        total: coverable.length,
+        covered: coverable.length - uncovered.length,
+        percentage: this.percentage(coverable.length - uncovered.length, coverable.length),
+        uncovered_lines: uncovered
+      };
+      result.total += coverable.length;
+      result.covered += coverable.length - uncovered.length;
+    }
+
+    result.percentage = this.percentage(result.covered, result.total);
+    return result;
+  }
+
+  normalizePath(file) {
+    const relative = path.isAbsolute(file) ? path.relative(this.projectRoot, file) : file;
+    return relative.split(path.sep).join('/').replace(/^\.\//, '');
+  }
+}
+
+module.exports = CoverageReader;
@@ -0,0 +1,190 @@
+/**
+ * Diff Reviewer Module for QA Agent
+ *
+ * Diff-aware code review: runs CodeReviewer's quality and security checks on
+ * the files touched by a git range (or the staged changes) and keeps only
+ * findings on changed lines. Files are analyzed whole so the taint scanner
+ * sees complete data flows; a flow counts as changed when its sink or any
+ * step lies on a changed line.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const CodeReviewer = require('./code_reviewer');
+const ComplianceRules = require('./compliance_rules');
+const findings = require('../../../infrastructure/findings');
+const { isCodeFile } = require('../../../infrastructure/project_sources');
+const { getChangedLines, readRevisionFile } = require('../../../infrastructure/git_diff');
+
+const SEVERITY_ICONS = {
+  critical: '🚨',
+  high: '🔴',
+  medium: '🟡',
+  low: '🟢'
+};
+
+class DiffReviewer {
+  constructor(qaAgent, codeReviewer = null) {
+    this.qaAgent = qaAgent;
+    const projectRoot = (qaAgent && qaAgent.config && qaAgent.config.projectRoot) ?
+      qaAgent.config.projectRoot : process.cwd();
+    this.projectRoot = projectRoot;
+    this.codeReviewer = codeReviewer || new CodeReviewer(qaAgent);
+  }
+
+  /**
+   * Review the changed lines of a git range or of the staged changes
+   *
+   * @param {Object} [options]
+   * @param {string} [options.range] - e.g. `origin/main...HEAD`; defaults to uncommitted changes
+   * @param {boolean} [options.staged] - Review the index (pre-commit hook)
+   * @param {boolean} [options.includeBaselined] - Also report baselined findings
+   * @returns {Promise<Object>} Review with per-file findings in the common findings model
+   */
+  async review(options = {}) {
+    const changes = getChangedLines(this.projectRoot, options);
+    const sources = new Map();
+    const issues = [];
+    const vulnerabilities = [];
+    const files = [];
+
+    for (const [file, lines] of changes.files) {
+      if (!isCodeFile(file) || lines.length === 0) continue;
+
+      const content = await this.readChangedFile(changes.target, file);
+      if (content === null) continue;
+
+      const absolutePath = path.join(this.projectRoot, file);
+      const changedLines = new Set(lines);
+      sources.set(file, content);
+      files.push({ file, changed_lines: lines.length });
+
+      const analysis = this.codeReviewer.analyzeContent(content, absolutePath);
+      issues.push(...analysis.issues.filter(issue => changedLines.has(issue.line)));
+
+      const fileVulnerabilities = this.codeReviewer.detectSecurityIssues(content, absolutePath);
+      vulnerabilities.push(...fileVulnerabilities.filter(vuln =>
+        changedLines.has(vuln.line) || (vuln.path || []).some(step => changedLines.has(step.line))));
+    }
+
+    const filterOptions = { includeBaselined: options.includeBaselined, sources };
+    const baseline = this.codeReviewer.baseline;
+    const quality = await baseline.filter(issues, issue => findings.fromCodeIssue(issue), 'sherlock/quality', filterOptions);
+    const security = await baseline.filter(vulnerabilities, findings.fromVulnerability, 'sherlock/security', filterOptions);
+
+    const results = findings.finalizeFindings([
+      ...security.items.map(findings.fromVulnerability),
+      ...quality.items.map(issue => findings.fromCodeIssue(issue))
+    ], this.projectRoot, sources);
+
+    files.forEach(entry => {
+      entry.findings = results
+        .filter(result => result.file === entry.file)
+        .sort((a, b) => (a.line || 0) - (b.line || 0));
+    });
+
+    return {
+      timestamp: new Date().toISOString(),
+      range: changes.description,
+      files,
+      findings: results,
+      baseline: {
+        total: quality.summary.total + security.summary.total,
+        new: quality.summary.new + security.summary.new,
+        baselined: quality.summary.baselined + security.summary.baselined,
+        suppressed: quality.summary.suppressed + security.summary.suppressed
+      }
+    };
+  }
+
+  async readChangedFile(target, file) {
+    try {
+      const revision = readRevisionFile(this.projectRoot, target, file);
+      return revision !== null ? revision : await fs.readFile(path.join(this.projectRoot, file), 'utf8');
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${file}: ${error.message.split('\n')[0]}`);
+      return null;
+    }
+  }
+
+  /**
+   * Block on findings at or above the gate's fail_on severity; exit codes
+   * follow the compliance gate (critical 5, high 4, medium 3, low 2)
+   */
+  evaluate(review, gate = new ComplianceRules(this.projectRoot).mergeGate({})) {
+    const severities = ComplianceRules.SEVERITIES;
+    const failOnRank = severities.indexOf(gate.fail_on);
+    const blocking = review.findings.filter(result => {
+      const rank = severities.indexOf(result.severity);
+      return rank !== -1 && rank <= failOnRank;
+    });
+    const exitCode = blocking.reduce((code, result) =>
+      Math.max(code, gate.exit_codes[result.severity] || 0), 0);
+
+    return {
+      passed: exitCode === 0,
+      exit_code: exitCode,
+      fail_on: gate.fail_on,
+      blocking
+    };
+  }
+
+  /**
+   * Review summary as markdown for a pull request comment, one section per
+   * file with findings
+   */
+  formatMarkdown(review) {
+    const counts = this.countBySeverity(review.findings);
+    const countText = Object.entries(counts)
+      .map(([severity, count]) => `${SEVERITY_ICONS[severity] || '⚪'} ${count} ${severity}`)
+      .join(', ');
+
+    const lines = [
+      '## 🕵️ Sherlock Review',
+      '',
+      `Reviewed ${review.files.length} changed file(s) in \`${review.range}\`: ` +
+        (review.findings.length === 0 ?
+          '**no findings on changed lines** ✅' :
+          `**${review.findings.length} finding(s) on changed lines** (${countText})`)
+    ];
+
+    if (review.baseline.baselined > 0 || review.baseline.suppressed > 0) {
+      const { baselined, suppressed } = review.baseline;
+      lines.push('', `_${baselined} baselined and ${suppressed} suppressed finding(s) not shown._`);
+    }
+
+    const withFindings = review.files.filter(entry => entry.findings.length > 0);
+    withFindings.forEach(entry => {
+      lines.push('', `### \`${entry.file}\``, '');
+      entry.findings.forEach(result => {
+        const icon = SEVERITY_ICONS[result.severity] || '⚪';
+        lines.push(`- ${icon} **${result.severity}** line ${result.line || '?'} \`${result.ruleId}\`: ${result.message}`);
+        if (result.codeFlow) {
+          const flow = result.codeFlow.map(step => `\`${step.expression}\` (line ${step.line})`);
+          lines.push(`  - Flow: ${flow.join(' → ')}`);
+        }
+        if (result.remediation) {
+          lines.push(`  - 💡 ${result.remediation}`);
+        }
+      });
+    });
+
+    const clean = review.files.length - withFindings.length;
+    if (clean > 0 && withFindings.length > 0) {
+      lines.push('', `<sub>${clean} other changed file(s) have no findings.</sub>`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  countBySeverity(results) {
+    const counts = {};
+    ComplianceRules.SEVERITIES.forEach(severity => {
+      const count = results.filter(result => result.severity === severity).length;
+      if (count > 0) counts[severity] = count;
+    });
+    return counts;
+  }
+}
+
+module.exports = DiffReviewer;
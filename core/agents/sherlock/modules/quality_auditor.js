@@ -10,15 +10,23 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const ComplianceRules = require('./compliance_rules');
+const CoverageReader = require('./coverage_reader');
 
 class QualityAuditor {
   constructor(qaAgent) {
     this.qaAgent = qaAgent;
     this.qualityMetrics = {};
     this.complianceRules = [];
+    this.complianceGate = null;
+    this.complianceRulesSource = null;
     // Safely access config with fallback
     const projectRoot = (qaAgent && qaAgent.config && qaAgent.config.projectRoot) ?
       qaAgent.config.projectRoot : process.cwd();
+    this.projectRoot = projectRoot;
+    // Directory whose code the metrics measure; the project root unless a
+    // caller (e.g. paired-check --dir) audits a subdirectory
+    this.targetDir = (qaAgent && qaAgent.config && qaAgent.config.targetDir) || projectRoot;
     this.trackingDir = path.join(projectRoot, 'core/agents/sherlock/tracking');
   }
 
@@ -28,7 +36,14 @@ class QualityAuditor {
   async initialize() {
     console.log('📊 Quality auditor module initialized');
     await this.ensureTrackingFiles();
-    await this.loadComplianceRules();
+
+    try {
+      await this.loadComplianceRules();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      console.warn('⚠️ Falling back to default compliance rules');
+      this.complianceRules = ComplianceRules.DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
   }
 
   /**
@@ -60,52 +75,28 @@ class QualityAuditor {
   }
 
   /**
-   * Load compliance rules
+   * Load compliance rules from the project's rules file, or the built-in defaults
+   *
+   * @param {Object} [options] - `file` to load a specific rules file, `targetDir`
+   *   to apply per-directory overrides
+   * @throws {Error} when the rules file is invalid
    */
-  async loadComplianceRules() {
-    this.complianceRules = [
-      {
-        id: 'test_coverage',
-        name: 'Test Coverage Minimum',
-        threshold: 80,
-        type: 'percentage',
-        severity: 'high'
-      },
-      {
-        id: 'code_complexity',
-        name: 'Code Complexity Maximum',
-        threshold: 10,
-        type: 'maximum',
-        severity: 'medium'
-      },
-      {
-        id: 'duplication',
-        name: 'Code Duplication Maximum',
-        threshold: 5,
-        type: 'percentage_max',
-        severity: 'medium'
-      },
-      {
-        id: 'security_score',
-        name: 'Security Score Minimum',
-        threshold: 8,
-        type: 'minimum',
-        severity: 'high'
-      },
-      {
-        id: 'performance_score',
-        name: 'Performance Score Minimum',
-        threshold: 7,
-        type: 'minimum',
-        severity: 'medium'
-      }
-    ];
+  async loadComplianceRules(options = {}) {
+    const loaded = await new ComplianceRules(this.projectRoot).load(options);
+
+    this.complianceRules = loaded.rules;
+    this.complianceGate = loaded.gate;
+    this.complianceRulesSource = loaded.source;
+
+    return loaded;
   }
 
   /**
    * Collect quality metrics
+   *
+   * @param {Object} [options] - `baseRef` adds changed-lines coverage against a git ref
    */
-  async collectMetrics() {
+  async collectMetrics(options = {}) {
     console.log('📊 Collecting quality metrics...');
 
     const metrics = {
@@ -113,7 +104,7 @@ class QualityAuditor {
     };
 
     console.log('🔍 Analyzing test coverage...');
-    metrics.test_coverage = await this.getTestCoverage();
+    metrics.test_coverage = await this.getTestCoverage(options);
 
     console.log('🔍 Analyzing code complexity...');
     metrics.code_complexity = await this.getCodeComplexity();
@@ -141,44 +132,52 @@ class QualityAuditor {
 
   /**
    * Get test coverage metrics
+   *
+   * Prefers coverage reports on disk (lcov, Istanbul JSON, Cobertura), then
+   * reports produced by running the project's coverage script, then an
+   * estimate from test files.
+   *
+   * @param {Object} [options] - `baseRef` adds changed-lines coverage against a git ref
    */
-  async getTestCoverage() {
+  async getTestCoverage(options = {}) {
     console.log('🔍 Starting test coverage analysis...');
-    try {
-      const { execSync } = require('child_process');
-      const fs = require('fs');
-      const path = require('path');
+    const projectRoot = this.targetDir;
 
-      const projectRoot = (this.qaAgent && this.qaAgent.config && this.qaAgent.config.projectRoot) ?
-        this.qaAgent.config.projectRoot : process.cwd();
+    try {
+      console.log(`📁 Analyzing directory: ${projectRoot}`);
 
-      console.log(`📁 Analyzing project root: ${projectRoot}`);
+      const reader = new CoverageReader(projectRoot);
+      let coverage = await reader.read(options);
 
-      // Try to get coverage from npm scripts or tools
-      console.log('🔍 Attempting to get coverage from npm scripts...');
-      let coverage = await this.tryGetCoverageFromNpm(projectRoot);
+      if (!coverage) {
+        // Try to get coverage from npm scripts or tools
+        console.log('🔍 No coverage reports found, attempting to generate them with npm scripts...');
+        coverage = await this.tryGetCoverageFromNpm(projectRoot, reader, options);
+      }
 
       if (!coverage) {
         console.log('📊 No npm coverage found, analyzing test files manually...');
         coverage = await this.analyzeTestFiles(projectRoot);
       }
 
-      console.log('✅ Test coverage analysis complete:', coverage);
+      console.log(`✅ Test coverage analysis complete: ${coverage.overall}% (${coverage.source || 'estimate'})`);
       return coverage;
 
     } catch (error) {
       console.error(`❌ Failed to get test coverage: ${error.message}`);
       console.log('🔄 Falling back to basic test file analysis...');
-      return await this.analyzeTestFiles(process.cwd());
+      return await this.analyzeTestFiles(projectRoot);
     }
   }
 
   /**
-   * Try to get coverage from npm scripts
+   * Try to get coverage from npm scripts, reading the reports they write and
+   * only scraping console output when no report appears. Failing tests still
+   * write a report, so it is read whatever the exit status.
    */
-  async tryGetCoverageFromNpm(projectRoot) {
+  async tryGetCoverageFromNpm(projectRoot, reader = new CoverageReader(projectRoot), options = {}) {
     try {
-      const { execSync } = require('child_process');
+      const { spawnSync } = require('child_process');
       const fs = require('fs');
       const path = require('path');
 
@@ -197,22 +196,24 @@ class QualityAuditor {
       ];
 
       for (const command of coverageCommands) {
-        try {
-          const output = execSync(command, {
-            cwd: projectRoot,
-            timeout: 30000,
-            stdio: 'pipe',
-            encoding: 'utf8'
-          });
+        const result = spawnSync(command, {
+          cwd: projectRoot,
+          shell: true,
+          timeout: 30000,
+          stdio: 'pipe',
+          encoding: 'utf8'
+        });
 
-          const coverage = this.parseCoverageOutput(output);
-          if (coverage && coverage.overall > 0) {
-            return coverage;
-          }
-        } catch (error) {
-          // Try next command
-          continue;
+        const reported = await reader.read(options);
+        if (reported) {
+          return reported;
+        }
+
+        const coverage = this.parseCoverageOutput(result.stdout || '');
+        if (coverage && coverage.overall > 0) {
+          return { ...coverage, source: 'console' };
         }
+        // Otherwise try next command
       }
 
       return null;
@@ -317,8 +318,7 @@ class QualityAuditor {
       const fs = require('fs');
       const path = require('path');
 
-      const projectRoot = (this.qaAgent && this.qaAgent.config && this.qaAgent.config.projectRoot) ?
-        this.qaAgent.config.projectRoot : process.cwd();
+      const projectRoot = this.targetDir;
       const sourceFiles = this.findFiles(projectRoot, /\.(js|ts)$/, ['node_modules', 'test', 'tests', '__tests__', 'spec']);
 
       let totalComplexity = 0;
@@ -565,7 +565,7 @@ class QualityAuditor {
    */
   async getDuplicationRatio() {
     try {
-      const projectRoot = process.cwd();
+      const projectRoot = this.targetDir;
       const sourceFiles = this.findFiles(projectRoot, /\.(js|ts)$/, ['node_modules', 'test', 'tests', '__tests__', 'spec', 'dist', 'build']);
 
       if (sourceFiles.length === 0) {
@@ -658,8 +658,7 @@ class QualityAuditor {
       const fs = require('fs');
       const path = require('path');
 
-      const projectRoot = (this.qaAgent && this.qaAgent.config && this.qaAgent.config.projectRoot) ?
-        this.qaAgent.config.projectRoot : process.cwd();
+      const projectRoot = this.targetDir;
       let securityScore = 10; // Start with perfect score
       const vulnerabilities = {
         critical: 0,
@@ -743,36 +742,43 @@ class QualityAuditor {
       const securityPatterns = [
         {
           pattern: /eval\s*\(/g,
+          type: 'code_injection',
           severity: 'high',
           description: 'Use of eval() function'
         },
         {
           pattern: /innerHTML\s*=/g,
+          type: 'xss',
           severity: 'medium',
           description: 'Direct innerHTML assignment (XSS risk)'
         },
         {
           pattern: /document\.write\s*\(/g,
+          type: 'xss',
           severity: 'medium',
           description: 'Use of document.write()'
         },
         {
           pattern: /\$\{[^}]*\}/g,
+          type: 'template_injection',
           severity: 'low',
           description: 'Template literal (check for injection)'
         },
         {
           pattern: /password\s*=\s*['"][^'"]*['"]/gi,
+          type: 'hardcoded_secret',
           severity: 'critical',
           description: 'Hardcoded password detected'
         },
         {
           pattern: /api[_-]?key\s*=\s*['"][^'"]*['"]/gi,
+          type: 'hardcoded_secret',
           severity: 'high',
           description: 'Hardcoded API key detected'
         },
         {
           pattern: /token\s*=\s*['"][^'"]*['"]/gi,
+          type: 'hardcoded_secret',
           severity: 'high',
           description: 'Hardcoded token detected'
         }
@@ -783,11 +789,14 @@ class QualityAuditor {
           const content = fs.readFileSync(file, 'utf8');
           const relativePath = path.relative(projectRoot, file);
 
-          for (const { pattern, severity, description } of securityPatterns) {
+          for (const { pattern, type, severity, description } of securityPatterns) {
             const matches = content.match(pattern);
             if (matches) {
+              const firstIndex = content.search(pattern);
               securityIssues.push({
+                type: type,
                 file: relativePath,
+                line: content.slice(0, firstIndex).split('\n').length,
                 severity: severity,
                 description: description,
                 count: matches.length
@@ -885,7 +894,7 @@ class QualityAuditor {
       const path = require('path');
 
       let totalSize = 0;
-      const projectRoot = process.cwd();
+      const projectRoot = this.targetDir;
 
       // Check common build/dist directories
       const buildDirs = ['dist', 'build', 'public', 'static'];
@@ -926,7 +935,7 @@ class QualityAuditor {
   async analyzeCodePerformance() {
     try {
       const fs = require('fs');
-      const projectRoot = process.cwd();
+      const projectRoot = this.targetDir;
       const sourceFiles = this.findFiles(projectRoot, /\.(js|ts)$/, ['node_modules', 'test', 'tests']);
 
       let performanceScore = 7.0; // Start with good score
@@ -1084,7 +1093,7 @@ class QualityAuditor {
   /**
    * Check compliance with standards
    */
-  async checkCompliance(thresholds) {
+  async checkCompliance(thresholds = {}) {
     console.log('✅ Checking compliance with quality standards...');
 
     const metrics = this.qualityMetrics.timestamp ? this.qualityMetrics : await this.collectMetrics();
@@ -1099,31 +1108,48 @@ class QualityAuditor {
     return compliance;
   }
 
+  /**
+   * Apply the compliance gate: the exit code of the most severe failing rule
+   * at or above `fail_on`, or 0 when the gate passes
+   */
+  evaluateGate(compliance, gate = this.complianceGate) {
+    const effectiveGate = gate || new ComplianceRules(this.projectRoot).mergeGate({});
+    const severities = ComplianceRules.SEVERITIES;
+    const failOnRank = severities.indexOf(effectiveGate.fail_on);
+
+    const failing = Object.values(compliance).filter(result => !result.passed);
+    const blocking = failing.filter(result => severities.indexOf(result.severity) <= failOnRank);
+    const exitCode = blocking.reduce((code, result) =>
+      Math.max(code, effectiveGate.exit_codes[result.severity] || 0), 0);
+
+    return {
+      passed: exitCode === 0,
+      exit_code: exitCode,
+      fail_on: effectiveGate.fail_on,
+      failing,
+      blocking
+    };
+  }
+
   /**
    * Evaluate a compliance rule
    */
-  evaluateRule(rule, metrics, thresholds) {
-    const threshold = thresholds[rule.id] || rule.threshold;
-    let value;
+  evaluateRule(rule, metrics, thresholds = {}) {
+    const threshold = thresholds[rule.id] ?? rule.threshold;
+    const value = ComplianceRules.getMetricValue(metrics, rule.metric);
 
-    switch (rule.id) {
-    case 'test_coverage':
-      value = metrics.test_coverage?.overall || 0;
-      break;
-    case 'code_complexity':
-      value = metrics.code_complexity?.average || 0;
-      break;
-    case 'duplication':
-      value = metrics.duplication_ratio?.percentage || 0;
-      break;
-    case 'security_score':
-      value = metrics.security_score?.overall || 0;
-      break;
-    case 'performance_score':
-      value = metrics.performance_score?.overall || 0;
-      break;
-    default:
-      value = 0;
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return {
+        rule_id: rule.id,
+        rule_name: rule.name,
+        metric: rule.metric,
+        threshold: threshold,
+        actual_value: null,
+        passed: false,
+        severity: rule.severity,
+        gap: 0,
+        error: `Metric "${rule.metric}" is not available`
+      };
     }
 
     let passed = false;
@@ -1141,6 +1167,7 @@ class QualityAuditor {
     return {
       rule_id: rule.id,
       rule_name: rule.name,
+      metric: rule.metric,
       threshold: threshold,
       actual_value: value,
       passed: passed,
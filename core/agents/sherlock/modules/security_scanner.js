@@ -0,0 +1,749 @@
+/**
+ * Security Scanner Module for Sherlock QA Agent
+ *
+ * Parser-backed security analysis with intra-file taint tracking:
+ * - Sources: Express request data (req.body, req.query, req.params, headers, cookies)
+ * - Propagation through variables, destructuring, string building and local function calls
+ * - Sinks: child_process, eval/Function/vm, raw SQL, fs paths, HTML responses
+ * - Hardcoded secrets in declarations and object literals
+ */
+
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+const REQUEST_SOURCES = new Set(['body', 'query', 'params', 'headers', 'cookies']);
+const ROUTE_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'del', 'all', 'use', 'options', 'head']);
+
+const MODULE_KINDS = {
+  child_process: 'child_process',
+  'node:child_process': 'child_process',
+  fs: 'fs',
+  'node:fs': 'fs',
+  'fs/promises': 'fs',
+  'node:fs/promises': 'fs',
+  'fs-extra': 'fs',
+  vm: 'vm',
+  'node:vm': 'vm',
+  path: 'path',
+  'node:path': 'path'
+};
+
+const COMMAND_FUNCTIONS = new Set(['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync', 'fork']);
+const FS_PATH_FUNCTIONS = new Set([
+  'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+  'createReadStream', 'createWriteStream', 'unlink', 'unlinkSync', 'readdir', 'readdirSync',
+  'rm', 'rmSync', 'rmdir', 'rmdirSync', 'open', 'openSync', 'stat', 'statSync', 'access',
+  'accessSync', 'mkdir', 'mkdirSync', 'rename', 'renameSync', 'copyFile', 'copyFileSync',
+  'readJson', 'readJSON', 'writeJson', 'writeJSON', 'remove', 'outputFile', 'copy', 'move'
+]);
+const VM_FUNCTIONS = new Set(['runInThisContext', 'runInNewContext', 'runInContext', 'compileFunction', 'Script']);
+const SQL_METHODS = new Set(['query', 'execute', 'raw', 'whereRaw', 'orderByRaw', '$queryRawUnsafe', '$executeRawUnsafe']);
+const SQL_STRING_METHODS = new Set(['prepare', 'all', 'get', 'run', 'exec', 'each', 'none', 'one', 'oneOrNone', 'many', 'any']);
+const HTML_RESPONSE_METHODS = new Set(['send', 'write', 'end']);
+const FILE_RESPONSE_METHODS = new Set(['sendFile', 'download']);
+
+const SANITIZERS = new Set([
+  'parseInt', 'parseFloat', 'Number', 'Boolean', 'encodeURIComponent', 'encodeURI',
+  'escape', 'escapeHtml', 'escapeHTML', 'escapeId', 'sanitize', 'sanitizeHtml', 'xss',
+  'basename', 'isValid', 'isInt', 'isUUID', 'isEmail'
+]);
+const PROPAGATORS = new Set([
+  'String', 'JSON.parse', 'JSON.stringify', 'decodeURIComponent', 'decodeURI', 'Buffer.from',
+  'Array.from', 'Object.assign', 'Object.values', 'util.format', 'format'
+]);
+const PATH_PROPAGATORS = new Set(['join', 'resolve', 'normalize', 'relative', 'dirname']);
+const NON_STRING_METHODS = new Set(['includes', 'startsWith', 'endsWith', 'test', 'has', 'indexOf', 'lastIndexOf', 'some', 'every', 'localeCompare']);
+
+const SQL_KEYWORDS = /\b(select\s[\s\S]*\bfrom|insert\s+into|update\s+\S+\s+set|delete\s+from|drop\s+table|where\s)/i;
+const SECRET_NAME = /(password|passwd|secret|apikey|accesskey|privatekey|authtoken|accesstoken|clientsecret|token)$/;
+
+const SINK_DETAILS = {
+  command_injection: { severity: 'critical', cwe: 'CWE-78', label: 'OS command' },
+  code_injection: { severity: 'critical', cwe: 'CWE-94', label: 'dynamic code evaluation' },
+  sql_injection: { severity: 'high', cwe: 'CWE-89', label: 'SQL query' },
+  path_traversal: { severity: 'high', cwe: 'CWE-22', label: 'file system path' },
+  xss: { severity: 'high', cwe: 'CWE-79', label: 'HTML response' }
+};
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'range']);
+
+class SecurityScanner {
+  constructor(options = {}) {
+    this.maxPasses = options.maxPasses || 5;
+  }
+
+  /**
+   * Scan source text and return vulnerabilities with source-to-sink paths.
+   * Returns null when the file cannot be parsed so callers can fall back.
+   */
+  scan(content, filePath) {
+    let ast;
+    try {
+      ast = this.parse(content, filePath);
+    } catch (error) {
+      return null;
+    }
+
+    const state = {
+      content,
+      file: filePath,
+      requestNames: new Set(['req', 'request']),
+      responseNames: new Set(['res', 'response']),
+      moduleAliases: new Map(),
+      functionAliases: new Map(),
+      localFunctions: new Map(),
+      scopes: new Map(),
+      changed: false,
+      reporting: false,
+      findings: new Map()
+    };
+
+    this.collectDeclarations(ast, state);
+
+    // Propagate taint until stable, then walk once more to report sinks
+    for (let pass = 0; pass < this.maxPasses; pass++) {
+      state.changed = false;
+      this.walk(ast, state, null);
+      if (!state.changed) break;
+    }
+
+    state.reporting = true;
+    this.walk(ast, state, null);
+
+    return [...state.findings.values()].sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  parse(content, filePath) {
+    const extension = path.extname(filePath || '').toLowerCase();
+    const plugins = [];
+    if (['.ts', '.mts', '.cts'].includes(extension)) {
+      plugins.push('typescript');
+    } else if (extension === '.tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return parse(content, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      errorRecovery: true,
+      plugins
+    });
+  }
+
+  /**
+   * Pre-pass: module aliases, route handler parameters and local functions
+   */
+  collectDeclarations(ast, state) {
+    this.traverse(ast, node => {
+      if (node.type === 'VariableDeclarator' && node.init) {
+        const moduleName = this.requiredModule(node.init);
+        const kind = moduleName && MODULE_KINDS[moduleName];
+        if (kind) {
+          this.bindModule(node.id, kind, state);
+        }
+        if (FUNCTION_TYPES.has(node.init.type) && node.id.type === 'Identifier') {
+          state.localFunctions.set(node.id.name, node.init);
+        }
+      }
+
+      if (node.type === 'ImportDeclaration') {
+        const kind = MODULE_KINDS[node.source.value];
+        if (kind) {
+          node.specifiers.forEach(specifier => {
+            if (specifier.type === 'ImportSpecifier') {
+              state.functionAliases.set(specifier.local.name, { kind, name: this.keyName(specifier.imported) });
+            } else {
+              state.moduleAliases.set(specifier.local.name, kind);
+            }
+          });
+        }
+      }
+
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        state.localFunctions.set(node.id.name, node);
+      }
+
+      // app.get('/x', (req, res) => ...) and router.post(...) handlers
+      if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+          ROUTE_METHODS.has(this.propertyName(node.callee))) {
+        node.arguments.filter(arg => FUNCTION_TYPES.has(arg.type)).forEach(handler => {
+          const [requestParam, responseParam] = handler.params;
+          if (requestParam && requestParam.type === 'Identifier') state.requestNames.add(requestParam.name);
+          if (responseParam && responseParam.type === 'Identifier') state.responseNames.add(responseParam.name);
+        });
+      }
+    });
+  }
+
+  bindModule(id, kind, state) {
+    if (id.type === 'Identifier') {
+      state.moduleAliases.set(id.name, kind);
+    } else if (id.type === 'ObjectPattern') {
+      id.properties.forEach(property => {
+        if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+          state.functionAliases.set(property.value.name, { kind, name: this.keyName(property.key) });
+        }
+      });
+    }
+  }
+
+  /**
+   * Module name for require('x'), require('x').promises and await import('x')
+   */
+  requiredModule(node) {
+    let current = node;
+    if (current.type === 'AwaitExpression') current = current.argument;
+    if (current.type === 'MemberExpression') current = current.object;
+    if (current.type !== 'CallExpression' || current.arguments.length === 0) return null;
+
+    const isRequire = current.callee.type === 'Identifier' && current.callee.name === 'require';
+    const isImport = current.callee.type === 'Import';
+    const arg = current.arguments[0];
+    if ((isRequire || isImport) && arg.type === 'StringLiteral') {
+      return arg.value;
+    }
+    return null;
+  }
+
+  /**
+   * Scope-aware walk that propagates taint and, when reporting, records sinks
+   */
+  walk(node, state, scope) {
+    if (!node || typeof node.type !== 'string') return;
+
+    let currentScope = scope;
+    if (node.type === 'File' || node.type === 'Program') {
+      currentScope = this.scopeFor(node, null, state);
+    } else if (FUNCTION_TYPES.has(node.type)) {
+      currentScope = this.scopeFor(node, scope, state);
+    }
+
+    this.visit(node, state, currentScope);
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.walk(item, state, currentScope));
+      } else if (child && typeof child.type === 'string') {
+        this.walk(child, state, currentScope);
+      }
+    }
+  }
+
+  scopeFor(node, parent, state) {
+    if (!state.scopes.has(node)) {
+      state.scopes.set(node, { vars: new Map(), parent });
+    }
+    return state.scopes.get(node);
+  }
+
+  visit(node, state, scope) {
+    if (state.reporting) {
+      this.checkSecret(node, state);
+    }
+
+    switch (node.type) {
+    case 'VariableDeclarator':
+      if (node.init) {
+        this.bindPattern(node.id, this.taintOf(node.init, state, scope), state, scope, true);
+      }
+      break;
+
+    case 'AssignmentExpression':
+      if (['Identifier', 'ObjectPattern', 'ArrayPattern'].includes(node.left.type)) {
+        this.bindPattern(node.left, this.taintOf(node.right, state, scope), state, scope, false);
+      }
+      if (state.reporting) this.checkAssignmentSink(node, state, scope);
+      break;
+
+    case 'CallExpression':
+    case 'NewExpression':
+    case 'OptionalCallExpression':
+      this.propagateToLocalFunction(node, state, scope);
+      if (state.reporting) this.checkCallSink(node, state, scope);
+      break;
+    }
+  }
+
+  /**
+   * Bind taint to every identifier in a declaration or assignment target
+   */
+  bindPattern(pattern, taint, state, scope, declaration) {
+    if (!taint || !pattern) return;
+
+    switch (pattern.type) {
+    case 'Identifier':
+      this.setTaint(pattern.name, this.extend(taint, pattern, pattern.name), state, scope, declaration);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => {
+        const target = property.type === 'RestElement' ? property.argument : property.value;
+        this.bindPattern(target, taint, state, scope, declaration);
+      });
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => this.bindPattern(element, taint, state, scope, declaration));
+      break;
+    case 'AssignmentPattern':
+      this.bindPattern(pattern.left, taint, state, scope, declaration);
+      break;
+    case 'RestElement':
+      this.bindPattern(pattern.argument, taint, state, scope, declaration);
+      break;
+    }
+  }
+
+  setTaint(name, taint, state, scope, declaration) {
+    let target = scope;
+    if (!declaration) {
+      // Assignments update the scope that declared the variable
+      for (let current = scope; current; current = current.parent) {
+        if (current.vars.has(name)) {
+          target = current;
+          break;
+        }
+      }
+    }
+
+    if (!target.vars.has(name)) {
+      target.vars.set(name, taint);
+      state.changed = true;
+    }
+  }
+
+  lookup(name, scope) {
+    for (let current = scope; current; current = current.parent) {
+      if (current.vars.has(name)) return current.vars.get(name);
+    }
+    return null;
+  }
+
+  /**
+   * Taint passed into locally declared functions flows to their parameters
+   */
+  propagateToLocalFunction(node, state, scope) {
+    if (node.callee.type !== 'Identifier') return;
+    const fn = state.localFunctions.get(node.callee.name);
+    if (!fn) return;
+
+    const fnScope = this.scopeFor(fn, scope, state);
+    node.arguments.forEach((arg, index) => {
+      const param = fn.params[index];
+      if (!param) return;
+      const taint = this.taintOf(arg, state, scope);
+      if (taint) {
+        const step = this.extend(taint, arg, `${node.callee.name}() argument`);
+        this.bindPattern(param, step, state, fnScope, true);
+      }
+    });
+  }
+
+  /**
+   * Compute taint for an expression, or null when it is not user controlled
+   */
+  taintOf(node, state, scope) {
+    if (!node) return null;
+
+    switch (node.type) {
+    case 'Identifier':
+      return this.lookup(node.name, scope);
+
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const source = this.sourceExpression(node, state);
+      if (source) {
+        return { trace: [{ line: this.line(node), expression: this.text(node, state) }], sql: false };
+      }
+      return this.taintOf(node.object, state, scope);
+    }
+
+    case 'TemplateLiteral': {
+      const taint = this.combine(node.expressions.map(expr => this.taintOf(expr, state, scope)));
+      if (!taint) return null;
+      const literal = node.quasis.map(quasi => quasi.value.cooked || '').join(' ');
+      return this.withFlags(taint, literal);
+    }
+
+    case 'BinaryExpression': {
+      if (node.operator !== '+') return null;
+      const taint = this.combine([this.taintOf(node.left, state, scope), this.taintOf(node.right, state, scope)]);
+      if (!taint) return null;
+      return this.withFlags(taint, this.literalText(node));
+    }
+
+    case 'LogicalExpression':
+      return this.combine([this.taintOf(node.left, state, scope), this.taintOf(node.right, state, scope)]);
+
+    case 'ConditionalExpression':
+      return this.combine([this.taintOf(node.consequent, state, scope), this.taintOf(node.alternate, state, scope)]);
+
+    case 'AssignmentExpression':
+      return this.taintOf(node.right, state, scope);
+
+    case 'SequenceExpression':
+      return this.taintOf(node.expressions[node.expressions.length - 1], state, scope);
+
+    case 'AwaitExpression':
+    case 'SpreadElement':
+    case 'TSAsExpression':
+    case 'TSNonNullExpression':
+    case 'TSSatisfiesExpression':
+    case 'TypeCastExpression':
+    case 'ParenthesizedExpression':
+      return this.taintOf(node.argument || node.expression, state, scope);
+
+    case 'ArrayExpression':
+      return this.combine(node.elements.map(element => this.taintOf(element, state, scope)));
+
+    case 'ObjectExpression':
+      return this.combine(node.properties.map(property =>
+        this.taintOf(property.type === 'SpreadElement' ? property.argument : property.value, state, scope)));
+
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+      return this.callTaint(node, state, scope);
+
+    default:
+      return null;
+    }
+  }
+
+  callTaint(node, state, scope) {
+    const callee = node.callee;
+    const name = this.calleeName(callee);
+    const method = callee.type === 'Identifier' ? callee.name : this.propertyName(callee);
+
+    if (SANITIZERS.has(method)) return null;
+
+    const argTaint = () => this.combine(node.arguments.map(arg => this.taintOf(arg, state, scope)));
+
+    if (PROPAGATORS.has(name) || PROPAGATORS.has(method)) {
+      return argTaint();
+    }
+
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+      const objectName = callee.object.type === 'Identifier' ? callee.object.name : null;
+      if (objectName && state.moduleAliases.get(objectName) === 'path' && PATH_PROPAGATORS.has(method)) {
+        return argTaint();
+      }
+      if (NON_STRING_METHODS.has(method)) return null;
+
+      // Methods called on tainted values (trim, toLowerCase, split, replace, ...) keep the taint
+      const objectTaint = this.taintOf(callee.object, state, scope);
+      if (objectTaint) return objectTaint;
+    }
+
+    if (callee.type === 'Identifier') {
+      const alias = state.functionAliases.get(callee.name);
+      if (alias && alias.kind === 'path' && PATH_PROPAGATORS.has(alias.name)) {
+        return argTaint();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * req.body / req.query.x / req['params'] style request data
+   */
+  sourceExpression(node, state) {
+    let current = node;
+    while (current && (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression')) {
+      if (current.object.type === 'Identifier' && state.requestNames.has(current.object.name) &&
+          REQUEST_SOURCES.has(this.propertyName(current))) {
+        return current;
+      }
+      current = current.object;
+    }
+    return null;
+  }
+
+  /**
+   * Check calls against known sinks
+   */
+  checkCallSink(node, state, scope) {
+    const callee = node.callee;
+    const method = callee.type === 'Identifier' ? callee.name : this.propertyName(callee);
+    const objectName = this.rootName(callee);
+    const objectKind = objectName ? state.moduleAliases.get(objectName) : null;
+    const alias = callee.type === 'Identifier' ? state.functionAliases.get(callee.name) : null;
+    const directModule = this.requiredModule(callee.type === 'MemberExpression' ? callee.object : callee);
+    const kind = (alias && alias.kind) || objectKind || (directModule && MODULE_KINDS[directModule]);
+    const functionName = alias ? alias.name : method;
+    const args = node.arguments;
+    const sinkName = this.calleeName(callee) || 'anonymous call';
+
+    const report = (type, argIndexes) => {
+      for (const index of argIndexes) {
+        const arg = args[index];
+        const taint = this.taintOf(arg, state, scope);
+        if (taint) {
+          this.addFinding(type, taint, node, `${sinkName}()`, state);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    if (kind === 'child_process' && COMMAND_FUNCTIONS.has(functionName)) {
+      report('command_injection', [0]);
+      return;
+    }
+
+    if (kind === 'vm' && VM_FUNCTIONS.has(functionName)) {
+      report('code_injection', [0]);
+      return;
+    }
+
+    if (kind === 'fs' && FS_PATH_FUNCTIONS.has(functionName)) {
+      report('path_traversal', [0, 1]);
+      return;
+    }
+
+    if (callee.type === 'Identifier' && callee.name === 'eval') {
+      report('code_injection', [0]);
+      return;
+    }
+
+    if (node.type === 'NewExpression' && callee.type === 'Identifier' && callee.name === 'Function') {
+      report('code_injection', args.map((_, index) => index));
+      return;
+    }
+
+    if (callee.type === 'Identifier' && ['setTimeout', 'setInterval'].includes(callee.name) &&
+        args[0] && !FUNCTION_TYPES.has(args[0].type)) {
+      report('code_injection', [0]);
+      return;
+    }
+
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+      if (objectName && state.responseNames.has(objectName)) {
+        if (FILE_RESPONSE_METHODS.has(method)) {
+          report('path_traversal', [0]);
+          return;
+        }
+        if (HTML_RESPONSE_METHODS.has(method) && args[0] &&
+            !['ObjectExpression', 'ArrayExpression'].includes(args[0].type)) {
+          report('xss', [0]);
+          return;
+        }
+      }
+
+      if (objectName === 'document' && ['write', 'writeln'].includes(method)) {
+        report('xss', [0]);
+        return;
+      }
+
+      if (SQL_METHODS.has(method)) {
+        report('sql_injection', [0]);
+        return;
+      }
+
+      if (SQL_STRING_METHODS.has(method)) {
+        // Generic method names only count when the argument is a SQL string built from user input
+        const taint = args[0] && this.taintOf(args[0], state, scope);
+        if (taint && taint.sql) {
+          this.addFinding('sql_injection', taint, node, `${sinkName}()`, state);
+        }
+      }
+    }
+  }
+
+  checkAssignmentSink(node, state, scope) {
+    if (node.left.type !== 'MemberExpression') return;
+    const property = this.propertyName(node.left);
+    if (!['innerHTML', 'outerHTML'].includes(property)) return;
+
+    const taint = this.taintOf(node.right, state, scope);
+    if (taint) {
+      this.addFinding('xss', taint, node, `.${property}`, state);
+    }
+  }
+
+  /**
+   * Hardcoded credentials assigned to secret-looking names
+   */
+  checkSecret(node, state) {
+    let name = null;
+    let value = null;
+
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      name = node.id.name;
+      value = node.init;
+    } else if (node.type === 'ObjectProperty' && !node.computed) {
+      name = this.keyName(node.key);
+      value = node.value;
+    } else if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+      name = this.propertyName(node.left);
+      value = node.right;
+    } else if (node.type === 'ClassProperty' && node.key) {
+      name = this.keyName(node.key);
+      value = node.value;
+    }
+
+    if (!name || !value || value.type !== 'StringLiteral') return;
+
+    const normalized = name.toLowerCase().replace(/[_-]/g, '');
+    const secret = value.value;
+    if (!SECRET_NAME.test(normalized) || secret.length < 8 || /\s/.test(secret) ||
+        /^(your|change|example|placeholder|xxx|<)/i.test(secret)) {
+      return;
+    }
+
+    const key = `hardcoded_secret:${this.line(node)}:${name}`;
+    if (state.findings.has(key)) return;
+
+    state.findings.set(key, {
+      type: 'hardcoded_secret',
+      severity: 'critical',
+      description: `Hardcoded secret assigned to "${name}" - use environment variables`,
+      file: state.file,
+      line: this.line(node),
+      column: this.column(node),
+      cwe: 'CWE-798'
+    });
+  }
+
+  addFinding(type, taint, sinkNode, sinkLabel, state) {
+    const details = SINK_DETAILS[type];
+    const line = this.line(sinkNode);
+    const column = this.column(sinkNode);
+    const key = `${type}:${line}:${column}`;
+    if (state.findings.has(key)) return;
+
+    const source = taint.trace[0];
+    const trace = [...taint.trace, { line, expression: sinkLabel }];
+
+    state.findings.set(key, {
+      type,
+      severity: details.severity,
+      description: `User input from ${source.expression} (line ${source.line}) reaches ${details.label} sink ${sinkLabel}`,
+      file: state.file,
+      line,
+      column,
+      cwe: details.cwe,
+      source: { expression: source.expression, line: source.line },
+      sink: { expression: sinkLabel, line },
+      path: trace
+    });
+  }
+
+  extend(taint, node, expression) {
+    const last = taint.trace[taint.trace.length - 1];
+    const step = { line: this.line(node), expression };
+    if (last && last.line === step.line && last.expression === step.expression) {
+      return taint;
+    }
+    return { ...taint, trace: [...taint.trace, step] };
+  }
+
+  combine(taints) {
+    const present = taints.filter(Boolean);
+    if (present.length === 0) return null;
+    return {
+      trace: present[0].trace,
+      sql: present.some(taint => taint.sql)
+    };
+  }
+
+  /**
+   * Mark taint that was concatenated into SQL text
+   */
+  withFlags(taint, literal) {
+    return SQL_KEYWORDS.test(literal) && !taint.sql ? { ...taint, sql: true } : taint;
+  }
+
+  literalText(node) {
+    if (!node) return '';
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral') return node.quasis.map(quasi => quasi.value.cooked || '').join(' ');
+    if (node.type === 'BinaryExpression') return `${this.literalText(node.left)} ${this.literalText(node.right)}`;
+    return '';
+  }
+
+  calleeName(callee) {
+    if (!callee) return null;
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+      const objectName = this.calleeName(callee.object);
+      const property = this.propertyName(callee);
+      return objectName ? `${objectName}.${property}` : property;
+    }
+    if (callee.type === 'CallExpression') {
+      const moduleName = this.requiredModule(callee);
+      return moduleName ? `require('${moduleName}')` : this.calleeName(callee.callee);
+    }
+    if (callee.type === 'ThisExpression') return 'this';
+    return null;
+  }
+
+  /**
+   * Base identifier of a member chain (res in res.status(200).send)
+   */
+  rootName(node) {
+    let current = node;
+    while (current) {
+      if (current.type === 'Identifier') return current.name;
+      if (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression') {
+        current = current.object;
+      } else if (current.type === 'CallExpression' || current.type === 'OptionalCallExpression') {
+        current = current.callee;
+      } else {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  propertyName(member) {
+    if (!member || !member.property) return null;
+    if (!member.computed) return this.keyName(member.property);
+    return member.property.type === 'StringLiteral' ? member.property.value : null;
+  }
+
+  keyName(key) {
+    if (!key) return null;
+    if (key.type === 'Identifier' || key.type === 'PrivateName') return key.name || (key.id && key.id.name);
+    if (key.type === 'StringLiteral') return key.value;
+    return null;
+  }
+
+  text(node, state) {
+    return state.content.slice(node.start, node.end).replace(/\s+/g, ' ');
+  }
+
+  line(node) {
+    return node.loc ? node.loc.start.line : 0;
+  }
+
+  column(node) {
+    return node.loc ? node.loc.start.column + 1 : 0;
+  }
+
+  /**
+   * Plain pre-order traversal
+   */
+  traverse(node, callback) {
+    if (!node || typeof node.type !== 'string') return;
+    callback(node);
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.traverse(item, callback));
+      } else if (child && typeof child.type === 'string') {
+        this.traverse(child, callback);
+      }
+    }
+  }
+}
+
+module.exports = SecurityScanner;
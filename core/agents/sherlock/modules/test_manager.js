@@ -10,6 +10,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const TestRunner = require('./test_runner');
+const CoverageReader = require('./coverage_reader');
 
 class TestManager {
   constructor(qaAgent) {
@@ -18,6 +20,9 @@ class TestManager {
     this.testResults = {};
     const projectRoot = (qaAgent && qaAgent.config && qaAgent.config.projectRoot) ?
       qaAgent.config.projectRoot : process.cwd();
+    this.projectRoot = projectRoot;
+    this.testRunner = new TestRunner(projectRoot);
+    this.coverageReader = new CoverageReader(projectRoot);
     this.trackingDir = path.join(projectRoot, 'core/agents/sherlock/tracking');
   }
 
@@ -238,7 +243,6 @@ class TestManager {
       suites: {}
     };
 
-    // Simulate test execution based on test suite
     switch (testSuite) {
     case 'unit':
       results.suites.unit = await this.executeUnitTests();
@@ -275,65 +279,38 @@ class TestManager {
    * Execute unit tests
    */
   async executeUnitTests() {
-    // Simulate unit test execution
-    return {
-      type: 'unit',
-      total: 45,
-      passed: 42,
-      failed: 2,
-      skipped: 1,
-      duration: 2.3,
-      coverage: 85.2
-    };
+    return await this.testRunner.run('unit');
   }
 
   /**
    * Execute integration tests
    */
   async executeIntegrationTests() {
-    // Simulate integration test execution
-    return {
-      type: 'integration',
-      total: 18,
-      passed: 16,
-      failed: 1,
-      skipped: 1,
-      duration: 8.7,
-      coverage: 72.1
-    };
+    return await this.testRunner.run('integration');
   }
 
   /**
    * Execute E2E tests
    */
   async executeE2ETests() {
-    // Simulate E2E test execution
-    return {
-      type: 'e2e',
-      total: 12,
-      passed: 11,
-      failed: 0,
-      skipped: 1,
-      duration: 45.2,
-      coverage: 65.8
-    };
+    return await this.testRunner.run('e2e');
   }
 
   /**
-   * Collect coverage information
+   * Collect coverage information from the project's coverage reports
+   *
+   * @param {Object} [options] - `baseRef` adds changed-lines coverage against a git ref
+   * @returns {Promise<Object>} Coverage summary, or `{ available: false, reason }`
+   *   when no report exists
    */
-  async collectCoverage() {
-    const coverage = {
-      lines: 82.5,
-      functions: 78.3,
-      branches: 75.1,
-      statements: 83.2,
-      files: {
-        covered: 156,
-        total: 189,
-        percentage: 82.5
-      }
-    };
+  async collectCoverage(options = {}) {
+    const coverage = await this.coverageReader.read(options);
+
+    if (!coverage) {
+      const reason = 'No coverage report found (lcov.info, coverage-final.json or Cobertura XML) - run tests with coverage enabled';
+      console.warn(`⚠️ ${reason}`);
+      return { available: false, reason };
+    }
 
     // Update coverage tracking
     await this.updateCoverageTracking(coverage);
@@ -354,7 +331,19 @@ class TestManager {
           count: suite.failed,
           severity: this.assessFailureSeverity(suite.type, suite.failed),
           impact: this.assessFailureImpact(suite.type),
-          recommendations: this.getFailureRecommendations(suite.type, suite.failed)
+          recommendations: this.getFailureRecommendations(suite.type, suite.failed),
+          details: suite.failures || []
+        });
+      }
+
+      if (suite.status === 'error') {
+        failures.push({
+          suite: suite.type,
+          count: 0,
+          severity: 'high',
+          impact: `${suite.runner || 'Test runner'} could not complete the ${suite.type} run`,
+          recommendations: ['Run the test command locally and fix the runner error before trusting results'],
+          details: [{ file: null, test: '(runner error)', message: suite.error }]
         });
       }
     });
@@ -424,22 +413,37 @@ class TestManager {
       const resultsFile = path.join(this.trackingDir, 'test_results.md');
       const timestamp = new Date().toISOString();
 
+      const percent = (passed, total) => total > 0 ? ((passed / total) * 100).toFixed(1) : '0.0';
+      const failureDetails = Object.values(results.suites)
+        .flatMap(suite => (suite.failures || []).map(failure => ({ ...failure, suite: suite.type })));
+      const hasRunnerErrors = Object.values(results.suites).some(suite => suite.status === 'error');
+
+      let failureSection = '';
+      if (failureDetails.length > 0) {
+        const listed = failureDetails.slice(0, 20)
+          .map(f => `- [${f.suite}] ${f.file}: ${f.test} - ${f.message}`);
+        if (failureDetails.length > listed.length) {
+          listed.push(`- ...and ${failureDetails.length - listed.length} more`);
+        }
+        failureSection = `\n**Failures**:\n${listed.join('\n')}\n`;
+      }
+
       const entry = `
 ## Test Execution - ${timestamp}
 
 **Overall Results**:
 - Total: ${results.total}
-- Passed: ${results.passed} (${((results.passed / results.total) * 100).toFixed(1)}%)
+- Passed: ${results.passed} (${percent(results.passed, results.total)}%)
 - Failed: ${results.failed}
 - Skipped: ${results.skipped}
 - Duration: ${results.duration.toFixed(1)}s
 
 **Suite Breakdown**:
 ${Object.entries(results.suites).map(([name, suite]) =>
-    `- ${name}: ${suite.passed}/${suite.total} passed (${((suite.passed / suite.total) * 100).toFixed(1)}%)`
+    `- ${name}: ${this.formatSuiteSummary(suite, percent)}`
   ).join('\n')}
-
-**Status**: ${results.failed === 0 ? '✅ PASS' : '❌ FAIL'}
+${failureSection}
+**Status**: ${results.failed === 0 && !hasRunnerErrors ? '✅ PASS' : '❌ FAIL'}
 
 ---
 `;
@@ -450,6 +454,22 @@ ${Object.entries(results.suites).map(([name, suite]) =>
     }
   }
 
+  /**
+   * Format a single suite line for the results file
+   */
+  formatSuiteSummary(suite, percent) {
+    switch (suite.status) {
+    case 'no_runner':
+      return 'no test runner detected';
+    case 'no_tests':
+      return `no test files found (${suite.runner})`;
+    case 'error':
+      return `runner error (${suite.runner}): ${suite.error}`;
+    default:
+      return `${suite.passed}/${suite.total} passed (${percent(suite.passed, suite.total)}%) via ${suite.runner}, ${suite.files.length} file(s)`;
+    }
+  }
+
   /**
    * Update coverage tracking
    */
@@ -457,23 +477,24 @@ ${Object.entries(results.suites).map(([name, suite]) =>
     try {
       const coverageFile = path.join(this.trackingDir, 'test_coverage.md');
       const timestamp = new Date().toISOString();
+      const trend = await this.getCoverageTrend(coverage.lines, coverage);
 
       const entry = `
 ## Coverage Report - ${timestamp}
 
-**Overall Coverage**: ${coverage.lines}%
+**Overall Coverage**: ${coverage.lines}%${coverage.source ? ` (from ${coverage.source})` : ''}
 
 **Detailed Metrics**:
 - Lines: ${coverage.lines}%
 - Functions: ${coverage.functions}%
 - Branches: ${coverage.branches}%
 - Statements: ${coverage.statements}%
-
+${coverage.files ? `
 **File Coverage**:
 - Files Covered: ${coverage.files.covered}/${coverage.files.total}
 - Coverage Percentage: ${coverage.files.percentage}%
-
-**Trend**: ${this.getCoverageTrend(coverage.lines)}
+` : ''}${this.formatDirectoryCoverage(coverage.by_directory)}${this.formatChangedLinesCoverage(coverage.changed_lines)}
+**Trend**: ${trend}
 
 ---
 `;
@@ -485,9 +506,43 @@ ${Object.entries(results.suites).map(([name, suite]) =>
   }
 
   /**
-   * Get coverage trend
+   * Lowest-covered top-level directories as a markdown list
+   */
+  formatDirectoryCoverage(directories, limit = 10) {
+    if (!directories) return '';
+
+    const rows = Object.entries(directories)
+      .filter(([directory]) => directory !== '.' && directory.split('/').length <= 2)
+      .sort(([, a], [, b]) => a.lines.percentage - b.lines.percentage)
+      .slice(0, limit)
+      .map(([directory, summary]) =>
+        `- ${directory}: ${summary.lines.percentage}% lines, ${summary.branches.percentage}% branches, ${summary.functions.percentage}% functions`);
+
+    return rows.length > 0 ? `\n**Directory Coverage** (lowest first):\n${rows.join('\n')}\n` : '';
+  }
+
+  /**
+   * Changed-lines coverage against the git base ref as markdown
+   */
+  formatChangedLinesCoverage(changed) {
+    if (!changed) return '';
+    if (changed.error) return `\n**Changed Lines** (vs ${changed.base}): ${changed.error}\n`;
+
+    const uncovered = Object.entries(changed.files)
+      .filter(([, file]) => file.uncovered_lines.length > 0)
+      .map(([file, summary]) => `- ${file}: lines ${summary.uncovered_lines.join(', ')} not covered`);
+
+    return `\n**Changed Lines** (vs ${changed.base}): ${changed.covered}/${changed.total} covered (${changed.percentage}%)\n` +
+      (uncovered.length > 0 ? `${uncovered.join('\n')}\n` : '');
+  }
+
+  /**
+   * Get coverage trend, recording the current run in the coverage history
+   *
+   * @param {number} currentCoverage - Line coverage percentage
+   * @param {Object} [details] - Full coverage summary stored alongside it
    */
-  async getCoverageTrend(currentCoverage) {
+  async getCoverageTrend(currentCoverage, details = {}) {
     try {
       const fs = require('fs');
       const path = require('path');
@@ -511,6 +566,12 @@ ${Object.entries(results.suites).map(([name, suite]) =>
       const currentEntry = {
         timestamp: now.toISOString(),
         coverage: currentCoverage,
+        branches: details.branches,
+        functions: details.functions,
+        statements: details.statements,
+        changed_lines: details.changed_lines && !details.changed_lines.error ?
+          details.changed_lines.percentage : undefined,
+        source: details.source,
         date: now.toDateString()
       };
 
@@ -595,7 +656,7 @@ ${Object.entries(results.suites).map(([name, suite]) =>
       await this.updateTestTracking(result.test_results);
     }
 
-    if (result.coverage) {
+    if (result.coverage && result.coverage.available !== false) {
       await this.updateCoverageTracking(result.coverage);
     }
   }
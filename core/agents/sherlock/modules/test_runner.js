@@ -0,0 +1,531 @@
+/**
+ * Test Runner Module for Sherlock QA Agent
+ *
+ * Runs a project's real test suite and normalizes the results:
+ * - Runner detection from package.json (jest, vitest, mocha, node:test)
+ * - Test file discovery and classification (unit / integration / e2e)
+ * - Spawning the runner with a machine-readable reporter
+ * - Parsing Jest/Vitest JSON, Mocha JSON and TAP output into per-suite results
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const glob = require('glob');
+
+const TEST_FILE_PATTERNS = [
+  '**/*.{test,spec}.{js,mjs,cjs,jsx,ts,tsx}',
+  '**/__tests__/**/*.{js,mjs,cjs,jsx,ts,tsx}',
+  'test/**/*.{js,mjs,cjs,ts}',
+  'tests/**/*.{js,mjs,cjs,ts}'
+];
+
+const IGNORED_PATHS = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/.paired/**',
+  '**/fixtures/**',
+  '**/__fixtures__/**',
+  '**/helpers/**'
+];
+
+const CATEGORY_MATCHERS = {
+  e2e: /(^|[/._-])(e2e|end-to-end)([/._-]|$)/i,
+  integration: /(^|[/._-])(integration|int)([/._-]|$)/i
+};
+
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+
+class TestRunner {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.runner = null;
+    this.testFiles = null;
+  }
+
+  /**
+   * Detect which test runner the project uses
+   */
+  async detectRunner() {
+    if (this.runner !== null) {
+      return this.runner;
+    }
+
+    let packageJson = {};
+    try {
+      const content = await fs.readFile(path.join(this.projectRoot, 'package.json'), 'utf8');
+      packageJson = JSON.parse(content);
+    } catch (error) {
+      this.runner = undefined;
+      return this.runner;
+    }
+
+    const dependencies = {
+      ...(packageJson.dependencies || {}),
+      ...(packageJson.devDependencies || {})
+    };
+    const testScript = (packageJson.scripts && packageJson.scripts.test) || '';
+
+    // The test script is the most explicit signal, dependencies come second
+    if (/\bvitest\b/.test(testScript)) this.runner = 'vitest';
+    else if (/\bjest\b/.test(testScript)) this.runner = 'jest';
+    else if (/\bmocha\b/.test(testScript)) this.runner = 'mocha';
+    else if (/\bnode\b.*--test\b/.test(testScript)) this.runner = 'node';
+    else if (dependencies.vitest) this.runner = 'vitest';
+    else if (dependencies.jest) this.runner = 'jest';
+    else if (dependencies.mocha) this.runner = 'mocha';
+    else this.runner = undefined;
+
+    return this.runner;
+  }
+
+  /**
+   * Discover test files grouped by category
+   */
+  async discoverTestFiles() {
+    if (this.testFiles) {
+      return this.testFiles;
+    }
+
+    const files = await glob.glob(TEST_FILE_PATTERNS, {
+      cwd: this.projectRoot,
+      ignore: IGNORED_PATHS,
+      nodir: true
+    });
+
+    const grouped = { unit: [], integration: [], e2e: [] };
+    for (const file of [...new Set(files)].sort()) {
+      grouped[this.classifyTestFile(file)].push(file);
+    }
+
+    this.testFiles = grouped;
+    return grouped;
+  }
+
+  /**
+   * Classify a test file by its path
+   */
+  classifyTestFile(file) {
+    const normalized = file.split(path.sep).join('/');
+    if (CATEGORY_MATCHERS.e2e.test(normalized)) return 'e2e';
+    if (CATEGORY_MATCHERS.integration.test(normalized)) return 'integration';
+    return 'unit';
+  }
+
+  /**
+   * Run one category of tests and return normalized results
+   */
+  async run(type) {
+    const startTime = Date.now();
+    const result = {
+      type,
+      runner: null,
+      status: 'passed',
+      total: 0,
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      duration: 0,
+      files: [],
+      failures: []
+    };
+
+    const runner = await this.detectRunner();
+    if (!runner) {
+      result.status = 'no_runner';
+      return result;
+    }
+    result.runner = runner;
+
+    const testFiles = (await this.discoverTestFiles())[type] || [];
+    if (testFiles.length === 0) {
+      result.status = 'no_tests';
+      return result;
+    }
+
+    console.log(`🧪 Running ${testFiles.length} ${type} test file(s) with ${runner}`);
+
+    // TAP output only carries locations for failures, so node:test runs per file
+    const batches = runner === 'node' ? testFiles.map(file => [file]) : [testFiles];
+    const reports = [];
+
+    try {
+      for (const batch of batches) {
+        const report = await this.runBatch(runner, batch);
+        reports.push(report);
+        if (report.error) {
+          result.status = 'error';
+          result.error = report.error;
+          break;
+        }
+      }
+
+      Object.assign(result, this.summarizeFiles(
+        reports.flatMap(report => report.files),
+        reports.flatMap(report => report.failures)
+      ));
+
+      if (result.status !== 'error') {
+        result.status = result.failed > 0 ? 'failed' : 'passed';
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.message;
+    }
+
+    if (!result.duration) {
+      result.duration = (Date.now() - startTime) / 1000;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run one runner invocation over a batch of test files
+   */
+  async runBatch(runner, testFiles) {
+    const outputFile = path.join(os.tmpdir(), `paired-sherlock-${process.pid}-${Date.now()}.json`);
+    const { command, args } = this.buildCommand(runner, testFiles, outputFile);
+
+    try {
+      const execution = await this.spawnRunner(command, args);
+      const report = await this.readReport(runner, execution, outputFile);
+
+      if (runner === 'node' && report.total > 0) {
+        // Attribute every test point to the single file of this batch
+        const { total, passed, failed, skipped, duration } = report;
+        report.files = [{ file: testFiles[0], total, passed, failed, skipped, duration }];
+        report.failures.forEach(failure => { failure.file = testFiles[0]; });
+      }
+
+      if (execution.timedOut) {
+        report.error = `Test run exceeded ${Math.round(this.timeout / 1000)}s timeout`;
+      } else if (report.total === 0 && execution.code !== 0) {
+        // Runner crashed before producing any test results
+        report.error = this.summarizeOutput(execution.stderr || execution.stdout);
+      }
+
+      return report;
+    } finally {
+      await fs.unlink(outputFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Build the runner command line with a machine-readable reporter
+   */
+  buildCommand(runner, testFiles, outputFile) {
+    switch (runner) {
+    case 'jest':
+      return {
+        command: 'npx',
+        args: ['--no-install', 'jest', '--ci', '--json', `--outputFile=${outputFile}`, '--runTestsByPath', ...testFiles]
+      };
+    case 'vitest':
+      return {
+        command: 'npx',
+        args: ['--no-install', 'vitest', 'run', '--reporter=json', `--outputFile=${outputFile}`, ...testFiles]
+      };
+    case 'mocha':
+      return {
+        command: 'npx',
+        args: ['--no-install', 'mocha', '--reporter', 'json', '--reporter-option', `output=${outputFile}`, ...testFiles]
+      };
+    case 'node':
+      return {
+        command: process.execPath,
+        args: ['--test', '--test-reporter=tap', ...testFiles]
+      };
+    default:
+      throw new Error(`Unsupported test runner: ${runner}`);
+    }
+  }
+
+  /**
+   * Spawn the runner and collect its output
+   */
+  spawnRunner(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        cwd: this.projectRoot,
+        env: { ...process.env, CI: 'true', FORCE_COLOR: '0' },
+        shell: process.platform === 'win32'
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, this.timeout);
+
+      child.stdout.on('data', data => { stdout += data.toString(); });
+      child.stderr.on('data', data => { stderr += data.toString(); });
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', code => {
+        clearTimeout(timer);
+        resolve({ code, stdout, stderr, timedOut });
+      });
+    });
+  }
+
+  /**
+   * Read the runner report from its output file or stdout
+   */
+  async readReport(runner, execution, outputFile) {
+    if (runner === 'node') {
+      return this.parseTapOutput(execution.stdout);
+    }
+
+    let raw = null;
+    try {
+      raw = await fs.readFile(outputFile, 'utf8');
+    } catch {
+      // Older reporters ignore the output file option and print to stdout
+      raw = this.extractJson(execution.stdout);
+    }
+
+    if (!raw) {
+      return { total: 0, passed: 0, failed: 0, skipped: 0, files: [], failures: [] };
+    }
+
+    const report = JSON.parse(raw);
+    return runner === 'mocha' ? this.parseMochaReport(report) : this.parseJestReport(report);
+  }
+
+  /**
+   * Parse Jest/Vitest JSON report (both share the same shape)
+   */
+  parseJestReport(report) {
+    const files = [];
+    const failures = [];
+
+    for (const fileResult of report.testResults || []) {
+      const file = this.relativePath(fileResult.name);
+      const assertions = fileResult.assertionResults || [];
+      const suite = {
+        file,
+        total: assertions.length,
+        passed: assertions.filter(a => a.status === 'passed').length,
+        failed: assertions.filter(a => a.status === 'failed').length,
+        skipped: assertions.filter(a => ['pending', 'skipped', 'todo', 'disabled'].includes(a.status)).length,
+        duration: fileResult.endTime && fileResult.startTime ?
+          (fileResult.endTime - fileResult.startTime) / 1000 : 0
+      };
+
+      assertions.filter(a => a.status === 'failed').forEach(assertion => {
+        failures.push({
+          file,
+          test: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+          message: this.firstLine((assertion.failureMessages || []).join('\n')),
+          details: (assertion.failureMessages || []).join('\n')
+        });
+      });
+
+      // A file that fails to load reports no assertions but a failure message
+      if (assertions.length === 0 && fileResult.status === 'failed') {
+        suite.total = 1;
+        suite.failed = 1;
+        failures.push({
+          file,
+          test: '(suite failed to run)',
+          message: this.firstLine(fileResult.message || 'Test file failed to run'),
+          details: fileResult.message || ''
+        });
+      }
+
+      files.push(suite);
+    }
+
+    return this.summarizeFiles(files, failures);
+  }
+
+  /**
+   * Parse Mocha JSON reporter output
+   */
+  parseMochaReport(report) {
+    const byFile = new Map();
+    const suiteFor = file => {
+      const key = this.relativePath(file || 'unknown');
+      if (!byFile.has(key)) {
+        byFile.set(key, { file: key, total: 0, passed: 0, failed: 0, skipped: 0, duration: 0 });
+      }
+      return byFile.get(key);
+    };
+
+    (report.passes || []).forEach(test => {
+      const suite = suiteFor(test.file);
+      suite.total++;
+      suite.passed++;
+      suite.duration += (test.duration || 0) / 1000;
+    });
+
+    (report.pending || []).forEach(test => {
+      const suite = suiteFor(test.file);
+      suite.total++;
+      suite.skipped++;
+    });
+
+    const failures = (report.failures || []).map(test => {
+      const suite = suiteFor(test.file);
+      suite.total++;
+      suite.failed++;
+      suite.duration += (test.duration || 0) / 1000;
+      const err = test.err || {};
+      return {
+        file: suite.file,
+        test: test.fullTitle || test.title,
+        message: this.firstLine(err.message || 'Test failed'),
+        details: err.stack || err.message || ''
+      };
+    });
+
+    const summary = this.summarizeFiles([...byFile.values()], failures);
+    if (report.stats && report.stats.duration) {
+      summary.duration = report.stats.duration / 1000;
+    }
+    return summary;
+  }
+
+  /**
+   * Parse TAP output (node:test and other TAP producers)
+   */
+  parseTapOutput(output) {
+    const points = [];
+    const lines = output.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^(\s*)(not ok|ok)\b\s*\d*\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(SKIP|TODO)\b.*)?$/i);
+      if (!match) continue;
+
+      const point = {
+        indent: match[1].length,
+        ok: match[2] === 'ok',
+        name: match[3].trim(),
+        directive: match[4] ? match[4].toUpperCase() : null,
+        diagnostics: {}
+      };
+
+      // YAML diagnostics block directly following the test point
+      if (lines[i + 1] && lines[i + 1].trim() === '---') {
+        const block = [];
+        i += 2;
+        while (i < lines.length && lines[i].trim() !== '...') {
+          block.push(lines[i]);
+          i++;
+        }
+        point.diagnostics = this.parseTapDiagnostics(block);
+      }
+
+      points.push(point);
+    }
+
+    // Subtests are printed before their parent; parents are not counted as tests
+    const leaves = points.filter((point, index) => {
+      if (point.diagnostics.type === 'suite') return false;
+      const previous = points[index - 1];
+      return !previous || previous.indent <= point.indent;
+    });
+
+    const byFile = new Map();
+    const failures = [];
+
+    for (const point of leaves) {
+      const location = point.diagnostics.location || '';
+      const file = location ? this.relativePath(location.replace(/:\d+:\d+$/, '')) : 'node:test';
+      if (!byFile.has(file)) {
+        byFile.set(file, { file, total: 0, passed: 0, failed: 0, skipped: 0, duration: 0 });
+      }
+      const suite = byFile.get(file);
+      suite.total++;
+      suite.duration += (parseFloat(point.diagnostics.duration_ms) || 0) / 1000;
+
+      if (point.directive) {
+        suite.skipped++;
+      } else if (point.ok) {
+        suite.passed++;
+      } else {
+        suite.failed++;
+        failures.push({
+          file,
+          test: point.name,
+          message: this.firstLine(point.diagnostics.error || 'Test failed'),
+          details: point.diagnostics.stack || point.diagnostics.error || ''
+        });
+      }
+    }
+
+    return this.summarizeFiles([...byFile.values()], failures);
+  }
+
+  /**
+   * Parse the flat key/value subset of a TAP YAML diagnostics block
+   */
+  parseTapDiagnostics(block) {
+    const diagnostics = {};
+    let currentKey = null;
+
+    for (const line of block) {
+      const keyMatch = line.match(/^\s{2,4}(\w+):\s*(.*)$/);
+      if (keyMatch && line.search(/\S/) <= 4) {
+        currentKey = keyMatch[1];
+        diagnostics[currentKey] = keyMatch[2].replace(/^['"]|['"]$/g, '').replace(/^\|-?$/, '');
+      } else if (currentKey) {
+        diagnostics[currentKey] = `${diagnostics[currentKey]}\n${line.trim()}`.trim();
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Aggregate per-file results into suite totals
+   */
+  summarizeFiles(files, failures) {
+    return {
+      total: files.reduce((sum, f) => sum + f.total, 0),
+      passed: files.reduce((sum, f) => sum + f.passed, 0),
+      failed: files.reduce((sum, f) => sum + f.failed, 0),
+      skipped: files.reduce((sum, f) => sum + f.skipped, 0),
+      duration: Math.round(files.reduce((sum, f) => sum + f.duration, 0) * 100) / 100,
+      files,
+      failures
+    };
+  }
+
+  /**
+   * Extract a JSON document from noisy stdout
+   */
+  extractJson(output) {
+    const start = output.indexOf('{');
+    const end = output.lastIndexOf('}');
+    return start !== -1 && end > start ? output.slice(start, end + 1) : null;
+  }
+
+  relativePath(file) {
+    return path.isAbsolute(file) ? path.relative(this.projectRoot, file) : file;
+  }
+
+  firstLine(text) {
+    const line = String(text).split('\n').find(l => l.trim()) || '';
+    return line.trim().slice(0, 300);
+  }
+
+  summarizeOutput(output) {
+    const lines = String(output || '').trim().split('\n').filter(l => l.trim());
+    return lines.slice(-5).join('\n') || 'Test runner exited without results';
+  }
+}
+
+module.exports = TestRunner;
@@ -22,6 +22,7 @@ const BaseAgent = require('../base_agent');
 const CodeReviewer = require('./modules/code_reviewer');
 const TestManager = require('./modules/test_manager');
 const QualityAuditor = require('./modules/quality_auditor');
+const DiffReviewer = require('./modules/diff_reviewer');
 const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
@@ -47,6 +48,7 @@ class QAAgent extends BaseAgent {
     this.codeReviewer = null;
     this.testManager = null;
     this.qualityAuditor = null;
+    this.diffReviewer = null;
 
     // Agent state
     this.activeReviews = new Map();
@@ -72,6 +74,7 @@ class QAAgent extends BaseAgent {
       // Initialize core modules
       this.codeReviewer = new CodeReviewer(this);
       await this.codeReviewer.initialize();
+      this.diffReviewer = new DiffReviewer(this, this.codeReviewer);
 
       this.testManager = new TestManager(this);
       await this.testManager.initialize();
@@ -243,6 +246,10 @@ class QAAgent extends BaseAgent {
    * Perform comprehensive code review
    */
   async performCodeReview(task, analysis, context) {
+    if (context.range || context.staged) {
+      return await this.performDiffReview(task, analysis, context);
+    }
+
     console.log('🔍 Performing comprehensive code review...');
 
     const reviewResult = {
@@ -269,6 +276,30 @@ class QAAgent extends BaseAgent {
     return reviewResult;
   }
 
+  /**
+   * Review only the lines changed in a git range or the staged changes
+   */
+  async performDiffReview(task, analysis, context) {
+    console.log(`🔍 Performing diff review of ${context.staged ? 'staged changes' : context.range}...`);
+
+    const review = await this.diffReviewer.review({
+      range: context.range,
+      staged: context.staged,
+      includeBaselined: context.includeBaselined
+    });
+
+    return {
+      type: 'diff_review',
+      timestamp: review.timestamp,
+      range: review.range,
+      files_reviewed: review.files.map(entry => entry.file),
+      issues_found: review.findings,
+      baseline: review.baseline,
+      gate: this.diffReviewer.evaluate(review),
+      summary_markdown: this.diffReviewer.formatMarkdown(review)
+    };
+  }
+
   /**
    * Create comprehensive test plan
    */
@@ -384,7 +415,7 @@ class QAAgent extends BaseAgent {
 
     // Use modular test manager
     testResult.test_results = await this.testManager.executeTests(context.testSuite || 'all');
-    testResult.coverage = await this.testManager.collectCoverage();
+    testResult.coverage = await this.testManager.collectCoverage({ baseRef: context.baseRef });
     testResult.failures = await this.testManager.analyzeFailures(testResult.test_results);
 
     return testResult;
@@ -0,0 +1,298 @@
+/**
+ * Content Diff
+ *
+ * Line-level unified diffs (Myers) and key-level diffs of parsed JSON/YAML
+ * documents, used to show what changed between two versions of a file when
+ * git is not involved (e.g. environment snapshots).
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_CONTEXT = 3;
+// Beyond this many inserted + deleted lines a diff is reported as too large
+const DEFAULT_MAX_EDITS = 2000;
+const BINARY_SNIFF_BYTES = 8000;
+
+const STRUCTURED_EXTENSIONS = {
+  '.json': 'json',
+  '.yml': 'yaml',
+  '.yaml': 'yaml'
+};
+
+/**
+ * Buffers with a NUL byte near the start are treated as binary, like git does
+ */
+function isBinary(content) {
+  if (!Buffer.isBuffer(content)) return false;
+  return content.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+/**
+ * Lines with their terminators, so a missing final newline is a difference
+ */
+function splitLines(text) {
+  return text.length === 0 ? [] : text.match(/[^\n]*\n|[^\n]+$/g);
+}
+
+/**
+ * Edit script turning `before` into `after`
+ *
+ * @returns {Array|null} [{ op: ' ' | '-' | '+', line }], or null when more than
+ *   maxEdits lines differ
+ */
+function diffLines(before, after, options = {}) {
+  const maxEdits = options.maxEdits || DEFAULT_MAX_EDITS;
+
+  // Common prefix and suffix never take part in the search
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const a = before.slice(prefix, before.length - suffix);
+  const b = after.slice(prefix, after.length - suffix);
+  const middle = myers(a, b, maxEdits);
+  if (!middle) {
+    return null;
+  }
+
+  return [
+    ...before.slice(0, prefix).map(line => ({ op: ' ', line })),
+    ...middle,
+    ...before.slice(before.length - suffix).map(line => ({ op: ' ', line }))
+  ];
+}
+
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Furthest x per diagonal before this round, for diagonals -d..d
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d]) ? k + 1 : k - 1;
+    const prevX = v[prevK + d];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: ' ', line: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ op: '+', line: b[--y] });
+    } else {
+      ops.push({ op: '-', line: a[--x] });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ op: ' ', line: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Group an edit script into hunks with `context` unchanged lines around changes
+ */
+function buildHunks(ops, context = DEFAULT_CONTEXT) {
+  const changes = [];
+  ops.forEach((entry, i) => {
+    if (entry.op !== ' ') changes.push(i);
+  });
+
+  const ranges = [];
+  for (const i of changes) {
+    const last = ranges[ranges.length - 1];
+    if (last && i - last.end <= 2 * context) {
+      last.end = i;
+    } else {
+      ranges.push({ start: i, end: i });
+    }
+  }
+
+  // Line numbers (1-based) at each position of the script
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const entry of ops) {
+    positions.push({ oldLine, newLine });
+    if (entry.op !== '+') oldLine++;
+    if (entry.op !== '-') newLine++;
+  }
+
+  return ranges.map(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length, end + context + 1);
+    const lines = ops.slice(from, to);
+    const oldCount = lines.filter(entry => entry.op !== '+').length;
+    const newCount = lines.filter(entry => entry.op !== '-').length;
+
+    return {
+      // An empty side starts at the line before, as in `diff -u`
+      oldStart: oldCount === 0 ? positions[from].oldLine - 1 : positions[from].oldLine,
+      oldCount,
+      newStart: newCount === 0 ? positions[from].newLine - 1 : positions[from].newLine,
+      newCount,
+      lines
+    };
+  });
+}
+
+/**
+ * Unified diff of two versions of a text
+ *
+ * @param {string|null} before - Old contents, null when the file did not exist
+ * @param {string|null} after - New contents, null when the file was deleted
+ * @param {Object} options - { fromFile, toFile, context, maxEdits }
+ * @returns {Object} { text, hunks, additions, deletions, tooLarge }
+ */
+function unifiedDiff(before, after, options = {}) {
+  const fromFile = before === null ? '/dev/null' : (options.fromFile || 'a');
+  const toFile = after === null ? '/dev/null' : (options.toFile || 'b');
+  const ops = diffLines(splitLines(before || ''), splitLines(after || ''), options);
+
+  if (!ops) {
+    return { text: '', hunks: [], additions: 0, deletions: 0, tooLarge: true };
+  }
+
+  const hunks = buildHunks(ops, options.context ?? DEFAULT_CONTEXT);
+  const additions = ops.filter(entry => entry.op === '+').length;
+  const deletions = ops.filter(entry => entry.op === '-').length;
+  if (hunks.length === 0) {
+    return { text: '', hunks, additions, deletions, tooLarge: false };
+  }
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of hunks) {
+    out.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`);
+    for (const { op, line } of hunk.lines) {
+      out.push(`${op}${line.replace(/\n$/, '')}`);
+      if (!line.endsWith('\n')) out.push('\\ No newline at end of file');
+    }
+  }
+
+  return { text: `${out.join('\n')}\n`, hunks, additions, deletions, tooLarge: false };
+}
+
+function formatRange(start, count) {
+  return count === 1 ? String(start) : `${start},${count}`;
+}
+
+/**
+ * 'json' or 'yaml' for config files we can diff by key, else null
+ */
+function structuredFormat(file) {
+  return STRUCTURED_EXTENSIONS[path.extname(file).toLowerCase()] || null;
+}
+
+/**
+ * Parse JSON/YAML text; throws on invalid documents
+ */
+function parseStructured(format, text) {
+  return format === 'json' ? JSON.parse(text) : yaml.load(text);
+}
+
+/**
+ * Key-level differences between two parsed documents. Objects are walked
+ * key by key; arrays and scalars are compared as whole values.
+ *
+ * @returns {Array} [{ path, type: 'added' | 'removed' | 'changed', before, after }]
+ */
+function structuredDiff(before, after, keyPath = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const childPath = [...keyPath, key];
+      if (!Object.prototype.hasOwnProperty.call(after, key)) {
+        changes.push({ path: formatKeyPath(childPath), type: 'removed', before: before[key] });
+      } else if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        changes.push({ path: formatKeyPath(childPath), type: 'added', after: after[key] });
+      } else {
+        changes.push(...structuredDiff(before[key], after[key], childPath));
+      }
+    }
+    return changes;
+  }
+
+  if (deepEqual(before, after)) {
+    return [];
+  }
+  return [{ path: formatKeyPath(keyPath), type: 'changed', before, after }];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => key in b && deepEqual(a[key], b[key]));
+}
+
+/**
+ * dependencies.express, scripts["build:prod"]; '(root)' for the document itself
+ */
+function formatKeyPath(keyPath) {
+  if (keyPath.length === 0) return '(root)';
+  return keyPath.map((key, i) => {
+    if (/^[A-Za-z_$][\w$-]*$/.test(key)) return i === 0 ? key : `.${key}`;
+    return `[${JSON.stringify(key)}]`;
+  }).join('');
+}
+
+module.exports = {
+  isBinary,
+  splitLines,
+  diffLines,
+  buildHunks,
+  unifiedDiff,
+  structuredFormat,
+  parseStructured,
+  structuredDiff,
+  formatKeyPath,
+  DEFAULT_CONTEXT
+};
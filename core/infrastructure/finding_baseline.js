@@ -0,0 +1,226 @@
+/**
+ * Finding Baseline
+ *
+ * Separates new findings from known legacy ones so repeated runs only report
+ * what changed. Findings are matched by fingerprint (rule + file + normalized
+ * source line), which survives line shifts. Inline comments suppress
+ * individual findings:
+ *
+ *   // paired-ignore sql_injection: input is validated by the router
+ *   // paired-ignore-file magic-numbers: lookup tables
+ *
+ * A line comment covers its own line and the line below it.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { finalizeFindings } = require('./findings');
+
+const BASELINE_VERSION = 1;
+const SUPPRESSION_PATTERN = /paired-ignore(-file)?\s+([\w\-/*, ]+?)(?::\s*(.*?))?\s*(?:\*\/|-->)?\s*$/;
+
+class FindingBaseline {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot || process.cwd();
+    this.baselineFile = options.baselineFile ||
+      path.join(this.projectRoot, '.paired', 'findings_baseline.json');
+    this.fileCache = new Map();
+    this.sources = null;
+  }
+
+  /**
+   * Load the baseline file; a missing file is an empty baseline
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.baselineFile, 'utf8'));
+      return data && data.scopes ? data : this.emptyBaseline();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read findings baseline: ${error.message}`);
+      }
+      return this.emptyBaseline();
+    }
+  }
+
+  emptyBaseline() {
+    return { version: BASELINE_VERSION, scopes: {} };
+  }
+
+  /**
+   * Annotate items with fingerprint and baseline_status ('new', 'baselined' or
+   * 'suppressed') and return the ones to report. Suppressed items are never
+   * reported; baselined items only with `includeBaselined`.
+   *
+   * @param {Array} items - Module-specific finding objects
+   * @param {Function} toFinding - Converts an item to the common findings model
+   * @param {string} scope - Baseline section, e.g. 'leonardo/debt'
+   * @param {Object} [options] - `includeBaselined`; `sources` maps project-relative
+   *   files to the contents that were analyzed when they differ from disk
+   */
+  async filter(items, toFinding, scope, options = {}) {
+    this.fileCache.clear();
+    this.sources = options.sources || null;
+
+    const baseline = await this.load();
+    const remaining = new Map();
+    (baseline.scopes[scope]?.findings || []).forEach(entry => {
+      remaining.set(entry.fingerprint, entry.count || 1);
+    });
+
+    const summary = { total: items.length, new: 0, baselined: 0, suppressed: 0 };
+    const reported = [];
+
+    for (const item of items) {
+      const finding = this.toFinalFinding(item, toFinding);
+      item.fingerprint = finding ? finding.fingerprint : null;
+
+      const suppression = finding ? this.findSuppression(finding) : null;
+      if (suppression) {
+        item.baseline_status = 'suppressed';
+        item.suppression_reason = suppression.reason;
+        summary.suppressed++;
+        continue;
+      }
+
+      const known = item.fingerprint ? remaining.get(item.fingerprint) || 0 : 0;
+      if (known > 0) {
+        remaining.set(item.fingerprint, known - 1);
+        item.baseline_status = 'baselined';
+        summary.baselined++;
+        if (options.includeBaselined) {
+          reported.push(item);
+        }
+      } else {
+        item.baseline_status = 'new';
+        summary.new++;
+        reported.push(item);
+      }
+    }
+
+    return { items: reported, summary };
+  }
+
+  /**
+   * Replace a scope's baseline with the given items, skipping suppressed ones
+   * @returns {Object} { file, findings: baseline entries written }
+   */
+  async update(items, toFinding, scope) {
+    const counts = new Map();
+
+    this.fileCache.clear();
+    this.sources = null;
+    for (const item of items) {
+      const finding = this.toFinalFinding(item, toFinding);
+      if (!finding || this.findSuppression(finding)) continue;
+
+      const entry = counts.get(finding.fingerprint) || {
+        fingerprint: finding.fingerprint,
+        ruleId: finding.ruleId,
+        file: finding.file,
+        message: finding.message,
+        count: 0
+      };
+      entry.count++;
+      counts.set(finding.fingerprint, entry);
+    }
+
+    const entries = [...counts.values()].sort((a, b) =>
+      (a.file || '').localeCompare(b.file || '') || a.ruleId.localeCompare(b.ruleId));
+
+    const baseline = await this.load();
+    baseline.version = BASELINE_VERSION;
+    baseline.scopes[scope] = {
+      updated_at: new Date().toISOString(),
+      findings: entries
+    };
+
+    await fs.mkdir(path.dirname(this.baselineFile), { recursive: true });
+    await fs.writeFile(this.baselineFile, JSON.stringify(baseline, null, 2) + '\n');
+
+    return { file: this.baselineFile, findings: entries.length };
+  }
+
+  toFinalFinding(item, toFinding) {
+    const finding = toFinding(item);
+    return finding ? finalizeFindings([finding], this.projectRoot, this.sources)[0] : null;
+  }
+
+  /**
+   * Find a paired-ignore comment covering the finding
+   */
+  findSuppression(finding) {
+    if (!finding.file) return null;
+
+    const lines = this.readLines(finding.file);
+    if (!lines) return null;
+
+    // Line comments on the finding's line or the line above
+    if (finding.line) {
+      for (const index of [finding.line - 1, finding.line - 2]) {
+        const suppression = this.parseSuppression(lines[index]);
+        if (suppression && !suppression.fileLevel && this.matchesRule(suppression.rules, finding)) {
+          return suppression;
+        }
+      }
+    }
+
+    // File-level comments anywhere in the file
+    for (const line of lines) {
+      if (!line.includes('paired-ignore-file')) continue;
+      const suppression = this.parseSuppression(line);
+      if (suppression && suppression.fileLevel && this.matchesRule(suppression.rules, finding)) {
+        return suppression;
+      }
+    }
+
+    return null;
+  }
+
+  parseSuppression(line) {
+    if (!line || !line.includes('paired-ignore')) return null;
+
+    const match = line.match(SUPPRESSION_PATTERN);
+    if (!match) return null;
+
+    return {
+      fileLevel: Boolean(match[1]),
+      rules: match[2].split(',').map(rule => rule.trim()).filter(Boolean),
+      reason: match[3] ? match[3].trim() : null
+    };
+  }
+
+  /**
+   * Rules may be given as finding type (sql_injection), rule id
+   * (sherlock/sql-injection) or rule slug (sql-injection); '*' matches all
+   */
+  matchesRule(rules, finding) {
+    const slug = finding.ruleId.split('/').pop();
+    const type = String(finding.type || '').toLowerCase();
+
+    return rules.some(rule => {
+      const normalized = rule.toLowerCase();
+      return normalized === '*' ||
+        normalized === finding.ruleId ||
+        normalized === type ||
+        normalized.split('/').pop().replace(/_/g, '-') === slug;
+    });
+  }
+
+  readLines(file) {
+    if (this.sources && this.sources.has(file)) {
+      return this.sources.get(file).split('\n');
+    }
+    if (!this.fileCache.has(file)) {
+      try {
+        this.fileCache.set(file, fsSync.readFileSync(path.resolve(this.projectRoot, file), 'utf8').split('\n'));
+      } catch {
+        this.fileCache.set(file, null);
+      }
+    }
+    return this.fileCache.get(file);
+  }
+}
+
+module.exports = FindingBaseline;
@@ -0,0 +1,540 @@
+/**
+ * Findings Model
+ *
+ * Normalizes the issue shapes produced by Sherlock (CodeReviewer,
+ * QualityAuditor) and Leonardo (TechDebtTracker, PatternCatalog) into one
+ * finding format with stable rule ids, so results can be exported to SARIF,
+ * fingerprinted and compared between runs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Known rules. Ids are part of the public output (SARIF, baselines) and must
+ * not change once published; new finding types get a derived id instead.
+ */
+const RULES = {
+  // Sherlock - security
+  'sherlock/sql-injection': {
+    name: 'SqlInjection',
+    description: 'User-controlled data reaches a SQL query',
+    help: 'Use parameterized queries or ORM with proper escaping',
+    tags: ['security', 'CWE-89']
+  },
+  'sherlock/xss': {
+    name: 'CrossSiteScripting',
+    description: 'User-controlled data is written to HTML output',
+    help: 'Sanitize user input and use Content Security Policy',
+    tags: ['security', 'CWE-79']
+  },
+  'sherlock/hardcoded-secret': {
+    name: 'HardcodedSecret',
+    description: 'Secret value is hardcoded in source',
+    help: 'Move secrets to environment variables or secure vault',
+    tags: ['security', 'CWE-798']
+  },
+  'sherlock/command-injection': {
+    name: 'CommandInjection',
+    description: 'User-controlled data reaches a shell command',
+    help: 'Avoid shell execution with user input; use execFile/spawn with a fixed command and validated arguments',
+    tags: ['security', 'CWE-78']
+  },
+  'sherlock/code-injection': {
+    name: 'CodeInjection',
+    description: 'User-controlled data is evaluated as code',
+    help: 'Never evaluate user input as code; replace eval/Function/vm with explicit parsing',
+    tags: ['security', 'CWE-94']
+  },
+  'sherlock/path-traversal': {
+    name: 'PathTraversal',
+    description: 'User-controlled data is used as a file system path',
+    help: 'Resolve paths against a fixed base directory and reject inputs that escape it',
+    tags: ['security', 'CWE-22']
+  },
+  'sherlock/weak-crypto': {
+    name: 'WeakCrypto',
+    description: 'Weak cryptographic algorithm',
+    help: 'Use strong encryption algorithms and proper key management',
+    tags: ['security', 'CWE-327']
+  },
+  'sherlock/template-injection': {
+    name: 'TemplateInjection',
+    description: 'Template literal interpolation that may carry untrusted input',
+    help: 'Check that interpolated values are trusted or escaped for their destination',
+    tags: ['security']
+  },
+
+  // Sherlock - code quality
+  'sherlock/line-length': {
+    name: 'LineLength',
+    description: 'Line exceeds 120 characters',
+    help: 'Break long lines for better readability',
+    tags: ['maintainability']
+  },
+  'sherlock/todo': {
+    name: 'TodoComment',
+    description: 'TODO/FIXME comment',
+    help: 'Resolve the TODO or track it as an issue',
+    tags: ['maintainability']
+  },
+  'sherlock/debug-code': {
+    name: 'DebugCode',
+    description: 'Debug statement in production code',
+    help: 'Remove console.log or replace it with a proper logger',
+    tags: ['maintainability']
+  },
+  'sherlock/error-handling': {
+    name: 'MissingErrorHandling',
+    description: 'Risky operation without error handling',
+    help: 'Wrap the operation in try/catch and handle the failure',
+    tags: ['reliability']
+  },
+  'sherlock/file-access': {
+    name: 'FileAccess',
+    description: 'File could not be analyzed',
+    help: 'Check that the file exists and is readable',
+    tags: ['tooling']
+  },
+
+  // Sherlock - compliance
+  'sherlock/compliance-test-coverage': {
+    name: 'ComplianceTestCoverage',
+    description: 'Test coverage below threshold',
+    help: 'Add tests for untested code paths',
+    tags: ['compliance', 'testing']
+  },
+  'sherlock/compliance-code-complexity': {
+    name: 'ComplianceCodeComplexity',
+    description: 'Average complexity above threshold',
+    help: 'Refactor complex functions into smaller units',
+    tags: ['compliance', 'maintainability']
+  },
+  'sherlock/compliance-duplication': {
+    name: 'ComplianceDuplication',
+    description: 'Code duplication above threshold',
+    help: 'Extract duplicated code into shared utilities',
+    tags: ['compliance', 'maintainability']
+  },
+  'sherlock/compliance-security-score': {
+    name: 'ComplianceSecurityScore',
+    description: 'Security score below threshold',
+    help: 'Resolve the reported security findings',
+    tags: ['compliance', 'security']
+  },
+  'sherlock/compliance-performance-score': {
+    name: 'CompliancePerformanceScore',
+    description: 'Performance score below threshold',
+    help: 'Resolve the reported performance issues',
+    tags: ['compliance', 'performance']
+  },
+
+  // Leonardo - technical debt
+  'leonardo/long-method': {
+    name: 'LongMethod',
+    description: 'Method exceeds the recommended length',
+    help: 'Break down into smaller, focused methods',
+    tags: ['code_quality']
+  },
+  'leonardo/duplicate-code': {
+    name: 'DuplicateCode',
+    description: 'Duplicated code',
+    help: 'Extract common code into reusable functions',
+    tags: ['code_quality']
+  },
+  'leonardo/magic-numbers': {
+    name: 'MagicNumbers',
+    description: 'Unnamed numeric literals',
+    help: 'Replace magic numbers with named constants',
+    tags: ['code_quality']
+  },
+  'leonardo/high-cyclomatic-complexity': {
+    name: 'HighCyclomaticComplexity',
+    description: 'Estimated cyclomatic complexity is high',
+    help: 'Refactor complex methods, extract conditions into separate functions',
+    tags: ['code_quality']
+  },
+  'leonardo/circular-dependency': {
+    name: 'CircularDependency',
+    description: 'Modules import each other in a cycle',
+    help: 'Break the cycle by extracting shared code or inverting one of the dependencies',
+    tags: ['architecture']
+  },
+  'leonardo/layer-violation': {
+    name: 'LayerViolation',
+    description: 'Module imports a layer it may not depend on',
+    help: 'Route the dependency through an allowed layer, or update the layer rules',
+    tags: ['architecture']
+  },
+  'leonardo/insufficient-documentation': {
+    name: 'InsufficientDocumentation',
+    description: 'Documentation ratio below recommendation',
+    help: 'Add comprehensive documentation for key components',
+    tags: ['documentation']
+  },
+  'leonardo/insufficient-test-coverage': {
+    name: 'InsufficientTestCoverage',
+    description: 'Test file ratio below recommendation',
+    help: 'Add unit tests for untested modules',
+    tags: ['testing']
+  },
+  'leonardo/dependency-review-needed': {
+    name: 'DependencyReviewNeeded',
+    description: 'Dependencies need review',
+    help: 'Audit dependencies and update outdated packages',
+    tags: ['dependencies']
+  },
+
+  // Leonardo - patterns
+  'leonardo/mvc-violation': {
+    name: 'MvcViolation',
+    description: 'View layer accesses the data layer directly',
+    help: 'Move business logic to controller or model layer',
+    tags: ['architecture', 'patterns']
+  },
+  'leonardo/singleton-overuse': {
+    name: 'SingletonOveruse',
+    description: 'Many singletons in use',
+    help: 'Consider dependency injection or other patterns',
+    tags: ['architecture', 'patterns']
+  },
+  'leonardo/repository-pattern-violation': {
+    name: 'RepositoryPatternViolation',
+    description: 'Data access outside the repository layer',
+    help: 'Encapsulate data access within repository classes',
+    tags: ['architecture', 'patterns']
+  },
+  'leonardo/god-object': {
+    name: 'GodObject',
+    description: 'Large, monolithic class',
+    help: 'Break down large classes into smaller, focused components',
+    tags: ['architecture', 'patterns']
+  },
+  'leonardo/spaghetti-code': {
+    name: 'SpaghettiCode',
+    description: 'Tangled control flow',
+    help: 'Refactor to reduce complexity and improve readability',
+    tags: ['architecture', 'patterns']
+  }
+};
+
+// Finding types whose titles carry run-specific detail after a prefix
+const TITLE_PREFIXES = [
+  { prefix: 'Code Smell: ', strip: true },
+  { prefix: 'Layer Violation', rule: 'layer-violation' }
+];
+
+const SEVERITY_LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+  info: 'note'
+};
+
+const SEVERITY_SCORES = {
+  critical: 9.5,
+  high: 8.0,
+  medium: 5.5,
+  low: 2.0,
+  info: 0.0
+};
+
+/**
+ * Turn a finding type ("sql_injection", "MVC Violation") into a rule id slug
+ */
+function slugify(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+/**
+ * Stable rule id for a tool's finding type or debt title
+ */
+function ruleIdFor(tool, type) {
+  let key = String(type || 'unknown');
+
+  for (const entry of TITLE_PREFIXES) {
+    if (key.startsWith(entry.prefix)) {
+      if (entry.rule) return `${tool}/${entry.rule}`;
+      key = key.slice(entry.prefix.length);
+    }
+  }
+
+  return `${tool}/${slugify(key)}`;
+}
+
+/**
+ * Rule metadata, derived for ids outside the catalog
+ */
+function getRule(ruleId) {
+  if (RULES[ruleId]) {
+    return { id: ruleId, ...RULES[ruleId] };
+  }
+
+  const slug = ruleId.split('/').pop();
+  return {
+    id: ruleId,
+    name: slug.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(''),
+    description: slug.replace(/-/g, ' '),
+    help: 'Review this finding',
+    tags: []
+  };
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || 'medium').toLowerCase();
+  return SEVERITY_LEVELS[value] ? value : 'medium';
+}
+
+/**
+ * Split "file:line" or "Line 12" locations into their parts
+ */
+function parseLocation(location) {
+  if (!location || typeof location !== 'string') return {};
+
+  const first = location.split(',')[0].trim();
+  const fileMatch = first.match(/^(.+?):(\d+)$/);
+  if (fileMatch) {
+    return { file: fileMatch[1], line: parseInt(fileMatch[2], 10) };
+  }
+
+  const lineMatch = first.match(/^Line (\d+)$/i);
+  if (lineMatch) {
+    return { line: parseInt(lineMatch[1], 10) };
+  }
+
+  return {};
+}
+
+/**
+ * Build a finding in the common shape
+ */
+function createFinding(fields) {
+  const severity = normalizeSeverity(fields.severity);
+  const rule = getRule(fields.ruleId);
+
+  return {
+    ruleId: fields.ruleId,
+    tool: fields.tool,
+    type: fields.type,
+    category: fields.category || null,
+    severity,
+    level: SEVERITY_LEVELS[severity],
+    message: fields.message || rule.description,
+    file: fields.file || null,
+    line: fields.line || null,
+    column: fields.column || null,
+    remediation: fields.remediation || rule.help,
+    codeFlow: fields.codeFlow || null,
+    snippet: fields.snippet || null,
+    fingerprint: null,
+    baselineStatus: fields.baselineStatus || null
+  };
+}
+
+/**
+ * CodeReviewer quality issue ({type, severity, description, file, line})
+ */
+function fromCodeIssue(issue, file = null) {
+  return createFinding({
+    ruleId: ruleIdFor('sherlock', issue.type),
+    tool: 'sherlock',
+    type: issue.type,
+    category: 'code_quality',
+    severity: issue.severity,
+    message: issue.description,
+    file: issue.file || file,
+    line: issue.line,
+    baselineStatus: issue.baseline_status
+  });
+}
+
+/**
+ * CodeReviewer/SecurityScanner vulnerability, including taint paths
+ */
+function fromVulnerability(vuln) {
+  const steps = vuln.path || [];
+
+  return createFinding({
+    ruleId: ruleIdFor('sherlock', vuln.type),
+    tool: 'sherlock',
+    type: vuln.type,
+    category: 'security',
+    severity: vuln.severity,
+    message: vuln.description,
+    file: vuln.file,
+    line: vuln.line,
+    column: vuln.column,
+    codeFlow: steps.length > 0 ?
+      steps.map(step => ({ file: vuln.file, line: step.line, expression: step.expression })) :
+      null,
+    baselineStatus: vuln.baseline_status
+  });
+}
+
+/**
+ * QualityAuditor code security issue ({type, file, severity, description, count, line})
+ */
+function fromAuditIssue(issue) {
+  return createFinding({
+    ruleId: ruleIdFor('sherlock', issue.type || issue.description),
+    tool: 'sherlock',
+    type: issue.type || 'audit',
+    category: 'security',
+    severity: issue.severity,
+    message: issue.count > 1 ? `${issue.description} (${issue.count} occurrences)` : issue.description,
+    file: issue.file,
+    line: issue.line,
+    baselineStatus: issue.baseline_status
+  });
+}
+
+/**
+ * Failed QualityAuditor compliance rule; passing rules produce no finding
+ */
+function fromComplianceResult(result) {
+  if (result.passed) return null;
+
+  return createFinding({
+    ruleId: ruleIdFor('sherlock', `compliance_${result.rule_id}`),
+    tool: 'sherlock',
+    type: `compliance_${result.rule_id}`,
+    category: 'compliance',
+    severity: result.severity,
+    message: `${result.rule_name}: ${result.actual_value} does not meet threshold ${result.threshold}`,
+    baselineStatus: result.baseline_status
+  });
+}
+
+/**
+ * TechDebtTracker debt item
+ */
+function fromDebtItem(item, file = null) {
+  const location = parseLocation(item.location);
+
+  return createFinding({
+    ruleId: ruleIdFor('leonardo', item.title),
+    tool: 'leonardo',
+    type: item.title,
+    category: item.category,
+    severity: item.severity,
+    message: item.description,
+    file: item.file || location.file || file,
+    line: location.line,
+    remediation: item.remediation,
+    codeFlow: item.chain && item.chain.length > 1 ?
+      item.chain.map(module => ({ file: module, line: 1, expression: module })) :
+      null,
+    baselineStatus: item.baseline_status
+  });
+}
+
+/**
+ * PatternCatalog violation or anti-pattern
+ */
+function fromPatternViolation(violation) {
+  const location = parseLocation(violation.location);
+
+  return createFinding({
+    ruleId: ruleIdFor('leonardo', violation.type),
+    tool: 'leonardo',
+    type: violation.type,
+    category: 'patterns',
+    severity: violation.severity,
+    message: violation.description,
+    file: location.file || (violation.files && violation.files.length === 1 ? violation.files[0] : null),
+    line: location.line,
+    remediation: violation.recommendation,
+    baselineStatus: violation.baseline_status
+  });
+}
+
+/**
+ * Collapse whitespace so fingerprints survive reindentation
+ */
+function normalizeSnippet(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fingerprint from rule + file + normalized source line (or message when
+ * there is no source line), so it does not depend on line numbers
+ */
+function fingerprint(finding) {
+  const content = finding.snippet ?
+    normalizeSnippet(finding.snippet) :
+    normalizeSnippet(finding.message).replace(/\d+(\.\d+)?/g, '#');
+
+  return crypto.createHash('sha256')
+    .update([finding.ruleId, finding.file || '', content].join('\0'))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Make file paths project-relative, attach source snippets and fingerprints
+ *
+ * @param {Map<string, string>} [sources] - Project-relative file contents to use
+ *   instead of the working tree, e.g. staged versions
+ */
+function finalizeFindings(findings, projectRoot, sources = null) {
+  const root = projectRoot || process.cwd();
+  const fileCache = new Map();
+
+  const readLines = (file) => {
+    if (sources && sources.has(file)) {
+      return sources.get(file).split('\n');
+    }
+    if (!fileCache.has(file)) {
+      try {
+        fileCache.set(file, fs.readFileSync(path.resolve(root, file), 'utf8').split('\n'));
+      } catch {
+        fileCache.set(file, null);
+      }
+    }
+    return fileCache.get(file);
+  };
+
+  return findings.filter(Boolean).map(finding => {
+    const result = { ...finding };
+
+    if (result.file) {
+      const relative = path.isAbsolute(result.file) ? path.relative(root, result.file) : result.file;
+      result.file = relative.split(path.sep).join('/').replace(/^\.\//, '');
+    }
+
+    if (result.file && result.line && !result.snippet) {
+      const lines = readLines(result.file);
+      if (lines && lines[result.line - 1] !== undefined) {
+        result.snippet = lines[result.line - 1];
+      }
+    }
+
+    result.fingerprint = fingerprint(result);
+    return result;
+  });
+}
+
+module.exports = {
+  RULES,
+  SEVERITY_LEVELS,
+  SEVERITY_SCORES,
+  ruleIdFor,
+  getRule,
+  parseLocation,
+  createFinding,
+  fromCodeIssue,
+  fromVulnerability,
+  fromAuditIssue,
+  fromComplianceResult,
+  fromDebtItem,
+  fromPatternViolation,
+  normalizeSnippet,
+  fingerprint,
+  finalizeFindings
+};
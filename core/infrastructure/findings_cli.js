@@ -0,0 +1,41 @@
+/**
+ * Findings CLI Options
+ *
+ * Command-line flags shared by the tools that report findings (Sherlock's
+ * review, Leonardo's debt and patterns): target paths, SARIF output and the
+ * baseline switches.
+ */
+
+/**
+ * Parse a findings command's arguments. Arguments not starting with '-' are
+ * targets; unknown flags are ignored.
+ *
+ * @param {string[]} args
+ * @param {Object} extra - Tool-specific options: `values` ({ '--markdown': 'markdown' })
+ *   take the next argument, `flags` ({ '--staged': 'staged' }) are switches
+ * @returns {Object} { targets, sarif, includeBaselined, updateBaseline, ...extra options }
+ */
+function parseFindingArgs(args, extra = {}) {
+  const values = { '--sarif': 'sarif', ...extra.values };
+  const flags = { '--include-baselined': 'includeBaselined', '--update-baseline': 'updateBaseline', ...extra.flags };
+
+  const options = { targets: [] };
+  Object.values(values).forEach(key => { options[key] = null; });
+  Object.values(flags).forEach(key => { options[key] = false; });
+
+  for (let i = 0; i < args.length; i++) {
+    if (Object.prototype.hasOwnProperty.call(values, args[i])) {
+      options[values[args[i]]] = args[++i];
+    } else if (Object.prototype.hasOwnProperty.call(flags, args[i])) {
+      options[flags[args[i]]] = true;
+    } else if (!args[i].startsWith('-')) {
+      options.targets.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+module.exports = {
+  parseFindingArgs
+};
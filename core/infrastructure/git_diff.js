@@ -0,0 +1,124 @@
+/**
+ * Git Diff
+ *
+ * Changed-line lookup shared by diff-aware review and changed-lines coverage.
+ * Paths are relative to the given project root (`git diff --relative`), so a
+ * subdirectory of a repository works as a project root.
+ */
+
+const { execFileSync } = require('child_process');
+
+function runGit(projectRoot, args) {
+  return execFileSync('git', args, {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Added/modified line numbers per file from a zero-context unified diff;
+ * deleted files are left out
+ */
+function parseUnifiedDiff(diff) {
+  const changed = new Map();
+  let file = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (file && !changed.has(file)) changed.set(file, []);
+      continue;
+    }
+
+    const hunk = file && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = parseInt(hunk[1], 10);
+      const count = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      for (let offset = 0; offset < count; offset++) {
+        changed.get(file).push(start + offset);
+      }
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Split a revision range into its base and target; `main` alone compares
+ * against the working tree, `main...HEAD` uses the merge base like a pull
+ * request does
+ */
+function parseRange(range) {
+  const match = range.match(/^(.*?)(\.\.\.?)(.*)$/);
+  if (!match) {
+    return { base: range, target: null, mergeBase: false };
+  }
+
+  return {
+    base: match[1] || 'HEAD',
+    target: match[3] || 'HEAD',
+    mergeBase: match[2] === '...'
+  };
+}
+
+/**
+ * Changed lines for a revision range, the staged changes, or (by default) all
+ * uncommitted changes
+ *
+ * @param {string} projectRoot
+ * @param {Object} [options]
+ * @param {string} [options.range] - e.g. `origin/main...HEAD`, `HEAD~3..HEAD` or `main`
+ * @param {boolean} [options.staged] - Compare the index with HEAD
+ * @returns {{files: Map<string, number[]>, target: string|null, description: string}}
+ *   `target` is the revision holding the new file contents: ':' for the
+ *   index, a commit-ish, or null for the working tree
+ */
+function getChangedLines(projectRoot, options = {}) {
+  const args = ['diff', '--relative', '--unified=0', '--no-color', '--no-ext-diff'];
+  let target = null;
+  let description;
+
+  if (options.staged) {
+    args.push('--cached');
+    target = ':';
+    description = 'staged changes';
+  } else if (options.range) {
+    const range = parseRange(options.range);
+    const base = range.mergeBase ?
+      runGit(projectRoot, ['merge-base', range.base, range.target]).trim() :
+      range.base;
+    args.push(base);
+    if (range.target) {
+      args.push(range.target);
+      target = range.target;
+    }
+    description = options.range;
+  } else {
+    args.push('HEAD');
+    description = 'uncommitted changes';
+  }
+
+  args.push('--');
+  return { files: parseUnifiedDiff(runGit(projectRoot, args)), target, description };
+}
+
+/**
+ * File contents at a revision from getChangedLines(); null target reads
+ * nothing so callers fall back to the working tree
+ */
+function readRevisionFile(projectRoot, target, file) {
+  if (!target) return null;
+  const spec = target === ':' ? `:./${file}` : `${target}:./${file}`;
+  return runGit(projectRoot, ['show', spec]);
+}
+
+module.exports = {
+  runGit,
+  parseUnifiedDiff,
+  parseRange,
+  getChangedLines,
+  readRevisionFile
+};
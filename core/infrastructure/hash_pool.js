@@ -0,0 +1,120 @@
+/**
+ * Hash Pool
+ *
+ * SHA-256 of files computed in a bounded pool of worker threads, so reading
+ * and hashing large trees does not block the main thread and uses more than
+ * one core. Workers start on demand, up to the pool size, and exit when the
+ * pool is closed.
+ *
+ * This file is also the worker script.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+class HashPool {
+  /**
+   * @param {Object} options - { size: maximum number of workers }
+   */
+  constructor(options = {}) {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    this.size = Math.max(1, Math.min(options.size || cores, cores));
+    this.idle = [];
+    this.workers = new Set();
+    this.queue = [];
+    this.tasks = new Map(); // worker -> task in progress
+    this.nextId = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Hash a file
+   * @param {string} file - Absolute path
+   * @param {Object} options - { withContent: also return the bytes that were hashed }
+   * @returns {Promise<Object>} { hash, size, content? }
+   */
+  hashFile(file, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Hash pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, file, withContent: Boolean(options.withContent), resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || (this.workers.size < this.size ? this.spawn() : null);
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      this.tasks.set(worker, task);
+      worker.postMessage({ id: task.id, file: task.file, withContent: task.withContent });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(__filename);
+    this.workers.add(worker);
+
+    worker.on('message', (message) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      this.idle.push(worker);
+
+      if (message.error) {
+        const error = new Error(message.error);
+        error.code = message.code;
+        task.reject(error);
+      } else {
+        task.resolve({
+          hash: message.hash,
+          size: message.size,
+          content: message.content ? Buffer.from(message.content.buffer, message.content.byteOffset, message.content.byteLength) : undefined
+        });
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task; the next dispatch starts a replacement
+    worker.on('error', (error) => {
+      const task = this.tasks.get(worker);
+      this.tasks.delete(worker);
+      this.workers.delete(worker);
+      this.idle = this.idle.filter(idle => idle !== worker);
+      if (task) task.reject(error);
+      this.dispatch();
+    });
+
+    return worker;
+  }
+
+  /**
+   * Stop all workers; queued hashes are rejected
+   */
+  async close() {
+    this.closed = true;
+    this.queue.splice(0).forEach(task => task.reject(new Error('Hash pool is closed')));
+    await Promise.all(Array.from(this.workers).map(worker => worker.terminate()));
+    this.workers.clear();
+    this.idle = [];
+  }
+}
+
+if (!isMainThread && parentPort) {
+  parentPort.on('message', ({ id, file, withContent }) => {
+    try {
+      const content = fs.readFileSync(file);
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      parentPort.postMessage({ id, hash, size: content.length, content: withContent ? content : null });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message, code: error.code });
+    }
+  });
+}
+
+module.exports = HashPool;
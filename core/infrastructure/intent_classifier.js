@@ -0,0 +1,445 @@
+/**
+ * Intent Classifier for PAIRED Agent Routing
+ *
+ * Decides which agent a request is for. The bridge, Alex's team coordination
+ * and the Windsurf interceptor all route through this module so they agree.
+ *
+ * Classification is local and offline: a multinomial naive Bayes model
+ * trained on the labeled examples in intent_examples.json plus delegation
+ * feedback recorded at runtime (appended to ~/.paired/routing/feedback.jsonl
+ * and replayed on startup, the most recent MAX_FEEDBACK_ENTRIES of them). An
+ * agent addressed by name or role ("sherlock", "@edison", "the architect")
+ * always wins; when several are, the first in the message does. Requests for
+ * the whole team ("can the team look at this") go to Alex, who coordinates,
+ * however confident the model is about a specialist. When the model
+ * is not confident, domain keywords decide before the request falls back to
+ * Alex. Every result carries per-agent confidence scores and an explanation of
+ * why the agent was chosen.
+ *
+ * Agent plugins (core/agents/agent_plugins.js) join the label set with the
+ * mentions, keywords and examples from their manifest's `triggers`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getAgentPluginRegistry } = require('../agents/agent_plugins');
+
+const AGENTS = ['alex', 'sherlock', 'leonardo', 'edison', 'maya', 'vince', 'marie'];
+const DEFAULT_AGENT = 'alex';
+
+// Below this confidence a request stays with Alex
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+const EXAMPLES_FILE = path.join(__dirname, 'intent_examples.json');
+const FEEDBACK_FILE = path.join(os.homedir(), '.paired', 'routing', 'feedback.jsonl');
+// Older feedback is dropped once the file holds twice this many entries
+const MAX_FEEDBACK_ENTRIES = 5000;
+
+// Whole-word names and roles that address an agent directly. Aliases this
+// short are ordinary words too ("3 pm"), so they only count in an address:
+// "@pm", "pm, ...", "ask the pm"
+const SHORT_ALIAS_LENGTH = 3;
+const AGENT_MENTIONS = {
+  alex: ['alex', 'pm', 'project manager', 'supreme commander'],
+  sherlock: ['sherlock', 'qa', 'detective'],
+  leonardo: ['leonardo', 'architect'],
+  edison: ['edison', 'developer', 'dev agent'],
+  maya: ['maya', 'ux designer', 'ux expert'],
+  vince: ['vince', 'scrum master', 'agile coach'],
+  marie: ['marie', 'analyst', 'data scientist']
+};
+
+// Domain words deciding between agents when the model is not confident
+const AGENT_KEYWORDS = {
+  sherlock: ['review', 'test', 'quality', 'bug', 'issue', 'coverage'],
+  leonardo: ['architecture', 'design', 'pattern', 'structure'],
+  edison: ['code', 'implement', 'debug', 'fix', 'develop', 'endpoint', 'api'],
+  maya: ['ux', 'ui', 'user', 'interface', 'experience', 'usability', 'accessibility'],
+  vince: ['sprint', 'scrum', 'process', 'ceremony', 'standup', 'retrospective'],
+  marie: ['data', 'analyze', 'research', 'metric', 'insight', 'statistic']
+};
+
+// Requests for the whole team go to Alex for coordination
+const TEAM_REFERENCES = ['team', 'agents', 'paired team', 'my team', 'everyone', 'all of you'];
+
+// Conversation openers are Alex's to answer
+const GREETING_PATTERN = /^\s*(hi|hello|hey|greetings|good (morning|afternoon|evening))\b/i;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'should',
+  'so', 'that', 'the', 'this', 'these', 'to', 'us', 'we', 'what', 'which', 'why', 'will', 'with',
+  'would', 'you', 'your'
+]);
+
+/**
+ * Lowercased word tokens without stop words; plural 's' is stripped so
+ * "tests" and "test" count as one term
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordPattern(phrases) {
+  return new RegExp(`(^|[^a-z0-9])@?(${phrases.map(escapeRegExp).join('|')})(?![a-z0-9])`, 'i');
+}
+
+function addressPattern(aliases) {
+  return new RegExp(`(^\\s*|(?:^|[^a-z0-9])@|\\b(?:hey|hi|hello|ask|tell|dear|the|our|my)\\s+)(${aliases.map(escapeRegExp).join('|')})(?![a-z0-9])`, 'i');
+}
+
+/**
+ * Patterns finding where a phrase addresses the agent; group 2 is the phrase
+ */
+function mentionPatterns(phrases) {
+  const short = phrases.filter(phrase => phrase.length <= SHORT_ALIAS_LENGTH);
+  const long = phrases.filter(phrase => phrase.length > SHORT_ALIAS_LENGTH);
+  return [
+    ...(long.length > 0 ? [wordPattern(long)] : []),
+    ...(short.length > 0 ? [addressPattern(short)] : [])
+  ];
+}
+
+const TEAM_PATTERN = wordPattern(TEAM_REFERENCES);
+
+function readFeedbackLines(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+}
+
+class IntentClassifier {
+  /**
+   * @param {Object} options - `examples` ({agent: [text]}), `examplesFile`,
+   *   `feedbackFile` (null disables persistence), `minConfidence`, `plugins`
+   *   (AgentPlugin instances to route to as well)
+   */
+  constructor(options = {}) {
+    const plugins = options.plugins || [];
+    this.agents = [...(options.agents || AGENTS), ...plugins.map(plugin => plugin.id)];
+    this.minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+    this.feedbackFile = options.feedbackFile === undefined ? FEEDBACK_FILE : options.feedbackFile;
+
+    // agent -> { docs, tokens, terms: Map(term -> count) }
+    this.model = new Map(this.agents.map(agent => [agent, { docs: 0, tokens: 0, terms: new Map() }]));
+    this.vocabulary = new Set();
+    this.totalDocs = 0;
+    this.feedbackCount = 0;
+    this.feedbackLines = 0; // lines in the feedback file, for compaction
+
+    const mentions = { ...AGENT_MENTIONS };
+    plugins.forEach(plugin => { mentions[plugin.id] = plugin.mentions(); });
+    this.mentionPatterns = Object.entries(mentions)
+      .flatMap(([agent, phrases]) => mentionPatterns(phrases).map(pattern => ({ agent, pattern })));
+
+    // agent -> Set of keyword tokens
+    this.keywords = new Map(Object.entries(AGENT_KEYWORDS)
+      .filter(([agent]) => this.model.has(agent))
+      .map(([agent, words]) => [agent, new Set(words.flatMap(tokenize))]));
+    plugins.forEach(plugin => this.keywords.set(plugin.id, new Set(((plugin.triggers && plugin.triggers.keywords) || []).flatMap(tokenize))));
+
+    const examples = options.examples || JSON.parse(fs.readFileSync(options.examplesFile || EXAMPLES_FILE, 'utf8'));
+    this.train(examples);
+    plugins.forEach(plugin => this.train({ [plugin.id]: plugin.trainingExamples() }));
+    this.loadFeedback();
+  }
+
+  /**
+   * Add labeled examples: { agent: ['example text', ...] }
+   */
+  train(examples) {
+    for (const [agent, texts] of Object.entries(examples)) {
+      texts.forEach(text => this.learn(text, agent));
+    }
+  }
+
+  /**
+   * Count one labeled example towards `agent`
+   */
+  learn(text, agent, weight = 1) {
+    const stats = this.model.get(agent);
+    const tokens = tokenize(text);
+    if (!stats || tokens.length === 0) return false;
+
+    stats.docs += weight;
+    this.totalDocs += weight;
+    for (const token of tokens) {
+      stats.terms.set(token, (stats.terms.get(token) || 0) + weight);
+      stats.tokens += weight;
+      this.vocabulary.add(token);
+    }
+    return true;
+  }
+
+  /**
+   * Classify a request. `method` says how the agent was chosen: 'mention',
+   * 'classifier', 'keyword', or for Alex 'team', 'greeting', 'low_confidence',
+   * 'default'.
+   *
+   * @returns {{agent: string, confidence: number, method: string,
+   *   scores: Array<{agent: string, confidence: number}>,
+   *   explanation: {reason: string, terms: Array<{term: string, weight: number}>, mention?: string}}}
+   */
+  classify(text) {
+    const message = String(text || '');
+
+    const mention = this.findMention(message);
+    if (mention) {
+      const phrase = mention.phrase;
+      return this.result(mention.agent, 1, 'mention', this.uniformScores(mention.agent), {
+        reason: `${mention.agent} was addressed directly ("${phrase}")`,
+        mention: phrase,
+        terms: []
+      });
+    }
+
+    const tokens = tokenize(message).filter(token => this.vocabulary.has(token));
+    const scores = tokens.length > 0 ? this.posteriors(tokens) : this.uniformScores();
+    const best = scores[0];
+    const terms = tokens.length > 0 ? this.explainTerms(tokens, best.agent) : [];
+
+    if (TEAM_PATTERN.test(message)) {
+      return this.result(DEFAULT_AGENT, 1, 'team', scores, {
+        reason: 'request is for the whole team, so Alex coordinates',
+        terms
+      });
+    }
+
+    if (tokens.length === 0 || best.confidence < this.minConfidence) {
+      if (GREETING_PATTERN.test(message)) {
+        return this.result(DEFAULT_AGENT, 1, 'greeting', scores, {
+          reason: 'greetings go to Alex',
+          terms
+        });
+      }
+      const keyword = this.matchKeywords(message, scores);
+      if (keyword) {
+        const score = scores.find(entry => entry.agent === keyword.agent);
+        return this.result(keyword.agent, score.confidence, 'keyword', scores, {
+          reason: `${keyword.words.map(word => `"${word}"`).join(', ')} ${keyword.words.length === 1 ? 'is a' : 'are'} ${keyword.agent} keyword${keyword.words.length === 1 ? '' : 's'} ` +
+            `(classifier only ${Math.round(best.confidence * 100)}% confident)`,
+          terms
+        });
+      }
+      return this.result(DEFAULT_AGENT, tokens.length > 0 ? best.confidence : 0, tokens.length > 0 ? 'low_confidence' : 'default', scores, {
+        reason: tokens.length > 0
+          ? `best match ${best.agent} is only ${Math.round(best.confidence * 100)}% confident; Alex handles it`
+          : 'no known terms; Alex handles it',
+        terms
+      });
+    }
+
+    return this.result(best.agent, best.confidence, 'classifier', scores, {
+      reason: terms.length > 0
+        ? `${terms.map(term => `"${term.term}"`).join(', ')} ${terms.length === 1 ? 'is' : 'are'} typical of ${best.agent} requests`
+        : `closest to ${best.agent} examples`,
+      terms
+    });
+  }
+
+  /**
+   * The agent addressed first in the message, if any
+   * @returns {{agent: string, phrase: string, index: number}|null}
+   */
+  findMention(message) {
+    let first = null;
+    for (const { agent, pattern } of this.mentionPatterns) {
+      const match = pattern.exec(message);
+      if (!match) continue;
+
+      const index = match.index + match[1].length;
+      if (!first || index < first.index) {
+        first = { agent, phrase: match[2], index };
+      }
+    }
+    return first;
+  }
+
+  /**
+   * Agent with the most keywords in the message; ties go to the agent the
+   * model ranks higher
+   * @returns {{agent: string, words: string[]}|null}
+   */
+  matchKeywords(message, scores) {
+    const tokens = new Set(tokenize(message));
+    let best = null;
+    for (const { agent } of scores) {
+      const words = Array.from(this.keywords.get(agent) || []).filter(word => tokens.has(word));
+      if (words.length > 0 && (!best || words.length > best.words.length)) {
+        best = { agent, words };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether a classify() result shows the message is addressed to the agents
+   * at all: a direct mention, a team reference, a greeting, or a confident
+   * classification
+   */
+  isAgentRequest(routing, threshold = 0.6) {
+    return ['mention', 'team', 'greeting'].includes(routing.method) ||
+      (routing.method === 'classifier' && routing.confidence >= threshold);
+  }
+
+  /**
+   * Confidence per agent, highest first
+   */
+  posteriors(tokens) {
+    const vocabularySize = this.vocabulary.size;
+    const logScores = this.agents.map(agent => {
+      const stats = this.model.get(agent);
+      // Laplace smoothing on priors and term likelihoods
+      let score = Math.log((stats.docs + 1) / (this.totalDocs + this.agents.length));
+      for (const token of tokens) {
+        score += Math.log(((stats.terms.get(token) || 0) + 1) / (stats.tokens + vocabularySize));
+      }
+      return { agent, score };
+    });
+
+    const max = Math.max(...logScores.map(entry => entry.score));
+    const total = logScores.reduce((sum, entry) => sum + Math.exp(entry.score - max), 0);
+    return logScores
+      .map(({ agent, score }) => ({ agent, confidence: Math.exp(score - max) / total }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Terms that pushed the decision towards `agent`, strongest first
+   */
+  explainTerms(tokens, agent, limit = 3) {
+    const vocabularySize = this.vocabulary.size;
+    const likelihood = (name, token) => {
+      const stats = this.model.get(name);
+      return ((stats.terms.get(token) || 0) + 1) / (stats.tokens + vocabularySize);
+    };
+
+    return Array.from(new Set(tokens))
+      .map(token => {
+        const others = this.agents.filter(name => name !== agent);
+        const otherAverage = others.reduce((sum, name) => sum + likelihood(name, token), 0) / others.length;
+        return { term: token, weight: Number(Math.log(likelihood(agent, token) / otherAverage).toFixed(2)) };
+      })
+      .filter(term => term.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, limit);
+  }
+
+  uniformScores(winner = null) {
+    return this.agents.map(agent => ({
+      agent,
+      confidence: winner ? (agent === winner ? 1 : 0) : Number((1 / this.agents.length).toFixed(3))
+    }));
+  }
+
+  result(agent, confidence, method, scores, explanation) {
+    return {
+      agent,
+      confidence: Number(confidence.toFixed(3)),
+      method,
+      scores: scores.map(score => ({ agent: score.agent, confidence: Number(score.confidence.toFixed(3)) })),
+      explanation
+    };
+  }
+
+  /**
+   * Learn from delegation feedback. Successful delegations become training
+   * examples for the agent; unsuccessful ones are recorded but not learned,
+   * so a bad delegation never teaches the model a new association.
+   */
+  recordFeedback(text, agent, wasSuccessful, userSatisfaction = 0.5) {
+    if (!this.model.has(agent) || !text) return false;
+
+    const entry = { text, agent, successful: !!wasSuccessful, satisfaction: userSatisfaction, timestamp: Date.now() };
+    if (this.feedbackFile) {
+      try {
+        fs.mkdirSync(path.dirname(this.feedbackFile), { recursive: true });
+        fs.appendFileSync(this.feedbackFile, JSON.stringify(entry) + '\n');
+        this.feedbackLines++;
+        if (this.feedbackLines >= 2 * MAX_FEEDBACK_ENTRIES) {
+          this.compactFeedback();
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not record routing feedback: ${error.message}`);
+      }
+    }
+    return this.applyFeedback(entry);
+  }
+
+  /**
+   * Keep only the most recent MAX_FEEDBACK_ENTRIES lines of the feedback file
+   */
+  compactFeedback() {
+    const lines = readFeedbackLines(this.feedbackFile).slice(-MAX_FEEDBACK_ENTRIES);
+    const temp = `${this.feedbackFile}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, lines.map(line => line + '\n').join(''));
+    fs.renameSync(temp, this.feedbackFile);
+    this.feedbackLines = lines.length;
+  }
+
+  applyFeedback(entry) {
+    this.feedbackCount++;
+    return entry.successful ? this.learn(entry.text, entry.agent) : false;
+  }
+
+  loadFeedback() {
+    if (!this.feedbackFile || !fs.existsSync(this.feedbackFile)) return;
+
+    try {
+      const lines = readFeedbackLines(this.feedbackFile);
+      this.feedbackLines = lines.length;
+      lines.slice(-MAX_FEEDBACK_ENTRIES).forEach(line => {
+        try {
+          this.applyFeedback(JSON.parse(line));
+        } catch (error) {
+          // Skip a torn line from an interrupted write
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not load routing feedback: ${error.message}`);
+    }
+  }
+
+  getStats() {
+    const examples = {};
+    for (const [agent, stats] of this.model) {
+      examples[agent] = stats.docs;
+    }
+    return {
+      agents: this.agents.length,
+      vocabulary: this.vocabulary.size,
+      examples,
+      feedback: this.feedbackCount,
+      minConfidence: this.minConfidence
+    };
+  }
+}
+
+let sharedClassifier = null;
+
+/**
+ * Process-wide classifier, so every router in a process learns from the
+ * same feedback; includes the installed agent plugins
+ */
+function getIntentClassifier(options = {}) {
+  if (!sharedClassifier) {
+    sharedClassifier = new IntentClassifier({ plugins: getAgentPluginRegistry().list(), ...options });
+  }
+  return sharedClassifier;
+}
+
+module.exports = {
+  IntentClassifier,
+  getIntentClassifier,
+  tokenize,
+  AGENTS,
+  DEFAULT_AGENT,
+  DEFAULT_MIN_CONFIDENCE
+};
@@ -0,0 +1,181 @@
+/**
+ * JSON Memory Store
+ *
+ * SharedMemorySystem backend keeping every entry in one JSON file. Each
+ * write replaces the file atomically (temp file + rename) and writes are
+ * serialized, so a crash leaves either the previous or the new version; the
+ * previous version is kept as a backup for recovery. Meant for small,
+ * single-process projects - use the SQLite store when several processes
+ * share memory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MemoryStore, matchesPattern, isExpired } = require('./memory_store');
+
+const STORE_VERSION = 1;
+
+class JsonMemoryStore extends MemoryStore {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'json';
+    this.file = path.join(config.storage_path, 'memory_store.json');
+    this.backupFile = `${this.file}.bak`;
+    this.entries = new Map();
+    this.dirty = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async open() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    const data = await this.readStoreFile(this.file) ||
+      await this.readStoreFile(this.backupFile) ||
+      await this.readLegacyFiles();
+
+    this.entries = new Map(Object.entries(data ? data.entries : {}));
+  }
+
+  /**
+   * Read a store file; null when missing or unreadable
+   */
+  async readStoreFile(file) {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (data && data.entries) {
+        if (file === this.backupFile) {
+          console.warn(`⚠️ Recovered shared memory from backup ${file}`);
+        }
+        return data;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read shared memory file ${file}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Import memory.json/metadata.json written by earlier versions
+   */
+  async readLegacyFiles() {
+    try {
+      const memory = JSON.parse(await fs.readFile(path.join(this.config.storage_path, 'memory.json'), 'utf8'));
+      let metadata = {};
+      try {
+        metadata = JSON.parse(await fs.readFile(path.join(this.config.storage_path, 'metadata.json'), 'utf8'));
+      } catch {
+        // Entries without metadata get defaults below
+      }
+
+      const entries = {};
+      for (const [key, value] of Object.entries(memory)) {
+        entries[key] = { value, metadata: metadata[key] || { timestamp: Date.now(), ttl: null, persistent: true } };
+      }
+      console.log(`🧠 Imported ${Object.keys(entries).length} entries from legacy memory.json`);
+      return { version: STORE_VERSION, entries };
+    } catch {
+      return null;
+    }
+  }
+
+  async load() {
+    const now = Date.now();
+    return [...this.entries.entries()]
+      .filter(([, entry]) => !isExpired(entry.metadata, now))
+      .map(([key, entry]) => ({ key, value: entry.value, metadata: entry.metadata }));
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry || isExpired(entry.metadata)) return null;
+    return { key, value: entry.value, metadata: entry.metadata };
+  }
+
+  async reload(key) {
+    const data = await this.readStoreFile(this.file);
+    if (data) {
+      const entry = Object.prototype.hasOwnProperty.call(data.entries, key) ? data.entries[key] : null;
+      if (entry) {
+        this.entries.set(key, entry);
+      } else {
+        this.entries.delete(key);
+      }
+    }
+    return this.read(key);
+  }
+
+  listKeys(pattern = '*') {
+    const now = Date.now();
+    return [...this.entries.entries()]
+      .filter(([key, entry]) => matchesPattern(pattern, key) && !isExpired(entry.metadata, now))
+      .map(([key]) => key);
+  }
+
+  async query(pattern = '*') {
+    return this.listKeys(pattern).map(key => this.read(key));
+  }
+
+  async write(key, value, metadata) {
+    this.entries.set(key, { value, metadata });
+    await this.flush();
+  }
+
+  async remove(key) {
+    const existed = this.entries.delete(key);
+    if (existed) {
+      await this.flush();
+    }
+    return existed;
+  }
+
+  async purgeExpired(now = Date.now()) {
+    const expired = [...this.entries.entries()]
+      .filter(([, entry]) => isExpired(entry.metadata, now))
+      .map(([key]) => key);
+
+    if (expired.length > 0) {
+      expired.forEach(key => this.entries.delete(key));
+      await this.flush();
+    }
+    return expired;
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+
+  /**
+   * Queue a rewrite of the store file; writes requested while one is running
+   * collapse into a single follow-up write
+   */
+  flush() {
+    this.dirty = true;
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.writeIfDirty());
+    return this.writeQueue;
+  }
+
+  async writeIfDirty() {
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const data = JSON.stringify({
+      version: STORE_VERSION,
+      entries: Object.fromEntries(this.entries)
+    }, null, 2);
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempFile, data);
+    try {
+      await fs.rename(this.file, this.backupFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await fs.rename(tempFile, this.file);
+  }
+}
+
+module.exports = JsonMemoryStore;
@@ -0,0 +1,232 @@
+/**
+ * Structured Logger for PAIRED
+ *
+ * One logger for the bridge, agents and CLIs. Every entry is a JSON line in
+ * ~/.paired/logs/<component>.jsonl (rotated by size, like the routing log):
+ *
+ *   { time, level, component, message, requestId?, pid, ...fields }
+ *
+ * Request ids propagate through async calls: code running inside
+ * runWithRequestId() logs with that id without passing it around. The bridge
+ * uses the message envelope id (or an HTTP X-Request-Id) and forwards it to
+ * agent servers.
+ *
+ * On an interactive terminal entries are also printed as before - the
+ * emoji message alone; elsewhere (daemons, redirected output) only the JSON
+ * file is written. `paired-monitor logs` tails and filters the files.
+ *
+ * Environment: PAIRED_LOG_LEVEL (debug|info|warn|error, default info),
+ * PAIRED_LOG_CONSOLE (auto|on|off), PAIRED_LOG_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_DIR = path.join(os.homedir(), '.paired', 'logs');
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10MB per file
+const DEFAULT_MAX_FILES = 5;                // rotated generations kept
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `requestId` attached to every entry logged inside it
+ */
+function runWithRequestId(requestId, fn) {
+  return requestId ? requestContext.run({ requestId }, fn) : fn();
+}
+
+function currentRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : null;
+}
+
+/**
+ * Size-rotated JSON-lines file shared by the loggers of one component
+ */
+class LogFile {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles ?? DEFAULT_MAX_FILES;
+    this.size = null;
+    this.failed = false;
+  }
+
+  write(line) {
+    if (this.failed) return;
+
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+      }
+      const bytes = Buffer.byteLength(line);
+      if (this.size > 0 && this.size + bytes > this.maxBytes) {
+        this.rotate();
+      }
+
+      fs.appendFileSync(this.file, line);
+      this.size += bytes;
+    } catch (error) {
+      // Logging must never take the process down; warn once and carry on
+      this.failed = true;
+      process.stderr.write(`⚠️ Could not write log file ${this.file}: ${error.message}\n`);
+    }
+  }
+
+  rotate() {
+    for (let generation = this.maxFiles - 1; generation >= 1; generation--) {
+      const from = `${this.file}.${generation}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.file}.${generation + 1}`);
+      }
+    }
+    if (this.maxFiles >= 1) {
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.unlinkSync(this.file);
+    }
+    this.size = 0;
+  }
+}
+
+const logFiles = new Map(); // file path -> LogFile, so loggers of a component share the size count
+
+class Logger {
+  /**
+   * @param {string} component - e.g. 'bridge', 'agent:sherlock', 'cli'
+   * @param {Object} options - `level`, `dir`, `file`, `console` ('auto', true,
+   *   false), `maxBytes`, `maxFiles`, `fields` (added to every entry)
+   */
+  constructor(component, options = {}) {
+    this.component = component;
+    this.fields = options.fields || {};
+    this.level = LEVELS[options.level || process.env.PAIRED_LOG_LEVEL] || LEVELS.info;
+    this.console = resolveConsole(options.console ?? process.env.PAIRED_LOG_CONSOLE);
+    this.output = options.output || { log: console.log.bind(console), warn: console.warn.bind(console), error: console.error.bind(console) };
+
+    const file = options.file || path.join(options.dir || process.env.PAIRED_LOG_DIR || LOG_DIR, `${fileName(component)}.jsonl`);
+    if (!logFiles.has(file)) {
+      logFiles.set(file, new LogFile(file, options));
+    }
+    this.sink = logFiles.get(file);
+  }
+
+  get file() {
+    return this.sink.file;
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Error|Object} [errorOrFields] - An Error is recorded as `error`
+   */
+  error(message, errorOrFields) {
+    this.write('error', message, errorOrFields);
+  }
+
+  /**
+   * Same as info(); keeps `logger.log()` callers working
+   */
+  log(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  /**
+   * Logger with extra fields on every entry, e.g. { agent: 'sherlock' }
+   */
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  write(level, message, fieldsOrError) {
+    if (LEVELS[level] < this.level) return;
+
+    const fields = toFields(fieldsOrError);
+    const requestId = fields.requestId || this.fields.requestId || currentRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      component: this.component,
+      message: String(message),
+      ...(requestId ? { requestId } : {}),
+      pid: process.pid,
+      ...this.fields,
+      ...fields
+    };
+    this.sink.write(JSON.stringify(entry) + '\n');
+
+    if (this.console) {
+      const print = level === 'error' ? this.output.error : level === 'warn' ? this.output.warn : this.output.log;
+      print(fields.error ? `${entry.message} ${fields.error.message}` : entry.message);
+    }
+  }
+
+  /**
+   * Route console.log/info/warn/error/debug through this logger, so modules
+   * that print directly still end up in the structured log
+   */
+  captureConsole() {
+    const levels = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' };
+    for (const [method, level] of Object.entries(levels)) {
+      console[method] = (...args) => {
+        const error = args.find(arg => arg instanceof Error);
+        this.write(level, util.format(...args.filter(arg => arg !== error)), error);
+      };
+    }
+  }
+}
+
+function resolveConsole(setting) {
+  if (setting === true || setting === 'on') return true;
+  if (setting === false || setting === 'off') return false;
+  return Boolean(process.stdout.isTTY);
+}
+
+function fileName(component) {
+  return component.replace(/[^a-zA-Z0-9_-]+/g, '-');
+}
+
+function toFields(value) {
+  if (!value) return {};
+  if (value instanceof Error) {
+    return { error: { message: value.message, code: value.code, stack: value.stack } };
+  }
+  if (typeof value !== 'object') {
+    return { detail: String(value) };
+  }
+  return value;
+}
+
+/**
+ * Logger for a component
+ */
+function createLogger(component, options) {
+  return new Logger(component, options);
+}
+
+module.exports = {
+  Logger,
+  createLogger,
+  runWithRequestId,
+  currentRequestId,
+  LEVELS,
+  LOG_DIR
+};
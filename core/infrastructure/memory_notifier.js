@@ -0,0 +1,304 @@
+/**
+ * Memory Notifier
+ *
+ * Cross-process doorbell for SharedMemorySystem. Every process sharing a
+ * storage path connects to a local Unix socket (a named pipe on Windows);
+ * the first one to bind it acts as hub and relays newline-delimited JSON
+ * messages between the others. When the hub exits, the remaining processes
+ * reconnect and one of them takes over. A socket file is only replaced when
+ * nothing answers on it, and a new hub checks that the path still leads to
+ * it; a hub that finds another one in its place becomes its client.
+ *
+ * Delivery over the socket is best effort. Changes to persistent keys are
+ * also recorded in the store's change log, which subscribers replay from
+ * their cursor after every doorbell and reconnect for at-least-once delivery.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Unix socket paths are limited to ~108 bytes
+const MAX_SOCKET_PATH = 100;
+const PROBE_TIMEOUT = 1000;
+
+/**
+ * Socket path shared by all processes using the same storage path
+ */
+function socketPathFor(storagePath) {
+  const hash = crypto.createHash('sha1').update(path.resolve(storagePath)).digest('hex').slice(0, 12);
+
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\paired-memory-${hash}`;
+  }
+
+  const socketPath = path.join(storagePath, 'notify.sock');
+  return socketPath.length <= MAX_SOCKET_PATH ? socketPath : path.join(os.tmpdir(), `paired-memory-${hash}.sock`);
+}
+
+class MemoryNotifier extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.socketPath = options.socketPath;
+    this.instanceId = options.instanceId;
+    this.reconnectDelay = options.reconnectDelay || 250;
+    this.hubId = crypto.randomUUID(); // answers ownership probes while hub
+    this.server = null;
+    this.socketIno = null;
+    this.ownershipTimer = null;
+    this.lastConnectError = null;
+    this.clients = new Set();
+    this.connection = null;
+    this.reconnectTimer = null;
+    this.stopped = false;
+  }
+
+  get role() {
+    if (this.server) return 'hub';
+    return this.connection ? 'client' : 'disconnected';
+  }
+
+  /**
+   * Join the notification network as client, or become the hub
+   */
+  async start() {
+    this.stopped = false;
+
+    if (await this.connect()) return;
+
+    // Only a missing socket, or one nobody answers on (left over from a
+    // crashed hub), may be taken over; anything else is retried as client
+    const stale = this.lastConnectError === 'ECONNREFUSED';
+    if (stale || this.lastConnectError === 'ENOENT') {
+      if (stale) this.removeStaleSocket();
+      if (await this.listen()) {
+        if (await this.ownsSocket()) {
+          this.watchOwnership();
+          return;
+        }
+        // Another process replaced the socket after we bound ours
+        await this.closeServer();
+      }
+    }
+
+    if (!await this.connect()) {
+      this.scheduleReconnect();
+    }
+  }
+
+  connect() {
+    return new Promise(resolve => {
+      const socket = net.createConnection(this.socketPath);
+
+      socket.once('connect', () => {
+        socket.removeAllListeners('error');
+        socket.unref();
+        this.connection = socket;
+        this.readMessages(socket, message => this.emit('message', message));
+        socket.on('error', () => {});
+        socket.on('close', () => {
+          this.connection = null;
+          this.scheduleReconnect();
+        });
+        this.emit('connected', { role: 'client' });
+        resolve(true);
+      });
+
+      socket.once('error', error => {
+        this.lastConnectError = error.code;
+        resolve(false);
+      });
+    });
+  }
+
+  removeStaleSocket() {
+    if (process.platform === 'win32') return;
+    try {
+      fs.unlinkSync(this.socketPath);
+    } catch {
+      // Another process removed it first
+    }
+  }
+
+  listen() {
+    return new Promise(resolve => {
+      const server = net.createServer(socket => this.acceptClient(socket));
+
+      server.once('error', () => resolve(false));
+      server.listen(this.socketPath, () => {
+        server.removeAllListeners('error');
+        server.on('error', error => console.warn(`⚠️ Memory notifier hub error: ${error.message}`));
+        server.unref();
+        this.server = server;
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Whether the socket path leads to this process's server: a probe sent
+   * through it must come back with our hub id
+   */
+  async ownsSocket() {
+    const hubId = await new Promise(resolve => {
+      const socket = net.createConnection(this.socketPath);
+      const timer = setTimeout(() => finish(null), PROBE_TIMEOUT);
+      const finish = (id) => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(id);
+      };
+
+      socket.once('connect', () => socket.write(JSON.stringify({ type: 'hub_probe' }) + '\n'));
+      socket.once('error', () => finish(null));
+      this.readMessages(socket, message => {
+        if (message.type === 'hub_probe_reply') finish(message.hub);
+      });
+    });
+
+    if (hubId !== this.hubId) return false;
+
+    if (process.platform !== 'win32') {
+      try {
+        this.socketIno = fs.statSync(this.socketPath).ino;
+      } catch {
+        return false;
+      }
+    }
+    this.emit('connected', { role: 'hub' });
+    return true;
+  }
+
+  /**
+   * Give up the hub role if the socket file is replaced or removed later
+   */
+  watchOwnership() {
+    if (process.platform === 'win32') return;
+
+    this.ownershipTimer = setInterval(async () => {
+      let ino = null;
+      try {
+        ino = fs.statSync(this.socketPath).ino;
+      } catch {
+        // Removed; fall through to hand over
+      }
+      if (ino === this.socketIno || !this.server) return;
+
+      console.warn('⚠️ Memory notifier socket was replaced; rejoining as client');
+      await this.closeServer();
+      if (!this.stopped) await this.start();
+    }, this.reconnectDelay * 4);
+    this.ownershipTimer.unref();
+  }
+
+  async closeServer() {
+    if (this.ownershipTimer) {
+      clearInterval(this.ownershipTimer);
+      this.ownershipTimer = null;
+    }
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    this.socketIno = null;
+    this.clients.forEach(client => client.destroy());
+    this.clients.clear();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  acceptClient(socket) {
+    socket.unref();
+    this.clients.add(socket);
+
+    this.readMessages(socket, message => {
+      if (message.type === 'hub_probe') {
+        socket.write(JSON.stringify({ type: 'hub_probe_reply', hub: this.hubId }) + '\n');
+        return;
+      }
+      this.broadcast(message, socket);
+      this.emit('message', message);
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => this.clients.delete(socket));
+  }
+
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    // Jitter so surviving processes do not all try to bind at once
+    const delay = this.reconnectDelay + Math.floor(Math.random() * this.reconnectDelay);
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (!this.stopped) {
+        await this.start();
+      }
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Send a message to every other process
+   */
+  publish(message) {
+    const payload = { ...message, origin: this.instanceId };
+
+    if (this.server) {
+      this.broadcast(payload, null);
+    } else if (this.connection) {
+      this.connection.write(JSON.stringify(payload) + '\n');
+    }
+  }
+
+  broadcast(message, except) {
+    const line = JSON.stringify(message) + '\n';
+    for (const client of this.clients) {
+      if (client !== except) {
+        client.write(line);
+      }
+    }
+  }
+
+  readMessages(socket, onMessage) {
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (!line) continue;
+
+        try {
+          onMessage(JSON.parse(line));
+        } catch (error) {
+          console.warn(`⚠️ Ignoring malformed memory notification: ${error.message}`);
+        }
+      }
+    });
+  }
+
+  async stop() {
+    this.stopped = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.connection) {
+      this.connection.destroy();
+      this.connection = null;
+    }
+
+    await this.closeServer();
+  }
+}
+
+MemoryNotifier.socketPathFor = socketPathFor;
+
+module.exports = MemoryNotifier;
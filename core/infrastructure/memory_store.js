@@ -0,0 +1,162 @@
+/**
+ * Memory Store
+ *
+ * Storage backend interface for SharedMemorySystem, plus the backend factory.
+ * Backends persist entries of the form `{ key, value, metadata }` where
+ * metadata carries `timestamp` and an optional `ttl` in milliseconds.
+ *
+ * Backends:
+ * - sqlite: one row per key in an SQLite database (better-sqlite3), safe for
+ *   several processes writing at once
+ * - json: the whole store in one JSON file, rewritten atomically; fine for
+ *   small single-process projects
+ */
+
+/**
+ * Convert a SharedMemorySystem key pattern to a RegExp. `*` matches any run
+ * of characters and the match is unanchored, as subscriptions always did.
+ */
+function patternToRegExp(pattern) {
+  return new RegExp(pattern.replace(/\*/g, '.*'));
+}
+
+function matchesPattern(pattern, key) {
+  return pattern === '*' || patternToRegExp(pattern).test(key);
+}
+
+/**
+ * Expiry time for an entry, or null when it never expires
+ */
+function expiresAt(metadata) {
+  return metadata && metadata.ttl ? metadata.timestamp + metadata.ttl : null;
+}
+
+function isExpired(metadata, now = Date.now()) {
+  const expiry = expiresAt(metadata);
+  return expiry !== null && now > expiry;
+}
+
+/**
+ * Base class documenting the backend contract. Methods marked sync must
+ * return plain values; the others may return promises.
+ */
+class MemoryStore {
+  constructor(config = {}) {
+    this.config = config;
+    // True when other processes may write to the same store, so reads must
+    // not be served from the in-process cache alone
+    this.shared = false;
+    // True when write()/remove() accept a change record and the store offers
+    // changesSince(), latestChangeSeq(), getCursor(), setCursor() and
+    // pruneChanges() for replaying notifications
+    this.changeLog = false;
+  }
+
+  /**
+   * Open the store, recovering from an interrupted write if needed
+   */
+  async open() {
+    throw new Error(`${this.constructor.name} does not implement open()`);
+  }
+
+  /**
+   * All non-expired entries, used to warm the in-process cache
+   */
+  async load() {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Current entry for a key, or null when missing or expired (sync)
+   */
+  read(key) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Re-read one key from storage after another process changed it; resolves
+   * to the entry as read(). Only needed by stores that are not shared.
+   */
+  async reload(key) {
+    return this.read(key);
+  }
+
+  /**
+   * Non-expired keys matching a pattern (sync)
+   */
+  listKeys(pattern = '*') {
+    throw new Error(`${this.constructor.name} does not implement listKeys()`);
+  }
+
+  /**
+   * Non-expired entries whose keys match a pattern
+   */
+  async query(pattern = '*') {
+    throw new Error(`${this.constructor.name} does not implement query()`);
+  }
+
+  /**
+   * Atomically insert or replace an entry; with a change log, `change` is
+   * recorded in the same transaction and its sequence number returned
+   */
+  async write(key, value, metadata, change = null) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Remove an entry; resolves to whether it existed
+   */
+  async remove(key, change = null) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  /**
+   * Delete expired entries; resolves to the removed keys
+   */
+  async purgeExpired(now = Date.now()) {
+    throw new Error(`${this.constructor.name} does not implement purgeExpired()`);
+  }
+
+  async close() {}
+}
+
+/**
+ * Create the backend named by `config.backend`: 'sqlite', 'json', or 'auto'
+ * (SQLite when better-sqlite3 is installed, JSON otherwise)
+ *
+ * @param {Object} config - SharedMemorySystem config (`backend`, `storage_path`)
+ */
+function createMemoryStore(config = {}) {
+  const backend = config.backend || 'auto';
+
+  switch (backend) {
+  case 'sqlite': {
+    const SqliteMemoryStore = require('./sqlite_memory_store');
+    return new SqliteMemoryStore(config);
+  }
+  case 'json': {
+    const JsonMemoryStore = require('./json_memory_store');
+    return new JsonMemoryStore(config);
+  }
+  case 'auto': {
+    const SqliteMemoryStore = require('./sqlite_memory_store');
+    if (SqliteMemoryStore.isAvailable()) {
+      return new SqliteMemoryStore(config);
+    }
+    console.log('🧠 better-sqlite3 not installed, using the JSON memory store');
+    const JsonMemoryStore = require('./json_memory_store');
+    return new JsonMemoryStore(config);
+  }
+  default:
+    throw new Error(`Unknown shared memory backend: ${backend} (expected sqlite, json or auto)`);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  createMemoryStore,
+  patternToRegExp,
+  matchesPattern,
+  expiresAt,
+  isExpired
+};
@@ -0,0 +1,392 @@
+/**
+ * Metrics Registry for PAIRED
+ *
+ * Counters, gauges and histograms shared by everything running in one
+ * process, rendered in the Prometheus text exposition format (0.0.4). The
+ * bridge serves the registry at GET /metrics; the token optimizer, the
+ * Windsurf middleware and PAIREDSystem record into the same registry, so
+ * whichever of them runs inside the bridge shows up there. Components running
+ * in another process forward their counters with a CounterForwarder, and the
+ * bridge adds them in with applyCounterDeltas().
+ *
+ * Metrics are get-or-create by name: several instances of a component
+ * (e.g. two TokenOptimizationEngines) add to the same series. Values that
+ * live elsewhere (connection counts, memory) are set just before rendering
+ * by collectors registered with onCollect().
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers in-process classification through slow agent servers
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    const invalid = labelNames.find(label => !LABEL_NAME.test(label) || label === 'le');
+    if (invalid) {
+      throw new Error(`Invalid label name for ${name}: ${invalid}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, value | histogram state }
+  }
+
+  /**
+   * Series for a label set; unknown labels are rejected so a typo cannot
+   * silently start a new series
+   */
+  seriesFor(labels = {}) {
+    const unknown = Object.keys(labels).find(label => !this.labelNames.includes(label));
+    if (unknown) {
+      throw new Error(`Unknown label for ${this.name}: ${unknown}`);
+    }
+
+    const values = this.labelNames.map(label => labels[label] === undefined ? '' : String(labels[label]));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, this.createSeries(Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]]))));
+    }
+    return this.series.get(key);
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.seriesFor(labels).value += value;
+  }
+
+  get(labels = {}) {
+    return this.seriesFor(labels).value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.seriesFor(labels).value -= value;
+  }
+
+  get(labels = {}) {
+    return this.seriesFor(labels).value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to observe the elapsed seconds
+   * (extra labels, e.g. an outcome, can be added when it is known)
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // name -> Metric
+    this.collectors = [];
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(Counter, name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(Gauge, name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(Histogram, name, help, labelNames, buckets);
+  }
+
+  register(MetricClass, name, help, labelNames, buckets) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof MetricClass) || existing.labelNames.join() !== labelNames.join()) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type} with labels [${existing.labelNames.join(', ')}]`);
+      }
+      return existing;
+    }
+
+    const metric = new MetricClass(name, help, labelNames, buckets);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Run `collect()` before every render, to refresh gauges from live state
+   * @returns {Function} Unregisters the collector
+   */
+  onCollect(collect) {
+    this.collectors.push(collect);
+    return () => {
+      this.collectors = this.collectors.filter(fn => fn !== collect);
+    };
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Prometheus text format for every registered metric
+   */
+  render() {
+    for (const collect of this.collectors) {
+      try {
+        collect(this);
+      } catch (error) {
+        // A broken collector must not take the whole scrape down
+        console.warn(`⚠️ Metrics collector failed: ${error.message}`);
+      }
+    }
+
+    const blocks = Array.from(this.metrics.values()).map(metric => metric.render());
+    return blocks.length > 0 ? `${blocks.join('\n')}\n` : '';
+  }
+
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function escapeHelp(help) {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Count a cache lookup and refresh that cache's hit ratio
+ *
+ * @param {string} cache - e.g. 'project_context', 'token_l1'
+ * @param {boolean} hit
+ */
+function recordCacheLookup(cache, hit, registry = getMetricsRegistry()) {
+  cacheLookups(registry).inc({ cache, result: hit ? 'hit' : 'miss' });
+  refreshCacheHitRatio(cache, registry);
+}
+
+function cacheLookups(registry) {
+  return registry.counter('paired_cache_lookups_total', 'Cache lookups, by cache and result (hit or miss)', ['cache', 'result']);
+}
+
+function refreshCacheHitRatio(cache, registry) {
+  const lookups = cacheLookups(registry);
+  const hits = lookups.get({ cache, result: 'hit' });
+  const total = hits + lookups.get({ cache, result: 'miss' });
+  if (total > 0) {
+    registry.gauge('paired_cache_hit_ratio', 'Share of lookups answered from the cache', ['cache'])
+      .set({ cache }, hits / total);
+  }
+}
+
+/**
+ * Tracks what a process has already reported of some counters, so only the
+ * increments since the last report are sent to the bridge
+ */
+class CounterForwarder {
+  /**
+   * @param {string[]} names - Counters to forward
+   */
+  constructor(names, registry = getMetricsRegistry()) {
+    this.names = names;
+    this.registry = registry;
+    this.reported = new Map(); // `${name}\0${series key}` -> value already reported
+  }
+
+  /**
+   * Increments since the last call, marked as reported
+   * @returns {Array} [{ name, help, labelNames, labels, value }]
+   */
+  takeDeltas() {
+    const deltas = [];
+    for (const name of this.names) {
+      const metric = this.registry.get(name);
+      if (!metric || metric.type !== 'counter') continue;
+
+      for (const [key, series] of metric.series) {
+        const id = `${name}\0${key}`;
+        const value = series.value - (this.reported.get(id) || 0);
+        if (value > 0) {
+          deltas.push({ name, help: metric.help, labelNames: metric.labelNames, labels: series.labels, value });
+          this.reported.set(id, series.value);
+        }
+      }
+    }
+    return deltas;
+  }
+
+  /**
+   * Return deltas that could not be delivered, so the next report retries them
+   */
+  restore(deltas) {
+    for (const delta of deltas) {
+      const metric = this.registry.get(delta.name);
+      const key = metric.labelNames.map(label => delta.labels[label]).join('\u0000');
+      const id = `${delta.name}\0${key}`;
+      this.reported.set(id, this.reported.get(id) - delta.value);
+    }
+  }
+}
+
+/**
+ * Add counter increments forwarded by another process. Only the counters in
+ * `allowed`, declared by the receiver, are accepted, and a delta's
+ * `labelNames` must match the declaration. The whole batch is checked before
+ * anything is applied; an invalid delta throws.
+ *
+ * @param {Array} deltas - As produced by CounterForwarder.takeDeltas()
+ * @param {Counter[]} allowed - Counters that may be incremented
+ * @returns {number} Deltas applied
+ */
+function applyCounterDeltas(deltas, allowed, registry = getMetricsRegistry()) {
+  if (!Array.isArray(deltas)) {
+    throw new Error('deltas must be an array');
+  }
+
+  const checked = deltas.map(delta => {
+    const counter = delta && allowed.find(metric => metric.name === delta.name);
+    if (!counter) {
+      throw new Error(`Counter not accepted: ${delta && delta.name}`);
+    }
+    if (!Array.isArray(delta.labelNames) || delta.labelNames.join() !== counter.labelNames.join()) {
+      throw new Error(`Labels for ${delta.name} must be [${counter.labelNames.join(', ')}]`);
+    }
+    const labels = delta.labels || {};
+    if (typeof labels !== 'object') {
+      throw new Error(`Invalid labels for ${delta.name}`);
+    }
+    const unknown = Object.keys(labels).find(label => !counter.labelNames.includes(label));
+    if (unknown) {
+      throw new Error(`Unknown label for ${delta.name}: ${unknown}`);
+    }
+    if (typeof delta.value !== 'number' || !Number.isFinite(delta.value) || delta.value <= 0) {
+      throw new Error(`Invalid increment for ${delta.name}`);
+    }
+    return { counter, delta: { ...delta, labels } };
+  });
+
+  checked.forEach(({ counter, delta }) => {
+    counter.inc(delta.labels, delta.value);
+    if (delta.name === 'paired_cache_lookups_total') {
+      refreshCacheHitRatio(delta.labels.cache, registry);
+    }
+  });
+  return checked.length;
+}
+
+let sharedRegistry = null;
+
+/**
+ * Process-wide registry
+ */
+function getMetricsRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new MetricsRegistry();
+  }
+  return sharedRegistry;
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  getMetricsRegistry,
+  recordCacheLookup,
+  CounterForwarder,
+  applyCounterDeltas,
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS
+};
@@ -0,0 +1,94 @@
+/**
+ * Project Sources
+ *
+ * Collects the source files an agent CLI should analyze, either the whole
+ * project or the paths given on the command line, and loads them into the
+ * analysis context shape shared by Sherlock and Leonardo modules.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const glob = require('glob');
+
+const CODE_EXTENSIONS = ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx'];
+const DOC_EXTENSIONS = ['md', 'txt'];
+
+const DEFAULT_IGNORE = [
+  '**/node_modules/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/.git/**',
+  '**/.paired/**',
+  '**/*.min.js'
+];
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+function isCodeFile(file) {
+  return CODE_EXTENSIONS.includes(path.extname(file).slice(1));
+}
+
+/**
+ * List project-relative files under the given targets (files or directories)
+ */
+async function collectFiles(projectRoot, targets = [], options = {}) {
+  const extensions = options.extensions || [...CODE_EXTENSIONS, ...DOC_EXTENSIONS];
+  const roots = targets.length > 0 ? targets : ['.'];
+  const files = new Set();
+
+  for (const target of roots) {
+    const absolute = path.resolve(projectRoot, target);
+    let stats;
+    try {
+      stats = await fs.stat(absolute);
+    } catch {
+      throw new Error(`Path does not exist: ${target}`);
+    }
+
+    if (stats.isFile()) {
+      files.add(toPosix(path.relative(projectRoot, absolute)));
+      continue;
+    }
+
+    const matches = await glob.glob(`**/*.{${extensions.join(',')}}`, {
+      cwd: absolute,
+      ignore: DEFAULT_IGNORE,
+      nodir: true
+    });
+    matches.forEach(match => files.add(toPosix(path.relative(projectRoot, path.join(absolute, match)))));
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Build an analysis context: all files, per-file code sources and the
+ * combined code content used by whole-project heuristics
+ */
+async function loadProjectContext(projectRoot, targets = []) {
+  const files = await collectFiles(projectRoot, targets);
+  const sources = [];
+
+  for (const file of files.filter(isCodeFile)) {
+    try {
+      sources.push({ file, content: await fs.readFile(path.join(projectRoot, file), 'utf8') });
+    } catch {
+      // Unreadable file, skip
+    }
+  }
+
+  return {
+    files,
+    sources,
+    codeContent: sources.map(source => source.content).join('\n')
+  };
+}
+
+module.exports = {
+  collectFiles,
+  loadProjectContext,
+  isCodeFile
+};
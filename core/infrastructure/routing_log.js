@@ -0,0 +1,241 @@
+/**
+ * Routing Decision Log for PAIRED
+ *
+ * Records every routing decision (the input, per-agent scores, the agent
+ * chosen and why) and, later, its outcome, as JSON lines in
+ * ~/.paired/routing/decisions.jsonl. The file rotates by size, keeping a few
+ * numbered generations (decisions.jsonl.1 is the newest rotated file).
+ *
+ * bin/paired-routing replays a log against the current routing rules and
+ * reports which decisions would change, so triggers and training examples
+ * can be tuned without regressions. Set PAIRED_ROUTING_LOG=off to disable.
+ *
+ * Line formats:
+ *   { type: 'decision', id, timestamp, source, input, agent, method,
+ *     confidence, scores, reason, delegations? }
+ *   { type: 'outcome', decisionId, timestamp, outcome: { status, ... } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const LOG_FILE = path.join(os.homedir(), '.paired', 'routing', 'decisions.jsonl');
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5MB per file
+const DEFAULT_MAX_FILES = 3;               // rotated generations kept
+const MAX_INPUT_LENGTH = 2000;
+
+class RoutingLog {
+  /**
+   * @param {Object} options - `file`, `maxBytes`, `maxFiles`, `enabled`
+   */
+  constructor(options = {}) {
+    this.file = options.file || LOG_FILE;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles ?? DEFAULT_MAX_FILES;
+    this.enabled = options.enabled ?? process.env.PAIRED_ROUTING_LOG !== 'off';
+    this.size = null;
+  }
+
+  /**
+   * Record a routing decision
+   *
+   * @param {string} source - Decision point, e.g. 'bridge.analyzeUserRequest'
+   * @param {string} input - Message that was routed
+   * @param {Object} routing - IntentClassifier.classify() result
+   * @param {Object} [extra] - Further fields, e.g. `delegations`
+   * @returns {string|null} Decision id for recordOutcome()
+   */
+  recordDecision(source, input, routing, extra = {}) {
+    if (!this.enabled) return null;
+
+    const text = typeof input === 'string' ? input : JSON.stringify(input);
+    const entry = {
+      type: 'decision',
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      source,
+      input: text.length > MAX_INPUT_LENGTH ? text.slice(0, MAX_INPUT_LENGTH) : text,
+      agent: routing.agent,
+      method: routing.method,
+      confidence: routing.confidence,
+      scores: routing.scores,
+      reason: routing.explanation ? routing.explanation.reason : null,
+      ...extra
+    };
+    return this.append(entry) ? entry.id : null;
+  }
+
+  /**
+   * Record what happened to a decision, e.g. { status: 'delegated' }
+   */
+  recordOutcome(decisionId, outcome) {
+    if (!this.enabled || !decisionId) return false;
+
+    return this.append({
+      type: 'outcome',
+      decisionId,
+      timestamp: new Date().toISOString(),
+      outcome
+    });
+  }
+
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+      }
+      if (this.size + Buffer.byteLength(line) > this.maxBytes && this.size > 0) {
+        this.rotate();
+      }
+
+      fs.appendFileSync(this.file, line);
+      this.size += Buffer.byteLength(line);
+      return true;
+    } catch (error) {
+      // Routing must never fail because its log could not be written
+      console.warn(`⚠️ Could not write routing log: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * decisions.jsonl -> .1 -> .2 ...; the oldest generation is dropped
+   */
+  rotate() {
+    if (this.maxFiles < 1) {
+      fs.unlinkSync(this.file);
+    } else {
+      for (let generation = this.maxFiles - 1; generation >= 1; generation--) {
+        const from = `${this.file}.${generation}`;
+        if (fs.existsSync(from)) {
+          fs.renameSync(from, `${this.file}.${generation + 1}`);
+        }
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+    }
+    this.size = 0;
+  }
+
+  /**
+   * The log and its rotated generations, oldest first
+   */
+  files() {
+    const rotated = [];
+    for (let generation = this.maxFiles; generation >= 1; generation--) {
+      const file = `${this.file}.${generation}`;
+      if (fs.existsSync(file)) rotated.push(file);
+    }
+    return fs.existsSync(this.file) ? [...rotated, this.file] : rotated;
+  }
+}
+
+/**
+ * Decisions from log files with their outcomes attached, oldest first.
+ * Unparseable lines are counted in `skipped`.
+ */
+function readDecisions(files) {
+  const decisions = [];
+  const byId = new Map();
+  const outcomes = [];
+  let skipped = 0;
+
+  for (const file of [].concat(files)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        continue;
+      }
+
+      if (entry.type === 'decision' && typeof entry.input === 'string') {
+        const decision = { ...entry, outcomes: [] };
+        decisions.push(decision);
+        byId.set(decision.id, decision);
+      } else if (entry.type === 'outcome') {
+        outcomes.push(entry);
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  // Outcomes may land in a later file than their decision
+  for (const entry of outcomes) {
+    const decision = byId.get(entry.decisionId);
+    if (decision) decision.outcomes.push(entry.outcome);
+  }
+
+  return { decisions, skipped };
+}
+
+/**
+ * Re-route logged decisions with the current rules.
+ *
+ * @param {Array} decisions - From readDecisions()
+ * @param {Object} routers - source -> `(input) => { agent, confidence, delegations? }`;
+ *   a '*' router handles sources without their own
+ * @returns {{total: number, replayed: number, unchanged: number, changed: Array, unsupported: Object}}
+ */
+function replayDecisions(decisions, routers) {
+  const report = { total: decisions.length, replayed: 0, unchanged: 0, changed: [], unsupported: {} };
+
+  for (const decision of decisions) {
+    const route = routers[decision.source] || routers['*'];
+    if (!route) {
+      report.unsupported[decision.source] = (report.unsupported[decision.source] || 0) + 1;
+      continue;
+    }
+
+    const current = route(decision.input);
+    report.replayed++;
+
+    const agentChanged = current.agent !== decision.agent;
+    const delegationsChanged = Array.isArray(decision.delegations) && Array.isArray(current.delegations) &&
+      decision.delegations.join(',') !== current.delegations.join(',');
+
+    if (!agentChanged && !delegationsChanged) {
+      report.unchanged++;
+      continue;
+    }
+
+    report.changed.push({
+      id: decision.id,
+      timestamp: decision.timestamp,
+      source: decision.source,
+      input: decision.input,
+      before: { agent: decision.agent, confidence: decision.confidence, delegations: decision.delegations },
+      after: { agent: current.agent, confidence: current.confidence, delegations: current.delegations, reason: current.reason },
+      outcome: decision.outcomes.length > 0 ? decision.outcomes[decision.outcomes.length - 1] : null
+    });
+  }
+
+  return report;
+}
+
+let sharedLog = null;
+
+/**
+ * Process-wide routing log
+ */
+function getRoutingLog(options) {
+  if (!sharedLog) {
+    sharedLog = new RoutingLog(options);
+  }
+  return sharedLog;
+}
+
+module.exports = {
+  RoutingLog,
+  getRoutingLog,
+  readDecisions,
+  replayDecisions,
+  LOG_FILE
+};
@@ -0,0 +1,199 @@
+/**
+ * SARIF Exporter
+ *
+ * Writes findings from the common findings model as SARIF 2.1.0 so Sherlock
+ * and Leonardo results can be uploaded to code-scanning dashboards and
+ * compared between runs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { getRule, SEVERITY_SCORES, finalizeFindings } = require('./findings');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const FINGERPRINT_KEY = 'pairedFindingHash/v1';
+
+const TOOLS = {
+  sherlock: {
+    name: 'PAIRED Sherlock',
+    fullName: 'PAIRED Sherlock (QA Agent)'
+  },
+  leonardo: {
+    name: 'PAIRED Leonardo',
+    fullName: 'PAIRED Leonardo (Architecture Agent)'
+  }
+};
+
+class SarifExporter {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot || process.cwd();
+    this.version = options.version || this.readVersion();
+  }
+
+  readVersion() {
+    try {
+      return require(path.join(this.projectRoot, 'package.json')).version || '0.0.0';
+    } catch {
+      return '0.0.0';
+    }
+  }
+
+  /**
+   * Build a SARIF log with one run per tool; tools listed in `tools` get a
+   * run even when they produced no findings, so a clean scan is recorded
+   */
+  buildLog(findings, tools = []) {
+    const finalized = finalizeFindings(findings, this.projectRoot);
+    const byTool = new Map(tools.map(tool => [tool, []]));
+
+    for (const finding of finalized) {
+      if (!byTool.has(finding.tool)) {
+        byTool.set(finding.tool, []);
+      }
+      byTool.get(finding.tool).push(finding);
+    }
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: SARIF_VERSION,
+      runs: [...byTool.entries()].map(([tool, toolFindings]) => this.buildRun(tool, toolFindings))
+    };
+  }
+
+  buildRun(tool, findings) {
+    const ruleIds = [...new Set(findings.map(finding => finding.ruleId))].sort();
+    const ruleIndex = new Map(ruleIds.map((ruleId, index) => [ruleId, index]));
+    const info = TOOLS[tool] || { name: tool, fullName: tool };
+
+    return {
+      tool: {
+        driver: {
+          name: info.name,
+          fullName: info.fullName,
+          version: this.version,
+          semanticVersion: this.version,
+          rules: ruleIds.map(ruleId => this.buildRule(ruleId, findings))
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': {
+          uri: pathToFileURL(this.projectRoot + path.sep).href
+        }
+      },
+      results: findings.map(finding => this.buildResult(finding, ruleIndex.get(finding.ruleId)))
+    };
+  }
+
+  buildRule(ruleId, findings) {
+    const rule = getRule(ruleId);
+    const severities = findings.filter(finding => finding.ruleId === ruleId).map(finding => finding.severity);
+    const maxScore = Math.max(...severities.map(severity => SEVERITY_SCORES[severity]));
+    const level = findings.find(finding => finding.ruleId === ruleId).level;
+
+    const properties = { tags: rule.tags };
+    if (rule.tags.includes('security')) {
+      properties['security-severity'] = maxScore.toFixed(1);
+    }
+
+    return {
+      id: ruleId,
+      name: rule.name,
+      shortDescription: { text: rule.description },
+      fullDescription: { text: rule.description },
+      help: {
+        text: rule.help,
+        markdown: `**Remediation:** ${rule.help}`
+      },
+      defaultConfiguration: { level },
+      properties
+    };
+  }
+
+  buildResult(finding, ruleIndex) {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex,
+      level: finding.level,
+      message: {
+        text: finding.remediation ?
+          `${finding.message.replace(/\.$/, '')}. Remediation: ${finding.remediation}` :
+          finding.message
+      },
+      partialFingerprints: {
+        [FINGERPRINT_KEY]: finding.fingerprint
+      },
+      properties: {
+        severity: finding.severity,
+        type: finding.type
+      }
+    };
+
+    if (finding.category) {
+      result.properties.category = finding.category;
+    }
+
+    if (finding.baselineStatus) {
+      result.baselineState = finding.baselineStatus === 'baselined' ? 'unchanged' : 'new';
+    }
+
+    if (finding.file) {
+      result.locations = [this.buildLocation(finding.file, finding.line, finding.column, finding.snippet)];
+    }
+
+    if (finding.codeFlow && finding.codeFlow.length > 0) {
+      result.codeFlows = [{
+        threadFlows: [{
+          locations: finding.codeFlow.map(step => ({
+            location: {
+              ...this.buildLocation(step.file || finding.file, step.line),
+              message: { text: step.expression }
+            }
+          }))
+        }]
+      }];
+    }
+
+    return result;
+  }
+
+  buildLocation(file, line, column = null, snippet = null) {
+    const physicalLocation = {
+      artifactLocation: {
+        uri: encodeURI(file),
+        uriBaseId: '%SRCROOT%'
+      }
+    };
+
+    if (line && line > 0) {
+      physicalLocation.region = { startLine: line };
+      if (column) {
+        physicalLocation.region.startColumn = column;
+      }
+      if (snippet) {
+        physicalLocation.region.snippet = { text: snippet };
+      }
+    }
+
+    return { physicalLocation };
+  }
+
+  /**
+   * Write findings to a SARIF file, creating parent directories as needed
+   */
+  async write(outputFile, findings, tools = []) {
+    const log = this.buildLog(findings, tools);
+    const target = path.resolve(outputFile);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, JSON.stringify(log, null, 2) + '\n');
+
+    return {
+      file: target,
+      results: log.runs.reduce((total, run) => total + run.results.length, 0)
+    };
+  }
+}
+
+module.exports = SarifExporter;
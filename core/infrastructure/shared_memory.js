@@ -1,11 +1,26 @@
 /**
  * Shared Memory System for PAIRED Agents
  * Provides centralized memory management and cross-agent communication
+ *
+ * Persistent entries go to a pluggable storage backend (see memory_store.js):
+ * SQLite for concurrent multi-process use, or a single JSON file for small
+ * projects. Select it with `backend: 'sqlite' | 'json' | 'auto'`.
+ *
+ * Subscriptions fire across processes sharing a storage path (agent servers,
+ * the bridge, CLIs) through a local socket (see memory_notifier.js). With a
+ * change-logging store, changes to persistent keys are replayed from a
+ * per-subscription cursor, so they are delivered at least once. Cursors of
+ * subscriptions with an explicit id are stored, so changes made while the
+ * subscribing process was not running are delivered too; other cursors live
+ * in the instance and start at the latest change.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const { createMemoryStore, matchesPattern, patternToRegExp, isExpired } = require('./memory_store');
+const MemoryNotifier = require('./memory_notifier');
 
 class SharedMemorySystem extends EventEmitter {
   constructor(config = {}) {
@@ -16,12 +31,22 @@ class SharedMemorySystem extends EventEmitter {
       max_memory_size: config.max_memory_size || 100 * 1024 * 1024, // 100MB
       cleanup_interval: config.cleanup_interval || 3600000, // 1 hour
       auto_sync: config.auto_sync !== false,
+      backend: config.backend || process.env.PAIRED_MEMORY_BACKEND || 'auto',
+      cross_process: config.cross_process !== false,
+      catchup_interval: config.catchup_interval || 30000, // safety net for missed doorbells
+      change_log_retention: config.change_log_retention || 7 * 24 * 3600000, // 7 days
       ...config
     };
     
     this.memory = new Map();
     this.metadata = new Map();
     this.subscribers = new Map();
+    this.subscriptionIds = new Map();
+    this.localCursors = new Map(); // `${agent}\0${pattern}` -> seq, for subscriptions without an id
+    this.store = null;
+    this.notifier = null;
+    this.instanceId = crypto.randomUUID();
+    this.deliveryQueue = Promise.resolve();
     this.initialized = false;
     
     console.log('🧠 SharedMemorySystem initializing...');
@@ -35,7 +60,10 @@ class SharedMemorySystem extends EventEmitter {
     
     try {
       await this.ensureStorageDirectory();
+      this.store = createMemoryStore(this.config);
+      await this.store.open();
       await this.loadPersistedMemory();
+      await this.startNotifications();
       this.startCleanupTimer();
       this.initialized = true;
       console.log('🧠 SharedMemorySystem initialized');
@@ -61,13 +89,15 @@ class SharedMemorySystem extends EventEmitter {
     this.memory.set(key, value);
     this.metadata.set(key, metadata);
 
-    // Persist if configured
-    if (metadata.persistent && this.config.auto_sync) {
-      await this.persistKey(key);
+    // Persist if configured (before initialize() memory is process-local)
+    let logged = false;
+    if (metadata.persistent && this.config.auto_sync && this.store) {
+      logged = await this.persistKey(key, { operation: 'set', agent: metadata.agent });
     }
 
     // Notify subscribers
     this.notifySubscribers(key, value, 'set');
+    this.publishChange({ key, operation: 'set', agent: metadata.agent, logged, value });
 
     this.emit('memory:set', { key, value, metadata });
     return true;
@@ -77,6 +107,8 @@ class SharedMemorySystem extends EventEmitter {
    * Retrieve data from shared memory
    */
   async get(key, defaultValue = null) {
+    this.refreshKey(key);
+
     if (!this.memory.has(key)) {
       return defaultValue;
     }
@@ -84,7 +116,7 @@ class SharedMemorySystem extends EventEmitter {
     const metadata = this.metadata.get(key);
     
     // Check TTL expiration
-    if (metadata.ttl && Date.now() > metadata.timestamp + metadata.ttl) {
+    if (isExpired(metadata)) {
       await this.delete(key);
       return defaultValue;
     }
@@ -98,6 +130,9 @@ class SharedMemorySystem extends EventEmitter {
    * Delete data from shared memory
    */
   async delete(key) {
+    if (!this.memory.has(key)) {
+      this.refreshKey(key);
+    }
     if (!this.memory.has(key)) return false;
 
     const value = this.memory.get(key);
@@ -107,12 +142,14 @@ class SharedMemorySystem extends EventEmitter {
     this.metadata.delete(key);
 
     // Remove from persistent storage
-    if (metadata.persistent) {
-      await this.removePersistentKey(key);
+    let logged = false;
+    if (metadata.persistent && this.store) {
+      logged = await this.removePersistentKey(key, { operation: 'delete', agent: metadata.agent });
     }
 
     // Notify subscribers
     this.notifySubscribers(key, value, 'delete');
+    this.publishChange({ key, operation: 'delete', agent: metadata.agent, logged, value: null });
 
     this.emit('memory:delete', { key, value, metadata });
     return true;
@@ -120,8 +157,16 @@ class SharedMemorySystem extends EventEmitter {
 
   /**
    * Subscribe to memory changes
+   *
+   * Callbacks receive `{ key, value, operation, agent }`, plus `remote: true`
+   * and `seq` for changes made by other processes. Remote changes to
+   * persistent keys are replayed from a cursor and redelivered until the
+   * callback (which may be async) succeeds. With `options.id` the cursor is
+   * stored under that id and survives restarts; it must be unique to the
+   * subscribing process, since everyone sharing an id shares one cursor.
+   * Without an id the cursor belongs to this instance.
    */
-  subscribe(pattern, callback, agent = 'system') {
+  subscribe(pattern, callback, agent = 'system', options = {}) {
     if (!this.subscribers.has(pattern)) {
       this.subscribers.set(pattern, new Map());
     }
@@ -132,6 +177,13 @@ class SharedMemorySystem extends EventEmitter {
     }
     
     patternSubscribers.get(agent).push(callback);
+
+    if (options.id) {
+      this.subscriptionIds.set(`${agent}\0${pattern}`, options.id);
+    }
+    if (this.store && this.store.changeLog) {
+      this.ensureCursor(pattern, agent);
+    }
     
     return () => {
       // Unsubscribe function
@@ -147,14 +199,78 @@ class SharedMemorySystem extends EventEmitter {
    * Get all keys matching a pattern
    */
   keys(pattern = '*') {
-    const keys = Array.from(this.memory.keys());
-    
-    if (pattern === '*') {
-      return keys;
+    const keys = new Set(Array.from(this.memory.keys()).filter(key => matchesPattern(pattern, key)));
+
+    // Include keys other processes wrote to a shared store
+    if (this.store && this.store.shared) {
+      this.store.listKeys(pattern).forEach(key => keys.add(key));
+    }
+
+    return Array.from(keys);
+  }
+
+  /**
+   * Get all non-expired entries ({ key, value, metadata }) matching a pattern,
+   * read from the store so entries written by other processes are included
+   */
+  async query(pattern = '*') {
+    const entries = new Map();
+
+    if (this.store) {
+      for (const entry of await this.store.query(pattern)) {
+        entries.set(entry.key, entry);
+      }
+    }
+
+    // Volatile entries and anything not yet synced live only in this process
+    const now = Date.now();
+    for (const [key, metadata] of this.metadata.entries()) {
+      if (entries.has(key) && metadata.persistent && this.store && this.store.shared) continue;
+      if (matchesPattern(pattern, key) && !isExpired(metadata, now)) {
+        entries.set(key, { key, value: this.memory.get(key), metadata });
+      }
+    }
+
+    return Array.from(entries.values()).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Sync a persistent key from a shared store so reads see writes and
+   * deletes made by other processes
+   */
+  refreshKey(key) {
+    // Without auto_sync the store lags behind this process's cache
+    if (!this.store || !this.store.shared || !this.config.auto_sync) return;
+
+    const cached = this.metadata.get(key);
+    if (cached && !cached.persistent) return;
+
+    this.applyStoredEntry(key, this.store.read(key));
+  }
+
+  /**
+   * Re-read a persistent key another process changed, for stores that are
+   * not shared and so keep serving the copy loaded at startup
+   */
+  async reloadKey(key) {
+    if (!this.store || this.store.shared || !this.config.auto_sync) return;
+
+    const cached = this.metadata.get(key);
+    if (cached && !cached.persistent) return;
+
+    this.applyStoredEntry(key, await this.store.reload(key));
+  }
+
+  applyStoredEntry(key, entry) {
+    const cached = this.metadata.get(key);
+    if (entry) {
+      this.memory.set(key, entry.value);
+      this.metadata.set(key, entry.metadata);
+    } else if (cached && !isExpired(cached)) {
+      // Expired entries are left for get()/cleanup() to delete and announce
+      this.memory.delete(key);
+      this.metadata.delete(key);
     }
-    
-    const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-    return keys.filter(key => regex.test(key));
   }
 
   /**
@@ -182,6 +298,7 @@ class SharedMemorySystem extends EventEmitter {
       max_size: this.config.max_memory_size,
       usage_percent: (totalSize / this.config.max_memory_size) * 100,
       agents: Object.fromEntries(agentStats),
+      backend: this.store ? this.store.name : null,
       initialized: this.initialized
     };
   }
@@ -213,86 +330,236 @@ class SharedMemorySystem extends EventEmitter {
   }
 
   /**
-   * Load persisted memory from disk
+   * Load persisted memory from the storage backend
    */
   async loadPersistedMemory() {
     try {
-      const memoryFile = path.join(this.config.storage_path, 'memory.json');
-      const metadataFile = path.join(this.config.storage_path, 'metadata.json');
-      
-      // Load memory data
-      try {
-        const memoryData = await fs.readFile(memoryFile, 'utf8');
-        const parsedMemory = JSON.parse(memoryData);
-        this.memory = new Map(Object.entries(parsedMemory));
-      } catch (error) {
-        // File doesn't exist or is corrupted, start fresh
-        console.log('🧠 Starting with fresh memory (no persistent data found)');
+      const entries = await this.store.load();
+
+      for (const entry of entries) {
+        this.memory.set(entry.key, entry.value);
+        this.metadata.set(entry.key, entry.metadata);
       }
-      
-      // Load metadata
-      try {
-        const metadataData = await fs.readFile(metadataFile, 'utf8');
-        const parsedMetadata = JSON.parse(metadataData);
-        this.metadata = new Map(Object.entries(parsedMetadata));
-      } catch (error) {
-        // File doesn't exist or is corrupted, start fresh
-        console.log('🧠 Starting with fresh metadata (no persistent data found)');
+
+      if (entries.length === 0) {
+        console.log('🧠 Starting with fresh memory (no persistent data found)');
       }
-      
     } catch (error) {
       console.warn('⚠️ Failed to load persisted memory:', error.message);
     }
   }
 
   /**
-   * Persist a specific key to disk
+   * Persist a specific key to the storage backend
+   *
+   * @param {Object} [change] - Change to log with the write for subscribers
+   * @returns {Promise<boolean>} Whether the change was logged
    */
-  async persistKey(key) {
-    // For now, persist entire memory (could be optimized for individual keys)
-    await this.persistMemory();
+  async persistKey(key, change = null) {
+    try {
+      const seq = await this.store.write(key, this.memory.get(key), this.metadata.get(key), this.toChange(change));
+      return seq !== null && seq !== undefined;
+    } catch (error) {
+      console.error(`❌ Failed to persist memory key ${key}:`, error.message);
+      return false;
+    }
   }
 
   /**
-   * Persist all memory to disk
+   * Persist all persistent keys to the storage backend
    */
   async persistMemory() {
+    for (const [key, metadata] of this.metadata.entries()) {
+      if (metadata.persistent) {
+        await this.persistKey(key);
+      }
+    }
+  }
+
+  /**
+   * Remove a key from persistent storage
+   */
+  async removePersistentKey(key, change = null) {
     try {
-      const memoryFile = path.join(this.config.storage_path, 'memory.json');
-      const metadataFile = path.join(this.config.storage_path, 'metadata.json');
-      
-      // Convert Maps to Objects for JSON serialization
-      const memoryObj = Object.fromEntries(this.memory.entries());
-      const metadataObj = Object.fromEntries(this.metadata.entries());
-      
-      await fs.writeFile(memoryFile, JSON.stringify(memoryObj, null, 2));
-      await fs.writeFile(metadataFile, JSON.stringify(metadataObj, null, 2));
-      
+      const logged = this.toChange(change);
+      const existed = await this.store.remove(key, logged);
+      return Boolean(existed && logged);
     } catch (error) {
-      console.error('❌ Failed to persist memory:', error.message);
+      console.error(`❌ Failed to remove persisted memory key ${key}:`, error.message);
+      return false;
     }
   }
 
+  toChange(change) {
+    return change && this.store.changeLog ? { ...change, origin: this.instanceId } : null;
+  }
+
   /**
-   * Remove a key from persistent storage
+   * Join the cross-process notification network for this storage path
+   */
+  async startNotifications() {
+    if (!this.config.cross_process) return;
+
+    // Subscriptions made before initialize() start from the current change
+    if (this.store.changeLog) {
+      for (const [pattern, agentSubscribers] of this.subscribers.entries()) {
+        for (const agent of agentSubscribers.keys()) {
+          this.ensureCursor(pattern, agent);
+        }
+      }
+    }
+
+    this.notifier = new MemoryNotifier({
+      socketPath: MemoryNotifier.socketPathFor(this.config.storage_path),
+      instanceId: this.instanceId
+    });
+    this.notifier.on('message', message => this.handleRemoteChange(message));
+    this.notifier.on('connected', () => this.deliverPendingChanges());
+
+    try {
+      await this.notifier.start();
+    } catch (error) {
+      console.warn(`⚠️ Cross-process memory notifications unavailable: ${error.message}`);
+    }
+
+    if (this.store.changeLog) {
+      this.catchupTimer = setInterval(() => this.deliverPendingChanges(), this.config.catchup_interval);
+      this.catchupTimer.unref();
+    }
+  }
+
+  /**
+   * Announce a change to other processes; logged changes only ring the
+   * doorbell, others carry their value
+   */
+  publishChange(change) {
+    if (!this.notifier) return;
+
+    const message = change.logged ?
+      { key: change.key, operation: change.operation, agent: change.agent, logged: true } :
+      { key: change.key, operation: change.operation, agent: change.agent, value: change.value };
+
+    try {
+      this.notifier.publish(message);
+    } catch (error) {
+      console.warn(`⚠️ Failed to publish memory change for ${change.key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle a change announced by another process
    */
-  async removePersistentKey(key) {
-    // For now, re-persist entire memory without the key
-    await this.persistMemory();
+  handleRemoteChange(message) {
+    if (!message || message.origin === this.instanceId) return;
+
+    if (message.logged && this.store && this.store.changeLog) {
+      this.deliverPendingChanges();
+      return;
+    }
+
+    // Queued behind earlier deliveries so changes are announced in order
+    this.deliveryQueue = this.deliveryQueue
+      .catch(() => {})
+      .then(async () => {
+        await this.reloadKey(message.key);
+        this.notifySubscribers(message.key, message.value, message.operation, { remote: true });
+        this.emit('memory:remote', message);
+      });
+  }
+
+  /**
+   * Replay logged changes from other processes to every subscription, one
+   * run at a time
+   */
+  deliverPendingChanges() {
+    if (!this.store || !this.store.changeLog) return Promise.resolve();
+
+    this.deliveryQueue = this.deliveryQueue
+      .catch(() => {})
+      .then(() => this.replayChanges());
+    return this.deliveryQueue;
+  }
+
+  async replayChanges() {
+    for (const [pattern, agentSubscribers] of this.subscribers.entries()) {
+      for (const [agent, callbacks] of agentSubscribers.entries()) {
+        if (callbacks.length > 0 && this.store) {
+          await this.replaySubscription(pattern, agent, callbacks);
+        }
+      }
+    }
+  }
+
+  /**
+   * Deliver changes after the subscription's cursor; the cursor only moves
+   * past a change once every callback has handled it
+   */
+  async replaySubscription(pattern, agent, callbacks) {
+    const regex = patternToRegExp(pattern);
+    let cursor = this.ensureCursor(pattern, agent);
+    let changes;
+
+    while (this.store && (changes = this.store.changesSince(cursor)).length > 0) {
+      for (const change of changes) {
+        if (change.origin !== this.instanceId && regex.test(change.key)) {
+          this.refreshKey(change.key);
+          const value = change.operation === 'delete' ? null : (this.memory.get(change.key) ?? null);
+          const event = { key: change.key, value, operation: change.operation, agent, seq: change.seq, remote: true };
+
+          try {
+            for (const callback of callbacks) {
+              await callback(event);
+            }
+          } catch (error) {
+            console.error(`❌ Subscriber callback error for ${agent} (will retry ${change.key}):`, error.message);
+            return;
+          }
+          this.emit('memory:remote', event);
+        }
+
+        cursor = change.seq;
+        this.setCursor(pattern, agent, cursor);
+      }
+    }
+  }
+
+  /**
+   * Current cursor of a subscription; new subscriptions start at the latest
+   * change rather than replaying history
+   */
+  ensureCursor(pattern, agent) {
+    const subscription = `${agent}\0${pattern}`;
+    const durableId = this.subscriptionIds.get(subscription);
+    let cursor = durableId ? this.store.getCursor(durableId) : (this.localCursors.get(subscription) ?? null);
+    if (cursor === null) {
+      cursor = this.store.latestChangeSeq();
+      this.setCursor(pattern, agent, cursor);
+    }
+    return cursor;
+  }
+
+  setCursor(pattern, agent, seq) {
+    const subscription = `${agent}\0${pattern}`;
+    const durableId = this.subscriptionIds.get(subscription);
+    if (durableId) {
+      this.store.setCursor(durableId, seq);
+    } else {
+      this.localCursors.set(subscription, seq);
+    }
   }
 
   /**
    * Notify subscribers of memory changes
    */
-  notifySubscribers(key, value, operation) {
+  notifySubscribers(key, value, operation, details = {}) {
     for (const [pattern, agentSubscribers] of this.subscribers.entries()) {
-      const regex = new RegExp(pattern.replace(/\*/g, '.*'));
+      const regex = patternToRegExp(pattern);
       
       if (regex.test(key)) {
         for (const [agent, callbacks] of agentSubscribers.entries()) {
           for (const callback of callbacks) {
             try {
-              callback({ key, value, operation, agent });
+              callback({ key, value, operation, agent, ...details });
             } catch (error) {
               console.error(`❌ Subscriber callback error for ${agent}:`, error.message);
             }
@@ -337,7 +604,7 @@ class SharedMemorySystem extends EventEmitter {
     const keysToDelete = [];
     
     for (const [key, metadata] of this.metadata.entries()) {
-      if (metadata.ttl && now > metadata.timestamp + metadata.ttl) {
+      if (isExpired(metadata, now)) {
         keysToDelete.push(key);
       }
     }
@@ -345,6 +612,18 @@ class SharedMemorySystem extends EventEmitter {
     for (const key of keysToDelete) {
       await this.delete(key);
     }
+
+    // Expired rows written by other processes
+    if (this.store) {
+      try {
+        await this.store.purgeExpired(now);
+        if (this.store.changeLog) {
+          await this.store.pruneChanges(now - this.config.change_log_retention);
+        }
+      } catch (error) {
+        console.warn('⚠️ Failed to purge expired memory entries:', error.message);
+      }
+    }
     
     if (keysToDelete.length > 0) {
       console.log(`🧹 Cleaned up ${keysToDelete.length} expired memory entries`);
@@ -392,9 +671,28 @@ class SharedMemorySystem extends EventEmitter {
    * Shutdown the shared memory system
    */
   async shutdown() {
-    if (this.config.auto_sync) {
+    // With auto_sync every persistent key is already stored; rewriting them
+    // here could overwrite newer values from other processes
+    if (this.store && !this.config.auto_sync) {
       await this.persistMemory();
     }
+
+    if (this.notifier) {
+      await this.notifier.stop();
+      this.notifier = null;
+    }
+
+    if (this.catchupTimer) {
+      clearInterval(this.catchupTimer);
+      this.catchupTimer = null;
+    }
+
+    await this.deliveryQueue.catch(() => {});
+
+    if (this.store) {
+      await this.store.close();
+      this.store = null;
+    }
     
     // Clear cleanup timer to prevent hanging
     if (this.cleanupTimer) {
@@ -0,0 +1,317 @@
+/**
+ * SQLite Memory Store
+ *
+ * SharedMemorySystem backend storing one row per key in
+ * `<storage_path>/memory.db` (better-sqlite3). The database runs in WAL mode
+ * with a busy timeout, so agents, the bridge and CLIs can write concurrently;
+ * every write is a single atomic statement. Expiry times live in the table,
+ * so expired rows are invisible to every process even before they are
+ * purged. A database that fails its integrity check on open is moved aside
+ * and replaced with an empty one.
+ *
+ * Writes that carry a change record also append it to the `changes` log in
+ * the same transaction; subscribers replay the log from their cursor (see
+ * SharedMemorySystem.deliverPendingChanges) for at-least-once notifications.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore, matchesPattern, expiresAt } = require('./memory_store');
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS memory (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    metadata TEXT NOT NULL,
+    agent TEXT,
+    updated_at INTEGER NOT NULL,
+    expires_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS memory_expires_at ON memory (expires_at) WHERE expires_at IS NOT NULL;
+  CREATE TABLE IF NOT EXISTS changes (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL,
+    operation TEXT NOT NULL,
+    agent TEXT,
+    origin TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS cursors (
+    id TEXT PRIMARY KEY,
+    seq INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+`;
+
+const LIVE = '(expires_at IS NULL OR expires_at >= @now)';
+
+class SqliteMemoryStore extends MemoryStore {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'sqlite';
+    this.shared = true;
+    this.changeLog = true;
+    this.file = path.join(config.storage_path, 'memory.db');
+    this.db = null;
+    this.statements = null;
+  }
+
+  static isAvailable() {
+    try {
+      require.resolve('better-sqlite3');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async open() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite shared memory backend needs better-sqlite3 (npm install better-sqlite3), ' +
+        'or set memory.backend to "json"');
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    try {
+      this.db = this.openDatabase(Database);
+    } catch (error) {
+      if (!/SQLITE_CORRUPT|SQLITE_NOTADB|integrity/i.test(`${error.code} ${error.message}`)) {
+        throw error;
+      }
+      this.quarantine(error);
+      this.db = this.openDatabase(Database);
+    }
+
+    this.prepareStatements();
+    this.importLegacyData();
+  }
+
+  openDatabase(Database) {
+    const db = new Database(this.file, { timeout: this.config.busy_timeout || 5000 });
+
+    try {
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+
+      const check = db.pragma('quick_check', { simple: true });
+      if (check !== 'ok') {
+        throw new Error(`integrity check failed: ${check}`);
+      }
+
+      db.exec(SCHEMA);
+      db.function('paired_match', { deterministic: true }, (pattern, key) => matchesPattern(pattern, key) ? 1 : 0);
+      return db;
+    } catch (error) {
+      db.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Move a damaged database (and its WAL files) aside so a fresh one can open
+   */
+  quarantine(error) {
+    const suffix = `.corrupt-${Date.now()}`;
+    for (const file of [this.file, `${this.file}-wal`, `${this.file}-shm`]) {
+      if (fs.existsSync(file)) {
+        fs.renameSync(file, `${file}${suffix}`);
+      }
+    }
+    console.warn(`⚠️ Shared memory database was damaged (${error.message}); moved to ${this.file}${suffix}`);
+  }
+
+  prepareStatements() {
+    this.statements = {
+      read: this.db.prepare(`SELECT key, value, metadata FROM memory WHERE key = @key AND ${LIVE}`),
+      keys: this.db.prepare(`SELECT key FROM memory WHERE paired_match(@pattern, key) AND ${LIVE} ORDER BY key`),
+      query: this.db.prepare(`SELECT key, value, metadata FROM memory WHERE paired_match(@pattern, key) AND ${LIVE} ORDER BY key`),
+      write: this.db.prepare(`
+        INSERT INTO memory (key, value, metadata, agent, updated_at, expires_at)
+        VALUES (@key, @value, @metadata, @agent, @updated_at, @expires_at)
+        ON CONFLICT (key) DO UPDATE SET
+          value = excluded.value,
+          metadata = excluded.metadata,
+          agent = excluded.agent,
+          updated_at = excluded.updated_at,
+          expires_at = excluded.expires_at
+      `),
+      remove: this.db.prepare('DELETE FROM memory WHERE key = @key'),
+      expired: this.db.prepare('SELECT key FROM memory WHERE expires_at < @now'),
+      purge: this.db.prepare('DELETE FROM memory WHERE expires_at < @now'),
+      appendChange: this.db.prepare(`
+        INSERT INTO changes (key, operation, agent, origin, created_at)
+        VALUES (@key, @operation, @agent, @origin, @created_at)
+      `),
+      changesSince: this.db.prepare('SELECT * FROM changes WHERE seq > @seq ORDER BY seq LIMIT @limit'),
+      latestChange: this.db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM changes'),
+      pruneChanges: this.db.prepare('DELETE FROM changes WHERE created_at < @before'),
+      getCursor: this.db.prepare('SELECT seq FROM cursors WHERE id = @id'),
+      setCursor: this.db.prepare(`
+        INSERT INTO cursors (id, seq, updated_at) VALUES (@id, @seq, @updated_at)
+        ON CONFLICT (id) DO UPDATE SET seq = excluded.seq, updated_at = excluded.updated_at
+      `)
+    };
+  }
+
+  /**
+   * One-time import of entries written by the JSON backend or by earlier
+   * versions into a new database
+   */
+  importLegacyData() {
+    if (this.db.pragma('user_version', { simple: true }) >= SCHEMA_VERSION) return;
+
+    const entries = this.readLegacyEntries();
+    const insertAll = this.db.transaction(items => {
+      items.forEach(([key, entry]) => this.writeRow(key, entry.value, entry.metadata));
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    });
+    insertAll(entries);
+
+    if (entries.length > 0) {
+      console.log(`🧠 Imported ${entries.length} shared memory entries into ${this.file}`);
+    }
+  }
+
+  readLegacyEntries() {
+    const readJson = (file) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(this.config.storage_path, file), 'utf8'));
+      } catch {
+        return null;
+      }
+    };
+
+    const store = readJson('memory_store.json');
+    if (store && store.entries) {
+      return Object.entries(store.entries);
+    }
+
+    const memory = readJson('memory.json') || {};
+    const metadata = readJson('metadata.json') || {};
+    return Object.entries(memory).map(([key, value]) => [key, {
+      value,
+      metadata: metadata[key] || { timestamp: Date.now(), ttl: null, persistent: true }
+    }]);
+  }
+
+  async load() {
+    return this.statements.query.all({ pattern: '*', now: Date.now() }).map(row => this.toEntry(row));
+  }
+
+  read(key) {
+    const row = this.statements.read.get({ key, now: Date.now() });
+    return row ? this.toEntry(row) : null;
+  }
+
+  listKeys(pattern = '*') {
+    return this.statements.keys.all({ pattern, now: Date.now() }).map(row => row.key);
+  }
+
+  async query(pattern = '*') {
+    return this.statements.query.all({ pattern, now: Date.now() }).map(row => this.toEntry(row));
+  }
+
+  /**
+   * @param {Object} [change] - `{ operation, agent, origin }` to append to the
+   *   change log atomically with the write
+   * @returns {Promise<number|null>} Change sequence number, if logged
+   */
+  async write(key, value, metadata, change = null) {
+    if (!change) {
+      this.writeRow(key, value, metadata);
+      return null;
+    }
+
+    return this.db.transaction(() => {
+      this.writeRow(key, value, metadata);
+      return this.appendChange(key, change);
+    })();
+  }
+
+  writeRow(key, value, metadata) {
+    this.statements.write.run({
+      key,
+      value: JSON.stringify(value === undefined ? null : value),
+      metadata: JSON.stringify(metadata),
+      agent: metadata.agent || null,
+      updated_at: metadata.timestamp || Date.now(),
+      expires_at: expiresAt(metadata)
+    });
+  }
+
+  async remove(key, change = null) {
+    return this.db.transaction(() => {
+      const existed = this.statements.remove.run({ key }).changes > 0;
+      if (existed && change) {
+        this.appendChange(key, change);
+      }
+      return existed;
+    })();
+  }
+
+  appendChange(key, change) {
+    const result = this.statements.appendChange.run({
+      key,
+      operation: change.operation,
+      agent: change.agent || null,
+      origin: change.origin || null,
+      created_at: Date.now()
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Logged changes after a sequence number, oldest first (sync)
+   */
+  changesSince(seq, limit = 500) {
+    return this.statements.changesSince.all({ seq, limit });
+  }
+
+  latestChangeSeq() {
+    return this.statements.latestChange.get().seq;
+  }
+
+  /**
+   * Delivery cursor of a subscription, or null if it has none yet (sync)
+   */
+  getCursor(id) {
+    const row = this.statements.getCursor.get({ id });
+    return row ? row.seq : null;
+  }
+
+  setCursor(id, seq) {
+    this.statements.setCursor.run({ id, seq, updated_at: Date.now() });
+  }
+
+  async pruneChanges(before) {
+    return this.statements.pruneChanges.run({ before }).changes;
+  }
+
+  async purgeExpired(now = Date.now()) {
+    const purge = this.db.transaction(() => {
+      const keys = this.statements.expired.all({ now }).map(row => row.key);
+      this.statements.purge.run({ now });
+      return keys;
+    });
+    return purge();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  toEntry(row) {
+    return { key: row.key, value: JSON.parse(row.value), metadata: JSON.parse(row.metadata) };
+  }
+}
+
+module.exports = SqliteMemoryStore;
@@ -3,7 +3,9 @@
  * PAIRED Agent Launcher
  *
  * Launches individual PAIRED agents or all agents in a single process.
- * Used by start-agents.sh to manage agent lifecycle.
+ * Used by start-agents.sh to manage agent lifecycle. When started by the
+ * agent supervisor (lib/agents/supervisor.js) it reports each agent's actual
+ * port over the IPC channel and exits when the supervisor goes away.
  */
 
 const path = require('path');
@@ -26,7 +28,8 @@ process.on('SIGINT', () => {
 });
 
 // Import agent classes
-const AgentFactory = require('../core/agents/agent_factory');
+const AgentFactory = require('../../core/agents/agent_factory');
+const { createLogger } = require('../../core/infrastructure/logger');
 
 class AgentLauncher {
   constructor() {
@@ -38,7 +41,7 @@ class AgentLauncher {
     console.log('🚀 PAIRED Agent Launcher starting...');
 
     // Create minimal orchestrator for standalone mode
-    const SharedMemorySystem = require('../core/infrastructure/shared_memory');
+    const SharedMemorySystem = require('../../core/infrastructure/shared_memory');
     const minimalOrchestrator = {
       memoryManager: new SharedMemorySystem(),
       notificationSystem: null,
@@ -62,6 +65,11 @@ class AgentLauncher {
       // Create PID file for status monitoring
       this.createPidFile(agentId);
 
+      // Tell the supervisor where the agent ended up listening
+      if (process.send) {
+        process.send({ type: 'AGENT_READY', agentId, port: this.factory.agentPorts[agentId] || null, pid: process.pid });
+      }
+
       console.log(`✅ Agent ${agentId} launched successfully`);
       return agent;
     } catch (error) {
@@ -139,6 +147,11 @@ class AgentLauncher {
 
 // CLI handling
 async function main() {
+  // Agent output goes to ~/.paired/logs/agent-<id>.jsonl (agents.jsonl for --all)
+  const agentArg = process.argv.indexOf('--agent');
+  const agentId = agentArg > -1 ? process.argv[agentArg + 1] : null;
+  createLogger(agentId ? `agent:${agentId}` : 'agents').captureConsole();
+
   const launcher = new AgentLauncher();
 
   try {
@@ -169,6 +182,13 @@ async function main() {
     // Keep process alive indefinitely
     console.log('🔄 Agents running in background. Press Ctrl+C to stop.');
 
+    // Supervised agents must not outlive their supervisor
+    process.on('disconnect', async () => {
+      console.log('📡 Supervisor disconnected, shutting down...');
+      await launcher.shutdown();
+      process.exit(0);
+    });
+
     process.on('SIGTERM', async () => {
       console.log('📡 Received SIGTERM, shutting down...');
       await launcher.shutdown();
@@ -8,22 +8,39 @@
 const ProjectDirectoryAssessment = require('./project-directory-assessment');
 
 class TeamProjectAssessment {
-  constructor(projectPath = process.cwd()) {
+  /**
+   * @param {string} projectPath - Directory to assess
+   * @param {Object} [options] - `onProgress(stage, message, counts)` and
+   *   `onRecommendation(recommendation)` to follow a long assessment as it runs
+   */
+  constructor(projectPath = process.cwd(), options = {}) {
     this.projectPath = projectPath;
     this.assessment = null;
     this.recommendations = [];
+    this.onProgress = options.onProgress || null;
+    this.onRecommendation = options.onRecommendation || null;
+  }
+
+  addRecommendation(recommendation) {
+    this.recommendations.push(recommendation);
+    if (this.onRecommendation) {
+      this.onRecommendation(recommendation);
+    }
   }
 
   async runTeamAssessment() {
     console.log('👑 Alex (PM): Coordinating comprehensive team project assessment...\n');
 
     // 🕵️ Sherlock's Investigation
-    const investigator = new ProjectDirectoryAssessment(this.projectPath);
+    const investigator = new ProjectDirectoryAssessment(this.projectPath, { onProgress: this.onProgress });
     this.assessment = await investigator.runCompleteAssessment();
 
     console.log(investigator.generateAssessmentReport());
 
     // Multi-agent analysis and recommendations
+    if (this.onProgress) {
+      this.onProgress('recommendations', 'Collecting team recommendations');
+    }
     await this.generateTeamRecommendations();
 
     return this.displayGuidedOptions();
@@ -39,7 +56,7 @@ class TeamProjectAssessment {
     if (directory_status.is_fresh) {
       console.log('- Fresh project detected - ready for new development');
       console.log('- No existing code conflicts to worry about');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Edison',
         type: 'development',
         priority: 'high',
@@ -51,7 +68,7 @@ class TeamProjectAssessment {
       if (code_analysis.framework_detected) {
         console.log(`- Framework: ${code_analysis.framework_detected}`);
       }
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Edison',
         type: 'development',
         priority: 'medium',
@@ -63,7 +80,7 @@ class TeamProjectAssessment {
     console.log('\n🏛️ **Leonardo (Architecture): System Design Assessment**');
     if (directory_status.project_type === 'unknown' && !directory_status.is_fresh) {
       console.log('- Architecture unclear - needs design review');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Leonardo',
         type: 'architecture',
         priority: 'high',
@@ -71,7 +88,7 @@ class TeamProjectAssessment {
       });
     } else if (directory_status.is_fresh) {
       console.log('- Clean slate for architectural design');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Leonardo',
         type: 'architecture',
         priority: 'high',
@@ -80,7 +97,7 @@ class TeamProjectAssessment {
     } else {
       console.log(`- Project type: ${directory_status.project_type}`);
       console.log('- Architecture review recommended for optimization');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Leonardo',
         type: 'architecture',
         priority: 'medium',
@@ -92,7 +109,7 @@ class TeamProjectAssessment {
     console.log('\n🕵️ **Sherlock (QA): Quality & Security Assessment**');
     if (code_analysis.tests === 0 && code_analysis.code_files > 0) {
       console.log('- ⚠️ No tests detected - quality risk identified');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Sherlock',
         type: 'quality',
         priority: 'high',
@@ -101,7 +118,7 @@ class TeamProjectAssessment {
     }
     if (!directory_status.has_git) {
       console.log('- ⚠️ No version control - critical issue');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Sherlock',
         type: 'quality',
         priority: 'critical',
@@ -114,7 +131,7 @@ class TeamProjectAssessment {
     console.log('\n🎨 **Maya (UX): User Experience Assessment**');
     if (!plans_handoffs.has_readme) {
       console.log('- ❌ No README - user onboarding missing');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Maya',
         type: 'ux',
         priority: 'high',
@@ -127,7 +144,7 @@ class TeamProjectAssessment {
     console.log('\n🏈 **Vince (Scrum Master): Process & Workflow Assessment**');
     if (!plans_handoffs.has_planning_docs) {
       console.log('- No planning documentation found');
-      this.recommendations.push({
+      this.addRecommendation({
         agent: 'Vince',
         type: 'process',
         priority: 'medium',
@@ -144,7 +161,7 @@ class TeamProjectAssessment {
     if (recent_changes.recent_file_changes.length > 0) {
       console.log(`- Recent activity: ${recent_changes.recent_file_changes.length} files modified`);
     }
-    this.recommendations.push({
+    this.addRecommendation({
       agent: 'Marie',
       type: 'analytics',
       priority: 'low',
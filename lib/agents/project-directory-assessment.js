@@ -8,9 +8,21 @@ const fs = require('fs').promises;
 const path = require('path');
 
 class ProjectDirectoryAssessment {
-  constructor(projectPath = process.cwd()) {
+  /**
+   * @param {string} projectPath - Directory to assess
+   * @param {Object} [options] - `onProgress(stage, message, { current, total })` for long scans
+   */
+  constructor(projectPath = process.cwd(), options = {}) {
     this.projectPath = projectPath;
     this.assessment = null;
+    this.onProgress = options.onProgress || null;
+    this.scannedFiles = 0;
+  }
+
+  reportProgress(stage, message, counts = {}) {
+    if (this.onProgress) {
+      this.onProgress(stage, message, counts);
+    }
   }
 
   /**
@@ -18,10 +30,16 @@ class ProjectDirectoryAssessment {
    */
   async runCompleteAssessment() {
     try {
+      this.reportProgress('directory', 'Checking project directory');
+      const directoryStatus = await this.assessDirectoryStatus();
+      const codeAnalysis = await this.analyzeCodebase();
+      this.reportProgress('changes', 'Reviewing recent changes');
+      const recentChanges = await this.analyzeRecentChanges();
+      this.reportProgress('plans', 'Reading plans and handoffs');
       const assessment = {
-        directory_status: await this.assessDirectoryStatus(),
-        code_analysis: await this.analyzeCodebase(),
-        recent_changes: await this.analyzeRecentChanges(),
+        directory_status: directoryStatus,
+        code_analysis: codeAnalysis,
+        recent_changes: recentChanges,
         plans_handoffs: await this.analyzePlansAndHandoffs()
       };
 
@@ -121,6 +139,7 @@ class ProjectDirectoryAssessment {
   async analyzeCodebase() {
     try {
       const codeExtensions = ['.js', '.ts', '.py', '.java', '.cpp', '.c', '.rs', '.go', '.rb', '.php'];
+      this.scannedFiles = 0;
       const files = await this.getAllFiles(this.projectPath);
       
       const codeFiles = files.filter(file => 
@@ -129,9 +148,10 @@ class ProjectDirectoryAssessment {
 
       // Language detection
       const languageCount = {};
-      codeFiles.forEach(file => {
+      codeFiles.forEach((file, index) => {
         const ext = path.extname(file);
         languageCount[ext] = (languageCount[ext] || 0) + 1;
+        this.reportProgress('analyze', 'Analyzing code files', { current: index + 1, total: codeFiles.length });
       });
 
       const mainLanguages = Object.entries(languageCount)
@@ -368,6 +388,8 @@ class ProjectDirectoryAssessment {
             files.push(...subFiles);
           } else {
             files.push(relativeName);
+            this.scannedFiles++;
+            this.reportProgress('scan', 'Scanning files', { current: this.scannedFiles });
           }
         } catch {
           // Skip inaccessible files
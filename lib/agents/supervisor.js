@@ -0,0 +1,510 @@
+#!/usr/bin/env node
+/**
+ * PAIRED Agent Supervisor
+ *
+ * Runs each agent server as a child process of lib/agents/launcher.js and
+ * keeps it running:
+ * - restarts crashed agents with exponential backoff, per restart policy
+ *   ('on-failure', 'always' or 'never'), giving up after too many restarts
+ *   in a short window
+ * - probes each agent's `/health` endpoint and restarts agents that stop
+ *   answering, or that never report ready after starting
+ * - keeps a registry of the ports agents actually listen on (the factory
+ *   moves to the next port when one is busy), written to
+ *   ~/.paired/supervisor/agents.json and published to the bridge's
+ *   /agent-registry endpoint
+ *
+ * `paired-monitor agents` shows the registry: status, restarts and uptime.
+ *
+ * Usage:
+ *   node supervisor.js [--agent <id>...] [--policy on-failure|always|never]
+ *   node supervisor.js --status [--json]
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { authHeaders } = require('../bridge/auth-token');
+const { createLogger } = require('../../core/infrastructure/logger');
+
+const PAIRED_DIR = path.join(os.homedir(), '.paired');
+const STATE_FILE = path.join(PAIRED_DIR, 'supervisor', 'agents.json');
+const PID_FILE = path.join(PAIRED_DIR, 'pids', 'supervisor.pid');
+const LAUNCHER = path.join(__dirname, 'launcher.js');
+
+// Alex runs inside the bridge; these agents get their own servers
+const SUPERVISED_AGENTS = ['sherlock', 'edison', 'leonardo', 'maya', 'vince', 'marie'];
+const RESTART_POLICIES = ['on-failure', 'always', 'never'];
+
+const DEFAULTS = {
+  policy: 'on-failure',
+  initialBackoff: 1000,      // first restart delay
+  maxBackoff: 60000,         // backoff ceiling
+  backoffFactor: 2,
+  stableAfter: 60000,        // uptime after which the backoff resets
+  maxRestarts: 5,            // restarts allowed within restartWindow...
+  restartWindow: 10 * 60000, // ...before the agent is marked failed
+  healthInterval: 10000,
+  healthTimeout: 3000,
+  unhealthyThreshold: 3,     // failed probes in a row before a restart
+  startupTimeout: 30000,     // time to report AGENT_READY before the start counts as failed
+  stopTimeout: 5000,         // grace period before SIGKILL
+  bridgeUrl: 'http://localhost:7890'
+};
+
+class AgentSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options - `agents` (ids), `launcher`, `stateFile`,
+   *   `logDir`, `bridgeUrl` (null disables publishing), `logger` and the
+   *   restart and health settings in DEFAULTS
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = { ...DEFAULTS, ...options };
+    if (!RESTART_POLICIES.includes(this.options.policy)) {
+      throw new Error(`Unknown restart policy: ${this.options.policy} (use ${RESTART_POLICIES.join(', ')})`);
+    }
+
+    this.logger = options.logger || createLogger('supervisor');
+    this.launcher = options.launcher || LAUNCHER;
+    this.stateFile = options.stateFile || STATE_FILE;
+    this.logDir = options.logDir || path.join(PAIRED_DIR, 'logs');
+    this.agents = new Map(); // agentId -> supervised agent record
+    this.healthTimer = null;
+    this.stopping = false;
+    this.publishPending = false;
+
+    (options.agents || SUPERVISED_AGENTS).forEach(agentId => {
+      this.agents.set(agentId, {
+        id: agentId,
+        status: 'stopped',
+        pid: null,
+        port: null,
+        restarts: 0,
+        restartTimes: [],
+        consecutiveFailures: 0,
+        failedProbes: 0,
+        startedAt: null,
+        lastExit: null,
+        lastHealthAt: null,
+        child: null,
+        killReason: null, // set when the supervisor kills the agent, which counts as a failure
+        restartTimer: null
+      });
+    });
+  }
+
+  async start() {
+    this.stopping = false;
+    fs.mkdirSync(this.logDir, { recursive: true });
+    this.logger.info(`🛡️ Supervising ${this.agents.size} agents (restart policy: ${this.options.policy})`);
+
+    for (const agentId of this.agents.keys()) {
+      this.spawnAgent(agentId);
+    }
+
+    this.healthTimer = setInterval(() => this.probeAll(), this.options.healthInterval);
+    this.saveState();
+  }
+
+  spawnAgent(agentId) {
+    const record = this.agents.get(agentId);
+    const log = fs.openSync(path.join(this.logDir, `agent_${agentId}.log`), 'a');
+
+    const child = spawn(process.execPath, [this.launcher, '--agent', agentId], {
+      stdio: ['ignore', log, log, 'ipc']
+    });
+    fs.closeSync(log);
+
+    Object.assign(record, {
+      child,
+      pid: child.pid,
+      status: 'starting',
+      startedAt: Date.now(),
+      failedProbes: 0,
+      killReason: null,
+      restartTimer: null
+    });
+    this.logger.info(`🚀 Started ${agentId} (PID: ${child.pid})`);
+
+    child.on('message', (message) => {
+      if (message && message.type === 'AGENT_READY' && message.agentId === agentId) {
+        const drifted = record.port && message.port !== record.port;
+        record.port = message.port;
+        record.status = 'running';
+        this.logger.info(`🔌 ${agentId} listening on port ${message.port}${drifted ? ' (port changed)' : ''}`);
+        this.changed(agentId);
+      }
+    });
+    child.on('exit', (code, signal) => this.handleExit(agentId, child, code, signal));
+    child.on('error', (error) => this.logger.error(`❌ Could not run ${agentId}: ${error.message}`));
+
+    this.changed(agentId);
+  }
+
+  handleExit(agentId, child, code, signal) {
+    const record = this.agents.get(agentId);
+    if (record.child !== child) return; // an older process
+
+    const uptime = Date.now() - record.startedAt;
+    record.child = null;
+    record.pid = null;
+    record.lastExit = { code, signal, at: new Date().toISOString(), uptimeMs: uptime, reason: record.killReason };
+
+    if (this.stopping || record.status === 'stopping') {
+      record.status = 'stopped';
+      this.changed(agentId);
+      return;
+    }
+
+    // An agent the supervisor had to kill failed, however it exited
+    const failed = code !== 0 || signal !== null || record.killReason !== null;
+    const cause = `${signal || `code ${code}`}${record.killReason ? `, ${record.killReason.replace(/_/g, ' ')}` : ''}`;
+    this.logger[failed ? 'warn' : 'info'](`${failed ? '💥' : '⏹️'} ${agentId} exited (${cause}) after ${formatDuration(uptime)}`);
+
+    const restart = this.options.policy === 'always' || (this.options.policy === 'on-failure' && failed);
+    if (!restart) {
+      record.status = failed ? 'failed' : 'stopped';
+      this.changed(agentId);
+      return;
+    }
+
+    // Too many restarts in the window: leave it down rather than flap
+    const now = Date.now();
+    record.restartTimes = record.restartTimes.filter(time => now - time < this.options.restartWindow);
+    if (record.restartTimes.length >= this.options.maxRestarts) {
+      record.status = 'failed';
+      this.logger.error(`❌ ${agentId} restarted ${record.restartTimes.length} times in ${formatDuration(this.options.restartWindow)}; giving up`);
+      this.changed(agentId);
+      this.emit('agentFailed', { agentId, lastExit: record.lastExit });
+      return;
+    }
+
+    record.consecutiveFailures = uptime >= this.options.stableAfter ? 0 : record.consecutiveFailures + 1;
+    const delay = this.backoffDelay(record.consecutiveFailures);
+    record.status = 'backoff';
+    record.nextRestartAt = new Date(now + delay).toISOString();
+    this.logger.info(`🔁 Restarting ${agentId} in ${formatDuration(delay)}`);
+    this.changed(agentId);
+
+    record.restartTimer = setTimeout(() => {
+      record.restartTimes.push(Date.now());
+      record.restarts++;
+      record.nextRestartAt = null;
+      this.spawnAgent(agentId);
+      this.emit('agentRestarted', { agentId, restarts: record.restarts });
+    }, delay);
+  }
+
+  /**
+   * Delay before the next restart: initialBackoff * factor^(failures - 1), capped
+   */
+  backoffDelay(consecutiveFailures) {
+    const { initialBackoff, backoffFactor, maxBackoff } = this.options;
+    return Math.min(maxBackoff, initialBackoff * Math.pow(backoffFactor, Math.max(0, consecutiveFailures - 1)));
+  }
+
+  async probeAll() {
+    this.checkStartups();
+    await Promise.all(Array.from(this.agents.values())
+      .filter(record => record.child && ['running', 'unhealthy'].includes(record.status))
+      .map(record => this.probe(record)));
+
+    if (this.publishPending) {
+      this.publish();
+    }
+  }
+
+  /**
+   * Restart agents still starting after startupTimeout; a child that never
+   * sends AGENT_READY has no port to probe
+   */
+  checkStartups(now = Date.now()) {
+    for (const record of this.agents.values()) {
+      if (record.child && record.status === 'starting' && !record.killReason &&
+        now - record.startedAt > this.options.startupTimeout) {
+        this.logger.warn(`⏱️ ${record.id} did not report ready within ${formatDuration(this.options.startupTimeout)}; restarting`);
+        this.terminate(record, 'startup_timeout');
+      }
+    }
+  }
+
+  /**
+   * Kill an agent the supervisor gave up on; the exit handler applies the
+   * restart policy
+   */
+  terminate(record, reason) {
+    record.killReason = reason;
+    record.child.kill('SIGTERM');
+    this.killAfterTimeout(record.child);
+  }
+
+  async probe(record) {
+    const healthy = await this.checkHealth(record.port);
+    if (healthy) {
+      record.lastHealthAt = new Date().toISOString();
+      if (record.failedProbes > 0 || record.status !== 'running') {
+        record.failedProbes = 0;
+        record.status = 'running';
+        this.changed(record.id);
+      }
+      return;
+    }
+
+    record.failedProbes++;
+    if (record.status === 'running') {
+      record.status = 'unhealthy';
+      this.changed(record.id);
+    }
+    if (record.failedProbes >= this.options.unhealthyThreshold && !record.killReason) {
+      this.logger.warn(`🩺 ${record.id} failed ${record.failedProbes} health checks on port ${record.port}; restarting`);
+      this.terminate(record, 'unhealthy');
+    }
+  }
+
+  checkHealth(port) {
+    return new Promise((resolve) => {
+      const request = http.get({ host: 'localhost', port, path: '/health', timeout: this.options.healthTimeout }, (res) => {
+        res.resume();
+        resolve(res.statusCode === 200);
+      });
+      request.on('timeout', () => request.destroy());
+      request.on('error', () => resolve(false));
+    });
+  }
+
+  killAfterTimeout(child) {
+    const timer = setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGKILL');
+      }
+    }, this.options.stopTimeout);
+    timer.unref();
+  }
+
+  /**
+   * Stop one agent without restarting it
+   */
+  async stopAgent(agentId) {
+    const record = this.agents.get(agentId);
+    if (!record) throw new Error(`Not supervised: ${agentId}`);
+
+    clearTimeout(record.restartTimer);
+    record.nextRestartAt = null;
+    if (!record.child) {
+      record.status = 'stopped';
+      this.changed(agentId);
+      return;
+    }
+
+    record.status = 'stopping';
+    const child = record.child;
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill('SIGTERM');
+    this.killAfterTimeout(child);
+    await exited;
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.healthTimer);
+    await Promise.all(Array.from(this.agents.keys()).map(agentId => this.stopAgent(agentId)));
+    this.saveState();
+    await this.publish();
+    this.logger.info('✅ All supervised agents stopped');
+  }
+
+  /**
+   * Registry entry per agent, as saved and published
+   */
+  snapshot() {
+    const now = Date.now();
+    return Array.from(this.agents.values()).map(record => ({
+      id: record.id,
+      status: record.status,
+      pid: record.pid,
+      port: record.port,
+      restarts: record.restarts,
+      startedAt: record.startedAt ? new Date(record.startedAt).toISOString() : null,
+      uptimeMs: record.child && record.startedAt ? now - record.startedAt : 0,
+      lastHealthAt: record.lastHealthAt,
+      lastExit: record.lastExit,
+      nextRestartAt: record.nextRestartAt || null
+    }));
+  }
+
+  changed(agentId) {
+    this.emit('agentStateChanged', { agentId, status: this.agents.get(agentId).status });
+    this.saveState();
+    this.publish();
+  }
+
+  saveState() {
+    const state = {
+      supervisorPid: process.pid,
+      policy: this.options.policy,
+      updatedAt: new Date().toISOString(),
+      agents: this.snapshot()
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(`${this.stateFile}.tmp`, JSON.stringify(state, null, 2));
+      fs.renameSync(`${this.stateFile}.tmp`, this.stateFile);
+    } catch (error) {
+      this.logger.warn('⚠️ Could not save supervisor state:', error);
+    }
+  }
+
+  /**
+   * Send the port registry to the bridge; retried on the next health round
+   * when the bridge is not up
+   */
+  publish() {
+    if (!this.options.bridgeUrl) return Promise.resolve(false);
+
+    const body = JSON.stringify({ supervisorPid: process.pid, updatedAt: new Date().toISOString(), agents: this.snapshot() });
+    return new Promise((resolve) => {
+      const request = http.request(new URL('/agent-registry', this.options.bridgeUrl), {
+        method: 'POST',
+        timeout: this.options.healthTimeout,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...authHeaders() }
+      }, (res) => {
+        res.resume();
+        this.publishPending = res.statusCode !== 200;
+        resolve(!this.publishPending);
+      });
+      request.on('timeout', () => request.destroy());
+      request.on('error', () => {
+        this.publishPending = true;
+        resolve(false);
+      });
+      request.end(body);
+    });
+  }
+}
+
+/**
+ * Saved registry, or null when the supervisor has never run
+ */
+function readState(stateFile = STATE_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * Registry as a table for paired-monitor
+ */
+function formatState(state) {
+  if (!state) {
+    return '⚠️  Agent supervisor has not run (start it with: start-agents.sh --supervise)';
+  }
+
+  const alive = isRunning(state.supervisorPid);
+  const lines = [
+    `🛡️ Agent supervisor ${alive ? `running (PID: ${state.supervisorPid})` : 'not running'}, policy ${state.policy}, updated ${state.updatedAt}`,
+    '',
+    `${'AGENT'.padEnd(10)} ${'STATUS'.padEnd(10)} ${'PID'.padEnd(8)} ${'PORT'.padEnd(6)} ${'RESTARTS'.padEnd(9)} ${'UPTIME'.padEnd(9)} LAST EXIT`
+  ];
+
+  for (const agent of state.agents) {
+    // Uptime was recorded at the last state change
+    const uptime = alive && agent.startedAt && agent.pid ? Date.now() - Date.parse(agent.startedAt) : 0;
+    const lastExit = agent.lastExit
+      ? `${agent.lastExit.signal || `code ${agent.lastExit.code}`}${agent.lastExit.reason ? ` (${agent.lastExit.reason.replace(/_/g, ' ')})` : ''} at ${agent.lastExit.at}`
+      : '-';
+    lines.push(`${agent.id.padEnd(10)} ${(alive ? agent.status : 'stopped').padEnd(10)} ${String(agent.pid || '-').padEnd(8)} ${String(agent.port || '-').padEnd(6)} ${String(agent.restarts).padEnd(9)} ${(uptime ? formatDuration(uptime) : '-').padEnd(9)} ${lastExit}`);
+  }
+  return lines.join('\n');
+}
+
+function parseArgs(args) {
+  const options = { agents: [] };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--agent':
+        options.agents.push(args[++i]);
+        break;
+      case '--policy':
+        options.policy = args[++i];
+        break;
+      case '--status':
+        options.status = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.status) {
+    const state = readState();
+    console.log(options.json ? JSON.stringify(state, null, 2) : formatState(state));
+    return;
+  }
+
+  // Built-in agents plus installed agent plugins
+  const { getAgentPluginRegistry } = require('../../core/agents/agent_plugins');
+  const agents = options.agents.length > 0 ? options.agents : [...SUPERVISED_AGENTS, ...getAgentPluginRegistry().list().map(plugin => plugin.id)];
+  const supervisor = new AgentSupervisor({ agents, policy: options.policy });
+
+  fs.mkdirSync(path.dirname(PID_FILE), { recursive: true });
+  fs.writeFileSync(PID_FILE, process.pid.toString());
+
+  const shutdown = async (signal) => {
+    supervisor.logger.info(`📡 Received ${signal}, stopping supervised agents...`);
+    await supervisor.stop();
+    fs.rmSync(PID_FILE, { force: true });
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  await supervisor.start();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Agent supervisor failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  AgentSupervisor,
+  readState,
+  formatState,
+  SUPERVISED_AGENTS,
+  RESTART_POLICIES,
+  STATE_FILE
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * PAIRED Bridge Auth Token
+ *
+ * Per-install secret shared by the bridge and its local clients. The token
+ * lives in ~/.paired/cascade_bridge/auth_token, readable by the owner only,
+ * and is sent as `Authorization: Bearer <token>` on HTTP requests and in the
+ * WebSocket handshake. `PAIRED_BRIDGE_TOKEN` overrides the file for clients
+ * that cannot read it.
+ *
+ * Usage: node auth-token.js [ensure|rotate|path]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const TOKEN_FILE = path.join(os.homedir(), '.paired', 'cascade_bridge', 'auth_token');
+const TOKEN_BYTES = 32;
+
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * Read the token file; null when it is missing or empty
+ */
+function readToken(tokenFile = TOKEN_FILE) {
+  try {
+    const token = fs.readFileSync(tokenFile, 'utf8').trim();
+    return token || null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not read bridge token ${tokenFile}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Write a new token, replacing any existing one
+ */
+function writeToken(tokenFile = TOKEN_FILE, token = generateToken()) {
+  fs.mkdirSync(path.dirname(tokenFile), { recursive: true, mode: 0o700 });
+
+  const tempFile = `${tokenFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, `${token}\n`, { mode: 0o600 });
+  fs.renameSync(tempFile, tokenFile);
+  return token;
+}
+
+/**
+ * Return the install's token, creating it on first use. Tightens the file
+ * mode if someone loosened it.
+ */
+function ensureToken(tokenFile = TOKEN_FILE) {
+  const token = readToken(tokenFile);
+  if (!token) {
+    return writeToken(tokenFile);
+  }
+
+  if (process.platform !== 'win32') {
+    const mode = fs.statSync(tokenFile).mode & 0o777;
+    if (mode & 0o077) {
+      fs.chmodSync(tokenFile, 0o600);
+      console.warn(`⚠️ Bridge token ${tokenFile} was readable by others; restricted it to the owner`);
+    }
+  }
+  return token;
+}
+
+/**
+ * Token a client should present: PAIRED_BRIDGE_TOKEN, else the token file
+ */
+function loadClientToken(tokenFile = TOKEN_FILE) {
+  return process.env.PAIRED_BRIDGE_TOKEN || readToken(tokenFile);
+}
+
+/**
+ * Headers carrying the token, empty when there is none
+ */
+function authHeaders(token = loadClientToken()) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Bearer token from an HTTP request or WebSocket upgrade request
+ */
+function tokenFromRequest(req) {
+  const header = req.headers && req.headers.authorization;
+  const match = header && /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Constant-time comparison; hashing first evens out the lengths
+ */
+function tokensMatch(expected, actual) {
+  if (!expected || !actual) return false;
+
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
+module.exports = {
+  TOKEN_FILE,
+  generateToken,
+  readToken,
+  writeToken,
+  ensureToken,
+  loadClientToken,
+  authHeaders,
+  tokenFromRequest,
+  tokensMatch
+};
+
+if (require.main === module) {
+  const command = process.argv[2] || 'ensure';
+
+  switch (command) {
+  case 'ensure':
+    ensureToken();
+    console.log(`✅ Bridge auth token ready: ${TOKEN_FILE}`);
+    break;
+  case 'rotate':
+    writeToken();
+    console.log(`✅ Bridge auth token rotated: ${TOKEN_FILE}`);
+    console.log('💡 Restart the bridge and reconnect clients to use the new token');
+    break;
+  case 'path':
+    console.log(TOKEN_FILE);
+    break;
+  default:
+    console.error(`Unknown command: ${command} (expected ensure, rotate or path)`);
+    process.exit(1);
+  }
+}
@@ -24,15 +24,46 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { ensureToken, tokenFromRequest, tokensMatch } = require('./auth-token');
+const {
+  ERROR_CODES,
+  createEnvelope,
+  createReply,
+  createErrorEnvelope,
+  parseMessage,
+  toMessage,
+  isExpired,
+  idleTimeout,
+  PendingRequests,
+  STREAM_TYPES
+} = require('./message-envelope');
+const ResponseStream = require('./response-stream');
+const pathResolver = require('../utils/path_resolver');
+const { ProjectContextRegistry } = require('./project-contexts');
+const { getIntentClassifier } = require('../../core/infrastructure/intent_classifier');
+const { getRoutingLog } = require('../../core/infrastructure/routing_log');
+const { getAgentPluginRegistry } = require('../../core/agents/agent_plugins');
+const { createLogger, runWithRequestId, currentRequestId } = require('../../core/infrastructure/logger');
+const { getMetricsRegistry, applyCounterDeltas, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('../../core/infrastructure/metrics');
+
+// Counters other processes may forward to /metrics/report (the Windsurf
+// middleware and its token optimizer, see lib/cascade/middleware.js), as
+// [name, help, labelNames]; declared here so reports cannot redefine them
+const FORWARDED_COUNTERS = [
+  ['paired_tokens_saved_total', 'Estimated tokens saved by context optimization, by agent and source', ['agent', 'source']],
+  ['paired_token_optimizations_total', 'Context optimizations performed, by agent', ['agent']],
+  ['paired_cache_lookups_total', 'Cache lookups, by cache and result (hit or miss)', ['cache', 'result']],
+  ['paired_middleware_messages_total', 'Messages processed by the Windsurf middleware, by outcome', ['outcome']]
+];
 
 // Load Alex's PM modules directly (avoiding BaseAgent dependencies)
 let ProjectPlanning, MilestoneTracking, ResourceCoordination, TeamOrchestration;
 
 try {
-  ProjectPlanning = require('../core/agents/alex/modules/project_planning');
-  MilestoneTracking = require('../core/agents/alex/modules/milestone_tracking');
-  ResourceCoordination = require('../core/agents/alex/modules/resource_coordination');
-  TeamOrchestration = require('../core/agents/alex/modules/team_orchestration');
+  ProjectPlanning = require('../../core/agents/alex/modules/project_planning');
+  MilestoneTracking = require('../../core/agents/alex/modules/milestone_tracking');
+  ResourceCoordination = require('../../core/agents/alex/modules/resource_coordination');
+  TeamOrchestration = require('../../core/agents/alex/modules/team_orchestration');
 } catch (error) {
   console.warn('⚠️ Alex PM modules not fully available:', error.message);
 }
@@ -42,27 +73,38 @@ class UnifiedCascadeBridge {
     this.port = 7890; // Will be set by findAvailablePort
     this.dataDir = path.join(os.homedir(), '.paired', 'cascade_bridge');
     this.sessionsFile = path.join(this.dataDir, 'sessions.json');
-    this.logFile = path.join(this.dataDir, 'bridge.log');
     this.pidFile = path.join(os.homedir(), '.paired', 'cascade_bridge_unified.pid');
+    this.authToken = null; // Loaded from ~/.paired/cascade_bridge/auth_token on start
 
     // Connection tracking
     this.connections = new Map(); // instanceId -> WebSocket connection
     this.sessions = new Map();    // instanceId -> session data
     this.agents = new Map();      // agentId -> agent data
 
+    // Message protocol (see message-envelope.js)
+    this.pendingRequests = new PendingRequests(); // requests the bridge sent, by envelope id
+    this.inflight = new Map();    // envelope id -> { instanceId, timer } for requests awaiting our reply
+
     // CASCADE Takeover components
     this.alexAgent = null;
     this.alexPMInstance = null; // Full PM Agent instance
     this.teamAgents = new Map();
     this.connectedInstances = new Map();
+    this.projects = null;        // ProjectContextRegistry, created with the agent interfaces
+    this.agentPlugins = null;    // AgentPluginRegistry for agents installed outside core
+    this.pluginAgents = new Map(); // plugin id -> agent instance, created on first request
+    this.agentRegistry = null;   // ports and status of supervised agent servers (lib/agents/supervisor.js)
 
     // Server components
     this.app = null;
     this.server = null;
     this.wss = null;
 
+    this.startedAt = Date.now();
+
     this.setupDataDirectory();
     this.setupLogger();
+    this.setupMetrics();
   }
 
   /**
@@ -94,39 +136,85 @@ class UnifiedCascadeBridge {
     }
   }
 
+  /**
+   * JSON-lines log in ~/.paired/logs/bridge.jsonl (see core/infrastructure/logger.js)
+   */
   setupLogger() {
-    this.logger = {
-      log: (message) => {
-        const timestamp = new Date().toISOString();
-        const logEntry = `${timestamp} - INFO: ${message}\n`;
-        console.log(message);
-        fs.appendFile(this.logFile, logEntry, (err) => {
-          if (err) console.error('Failed to write to log file:', err);
-        });
-      },
+    this.logger = createLogger('bridge');
+    this.logFile = this.logger.file;
+  }
 
-      error: (message, error) => {
-        const timestamp = new Date().toISOString();
-        const errorDetails = error ? ` - ${error.message || error}` : '';
-        const logEntry = `${timestamp} - ERROR: ${message}${errorDetails}\n`;
-        console.error(message, error || '');
-        fs.appendFile(this.logFile, logEntry, (err) => {
-          if (err) console.error('Failed to write to log file:', err);
-        });
-      }
+  /**
+   * Bridge series in the process-wide metrics registry, served at /metrics
+   * next to whatever else runs in this process, plus the counters other
+   * processes forward to /metrics/report (token optimizer, middleware)
+   */
+  setupMetrics() {
+    const registry = getMetricsRegistry();
+    this.metrics = {
+      registry,
+      agentRequests: registry.counter('paired_agent_requests_total',
+        'Agent requests handled by the bridge, by agent, route (direct, routed, delegated) and outcome', ['agent', 'route', 'outcome']),
+      agentDuration: registry.histogram('paired_agent_request_duration_seconds',
+        'Time to answer an agent request', ['agent', 'route']),
+      routingDecisions: registry.counter('paired_routing_decisions_total',
+        'Intent classifier decisions, by chosen agent and method', ['agent', 'method']),
+      routingDuration: registry.histogram('paired_routing_duration_seconds',
+        'Time to classify a request', ['method'], [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1]),
+      httpRequests: registry.counter('paired_http_requests_total',
+        'HTTP requests, by method, matched route and status', ['method', 'route', 'status']),
+      wsConnectionsTotal: registry.counter('paired_websocket_connections_total', 'WebSocket connections accepted'),
+      wsMessages: registry.counter('paired_websocket_messages_total', 'WebSocket messages received'),
+      authRejections: registry.counter('paired_auth_rejections_total',
+        'Requests rejected for a missing or invalid bridge token', ['transport']),
+      forwarded: FORWARDED_COUNTERS.map(([name, help, labelNames]) => registry.counter(name, help, labelNames))
     };
+
+    const wsConnections = registry.gauge('paired_websocket_connections', 'Open WebSocket connections');
+    const sessions = registry.gauge('paired_bridge_sessions', 'Known IDE sessions');
+    const inflight = registry.gauge('paired_bridge_inflight_requests', 'Client requests awaiting a bridge reply');
+    const projects = registry.gauge('paired_project_contexts', 'Live per-project agent contexts');
+    const uptime = registry.gauge('paired_bridge_uptime_seconds', 'Seconds since the bridge started');
+    const memory = registry.gauge('paired_bridge_resident_memory_bytes', 'Resident memory of the bridge process');
+
+    registry.onCollect(() => {
+      wsConnections.set({}, this.connections.size);
+      sessions.set({}, this.sessions.size);
+      inflight.set({}, this.inflight.size);
+      projects.set({}, this.projects ? this.projects.contexts.size : 0);
+      uptime.set({}, (Date.now() - this.startedAt) / 1000);
+      memory.set({}, process.memoryUsage().rss);
+    });
+  }
+
+  /**
+   * Count and time one agent request for /metrics
+   */
+  async trackAgentRequest(agent, route, handle) {
+    const endTimer = this.metrics.agentDuration.startTimer({ agent, route });
+    try {
+      const result = await handle();
+      this.metrics.agentRequests.inc({ agent, route, outcome: 'success' });
+      return result;
+    } catch (error) {
+      this.metrics.agentRequests.inc({ agent, route, outcome: 'error' });
+      throw error;
+    } finally {
+      endTimer();
+    }
   }
 
   async start() {
-    console.log('🌍 PAIRED Unified CASCADE Bridge starting...');
-    console.log('🎯 Combining agent communication + CASCADE takeover in one service');
+    this.logger.info('🌍 PAIRED Unified CASCADE Bridge starting...');
+    this.logger.info('🎯 Combining agent communication + CASCADE takeover in one service');
     
     // Find available port to avoid conflicts
     this.port = await this.findAvailablePort(7890);
-    console.log(`🔌 Using port: ${this.port}`);
+    this.logger.info(`🔌 Using port: ${this.port}`);
 
     try {
       await this.checkExistingService();
+      this.authToken = ensureToken();
       await this.setupAgentInterfaces();
       await this.setupExpressApp();
       await this.setupWebSocketServer();
@@ -153,8 +241,8 @@ class UnifiedCascadeBridge {
       const existingPid = fs.readFileSync(this.pidFile, 'utf8').trim();
       try {
         process.kill(existingPid, 0); // Check if process exists
-        console.log('⚠️ Unified CASCADE Bridge already running (PID:', existingPid, ')');
-        console.log('🔄 Stopping existing service...');
+        this.logger.warn(`⚠️ Unified CASCADE Bridge already running (PID: ${existingPid})`);
+        this.logger.info('🔄 Stopping existing service...');
         process.kill(existingPid, 'SIGTERM');
         await new Promise(resolve => setTimeout(resolve, 2000)); // Wait for shutdown
       } catch (error) {
@@ -165,7 +253,7 @@ class UnifiedCascadeBridge {
   }
 
   async setupAgentInterfaces() {
-    console.log('🤖 Setting up PAIRED team interfaces...');
+    this.logger.info('🤖 Setting up PAIRED team interfaces...');
 
     // Initialize Alex with PM modules
     this.alexAgent = {
@@ -183,7 +271,7 @@ class UnifiedCascadeBridge {
       }
     };
 
-    console.log('✅ Alex PM Agent configured with modules on port 7890');
+    this.logger.info('✅ Alex PM Agent configured with modules on port 7890');
 
     // Initialize team agents
     const teamConfig = [
@@ -195,6 +283,12 @@ class UnifiedCascadeBridge {
       { id: 'marie', name: 'Marie (Analyst)', emoji: '🔬', role: 'Data Scientist' }
     ];
 
+    // Agents installed as plugins (see core/agents/agent_plugins.js)
+    this.agentPlugins = getAgentPluginRegistry({ logger: this.logger });
+    this.agentPlugins.list().forEach(plugin => {
+      teamConfig.push({ id: plugin.id, name: `${plugin.name} (${plugin.title})`, emoji: plugin.emoji, role: plugin.role, plugin: true });
+    });
+
     teamConfig.forEach(agent => {
       this.teamAgents.set(agent.id, { ...agent, isActive: true, scope: 'global' });
       this.agents.set(agent.id, { ...agent, isActive: true, scope: 'global' });
@@ -203,15 +297,57 @@ class UnifiedCascadeBridge {
     // Add Alex to agents map
     this.agents.set('alex', this.alexAgent);
 
-    console.log('✅ Alex configured as global primary interface');
-    console.log('✅ Team agents configured and ready');
+    // Per-project agent contexts, keyed by project root
+    this.projects = new ProjectContextRegistry({
+      agentIds: Array.from(this.agents.keys()),
+      alexTemplate: this.alexAgent,
+      idleTimeout: Number(process.env.PAIRED_PROJECT_IDLE_TIMEOUT) || undefined,
+      logger: this.logger
+    });
+
+    this.logger.info('✅ Alex configured as global primary interface');
+    this.logger.info('✅ Team agents configured and ready');
+  }
+
+  /**
+   * Project context for a request: the given project path, else the project
+   * the instance last used, else the bridge's own project
+   */
+  resolveProject(instanceId, projectPath = null, agentId = null) {
+    const project = this.projects.resolve(projectPath, instanceId);
+    project.touch(instanceId, agentId);
+    return project;
+  }
+
+  /**
+   * The project's knowledge store, or null when it cannot be opened (the
+   * request is then answered without it)
+   */
+  async getProjectKnowledge(project) {
+    try {
+      return await project.getKnowledgeStore();
+    } catch (error) {
+      this.logger.warn(`⚠️ Knowledge store unavailable for ${project.name}: ${error.message}`);
+      return null;
+    }
   }
 
   setupExpressApp() {
     this.app = express();
     this.app.use(express.json());
 
-    // Health check endpoint
+    // Request id for the log: the caller's X-Request-Id or a new one
+    this.app.use((req, res, next) => {
+      const requestId = req.get('X-Request-Id') || uuidv4();
+      res.set('X-Request-Id', requestId);
+      res.on('finish', () => {
+        const route = req.route ? req.route.path : 'unmatched';
+        this.metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      });
+      runWithRequestId(requestId, next);
+    });
+
+    // Health check endpoint (unauthenticated, exposes counts only)
     this.app.get('/health', (req, res) => {
       res.json({
         status: 'active',
@@ -224,7 +360,12 @@ class UnifiedCascadeBridge {
       });
     });
 
-    // Test relay endpoint for startup script health check
+    // Prometheus metrics (unauthenticated like /health: counts and timings only)
+    this.app.get('/metrics', (req, res) => {
+      res.type(METRICS_CONTENT_TYPE).send(this.metrics.registry.render());
+    });
+
+    // Test relay endpoint for startup script health check (unauthenticated like /health)
     this.app.get('/test-relay', (req, res) => {
       res.json({
         status: 'success',
@@ -235,6 +376,9 @@ class UnifiedCascadeBridge {
       });
     });
 
+    // Every endpoint below requires the install's bearer token
+    this.app.use((req, res, next) => this.authenticateHttp(req, res, next));
+
     // Agent registration endpoint
     this.app.post('/register-agent', (req, res) => {
       const { agentId, agentName, capabilities, emoji } = req.body;
@@ -261,6 +405,7 @@ class UnifiedCascadeBridge {
     this.app.post('/cascade-intercept', async (req, res) => {
       const { instanceId, message, type, projectPath } = req.body;
       this.logger.log(`👑 Alex: Intercepted ${type} from instance ${instanceId}`);
+      this.resolveProject(instanceId, projectPath);
 
       const response = await this.routeToAlexAndTeam(message, instanceId, projectPath);
       res.json(response);
@@ -283,32 +428,127 @@ class UnifiedCascadeBridge {
         capabilities,
         lastSeen: Date.now()
       });
+      const project = this.resolveProject(instanceId, projectPath);
 
-      this.logger.log(`🔗 Windsurf instance ${instanceId} registered (${projectPath})`);
+      this.logger.log(`🔗 Windsurf instance ${instanceId} registered (${projectPath} -> ${project.root})`);
       res.json({
         status: 'registered',
+        projectRoot: project.root,
         cascadeTakeoverActive: true,
         alexActive: true,
         teamActive: true
       });
     });
 
-    console.log('✅ Express app configured with unified endpoints');
+    // Built-in and plugin agents, for clients that list or pick agents
+    this.app.get('/agents', (req, res) => {
+      res.json(this.describeAgents());
+    });
+
+    // Actual ports and restart state of supervised agent servers
+    this.app.post('/agent-registry', (req, res) => {
+      const { agents, supervisorPid, updatedAt } = req.body || {};
+      if (!Array.isArray(agents)) {
+        res.status(400).json({ error: 'agents must be an array' });
+        return;
+      }
+
+      const previous = new Map((this.agentRegistry?.agents || []).map(agent => [agent.id, agent]));
+      agents.forEach(agent => {
+        const before = previous.get(agent.id);
+        if (before && before.port && agent.port && before.port !== agent.port) {
+          this.logger.log(`🔌 Agent ${agent.id} moved from port ${before.port} to ${agent.port}`);
+        }
+      });
+
+      this.agentRegistry = { supervisorPid, updatedAt, receivedAt: new Date().toISOString(), agents };
+      res.json({ status: 'ok', agents: agents.length });
+    });
+
+    // Counter increments from components running outside the bridge
+    this.app.post('/metrics/report', (req, res) => {
+      try {
+        const applied = applyCounterDeltas((req.body || {}).deltas, this.metrics.forwarded, this.metrics.registry);
+        res.json({ status: 'ok', applied });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/agent-registry', (req, res) => {
+      res.json(this.agentRegistry || { agents: [] });
+    });
+
+    // Active project contexts and their agent state
+    this.app.get('/projects', (req, res) => {
+      const projects = this.projects.list(new Set(this.connections.keys()));
+      res.json({
+        count: projects.length,
+        idleTimeoutMs: this.projects.idleTimeout,
+        projects
+      });
+    });
+
+    this.logger.info('✅ Express app configured with unified endpoints');
+  }
+
+  /**
+   * Whether a request carries the install's bearer token
+   */
+  isAuthorized(req) {
+    return tokensMatch(this.authToken, tokenFromRequest(req));
+  }
+
+  authenticateHttp(req, res, next) {
+    if (this.isAuthorized(req)) {
+      next();
+      return;
+    }
+
+    this.logRejectedRequest(req, `${req.method} ${req.path}`);
+    this.metrics.authRejections.inc({ transport: 'http' });
+    res.set('WWW-Authenticate', 'Bearer realm="paired-bridge"');
+    res.status(401).json({ error: 'Unauthorized: missing or invalid bridge token' });
+  }
+
+  /**
+   * WebSocket handshake check; rejected upgrades never reach 'connection'
+   */
+  verifyWebSocketClient(info, callback) {
+    if (this.isAuthorized(info.req)) {
+      callback(true);
+      return;
+    }
+
+    this.logRejectedRequest(info.req, 'WebSocket handshake');
+    this.metrics.authRejections.inc({ transport: 'websocket' });
+    callback(false, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer realm="paired-bridge"' });
+  }
+
+  logRejectedRequest(req, what) {
+    const remote = (req.socket && req.socket.remoteAddress) || 'unknown';
+    const reason = tokenFromRequest(req) ? 'invalid token' : 'no token';
+    this.logger.warn(`🚫 Rejected unauthenticated ${what} from ${remote} (${reason})`);
   }
 
   setupWebSocketServer() {
     this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      verifyClient: (info, callback) => this.verifyWebSocketClient(info, callback)
+    });
 
     this.wss.on('connection', (ws, req) => {
       const instanceId = this.generateInstanceId();
       this.connections.set(instanceId, ws);
+      this.metrics.wsConnectionsTotal.inc();
 
       this.logger.log(`🔗 New connection: ${instanceId}`);
 
       // Don't send immediate welcome message - wait for actual requests
 
       ws.on('message', (rawMessage) => {
+        this.metrics.wsMessages.inc();
         try {
           this.handleMessage(instanceId, rawMessage);
         } catch (error) {
@@ -326,7 +566,7 @@ class UnifiedCascadeBridge {
       });
     });
 
-    console.log('✅ WebSocket server configured');
+    this.logger.info('✅ WebSocket server configured');
   }
 
   async startServer() {
@@ -335,7 +575,7 @@ class UnifiedCascadeBridge {
         if (error) {
           reject(error);
         } else {
-          console.log(`✅ Unified CASCADE Bridge listening on port ${this.port}`);
+          this.logger.info(`✅ Unified CASCADE Bridge listening on port ${this.port}`);
           resolve();
         }
       });
@@ -343,23 +583,25 @@ class UnifiedCascadeBridge {
   }
 
   async setupCascadeTakeover() {
-    console.log('🎯 Setting up CASCADE Complete Takeover integration...');
+    this.logger.info('🎯 Setting up CASCADE Complete Takeover integration...');
 
     // Create global CASCADE injection script
     const injectionScript = this.generateCascadeInjectionScript();
     const scriptPath = path.join(os.homedir(), '.paired', 'cascade_global_injection.js');
 
-    fs.writeFileSync(scriptPath, injectionScript);
-    console.log('✅ CASCADE injection script created');
+    // The script embeds the bridge token, so keep it owner-only
+    fs.writeFileSync(scriptPath, injectionScript, { mode: 0o600 });
+    fs.chmodSync(scriptPath, 0o600);
+    this.logger.info('✅ CASCADE injection script created');
 
     // Create Windsurf startup script
     const startupScript = this.generateWindsurfStartupScript();
     const startupPath = path.join(os.homedir(), '.paired', 'windsurf_global_startup.js');
 
     fs.writeFileSync(startupPath, startupScript);
-    console.log('✅ Windsurf startup script created');
+    this.logger.info('✅ Windsurf startup script created');
 
-    console.log('✅ CASCADE Complete Takeover integrated into bridge');
+    this.logger.info('✅ CASCADE Complete Takeover integrated into bridge');
   }
 
   generateCascadeInjectionScript() {
@@ -368,13 +610,17 @@ class UnifiedCascadeBridge {
 // This script routes all CASCADE requests to Alex and the PAIRED team
 
 (function() {
-  const BRIDGE_URL = 'ws://localhost:${this.port}';
+  const BRIDGE_URL = 'http://localhost:${this.port}';
+  const HEADERS = {
+    'Content-Type': 'application/json',
+    'Authorization': 'Bearer ${this.authToken}'
+  };
   const instanceId = 'windsurf-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
   
   // Register with unified bridge
   fetch(BRIDGE_URL + '/register-instance', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: HEADERS,
     body: JSON.stringify({
       instanceId: instanceId,
       projectPath: window.location?.pathname || process.cwd?.() || 'unknown',
@@ -396,7 +642,7 @@ class UnifiedCascadeBridge {
       receiveUserMessage: function(message) {
         return fetch(BRIDGE_URL + '/cascade-intercept', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: HEADERS,
           body: JSON.stringify({
             instanceId: instanceId,
             message: message,
@@ -409,7 +655,7 @@ class UnifiedCascadeBridge {
       registerAgent: function(agent) {
         return fetch(BRIDGE_URL + '/register-agent', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: HEADERS,
           body: JSON.stringify({
             agentId: agent.id || agent.name?.toLowerCase(),
             agentName: agent.name,
@@ -422,7 +668,7 @@ class UnifiedCascadeBridge {
       sendResponse: function(response) {
         return fetch(BRIDGE_URL + '/cascade-intercept', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: HEADERS,
           body: JSON.stringify({
             instanceId: instanceId,
             message: response,
@@ -461,41 +707,99 @@ if (fs.existsSync(injectionScript)) {
   }
 
   // CASCADE Takeover Methods
-  async routeToSpecificAgent(agentName, message, instanceId) {
+  async routeToSpecificAgent(agentName, message, instanceId, stream = ResponseStream.none) {
     // Route to specific agent based on name
-    const normalizedAgent = agentName.toLowerCase();
-    
-    switch (normalizedAgent) {
-      case 'alex':
-        return this.getAlexResponse(message, instanceId);
-      case 'sherlock':
-        return this.getSherlockResponse(message, instanceId);
-      case 'edison':
-        return this.getEdisonResponse(message, instanceId);
-      case 'leonardo':
-        return this.getLeonardoResponse(message, instanceId);
-      case 'maya':
-        return this.getMayaResponse(message, instanceId);
-      case 'vince':
-        return this.getVinceResponse(message, instanceId);
-      case 'marie':
-        return this.getMarieResponse(message, instanceId);
-      default:
-        // Default to Alex coordination
-        return this.getAlexResponse(message, instanceId);
+    const normalizedAgent = (agentName || 'alex').toLowerCase();
+    const project = this.projects.forInstance(instanceId);
+    if (project) {
+      project.touch(instanceId, this.agents.has(normalizedAgent) ? normalizedAgent : 'alex');
+    }
+    // Unknown names fall back to Alex; count them there
+    const handledBy = this.agents.has(normalizedAgent) || this.agentPlugins.has(normalizedAgent) ? normalizedAgent : 'alex';
+
+    return this.trackAgentRequest(handledBy, 'direct', () => {
+      switch (normalizedAgent) {
+        case 'alex':
+          return this.getAlexResponse(message, instanceId, stream);
+        case 'sherlock':
+          return this.getSherlockResponse(message, instanceId);
+        case 'edison':
+          return this.getEdisonResponse(message, instanceId);
+        case 'leonardo':
+          return this.getLeonardoResponse(message, instanceId);
+        case 'maya':
+          return this.getMayaResponse(message, instanceId);
+        case 'vince':
+          return this.getVinceResponse(message, instanceId);
+        case 'marie':
+          return this.getMarieResponse(message, instanceId);
+        default:
+          if (this.agentPlugins.has(normalizedAgent)) {
+            return this.getPluginAgentResponse(normalizedAgent, message, instanceId, stream);
+          }
+          // Default to Alex coordination
+          return this.getAlexResponse(message, instanceId, stream);
+      }
+    });
+  }
+
+  /**
+   * Ask a plugin agent, creating it on first use. Its processRequest()
+   * receives the project root, the project's knowledge store and the response
+   * stream in its context.
+   */
+  async getPluginAgentResponse(agentId, message, instanceId, stream = ResponseStream.none) {
+    const plugin = this.agentPlugins.get(agentId);
+    if (!this.pluginAgents.has(agentId)) {
+      this.pluginAgents.set(agentId, plugin.instantiate());
     }
+
+    const project = this.projects.resolve(null, instanceId);
+    const result = await this.pluginAgents.get(agentId).processRequest(message, {
+      projectRoot: project.root,
+      knowledge: await this.getProjectKnowledge(project),
+      instanceId,
+      stream
+    });
+    const content = typeof result === 'string' ? result : result?.content || result?.message || JSON.stringify(result);
+
+    return `${plugin.emoji} **${plugin.name} (${plugin.title})**: ${content}`;
+  }
+
+  /**
+   * Every agent the bridge can route to, built-in first
+   */
+  describeAgents() {
+    const builtin = Array.from(this.agents.values()).filter(agent => !agent.plugin)
+      .map(agent => ({ id: agent.id, name: agent.name, emoji: agent.emoji, role: agent.role, plugin: false }));
+    const supervised = new Map((this.agentRegistry?.agents || []).map(agent => [agent.id, agent]));
+    const agents = [...builtin, ...this.agentPlugins.list().map(plugin => plugin.describe())].map(agent => {
+      const server = supervised.get(agent.id);
+      return server ? { ...agent, server: { status: server.status, port: server.port, restarts: server.restarts } } : agent;
+    });
+
+    return {
+      type: 'AGENTS_LIST',
+      count: agents.length,
+      agents,
+      pluginErrors: this.agentPlugins.errors
+    };
   }
 
-  async getAlexResponse(message, instanceId) {
+  async getAlexResponse(message, instanceId, stream = ResponseStream.none) {
+    const project = this.projects.resolve(null, instanceId);
+    const alexAgent = project.alexAgent || this.alexAgent;
+
     // Check for coding standards setup requests
     const codingStandardsKeywords = ['coding standards', 'code standards', 'setup standards', 'standards setup', 'code style', 'eslint', 'prettier'];
     const isCodeStandardsRequest = codingStandardsKeywords.some(keyword => 
       message.toLowerCase().includes(keyword)
     );
 
-    if (isCodeStandardsRequest && this.alexAgent && this.alexAgent.modules && this.alexAgent.modules.codingStandardsSetup) {
+    if (isCodeStandardsRequest && alexAgent && alexAgent.modules && alexAgent.modules.codingStandardsSetup) {
       try {
-        const setupResult = await this.alexAgent.modules.codingStandardsSetup.setupProjectCodingStandards();
+        const setupResult = await alexAgent.modules.codingStandardsSetup.setupProjectCodingStandards();
+        project.standards = null;
         return `👑 **Alex (PM): Coding Standards Setup Complete**
 
 ${setupResult}
@@ -522,9 +826,22 @@ ${setupResult}
       try {
         // Use project assessment to provide contextual response
         const TeamProjectAssessment = require('../agents/project-assessment');
-        const assessment = new TeamProjectAssessment();
+        const assessment = new TeamProjectAssessment(project.root, {
+          onProgress: (stage, text, counts) => stream.progress(stage, text, counts),
+          onRecommendation: (rec) => stream.chunk(`${rec.agent}: ${rec.action}`, { kind: 'recommendation', data: rec })
+        });
         const projectData = await assessment.runTeamAssessment();
-        
+
+        // Keep the latest assessment where the project's other agents can read it
+        const knowledge = await this.getProjectKnowledge(project);
+        if (knowledge) {
+          await knowledge.set('project:assessment', {
+            assessment: projectData.assessment,
+            recommendations: projectData.recommendations,
+            assessedAt: new Date().toISOString()
+          }, { agent: 'alex' });
+        }
+
         return `👑 **Alex (PM): Project Status & Strategic Overview**
 
 📊 **Current Project Assessment**: 
@@ -537,7 +854,7 @@ ${this.formatRecommendations(projectData.recommendations)}
 
 What would you like to tackle first?`;
       } catch (error) {
-        console.error('❌ Alex project assessment failed:', error.message);
+        this.logger.error('❌ Alex project assessment failed:', error);
         // Fallback to basic response
       }
     }
@@ -757,18 +1074,20 @@ Ready to coordinate your request with the full PAIRED team!`;
 **Scientific Approach**: What data would you like me to analyze to provide actionable insights?`;
   }
 
-  async routeToAlexAndTeam(message, instanceId, projectPath) {
+  async routeToAlexAndTeam(message, instanceId, projectPath, stream = ResponseStream.none) {
     this.logger.log(`👑 Alex (Switchboard): Handling request from instance ${instanceId}`);
 
     const analysis = this.analyzeUserRequest(message);
-    const projectContext = projectPath ? ` in ${path.basename(projectPath)}` : '';
+    const project = this.resolveProject(instanceId, projectPath, analysis.primaryAgent || 'alex');
+    const projectContext = projectPath ? ` in ${project.name}` : '';
+    this.logger.log(`🧭 Routed to ${analysis.routing.agent} (${analysis.routing.method}, ${Math.round(analysis.routing.confidence * 100)}%): ${analysis.routing.explanation.reason}`);
 
-    const specialist = this.teamAgents.get(analysis.primaryAgent);
     // Alex decides: handle directly or delegate to specialist
     if (analysis.primaryAgent && analysis.primaryAgent !== 'alex') {
-      return await this.handleSpecialistDelegation(message, analysis, projectContext);
+      return await this.handleSpecialistDelegation(message, analysis, projectContext, stream, instanceId);
     } else {
-      return this.handleAlexDirectResponse(message, analysis, projectContext);
+      return this.trackAgentRequest('alex', 'routed',
+        () => this.handleAlexDirectResponse(message, analysis, projectContext, stream, project.root));
     }
   }
 
@@ -809,6 +1128,9 @@ Ready to coordinate your request with the full PAIRED team!`;
         case 'collaborate':
           return this.handleAgentCollaboration(action, args);
         default:
+          if (this.agentPlugins.has(prefix)) {
+            return this.handleAgentCommand(prefix, action, args);
+          }
           return { success: false, message: `Unknown command prefix: ${prefix}` };
       }
     }
@@ -873,10 +1195,13 @@ Ready to coordinate your request with the full PAIRED team!`;
 
   analyzeUserRequest(message) {
     const messageText = typeof message === 'string' ? message : JSON.stringify(message);
+    const routing = this.classifyIntent(messageText);
 
     return {
       requiresTeam: this.detectTeamRequest(messageText),
-      primaryAgent: this.detectPrimaryAgent(messageText),
+      primaryAgent: routing.agent,
+      routing,
+      decisionId: getRoutingLog().recordDecision('bridge.analyzeUserRequest', messageText, routing),
       complexity: this.assessComplexity(messageText),
       urgency: this.assessUrgency(messageText)
     };
@@ -901,23 +1226,19 @@ Ready to coordinate your request with the full PAIRED team!`;
     if (!message || typeof message !== 'string') {
       return null;
     }
-    
-    const agentTriggers = new Map([
-      ['sherlock', ['review', 'test', 'quality', 'bug', 'issue']],
-      ['leonardo', ['architecture', 'design', 'pattern', 'structure']],
-      ['edison', ['code', 'implement', 'debug', 'fix', 'develop']],
-      ['maya', ['ux', 'user', 'interface', 'design', 'experience']],
-      ['vince', ['sprint', 'scrum', 'process', 'team', 'ceremony']],
-      ['marie', ['data', 'analyze', 'research', 'metrics', 'insights']]
-    ]);
-
-    for (const [agent, triggers] of agentTriggers) {
-      if (triggers.some(trigger => message.toLowerCase().includes(trigger))) {
-        return agent;
-      }
-    }
 
-    return 'alex'; // Default to Alex
+    return this.classifyIntent(message).agent;
+  }
+
+  /**
+   * Intent classification, timed and counted for /metrics
+   */
+  classifyIntent(messageText) {
+    const endTimer = this.metrics.routingDuration.startTimer();
+    const routing = getIntentClassifier().classify(messageText);
+    endTimer({ method: routing.method });
+    this.metrics.routingDecisions.inc({ agent: routing.agent, method: routing.method });
+    return routing;
   }
 
   assessComplexity(message) {
@@ -932,11 +1253,22 @@ Ready to coordinate your request with the full PAIRED team!`;
       message.toLowerCase().includes(indicator)) ? 'high' : 'medium';
   }
 
-  async handleSpecialistDelegation(message, analysis, projectContext) {
+  async handleSpecialistDelegation(message, analysis, projectContext, stream = ResponseStream.none, instanceId = null) {
     const specialist = this.teamAgents.get(analysis.primaryAgent);
+    const startedAt = Date.now();
 
     try {
-      const agentResponse = await this.routeToAgent(analysis.primaryAgent, message);
+      stream.progress('delegate', `Delegating to ${specialist.name}`);
+      // Plugin agents run in the bridge; built-in agents answer over the WebSocket
+      const agentResponse = await this.trackAgentRequest(specialist.id, 'delegated', async () => specialist.plugin
+        ? { content: await this.getPluginAgentResponse(specialist.id, message, instanceId, stream) }
+        : this.routeToAgent(analysis.primaryAgent, message, stream));
+      getRoutingLog().recordOutcome(analysis.decisionId, {
+        status: 'delegated',
+        source: 'bridge.handleSpecialistDelegation',
+        agent: specialist.id,
+        durationMs: Date.now() - startedAt
+      });
 
       return {
         type: 'specialist_response',
@@ -954,9 +1286,17 @@ Ready to coordinate your request with the full PAIRED team!`;
           content: agentResponse.response || agentResponse.content || `${specialist.emoji} ${specialist.name}: Processing your request...`,
           timestamp: Date.now()
         },
+        routing: this.describeRouting(analysis.routing),
         unifiedBridge: true
       };
     } catch (error) {
+      getRoutingLog().recordOutcome(analysis.decisionId, {
+        status: 'delegation_failed',
+        source: 'bridge.handleSpecialistDelegation',
+        agent: specialist.id,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      });
       return {
         type: 'alex_response',
         agent: 'alex',
@@ -964,17 +1304,18 @@ Ready to coordinate your request with the full PAIRED team!`;
         emoji: '👑',
         content: `I tried to delegate this to ${specialist.name}${projectContext}, but they're not responding. Let me handle it directly.`,
         timestamp: Date.now(),
+        routing: this.describeRouting(analysis.routing),
         unifiedBridge: true
       };
     }
   }
 
-  async handleAlexDirectResponse(message, analysis, projectContext) {
+  async handleAlexDirectResponse(message, analysis, projectContext, stream = ResponseStream.none, projectRoot = null) {
     let alexResponse;
 
     // Check for comprehensive project assessment request
     if (message === 'COMPREHENSIVE_PROJECT_ASSESSMENT') {
-      alexResponse = await this.generateComprehensiveProjectAssessment(projectContext);
+      alexResponse = await this.generateComprehensiveProjectAssessment(projectRoot, stream);
     }
     // Use Alex's PM modules if available
     else if (this.alexAgent && this.alexAgent.modules) {
@@ -988,12 +1329,13 @@ Ready to coordinate your request with the full PAIRED team!`;
           alexResponse = this.generateAlexResponse(message, analysis, projectContext);
         }
       } catch (error) {
-        console.error('❌ Alex PM modules error:', error.message);
+        this.logger.error('❌ Alex PM modules error:', error);
         alexResponse = this.generateAlexResponse(message, analysis, projectContext);
       }
     } else {
       alexResponse = this.generateAlexResponse(message, analysis, projectContext);
     }
+    getRoutingLog().recordOutcome(analysis.decisionId, { status: 'handled_by_alex' });
 
     return {
       type: 'alex_response',
@@ -1002,19 +1344,37 @@ Ready to coordinate your request with the full PAIRED team!`;
       emoji: '👑',
       content: alexResponse,
       timestamp: Date.now(),
+      routing: this.describeRouting(analysis.routing),
       unifiedBridge: true
     };
   }
 
+  /**
+   * Why a request went where it did, for the client
+   */
+  describeRouting(routing) {
+    if (!routing) return null;
+    return {
+      agent: routing.agent,
+      confidence: routing.confidence,
+      method: routing.method,
+      reason: routing.explanation.reason,
+      alternatives: routing.scores.filter(score => score.agent !== routing.agent).slice(0, 2)
+    };
+  }
+
   /**
    * Generate comprehensive project assessment for fresh startups
    */
-  async generateComprehensiveProjectAssessment(projectContext) {
+  async generateComprehensiveProjectAssessment(projectPath, stream = ResponseStream.none) {
+    const project = this.projects.resolve(projectPath);
     const assessment = {
       timestamp: new Date().toISOString(),
-      project_path: projectContext || process.cwd()
+      project_path: project.root
     };
 
+    stream.progress('health', 'Checking system health', { current: 1, total: 3 });
+
     // System Health Check
     assessment.system_health = {
       bridge_status: '✅ Active and operational',
@@ -1024,8 +1384,11 @@ Ready to coordinate your request with the full PAIRED team!`;
     };
     
     // Coding Standards Detection
-    assessment.coding_standards = await this.checkCodingStandardsStatus();
+    stream.progress('standards', 'Checking coding standards', { current: 2, total: 3 });
+    assessment.coding_standards = await project.getStandardsStatus(root => this.checkCodingStandardsStatus(root));
+    stream.chunk(assessment.coding_standards.message, { kind: 'section', data: assessment.coding_standards });
     
+    stream.progress('priorities', 'Collecting development priorities', { current: 3, total: 3 });
     // Development Priorities
     assessment.development_priorities = [
       {
@@ -1041,6 +1404,9 @@ Ready to coordinate your request with the full PAIRED team!`;
         description: 'Further refinement of startup and response times'
       }
     ];
+    assessment.development_priorities.forEach(priority => {
+      stream.chunk(`${priority.area}: ${priority.description}`, { kind: 'recommendation', data: priority });
+    });
 
     return this.formatComprehensiveAssessment(assessment);
   }
@@ -1048,14 +1414,14 @@ Ready to coordinate your request with the full PAIRED team!`;
   /**
    * Check coding standards configuration status
    */
-  async checkCodingStandardsStatus() {
+  async checkCodingStandardsStatus(projectRoot = process.cwd()) {
     try {
       const fs = require('fs').promises;
       const path = require('path');
       
       // Check for existing standards documentation
-      const standardsPath = path.join(process.cwd(), 'docs', 'PROJECT_CODING_STANDARDS.md');
-      const pairedMemoryPath = path.join(process.cwd(), '.paired', 'memory', 'project_specific');
+      const standardsPath = path.join(projectRoot, 'docs', 'PROJECT_CODING_STANDARDS.md');
+      const pairedMemoryPath = path.join(pathResolver.getProjectPairedDir(projectRoot), 'memory', 'project_specific');
       
       let standardsExists = false;
       let hasContent = false;
@@ -1193,47 +1559,38 @@ Ready to coordinate your request with the full PAIRED team!`;
     return specialists;
   }
 
-  async routeToAgent(agentId, message) {
-    // Route through WebSocket message broadcasting instead of HTTP
-    // Send message to all connected clients and let agents respond
-    
-    const messageData = {
-      type: 'AGENT_REQUEST',
-      targetAgent: agentId,
-      message: message,
-      timestamp: Date.now(),
-      requestId: require('crypto').randomUUID()
-    };
-
-    // Broadcast to all connected WebSocket clients
-    const responsePromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error(`Agent ${agentId} response timeout`));
-      }, 5000);
-
-      // Listen for agent response
-      const responseHandler = (data) => {
-        if (data.type === 'AGENT_RESPONSE' && 
-            data.agentId === agentId && 
-            data.requestId === messageData.requestId) {
-          clearTimeout(timeout);
-          resolve(data.response);
+  async routeToAgent(agentId, message, stream = ResponseStream.none) {
+    // Broadcast the request to all connected clients; whichever hosts the
+    // agent replies with the request id as correlationId. Stream events the
+    // agent sends on the way are relayed to the streaming client.
+    const request = createEnvelope('AGENT_REQUEST', { targetAgent: agentId, message, requestId: currentRequestId() }, {
+      source: 'bridge',
+      target: agentId,
+      timeout: 5000,
+      stream: stream.enabled
+    });
+    const reply = this.pendingRequests.track(request, {
+      onEvent: (event) => {
+        const { type, envelope, seq, content, stage, message: text, ...details } = event;
+        if (type === STREAM_TYPES.CHUNK) {
+          stream.chunk(content, details);
+        } else {
+          stream.progress(stage, text, details);
         }
-      };
-
-      // Store response handler temporarily
-      this.pendingRequests = this.pendingRequests || new Map();
-      this.pendingRequests.set(messageData.requestId, responseHandler);
+      }
+    });
 
-      // Broadcast message to all connected clients
-      this.connections.forEach((ws) => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify(messageData));
-        }
-      });
+    this.connections.forEach((ws) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(request));
+      }
     });
 
-    return responsePromise;
+    try {
+      return (await reply).response;
+    } catch (error) {
+      throw new Error(`Agent ${agentId} did not respond: ${error.message}`);
+    }
   }
 
   // Original Bridge Methods (simplified)
@@ -1242,89 +1599,244 @@ Ready to coordinate your request with the full PAIRED team!`;
   }
 
   handleMessage(instanceId, rawMessage) {
+    const parsed = parseMessage(rawMessage);
+    if (parsed.error) {
+      const { code, message: reason, details, id } = parsed.error;
+      this.logger.error(`Rejected malformed message from ${instanceId}: ${reason}`);
+      this.sendToInstance(instanceId, createErrorEnvelope(code, reason, { correlationId: id, details, source: 'bridge' }));
+      return;
+    }
+
+    const envelope = parsed.envelope;
+    const message = toMessage(envelope);
+
+    // Update session data
+    this.sessions.set(instanceId, {
+      ...this.sessions.get(instanceId),
+      lastActivity: Date.now(),
+      messageCount: (this.sessions.get(instanceId)?.messageCount || 0) + 1
+    });
+
+    // Replies to requests the bridge sent (see routeToAgent)
+    if (this.pendingRequests.settle(envelope)) {
+      return;
+    }
+
+    if (isExpired(envelope)) {
+      this.sendToInstance(instanceId, createErrorEnvelope(ERROR_CODES.TIMEOUT,
+        `${envelope.type} request arrived after its deadline`, { request: envelope, source: 'bridge' }));
+      return;
+    }
+
+    if (envelope.deadline && !envelope.legacy) {
+      this.trackInflight(instanceId, envelope);
+    }
+
     try {
-      const message = JSON.parse(rawMessage.toString());
+      // Everything logged while handling this message carries its envelope id
+      runWithRequestId(envelope.id, () => this.dispatchMessage(instanceId, message));
+    } catch (error) {
+      this.logger.error(`Failed to handle ${message.type} from ${instanceId}:`, error);
+      this.respondWithError(instanceId, message, ERROR_CODES.HANDLER_ERROR, error.message);
+    }
+  }
 
-      // Update session data
+  dispatchMessage(instanceId, message) {
+    switch (message.type) {
+    case 'health_check':
+      // Respond to health check from startup controller
+      this.respond(instanceId, message, {
+        type: 'health_response',
+        status: 'healthy',
+        timestamp: Date.now(),
+        bridge: 'running',
+        agents: this.agents.size,
+        connections: this.connections.size
+      });
+      break;
+    case 'ping':
+      this.respond(instanceId, message, { type: 'pong', timestamp: Date.now() });
+      break;
+    case 'AGENT_MESSAGE':
+      // Handle direct agent CLI requests
+      this.logger.log(`📨 Received AGENT_MESSAGE for ${message.agent || message.envelope.target}`);
+      this.handleDirectAgentMessage(instanceId, message);
+      break;
+    case 'agent_message':
+      this.routeAgentMessage(instanceId, message);
+      break;
+    case 'context_share':
+      this.handleContextShare(instanceId, message);
+      break;
+    case 'WINDSURF_CONTEXT':
+    case 'CONTEXT_UPDATE':
+      // Editor context pushed by the Windsurf plugin
+      this.resolveProject(instanceId, message.context?.workspace?.path);
       this.sessions.set(instanceId, {
         ...this.sessions.get(instanceId),
-        lastActivity: Date.now(),
-        messageCount: (this.sessions.get(instanceId)?.messageCount || 0) + 1
+        editorContext: message.context || message.update,
+        editorInstanceId: message.instanceId
       });
+      this.acknowledge(instanceId, message);
+      break;
+    case 'get_instances':
+      this.sendInstancesList(instanceId, message);
+      break;
+    case 'AGENT_RESPONSE':
+      // Legacy agent replies correlate through requestId
+      if (!this.pendingRequests.settle({ ...message.envelope, correlationId: message.requestId })) {
+        this.logger.log(`Ignoring AGENT_RESPONSE for unknown request ${message.requestId}`);
+      }
+      break;
+    case 'user_request':
+      // Handle user requests for specific agents via Alex coordination
+      this.handleUserRequest(instanceId, message);
+      break;
+    case 'agent_request':
+      // Handle WebSocket agent requests from Claude Code
+      this.handleAgentRequest(instanceId, message);
+      break;
+    case 'PROJECT_CONNECT':
+      // Handle project connection requests
+      this.handleProjectConnect(instanceId, message);
+      break;
+    case 'LIST_AGENTS':
+      // Built-in and plugin agents, e.g. for the Windsurf agent picker
+      this.respond(instanceId, message, this.describeAgents());
+      break;
+    case 'AGENT_HEALTH':
+      // Handle agent health checks
+      this.respond(instanceId, message, {
+        type: 'AGENT_HEALTH_RESPONSE',
+        status: 'healthy',
+        agents: Array.from(this.agents.keys()),
+        timestamp: new Date().toISOString()
+      });
+      break;
+    case 'HEALTH_CHECK':
+      // Handle general health checks
+      this.respond(instanceId, message, {
+        type: 'health_response',
+        status: 'healthy',
+        bridge: 'running',
+        agents: this.agents.size,
+        connections: this.connections.size,
+        timestamp: new Date().toISOString()
+      });
+      break;
+    default:
+      this.logger.log(`Unknown message type: ${message.type}`);
+      if (message.envelope.legacy) {
+        this.logger.log(`Full message: ${JSON.stringify(message.envelope.payload)}`);
+      } else {
+        this.respondWithError(instanceId, message, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+      }
+    }
+  }
 
-      // Handle different message types
-      switch (message.type) {
-      case 'health_check':
-        // Respond to health check from startup controller
-        this.sendToInstance(instanceId, {
-          type: 'health_response',
-          status: 'healthy',
-          timestamp: Date.now(),
-          bridge: 'running',
-          agents: this.agents.size,
-          connections: this.connections.size
-        });
-        break;
-      case 'AGENT_MESSAGE':
-        // Handle direct agent CLI requests
-        this.logger.log(`📨 Received AGENT_MESSAGE for ${message.agent}`);
-        this.handleDirectAgentMessage(instanceId, message);
-        break;
-      case 'agent_message':
-        this.routeAgentMessage(instanceId, message);
-        break;
-      case 'context_share':
-        this.handleContextShare(instanceId, message);
-        break;
-      case 'get_instances':
-        this.sendInstancesList(instanceId);
-        break;
-      case 'AGENT_RESPONSE':
-        // Handle agent responses for pending requests
-        if (this.pendingRequests && this.pendingRequests.has(message.requestId)) {
-          const handler = this.pendingRequests.get(message.requestId);
-          handler(message);
-          this.pendingRequests.delete(message.requestId);
-        }
-        break;
-      case 'user_request':
-        // Handle user requests for specific agents via Alex coordination
-        this.handleUserRequest(instanceId, message);
-        break;
-      case 'agent_request':
-        // Handle WebSocket agent requests from Claude Code
-        this.handleAgentRequest(instanceId, message);
-        break;
-      case 'PROJECT_CONNECT':
-        // Handle project connection requests
-        this.handleProjectConnect(instanceId, message);
-        break;
-      case 'AGENT_HEALTH':
-        // Handle agent health checks
-        this.sendToInstance(instanceId, {
-          type: 'AGENT_HEALTH_RESPONSE',
-          status: 'healthy',
-          agents: Array.from(this.agents.keys()),
-          timestamp: new Date().toISOString()
-        });
-        break;
-      case 'HEALTH_CHECK':
-        // Handle general health checks
-        this.sendToInstance(instanceId, {
-          type: 'health_response',
-          status: 'healthy',
-          bridge: 'running',
-          agents: this.agents.size,
-          connections: this.connections.size,
-          timestamp: new Date().toISOString()
-        });
-        break;
-      default:
-        this.logger.log(`Unknown message type: ${message.type}`);
-        this.logger.log(`Full message: ${JSON.stringify(message)}`);
+  /**
+   * Answer a request with TIMEOUT if no reply was sent by its deadline. A
+   * streaming request only times out after going that long without sending
+   * an event (see keepInflightAlive).
+   */
+  trackInflight(instanceId, envelope) {
+    const inflight = { instanceId, timer: null, idle: idleTimeout(envelope) };
+    this.inflight.set(envelope.id, inflight);
+    this.startInflightTimer(envelope, inflight, Math.max(0, envelope.deadline - Date.now()));
+  }
+
+  startInflightTimer(envelope, inflight, delay) {
+    clearTimeout(inflight.timer);
+    inflight.timer = setTimeout(() => {
+      this.inflight.delete(envelope.id);
+      this.logger.error(`⏱️ ${envelope.type} request ${envelope.id} from ${inflight.instanceId} timed out`);
+      this.sendToInstance(inflight.instanceId, createErrorEnvelope(ERROR_CODES.TIMEOUT,
+        `${envelope.type} request timed out before a response was ready`, { request: envelope, source: 'bridge' }));
+    }, delay);
+  }
+
+  /**
+   * Push back the timeout of a streaming request that just sent an event
+   */
+  keepInflightAlive(envelope) {
+    const inflight = this.inflight.get(envelope.id);
+    if (inflight && inflight.idle !== null) {
+      this.startInflightTimer(envelope, inflight, inflight.idle);
+    }
+  }
+
+  /**
+   * Reply to a request: an envelope correlated with the request, or the
+   * flat reply for legacy messages
+   */
+  respond(instanceId, request, reply) {
+    if (request.envelope.legacy) {
+      this.sendToInstance(instanceId, reply);
+      return;
+    }
+
+    const { type, ...payload } = reply;
+    this.sendReply(instanceId, request.envelope, createReply(request.envelope, type, payload, 'bridge'));
+  }
+
+  /**
+   * Reply with an ERROR; legacy messages get `legacyReply` instead, if any
+   */
+  respondWithError(instanceId, request, code, reason, legacyReply = null) {
+    if (request.envelope.legacy) {
+      if (legacyReply) {
+        this.sendToInstance(instanceId, legacyReply);
       }
-    } catch (error) {
-      this.logger.error(`Failed to parse message from ${instanceId}:`, error);
+      return;
+    }
+
+    this.sendReply(instanceId, request.envelope,
+      createErrorEnvelope(code, reason, { request: request.envelope, source: 'bridge' }));
+  }
+
+  /**
+   * Send the one reply a request gets. Replies to requests that already
+   * timed out or were answered are dropped.
+   */
+  sendReply(instanceId, request, reply) {
+    if (request.deadline) {
+      const inflight = this.inflight.get(request.id);
+      if (!inflight) {
+        this.logger.log(`Dropping late ${reply.type} for ${request.type} request ${request.id}`);
+        return;
+      }
+      clearTimeout(inflight.timer);
+      this.inflight.delete(request.id);
+    }
+
+    this.sendToInstance(instanceId, reply);
+  }
+
+  /**
+   * Stream for progress events and partial chunks ahead of the reply; a
+   * no-op unless the request asked for streaming. Each event restarts the
+   * request's idle timeout; events stop once the request has been answered
+   * or timed out.
+   */
+  createResponseStream(instanceId, request) {
+    const envelope = request.envelope;
+    if (envelope.legacy || !envelope.stream) {
+      return ResponseStream.none;
+    }
+
+    return new ResponseStream((type, payload) => {
+      if (envelope.deadline && !this.inflight.has(envelope.id)) return;
+      this.keepInflightAlive(envelope);
+      this.sendToInstance(instanceId, createReply(envelope, type, payload, 'bridge'));
+    });
+  }
+
+  /**
+   * Confirm receipt of a notification when the sender asked for a reply
+   */
+  acknowledge(instanceId, message) {
+    if (message.envelope.deadline && !message.envelope.legacy) {
+      this.respond(instanceId, message, { type: 'ACK' });
     }
   }
 
@@ -1333,9 +1845,11 @@ Ready to coordinate your request with the full PAIRED team!`;
       // Handle comprehensive project assessment request
       if (message.message === 'COMPREHENSIVE_PROJECT_ASSESSMENT') {
         this.logger.log(`🎯 Comprehensive project assessment request from ${instanceId}`);
-        const assessment = await this.generateComprehensiveProjectAssessment(message.projectPath);
+        const project = this.resolveProject(instanceId, message.projectPath, 'alex');
+        const assessment = await this.generateComprehensiveProjectAssessment(project.root,
+          this.createResponseStream(instanceId, message));
         
-        this.sendToInstance(instanceId, {
+        this.respond(instanceId, message, {
           type: 'agent_response',
           response: assessment,
           agent: 'alex',
@@ -1344,25 +1858,28 @@ Ready to coordinate your request with the full PAIRED team!`;
         return;
       }
       
-      this.logger.log(`🎯 User request for ${message.requestedAgent} from ${instanceId}`);
+      const requestedAgent = message.requestedAgent || message.targetAgent || message.envelope.target;
+      this.logger.log(`🎯 User request for ${requestedAgent} from ${instanceId}`);
+      this.projects.resolve(message.projectPath, instanceId); // touched once routed
       
       // Route to specific agent
-      const agentResponse = await this.routeToSpecificAgent(message.requestedAgent, message.originalMessage, instanceId);
+      const agentResponse = await this.routeToSpecificAgent(requestedAgent,
+        message.originalMessage || message.message, instanceId, this.createResponseStream(instanceId, message));
       this.logger.log(`📝 Agent response: ${agentResponse.substring(0, 100)}...`);
       
       // Send response back
       const responseObj = {
         type: 'agent_response',
         response: agentResponse,
-        agent: message.requestedAgent,
+        agent: requestedAgent,
         timestamp: new Date().toISOString()
       };
       this.logger.log(`📤 Sending response: ${JSON.stringify(responseObj).substring(0, 200)}...`);
-      this.sendToInstance(instanceId, responseObj);
+      this.respond(instanceId, message, responseObj);
       
     } catch (error) {
       this.logger.error(`Failed to handle user request:`, error);
-      this.sendToInstance(instanceId, {
+      this.respondWithError(instanceId, message, ERROR_CODES.HANDLER_ERROR, error.message, {
         type: 'agent_response',
         response: `❌ Error: ${error.message}`,
         agent: message.requestedAgent || 'alex',
@@ -1373,22 +1890,25 @@ Ready to coordinate your request with the full PAIRED team!`;
 
   async handleDirectAgentMessage(instanceId, message) {
     try {
-      this.logger.log(`🎯 Direct agent request: ${message.agent} from ${instanceId}`);
+      const agent = message.agent || message.targetAgent || message.envelope.target;
+      this.logger.log(`🎯 Direct agent request: ${agent} from ${instanceId}`);
+      this.projects.resolve(message.projectPath || message.context?.workspace?.path, instanceId); // touched once routed
       
       // Route to specific agent or Alex coordination
-      const agentResponse = await this.routeToSpecificAgent(message.agent, message.message, instanceId);
+      const agentResponse = await this.routeToSpecificAgent(agent, message.message, instanceId,
+        this.createResponseStream(instanceId, message));
       
       // Send response back
-      this.sendToInstance(instanceId, {
+      this.respond(instanceId, message, {
         type: 'AGENT_RESPONSE',
-        agent: message.agent,
+        agent,
         message: agentResponse,
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
       this.logger.error(`Failed to handle direct agent message:`, error);
-      this.sendToInstance(instanceId, {
+      this.respondWithError(instanceId, message, ERROR_CODES.HANDLER_ERROR, error.message, {
         type: 'AGENT_RESPONSE',
         agent: message.agent,
         message: `❌ Error: ${error.message}`,
@@ -1402,10 +1922,11 @@ Ready to coordinate your request with the full PAIRED team!`;
       this.logger.log(`🎯 Agent request: ${message.agentName} from ${instanceId}`);
       
       // Route to actual agent and get response
-      const agentResponse = await this.routeToAlexAndTeam(message.message, instanceId, message.projectPath);
+      const agentResponse = await this.routeToAlexAndTeam(message.message, instanceId, message.projectPath,
+        this.createResponseStream(instanceId, message));
       
       // Send response back with request ID for tracking
-      this.sendToInstance(instanceId, {
+      this.respond(instanceId, message, {
         type: 'agent_response',
         requestId: message.requestId,
         response: agentResponse.response || agentResponse.message || agentResponse,
@@ -1417,7 +1938,7 @@ Ready to coordinate your request with the full PAIRED team!`;
       this.logger.error(`Failed to handle agent request from ${instanceId}:`, error);
       
       // Send error response
-      this.sendToInstance(instanceId, {
+      this.respondWithError(instanceId, message, ERROR_CODES.HANDLER_ERROR, error.message, {
         type: 'agent_response',
         requestId: message.requestId,
         error: error.message,
@@ -1428,44 +1949,45 @@ Ready to coordinate your request with the full PAIRED team!`;
   }
 
   routeAgentMessage(sourceInstanceId, message) {
+    const { envelope, ...fields } = message;
+    const forward = envelope.legacy
+      ? { type: 'agent_response', source: sourceInstanceId, ...fields }
+      : createEnvelope('agent_message', envelope.payload, { source: sourceInstanceId, target: envelope.target });
+    const targetInstance = message.targetInstance || (!envelope.legacy && this.connections.has(envelope.target) ? envelope.target : null);
+
     // Broadcast to all connected instances or route to specific instance
-    if (message.targetInstance) {
-      this.sendToInstance(message.targetInstance, {
-        type: 'agent_response',
-        source: sourceInstanceId,
-        ...message
-      });
+    if (targetInstance) {
+      this.sendToInstance(targetInstance, forward);
     } else {
       // Broadcast to all instances
       this.connections.forEach((ws, instanceId) => {
         if (instanceId !== sourceInstanceId && ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({
-            type: 'agent_response',
-            source: sourceInstanceId,
-            ...message
-          }));
+          ws.send(JSON.stringify(forward));
         }
       });
     }
+
+    this.acknowledge(sourceInstanceId, message);
   }
 
   handleContextShare(sourceInstanceId, message) {
     // Share context with specified instances or all instances
     const targets = message.targetInstances || Array.from(this.connections.keys());
 
+    const shared = message.envelope.legacy
+      ? { type: 'context_shared', source: sourceInstanceId, context: message.context, timestamp: Date.now() }
+      : createEnvelope('context_shared', { context: message.context }, { source: sourceInstanceId });
+
     targets.forEach(targetId => {
       if (targetId !== sourceInstanceId) {
-        this.sendToInstance(targetId, {
-          type: 'context_shared',
-          source: sourceInstanceId,
-          context: message.context,
-          timestamp: Date.now()
-        });
+        this.sendToInstance(targetId, shared);
       }
     });
+
+    this.acknowledge(sourceInstanceId, message);
   }
 
-  sendInstancesList(instanceId) {
+  sendInstancesList(instanceId, request) {
     const instances = Array.from(this.sessions.entries()).map(([id, session]) => ({
       id,
       projectPath: session.projectPath || 'Unknown',
@@ -1474,7 +1996,7 @@ Ready to coordinate your request with the full PAIRED team!`;
       isActive: this.connections.has(id)
     }));
 
-    this.sendToInstance(instanceId, {
+    this.respond(instanceId, request, {
       type: 'instances_list',
       instances: instances,
       totalActive: this.connections.size
@@ -1490,7 +2012,16 @@ Ready to coordinate your request with the full PAIRED team!`;
 
   handleDisconnect(instanceId) {
     this.connections.delete(instanceId);
+
+    // Nobody is left to receive replies to this instance's requests
+    for (const [id, inflight] of this.inflight) {
+      if (inflight.instanceId === instanceId) {
+        clearTimeout(inflight.timer);
+        this.inflight.delete(id);
+      }
+    }
     this.connectedInstances.delete(instanceId);
+    this.projects.detachInstance(instanceId);
 
     if (this.sessions.has(instanceId)) {
       const session = this.sessions.get(instanceId);
@@ -1549,6 +2080,13 @@ Ready to coordinate your request with the full PAIRED team!`;
         this.saveSessions();
       }
     }, CLEANUP_INTERVAL);
+
+    // Project contexts go idle much sooner than sessions go stale
+    const PROJECT_EVICTION_INTERVAL = Math.min(300000, this.projects.idleTimeout); // 5 minutes at most
+    const evictionTimer = setInterval(() => {
+      this.projects.evictIdle().catch(error => this.logger.error('Failed to evict idle project contexts:', error));
+    }, PROJECT_EVICTION_INTERVAL);
+    evictionTimer.unref();
   }
 
   async writePidFile() {
@@ -1585,8 +2123,14 @@ Ready to coordinate your request with the full PAIRED team!`;
         fs.unlinkSync(this.pidFile);
       }
 
-      this.logger.log('✅ Unified CASCADE Bridge shut down');
-      process.exit(0);
+      // Close project knowledge stores before exiting
+      const closing = this.projects ? this.projects.closeAll() : Promise.resolve();
+      closing
+        .catch(error => this.logger.error('Failed to close project contexts:', error))
+        .finally(() => {
+          this.logger.log('✅ Unified CASCADE Bridge shut down');
+          process.exit(0);
+        });
     };
 
     process.on('SIGINT', shutdown);
@@ -1600,6 +2144,7 @@ Ready to coordinate your request with the full PAIRED team!`;
   handleProjectConnect(instanceId, message) {
     try {
       const project = message.project;
+      const context = this.resolveProject(instanceId, project.path);
       
       // Update session with project info
       this.sessions.set(instanceId, {
@@ -1607,14 +2152,15 @@ Ready to coordinate your request with the full PAIRED team!`;
         project: {
           name: project.name,
           path: project.path,
+          root: context.root,
           connectedAt: new Date().toISOString()
         }
       });
 
       // Send success response
-      this.sendToInstance(instanceId, {
+      this.respond(instanceId, message, {
         type: 'PROJECT_CONNECTED',
-        project: project,
+        project: { ...project, root: context.root },
         instanceId: instanceId,
         timestamp: new Date().toISOString()
       });
@@ -1624,7 +2170,7 @@ Ready to coordinate your request with the full PAIRED team!`;
       this.logger.error(`Failed to handle project connection from ${instanceId}:`, error);
       
       // Send error response
-      this.sendToInstance(instanceId, {
+      this.respondWithError(instanceId, message, ERROR_CODES.HANDLER_ERROR, `Failed to connect project: ${error.message}`, {
         type: 'ERROR',
         message: 'Failed to connect project',
         error: error.message
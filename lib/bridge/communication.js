@@ -5,61 +5,93 @@
  */
 
 const WebSocket = require('ws');
-const { wrapPromiseWithTimeout } = require('./cli_cleanup');
+const { authHeaders, loadClientToken, TOKEN_FILE } = require('./auth-token');
+const {
+  ERROR_CODES,
+  createEnvelope,
+  parseMessage,
+  PendingRequests
+} = require('./message-envelope');
 
 class BridgeCommunication {
-  constructor(host = 'localhost', port = 7890) {
+  constructor(host = 'localhost', port = 7890, token = null) {
     this.host = host;
     this.port = port;
+    this.token = token;
     this.defaultTimeout = 3000;
     this.bridgeUrl = `ws://${host}:${port}`;
   }
 
   /**
-   * Send message to CASCADE bridge via WebSocket with automatic timeout handling
-   * @param {Object} message - Message object to send
+   * Bridge auth token, read lazily so a token created after startup is used
+   */
+  getToken() {
+    return this.token || loadClientToken();
+  }
+
+  /**
+   * Send a request to the CASCADE bridge and resolve with its reply. The
+   * message is sent as a protocol envelope whose deadline is `timeout` from
+   * now; the promise rejects with the bridge's ERROR (error.code) or with a
+   * TIMEOUT if no correlated reply arrives in time.
+   * @param {Object} message - Message object to send (`type` plus payload fields)
    * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Object>} - Bridge response
+   * @param {Object} [options] - `onEvent(event)` receives STREAM_PROGRESS and
+   *   STREAM_CHUNK events as the agent works; passing it requests streaming
+   * @returns {Promise<Object>} - Bridge reply, flattened: payload fields plus `type` and `envelope`
    */
-  async sendMessage(message, timeout = this.defaultTimeout) {
-    const requestPromise = new Promise((resolve, reject) => {
-      const ws = new WebSocket(this.bridgeUrl);
-      
-      ws.on('open', () => {
-        ws.send(JSON.stringify(message));
-      });
-      
-      ws.on('message', (data) => {
-        try {
-          const response = JSON.parse(data.toString());
-          ws.close();
-          resolve(response);
-        } catch (err) {
-          // If JSON parsing fails, return the raw data for debugging
-          ws.close();
-          resolve({ content: data.toString(), raw: true, error: err.message });
-        }
-      });
-      
-      ws.on('error', (err) => {
-        ws.close();
-        reject(err);
-      });
-      
-      // Set timeout for WebSocket connection
-      setTimeout(() => {
-        if (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN) {
-          ws.close();
-          reject(new Error('WebSocket connection timeout'));
-        }
-      }, timeout);
+  async sendMessage(message, timeout = this.defaultTimeout, options = {}) {
+    const { type, ...payload } = message;
+    const request = createEnvelope(type, payload, {
+      source: message.instanceId,
+      target: message.targetAgent,
+      timeout,
+      stream: typeof options.onEvent === 'function'
+    });
+    const pending = new PendingRequests();
+    const reply = pending.track(request, { onEvent: options.onEvent });
+
+    const ws = new WebSocket(this.bridgeUrl, { headers: authHeaders(this.getToken()) });
+
+    ws.on('unexpected-response', (req, res) => {
+      ws.terminate();
+      pending.rejectAll(res.statusCode === 401 ? ERROR_CODES.UNAUTHORIZED : ERROR_CODES.DISCONNECTED,
+        res.statusCode === 401
+          ? `Bridge rejected the auth token (check ${TOKEN_FILE} or PAIRED_BRIDGE_TOKEN)`
+          : `Unexpected bridge response: ${res.statusCode}`);
+    });
+
+    ws.on('open', () => {
+      ws.send(JSON.stringify(request));
     });
 
-    return wrapPromiseWithTimeout(
-      requestPromise, 
-      timeout, 
-      `Bridge communication timeout after ${timeout}ms`
-    );
+    ws.on('message', (data) => {
+      const parsed = parseMessage(data);
+      if (parsed.error) {
+        pending.rejectAll(parsed.error.code, `Unreadable bridge reply: ${parsed.error.message}`);
+        return;
+      }
+      // Broadcasts and other traffic are not ours to settle
+      pending.settle(parsed.envelope);
+    });
+
+    ws.on('error', (err) => {
+      pending.rejectAll(ERROR_CODES.DISCONNECTED, `Bridge connection failed: ${err.message}`);
+    });
+
+    ws.on('close', () => {
+      pending.rejectAll(ERROR_CODES.DISCONNECTED, 'Bridge closed the connection before replying');
+    });
+
+    try {
+      return await reply;
+    } finally {
+      if (ws.readyState === WebSocket.CONNECTING) {
+        ws.terminate();
+      } else {
+        ws.close();
+      }
+    }
   }
 
   /**
@@ -67,16 +99,17 @@ class BridgeCommunication {
    * @param {string} agentName - Target agent name
    * @param {string} message - Message content
    * @param {string} projectPath - Project path context
+   * @param {Object} [options] - `timeout` and `onEvent` (see sendMessage)
    * @returns {Promise<Object>} - Agent response
    */
-  async sendToAgent(agentName, message, projectPath = process.cwd()) {
+  async sendToAgent(agentName, message, projectPath = process.cwd(), options = {}) {
     return this.sendMessage({
       instanceId: `windsurf-${agentName}-${Date.now()}`,
       message: message,
       type: 'user_request',
       projectPath: projectPath,
       targetAgent: agentName
-    });
+    }, options.timeout || this.defaultTimeout, options);
   }
 
   /**
@@ -130,7 +163,7 @@ class BridgeCommunication {
     if (response.type === 'alex_response' || response.agent) {
       const emoji = response.emoji || '🤖';
       const name = response.name || response.agent || 'Agent';
-      const content = response.content || response.message || 'No response';
+      const content = response.content || response.message || response.response || 'No response';
       return `${emoji} ${name}: ${content}`;
     }
 
@@ -142,7 +175,7 @@ class BridgeCommunication {
       return `${emoji} ${name}: ${content}`;
     }
 
-    return response.content || response.message || 'No response available';
+    return response.content || response.message || response.response || 'No response available';
   }
 }
 
@@ -151,8 +184,8 @@ const bridgeComm = new BridgeCommunication();
 
 module.exports = {
   BridgeCommunication,
-  sendMessage: (message, timeout) => bridgeComm.sendMessage(message, timeout),
-  sendToAgent: (agent, message, path) => bridgeComm.sendToAgent(agent, message, path),
+  sendMessage: (message, timeout, options) => bridgeComm.sendMessage(message, timeout, options),
+  sendToAgent: (agent, message, path, options) => bridgeComm.sendToAgent(agent, message, path, options),
   sendToAlex: (message, path) => bridgeComm.sendToAlex(message, path),
   testConnection: () => bridgeComm.testConnection(),
   formatResponse: (response) => bridgeComm.formatAgentResponse(response)
@@ -7,9 +7,9 @@
 
 const WebSocket = require('ws');
 const { spawn } = require('child_process');
-const fs = require('fs').promises;
 const path = require('path');
-const os = require('os');
+const { createLogger } = require('../../core/infrastructure/logger');
+const { authHeaders } = require('./auth-token');
 
 class BridgeHealthMonitor {
   constructor() {
@@ -19,24 +19,20 @@ class BridgeHealthMonitor {
     this.retryDelay = 2000;
     this.bridgeProcess = null;
     this.isMonitoring = false;
-    this.logFile = path.join(os.homedir(), '.paired', 'bridge_health.log');
+    this.logger = createLogger('health-monitor');
   }
 
-  async log(message, level = 'INFO') {
-    const timestamp = new Date().toISOString();
-    const logEntry = `${timestamp} [${level}] ${message}\n`;
-    console.log(`[${level}] ${message}`);
-
-    try {
-      await fs.appendFile(this.logFile, logEntry);
-    } catch (error) {
-      console.error('Failed to write log:', error);
-    }
+  /**
+   * @param {string} message
+   * @param {string} level - INFO, WARN or ERROR
+   */
+  log(message, level = 'INFO') {
+    this.logger[level.toLowerCase()](message);
   }
 
   async checkBridgeHealth() {
     return new Promise((resolve) => {
-      const ws = new WebSocket(`ws://localhost:${this.port}`);
+      const ws = new WebSocket(`ws://localhost:${this.port}`, { headers: authHeaders() });
 
       const timeout = setTimeout(() => {
         ws.close();
@@ -0,0 +1,331 @@
+/**
+ * PAIRED Bridge Message Envelope
+ *
+ * Versioned envelope for every WebSocket message exchanged with the bridge:
+ *
+ *   {
+ *     version: 1,
+ *     id: 'uuid',                  // unique per message
+ *     correlationId: 'uuid'|null,  // id of the request this answers
+ *     type: 'AGENT_MESSAGE',
+ *     source: 'instance-or-agent'|null,
+ *     target: 'agent-or-instance'|null,
+ *     deadline: 1718000000000|null, // epoch ms; set on requests expecting a reply
+ *     stream: true,                // optional; request progress events and partial chunks
+ *     timestamp: 1717999990000,
+ *     payload: { ... }
+ *   }
+ *
+ * A message with a deadline is a request and receives exactly one reply
+ * carrying its id as correlationId: the result, an ERROR, or an ERROR with
+ * code TIMEOUT once the deadline passes. Requests with `stream: true` may
+ * also receive any number of STREAM_PROGRESS and STREAM_CHUNK events with the
+ * same correlationId before that reply; the reply still carries the complete
+ * response, so clients that ignore the events lose nothing. For these the
+ * deadline is an idle timeout: every event moves it `deadline - timestamp` ms
+ * past the event, so long work that keeps reporting is not cut off. Messages without
+ * a `version` field are treated as legacy flat messages and answered in the
+ * legacy format.
+ */
+
+const crypto = require('crypto');
+
+const PROTOCOL_VERSION = 1;
+const ERROR_TYPE = 'ERROR';
+const DEFAULT_TIMEOUT = 30000;
+
+// Events sent ahead of the reply to a streaming request
+const STREAM_TYPES = {
+  PROGRESS: 'STREAM_PROGRESS', // { seq, stage, message, current?, total? }
+  CHUNK: 'STREAM_CHUNK'        // { seq, content, kind?, data? }
+};
+
+const ERROR_CODES = {
+  MALFORMED_MESSAGE: 'MALFORMED_MESSAGE',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  HANDLER_ERROR: 'HANDLER_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  DISCONNECTED: 'DISCONNECTED'
+};
+
+// Field name -> predicate; `required` fields must be present
+const SCHEMA = {
+  version: { required: true, check: value => Number.isInteger(value), description: 'an integer' },
+  id: { required: true, check: value => typeof value === 'string' && value.length > 0, description: 'a non-empty string' },
+  type: { required: true, check: value => typeof value === 'string' && value.length > 0, description: 'a non-empty string' },
+  correlationId: { check: value => typeof value === 'string' && value.length > 0, description: 'a non-empty string' },
+  source: { check: value => typeof value === 'string', description: 'a string' },
+  target: { check: value => typeof value === 'string', description: 'a string' },
+  deadline: { check: value => Number.isFinite(value) && value > 0, description: 'a positive epoch timestamp in ms' },
+  stream: { check: value => typeof value === 'boolean', description: 'a boolean' },
+  timestamp: { check: value => Number.isFinite(value), description: 'a number' },
+  payload: { check: value => typeof value === 'object' && !Array.isArray(value), description: 'an object' }
+};
+
+/**
+ * Build an envelope. `options.timeout` (ms) sets the deadline relative to
+ * now; `options.deadline` sets it absolutely.
+ */
+function createEnvelope(type, payload = {}, options = {}) {
+  const now = Date.now();
+  const deadline = options.deadline || (options.timeout ? now + options.timeout : null);
+
+  return {
+    version: PROTOCOL_VERSION,
+    id: options.id || crypto.randomUUID(),
+    correlationId: options.correlationId || null,
+    type,
+    source: options.source || null,
+    target: options.target || null,
+    deadline,
+    ...(options.stream ? { stream: true } : {}),
+    timestamp: now,
+    payload: payload || {}
+  };
+}
+
+/**
+ * Reply to a request envelope
+ */
+function createReply(request, type, payload = {}, source = null) {
+  return createEnvelope(type, payload, {
+    correlationId: request.id,
+    source,
+    target: request.source
+  });
+}
+
+/**
+ * ERROR envelope; answers `request` when given
+ */
+function createErrorEnvelope(code, message, options = {}) {
+  const { request, details, source } = options;
+  return createEnvelope(ERROR_TYPE, { code, message, ...(details ? { details } : {}) }, {
+    correlationId: request ? request.id : options.correlationId,
+    source,
+    target: request ? request.source : null
+  });
+}
+
+/**
+ * Schema problems with an envelope, empty when valid
+ */
+function validateEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return ['message must be a JSON object'];
+  }
+
+  const problems = [];
+  for (const [field, rule] of Object.entries(SCHEMA)) {
+    const value = envelope[field];
+    if (value === undefined || value === null) {
+      if (rule.required) problems.push(`${field} is required`);
+    } else if (!rule.check(value)) {
+      problems.push(`${field} must be ${rule.description}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Wrap a legacy flat message so handlers see one shape
+ */
+function fromLegacy(message) {
+  const { type, ...payload } = message;
+  return {
+    version: PROTOCOL_VERSION,
+    id: message.requestId || message.id || crypto.randomUUID(),
+    correlationId: message.correlationId || null,
+    type,
+    source: message.instanceId || message.source || null,
+    target: message.targetAgent || message.agent || null,
+    deadline: null,
+    timestamp: Date.now(),
+    payload,
+    legacy: true
+  };
+}
+
+/**
+ * Parse a raw WebSocket message.
+ *
+ * @returns {{envelope: Object}|{error: {code: string, message: string, details?: Array, id?: string}}}
+ */
+function parseMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return { error: { code: ERROR_CODES.MALFORMED_MESSAGE, message: `Invalid JSON: ${error.message}` } };
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { error: { code: ERROR_CODES.MALFORMED_MESSAGE, message: 'Message must be a JSON object' } };
+  }
+
+  if (message.version === undefined) {
+    if (typeof message.type !== 'string') {
+      return { error: { code: ERROR_CODES.MALFORMED_MESSAGE, message: 'Legacy message is missing its type' } };
+    }
+    return { envelope: fromLegacy(message) };
+  }
+
+  const id = typeof message.id === 'string' ? message.id : undefined;
+  if (message.version !== PROTOCOL_VERSION) {
+    return {
+      error: {
+        code: ERROR_CODES.UNSUPPORTED_VERSION,
+        message: `Unsupported protocol version ${message.version} (bridge speaks ${PROTOCOL_VERSION})`,
+        id
+      }
+    };
+  }
+
+  const problems = validateEnvelope(message);
+  if (problems.length > 0) {
+    return {
+      error: { code: ERROR_CODES.MALFORMED_MESSAGE, message: `Invalid envelope: ${problems.join('; ')}`, details: problems, id }
+    };
+  }
+
+  return { envelope: { ...message, payload: message.payload || {} } };
+}
+
+/**
+ * Flat view of an envelope for handlers written against legacy messages
+ */
+function toMessage(envelope) {
+  return { ...envelope.payload, type: envelope.type, envelope };
+}
+
+function isStreamEvent(envelope) {
+  return envelope.type === STREAM_TYPES.PROGRESS || envelope.type === STREAM_TYPES.CHUNK;
+}
+
+function isExpired(envelope, now = Date.now()) {
+  return !!envelope.deadline && now > envelope.deadline;
+}
+
+/**
+ * How long a streaming request may go without an event before it times out;
+ * null for requests with a fixed deadline
+ */
+function idleTimeout(envelope) {
+  return envelope.stream && envelope.deadline ? Math.max(0, envelope.deadline - envelope.timestamp) : null;
+}
+
+/**
+ * Error carrying the code of an ERROR envelope
+ */
+function protocolError(code, message, envelope = null) {
+  const error = new Error(message);
+  error.code = code;
+  if (envelope) {
+    error.envelope = envelope;
+  }
+  return error;
+}
+
+/**
+ * Requests awaiting a reply, keyed by envelope id. Each request settles
+ * exactly once: with the reply, an ERROR reply, or a TIMEOUT at its deadline.
+ */
+class PendingRequests {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  get size() {
+    return this.requests.size;
+  }
+
+  /**
+   * Promise for the reply to `envelope`, which must carry a deadline.
+   * Stream events for a streaming request go to `options.onEvent`.
+   */
+  track(envelope, options = {}) {
+    return new Promise((resolve, reject) => {
+      const pending = { envelope, resolve, reject, timer: null, onEvent: options.onEvent };
+      this.requests.set(envelope.id, pending);
+      this.startTimer(pending, Math.max(0, (envelope.deadline || Date.now() + DEFAULT_TIMEOUT) - Date.now()));
+    });
+  }
+
+  startTimer(pending, delay) {
+    const { envelope } = pending;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.requests.delete(envelope.id);
+      pending.reject(protocolError(ERROR_CODES.TIMEOUT, `${envelope.type} request ${envelope.id} timed out after ${delay}ms`));
+    }, delay);
+    if (pending.timer.unref) pending.timer.unref();
+  }
+
+  /**
+   * Settle the request a reply answers, or pass a stream event on to it;
+   * false when the message belongs to nothing pending
+   */
+  settle(reply) {
+    const pending = reply.correlationId && this.requests.get(reply.correlationId);
+    if (!pending) return false;
+
+    if (isStreamEvent(reply)) {
+      const idle = idleTimeout(pending.envelope);
+      if (idle !== null) {
+        this.startTimer(pending, idle);
+      }
+      if (pending.onEvent) {
+        try {
+          pending.onEvent(toMessage(reply));
+        } catch (error) {
+          console.warn(`⚠️ Stream event handler failed: ${error.message}`);
+        }
+      }
+      return true;
+    }
+
+    clearTimeout(pending.timer);
+    this.requests.delete(reply.correlationId);
+
+    if (reply.type === ERROR_TYPE) {
+      const { code, message } = reply.payload || {};
+      pending.reject(protocolError(code || ERROR_CODES.HANDLER_ERROR, message || 'Request failed', reply));
+    } else {
+      pending.resolve(toMessage(reply));
+    }
+    return true;
+  }
+
+  /**
+   * Reject everything still pending, e.g. when the connection closes
+   */
+  rejectAll(code, message) {
+    for (const [id, pending] of this.requests) {
+      clearTimeout(pending.timer);
+      pending.reject(protocolError(code, `${message} (${pending.envelope.type} request ${id})`));
+    }
+    this.requests.clear();
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  ERROR_TYPE,
+  ERROR_CODES,
+  STREAM_TYPES,
+  DEFAULT_TIMEOUT,
+  createEnvelope,
+  createReply,
+  createErrorEnvelope,
+  validateEnvelope,
+  parseMessage,
+  fromLegacy,
+  toMessage,
+  isStreamEvent,
+  isExpired,
+  idleTimeout,
+  protocolError,
+  PendingRequests
+};
@@ -0,0 +1,321 @@
+/**
+ * PAIRED Bridge Project Contexts
+ *
+ * The unified bridge serves every open project at once. Each project root
+ * gets its own context holding what used to be resolved from the bridge's
+ * cwd: the project's .paired directory and agent tracking dirs (via
+ * PathResolver), its knowledge store (a SharedMemorySystem under
+ * .paired/data/shared_memory), its coding standards and a project-scoped
+ * Alex. Requests are routed to the context of the instance that sent them;
+ * contexts nobody has used for a while are evicted.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pathResolver = require('../utils/path_resolver');
+const { recordCacheLookup } = require('../../core/infrastructure/metrics');
+
+// Files marking a project root when walking up from a path inside it
+const ROOT_MARKERS = ['.pairedrules', '.paired', '.git', 'package.json'];
+
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const DEFAULT_MAX_CONTEXTS = 20;
+const STANDARDS_TTL = 60 * 1000;
+
+/**
+ * Project root containing `projectPath`: the nearest ancestor with a root
+ * marker, or the path itself when there is none. The search stops below the
+ * home directory, whose ~/.paired is the global install, not a project.
+ */
+function resolveProjectRoot(projectPath, home = os.homedir()) {
+  const start = path.resolve(projectPath);
+  let dir = start;
+
+  while (true) {
+    if (dir === home) return start;
+    if (ROOT_MARKERS.some(marker => fs.existsSync(path.join(dir, marker)))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return start;
+    dir = parent;
+  }
+}
+
+class ProjectContext {
+  /**
+   * @param {string} root - Project root directory
+   * @param {Object} options - `agentIds`, `alexTemplate`, `memoryConfig`
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.name = path.basename(root);
+    this.pairedDir = pathResolver.getProjectPairedDir(root);
+    this.createdAt = Date.now();
+    this.lastActiveAt = this.createdAt;
+    this.requestCount = 0;
+    this.instances = new Set();
+    this.options = options;
+
+    // agentId -> { trackingDir, dataDir, requests, lastRequestAt }
+    this.agentState = new Map();
+    (options.agentIds || []).forEach(agentId => this.agentState.set(agentId, {
+      trackingDir: pathResolver.getAgentTrackingDir(agentId, root),
+      dataDir: pathResolver.getAgentDataDir(agentId, root),
+      requests: 0,
+      lastRequestAt: null
+    }));
+
+    this.alexAgent = this.createAlexAgent(options.alexTemplate);
+    this.knowledge = null;
+    this.knowledgeReady = null;
+    this.standards = null;
+  }
+
+  /**
+   * Alex scoped to this project; modules that take an agent resolve their
+   * paths from `config.projectRoot`
+   */
+  createAlexAgent(template) {
+    if (!template) return null;
+
+    const alex = {
+      ...template,
+      scope: 'project',
+      projectRoot: this.root,
+      config: { projectRoot: this.root },
+      modules: { ...template.modules }
+    };
+
+    try {
+      const CodingStandardsSetup = require('../../core/agents/alex/modules/coding_standards_setup');
+      alex.modules.codingStandardsSetup = new CodingStandardsSetup(alex);
+    } catch (error) {
+      console.warn(`⚠️ Coding standards setup unavailable for ${this.name}: ${error.message}`);
+    }
+    return alex;
+  }
+
+  /**
+   * Record activity from an instance, optionally for a specific agent
+   */
+  touch(instanceId = null, agentId = null) {
+    this.lastActiveAt = Date.now();
+    this.requestCount++;
+
+    if (instanceId) {
+      this.instances.add(instanceId);
+    }
+
+    const state = agentId && this.agentState.get(agentId);
+    if (state) {
+      state.requests++;
+      state.lastRequestAt = this.lastActiveAt;
+    }
+  }
+
+  /**
+   * The project's knowledge store, opened on first use; a store that failed
+   * to open is retried on the next call
+   */
+  async getKnowledgeStore() {
+    if (!this.knowledgeReady) {
+      const SharedMemorySystem = require('../../core/infrastructure/shared_memory');
+      this.knowledge = new SharedMemorySystem({
+        ...this.options.memoryConfig,
+        storage_path: path.join(this.pairedDir, 'data', 'shared_memory')
+      });
+      this.knowledgeReady = this.knowledge.initialize().then(() => this.knowledge, (error) => {
+        this.knowledge = null;
+        this.knowledgeReady = null;
+        throw error;
+      });
+    }
+    return this.knowledgeReady;
+  }
+
+  /**
+   * Coding standards status, cached briefly so repeated requests do not
+   * rescan the project
+   *
+   * @param {Function} check - Async `(root) => status`
+   */
+  async getStandardsStatus(check) {
+    if (!this.standards || Date.now() - this.standards.checkedAt > STANDARDS_TTL) {
+      this.standards = { status: await check(this.root), checkedAt: Date.now() };
+    }
+    return this.standards.status;
+  }
+
+  isIdle(now, idleTimeout) {
+    return now - this.lastActiveAt > idleTimeout;
+  }
+
+  summary(connectedInstanceIds = null) {
+    const agents = {};
+    for (const [agentId, state] of this.agentState) {
+      agents[agentId] = {
+        requests: state.requests,
+        lastRequestAt: state.lastRequestAt ? new Date(state.lastRequestAt).toISOString() : null,
+        trackingDir: state.trackingDir,
+        hasTrackingData: fs.existsSync(state.trackingDir)
+      };
+    }
+
+    const instances = Array.from(this.instances);
+    return {
+      root: this.root,
+      name: this.name,
+      pairedDir: this.pairedDir,
+      initialized: fs.existsSync(this.pairedDir),
+      createdAt: new Date(this.createdAt).toISOString(),
+      lastActiveAt: new Date(this.lastActiveAt).toISOString(),
+      requestCount: this.requestCount,
+      instances,
+      connectedInstances: connectedInstanceIds
+        ? instances.filter(id => connectedInstanceIds.has(id)).length
+        : undefined,
+      knowledgeStore: this.knowledge ? this.knowledge.getStats() : null,
+      standards: this.standards ? this.standards.status.status : null,
+      agents
+    };
+  }
+
+  async close() {
+    if (this.knowledgeReady) {
+      try {
+        await this.knowledgeReady;
+        await this.knowledge.shutdown();
+      } catch (error) {
+        console.warn(`⚠️ Failed to close knowledge store for ${this.name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+class ProjectContextRegistry {
+  /**
+   * @param {Object} options - `idleTimeout` (ms), `maxContexts`, `defaultRoot`,
+   *   `agentIds`, `alexTemplate`, `memoryConfig`, `logger`
+   */
+  constructor(options = {}) {
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT;
+    this.maxContexts = options.maxContexts || DEFAULT_MAX_CONTEXTS;
+    this.defaultRoot = options.defaultRoot || process.cwd();
+    this.logger = options.logger || console;
+    this.contextOptions = {
+      agentIds: options.agentIds || [],
+      alexTemplate: options.alexTemplate || null,
+      memoryConfig: options.memoryConfig || {}
+    };
+    this.contexts = new Map();        // root -> ProjectContext
+    this.instanceProjects = new Map(); // instanceId -> root
+  }
+
+  /**
+   * Context for a project path (created on first use); falls back to the
+   * project the instance last used, then to the bridge's own project
+   */
+  resolve(projectPath = null, instanceId = null) {
+    let root;
+    if (projectPath && path.isAbsolute(projectPath) && fs.existsSync(projectPath)) {
+      root = resolveProjectRoot(projectPath);
+    } else if (instanceId && this.instanceProjects.has(instanceId)) {
+      root = this.instanceProjects.get(instanceId);
+    } else {
+      root = resolveProjectRoot(this.defaultRoot);
+    }
+
+    let context = this.contexts.get(root);
+    recordCacheLookup('project_context', Boolean(context));
+    if (!context) {
+      context = new ProjectContext(root, this.contextOptions);
+      this.contexts.set(root, context);
+      this.logger.log(`📂 Project context created: ${context.name} (${root})`);
+      this.enforceLimit(root);
+    }
+
+    if (instanceId) {
+      this.instanceProjects.set(instanceId, root);
+    }
+    return context;
+  }
+
+  /**
+   * Context the instance was last routed to, if any
+   */
+  forInstance(instanceId) {
+    const root = this.instanceProjects.get(instanceId);
+    return root ? this.contexts.get(root) || null : null;
+  }
+
+  /**
+   * Forget a disconnected instance; its project context stays until idle
+   */
+  detachInstance(instanceId) {
+    const context = this.forInstance(instanceId);
+    if (context) {
+      context.instances.delete(instanceId);
+    }
+    this.instanceProjects.delete(instanceId);
+  }
+
+  list(connectedInstanceIds = null) {
+    return Array.from(this.contexts.values())
+      .sort((a, b) => b.lastActiveAt - a.lastActiveAt)
+      .map(context => context.summary(connectedInstanceIds));
+  }
+
+  /**
+   * Evict contexts idle longer than the idle timeout
+   * @returns {Promise<string[]>} Evicted project roots
+   */
+  async evictIdle(now = Date.now()) {
+    const idle = Array.from(this.contexts.values()).filter(context => context.isIdle(now, this.idleTimeout));
+    for (const context of idle) {
+      await this.evict(context.root, 'idle');
+    }
+    return idle.map(context => context.root);
+  }
+
+  /**
+   * Evict least recently used contexts beyond maxContexts, never `keepRoot`
+   */
+  enforceLimit(keepRoot) {
+    if (this.contexts.size <= this.maxContexts) return;
+
+    const candidates = Array.from(this.contexts.values())
+      .filter(context => context.root !== keepRoot)
+      .sort((a, b) => a.lastActiveAt - b.lastActiveAt);
+
+    while (this.contexts.size > this.maxContexts && candidates.length > 0) {
+      this.evict(candidates.shift().root, 'limit');
+    }
+  }
+
+  async evict(root, reason) {
+    const context = this.contexts.get(root);
+    if (!context) return;
+
+    this.contexts.delete(root);
+    for (const [instanceId, instanceRoot] of this.instanceProjects) {
+      if (instanceRoot === root) {
+        this.instanceProjects.delete(instanceId);
+      }
+    }
+
+    this.logger.log(`🧹 Project context evicted (${reason}): ${context.name} (${root})`);
+    await context.close();
+  }
+
+  async closeAll() {
+    await Promise.all(Array.from(this.contexts.keys()).map(root => this.evict(root, 'shutdown')));
+  }
+}
+
+module.exports = {
+  ProjectContext,
+  ProjectContextRegistry,
+  resolveProjectRoot
+};
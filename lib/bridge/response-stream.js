@@ -0,0 +1,73 @@
+/**
+ * PAIRED Bridge Response Stream
+ *
+ * Progress events and partial chunks for a streaming request (see
+ * message-envelope.js). Agent code reports through `progress()` and
+ * `chunk()` without knowing whether the client asked for streaming: for
+ * legacy and non-streaming requests both are no-ops and the client only gets
+ * the final aggregated reply.
+ */
+
+const { STREAM_TYPES } = require('./message-envelope');
+
+// Progress events within one stage closer together than this are dropped,
+// except the one reaching the total
+const PROGRESS_INTERVAL = 100;
+
+class ResponseStream {
+  /**
+   * @param {Function|null} send - Sends `(type, payload)` to the client; null disables the stream
+   */
+  constructor(send = null, options = {}) {
+    this.send = send;
+    this.progressInterval = options.progressInterval ?? PROGRESS_INTERVAL;
+    this.seq = 0;
+    this.lastProgressAt = 0;
+    this.lastStage = null;
+  }
+
+  get enabled() {
+    return typeof this.send === 'function';
+  }
+
+  /**
+   * Report progress, e.g. progress('scan', 'Scanning files', { current: 120, total: 800 })
+   */
+  progress(stage, message, counts = {}) {
+    if (!this.enabled) return;
+
+    // Counters within a stage are throttled; stage changes always go out
+    const now = Date.now();
+    const finished = counts.total !== undefined && counts.current >= counts.total;
+    if (!finished && stage === this.lastStage && now - this.lastProgressAt < this.progressInterval) return;
+    this.lastProgressAt = now;
+    this.lastStage = stage;
+
+    this.emit(STREAM_TYPES.PROGRESS, { stage, message, ...counts });
+  }
+
+  /**
+   * Send a partial result as soon as it is produced
+   * @param {string} content - Displayable text
+   * @param {Object} [options] - `kind` (e.g. 'recommendation', 'section') and structured `data`
+   */
+  chunk(content, options = {}) {
+    if (!this.enabled) return;
+    this.emit(STREAM_TYPES.CHUNK, { content, ...options });
+  }
+
+  emit(type, payload) {
+    try {
+      this.send(type, { seq: ++this.seq, ...payload });
+    } catch (error) {
+      // Streaming is best effort; the final reply still carries everything
+      this.send = null;
+      console.warn(`⚠️ Response stream stopped: ${error.message}`);
+    }
+  }
+}
+
+// Shared no-op stream for callers without a streaming client
+ResponseStream.none = new ResponseStream(null);
+
+module.exports = ResponseStream;
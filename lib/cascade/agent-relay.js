@@ -8,6 +8,7 @@
  */
 
 const http = require('http');
+const { authHeaders, loadClientToken } = require('../bridge/auth-token');
 
 class CascadeAgentRelay {
   constructor(options = {}) {
@@ -15,6 +16,7 @@ class CascadeAgentRelay {
     this.bridgeHost = options.bridgeHost || 'localhost';
     this.timeout = options.timeout || 3000;
     this.projectPath = options.projectPath || process.cwd();
+    this.token = options.token || null;
   }
 
   /**
@@ -71,7 +73,8 @@ class CascadeAgentRelay {
         path,
         method,
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...authHeaders(this.token || loadClientToken())
         },
         timeout: this.timeout
       };
@@ -82,6 +85,12 @@ class CascadeAgentRelay {
       }
 
       const req = http.request(options, (res) => {
+        if (res.statusCode === 401) {
+          res.resume();
+          reject(new Error('Bridge rejected the auth token; run paired-init or set PAIRED_BRIDGE_TOKEN'));
+          return;
+        }
+
         let body = '';
         res.on('data', (chunk) => body += chunk);
         res.on('end', () => {
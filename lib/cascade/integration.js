@@ -18,6 +18,7 @@
 const { CascadeClient } = require('../agent_cascade_client');
 const AgentCLIRegistry = require('../core/agent_cli_registry');
 const AgentAuthenticityMonitor = require('../security/agent_authenticity_monitor');
+const { getAgentPluginRegistry } = require('../../core/agents/agent_plugins');
 const { EventEmitter } = require('events');
 const path = require('path');
 const fs = require('fs').promises;
@@ -53,7 +54,14 @@ class AgentCascadeIntegration extends EventEmitter {
       { id: 'edison', name: 'Edison (Dev)', emoji: '⚡', role: 'development' },
       { id: 'maya', name: 'Maya (UX)', emoji: '🎨', role: 'user_experience' },
       { id: 'vince', name: 'Vince (Scrum Master)', emoji: '🏈', role: 'scrum_master' },
-      { id: 'marie', name: 'Marie (Analyst)', emoji: '🔬', role: 'data_analysis' }
+      { id: 'marie', name: 'Marie (Analyst)', emoji: '🔬', role: 'data_analysis' },
+      ...getAgentPluginRegistry().list().map(plugin => ({
+        id: plugin.id,
+        name: `${plugin.name} (${plugin.title})`,
+        emoji: plugin.emoji,
+        role: plugin.role,
+        plugin: true
+      }))
     ];
 
     this.initialize();
@@ -71,6 +79,7 @@ class AgentCascadeIntegration extends EventEmitter {
         enabledAgents: this.pairedAgents.map(a => a.name),
         safeMode: true
       });
+      this.agentRegistry.registerPluginAgents();
 
       // Initialize Authenticity Monitor if enabled
       if (this.config.enableAuthenticity) {
@@ -9,20 +9,16 @@
  */
 
 const path = require('path');
+const { getIntentClassifier } = require('../../core/infrastructure/intent_classifier');
+
+// Classifier confidence needed to claim a message nobody addressed by name
+const INTERCEPT_CONFIDENCE = 0.6;
 
 class WindsurfAgentInterceptor {
   constructor() {
     this.bridgeComm = null;
     this.initialized = false;
-    this.agentPatterns = {
-      alex: ['alex', 'pm', 'project manager', 'coordinator', 'supreme commander'],
-      sherlock: ['sherlock', 'qa', 'quality', 'detective', 'testing'],
-      leonardo: ['leonardo', 'architect', 'architecture', 'design', 'system'],
-      edison: ['edison', 'dev', 'developer', 'implementation', 'code'],
-      maya: ['maya', 'ux', 'ui', 'user experience', 'design'],
-      vince: ['vince', 'scrum', 'process', 'methodology', 'coach'],
-      marie: ['marie', 'analyst', 'data', 'analysis', 'scientist']
-    };
+    this.classifier = getIntentClassifier();
   }
 
   /**
@@ -56,34 +52,12 @@ class WindsurfAgentInterceptor {
    * Check if message should be intercepted and routed to agents
    */
   shouldIntercept(message) {
-    if (!message || typeof message !== 'string') return false;
-    
-    const lowerMessage = message.toLowerCase();
-    
-    // Check for agent name mentions
-    for (const [agent, patterns] of Object.entries(this.agentPatterns)) {
-      for (const pattern of patterns) {
-        if (lowerMessage.includes(pattern)) {
-          return { shouldIntercept: true, targetAgent: agent };
-        }
-      }
-    }
-    
-    // Check for team references
-    const teamReferences = ['team', 'agents', 'paired team', 'my team', 'everyone'];
-    for (const teamRef of teamReferences) {
-      if (lowerMessage.includes(teamRef)) {
-        return { shouldIntercept: true, targetAgent: 'alex' }; // Route to Alex for coordination
-      }
-    }
-    
-    // Check for greetings that should go to Alex
-    if (lowerMessage.includes('hi') || lowerMessage.includes('hello') || 
-        lowerMessage.includes('hey') || lowerMessage.includes('greetings')) {
-      return { shouldIntercept: true, targetAgent: 'alex' };
-    }
-    
-    return { shouldIntercept: false };
+    if (!message || typeof message !== 'string') return { shouldIntercept: false };
+
+    const routing = this.classifier.classify(message);
+    return this.classifier.isAgentRequest(routing, INTERCEPT_CONFIDENCE)
+      ? { shouldIntercept: true, targetAgent: routing.agent, routing }
+      : { shouldIntercept: false, routing };
   }
 
   /**
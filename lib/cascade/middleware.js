@@ -11,8 +11,19 @@
  * - Windsurf-specific features
  */
 
-const TokenOptimizationEngine = require('./token_optimization_engine');
+const TokenOptimizationEngine = require('../utils/token-optimization');
+const { getMetricsRegistry, CounterForwarder } = require('../../core/infrastructure/metrics');
 const http = require('http');
+const { authHeaders } = require('../bridge/auth-token');
+
+// Counters the bridge accepts at POST /metrics/report (see cascade-bridge.js)
+const FORWARDED_COUNTERS = [
+  'paired_tokens_saved_total',
+  'paired_token_optimizations_total',
+  'paired_cache_lookups_total',
+  'paired_middleware_messages_total'
+];
+const METRICS_REPORT_INTERVAL = 15000;
 
 class WindsurfMiddleware {
   constructor(options = {}) {
@@ -25,6 +36,20 @@ class WindsurfMiddleware {
     this.performanceMonitor = new PerformanceMonitor();
     this.bridgeUrl = options.bridgeUrl || 'ws://localhost:7890';
 
+    const registry = options.metricsRegistry || getMetricsRegistry();
+    this.messagesCounter = registry.counter('paired_middleware_messages_total',
+      'Messages processed by the Windsurf middleware, by outcome', ['outcome']);
+    this.processingHistogram = registry.histogram('paired_middleware_processing_seconds',
+      'Time the Windsurf middleware spends enhancing a message');
+
+    // The middleware runs in the IDE's process, not the bridge's, so its
+    // counters reach the bridge's /metrics by being forwarded
+    if (options.forwardMetrics !== false) {
+      this.metricsForwarder = new CounterForwarder(FORWARDED_COUNTERS, registry);
+      this.metricsTimer = setInterval(() => this.reportMetrics(), options.metricsReportInterval || METRICS_REPORT_INTERVAL);
+      this.metricsTimer.unref();
+    }
+
     this.metrics = {
       messagesProcessed: 0,
       tokensSaved: 0,
@@ -72,11 +97,14 @@ class WindsurfMiddleware {
       this.performanceMonitor.recordMetric('message_processing_time', processingTime);
       this.metrics.processingTime = processingTime;
       this.metrics.messagesProcessed++;
+      this.messagesCounter.inc({ outcome: 'success' });
+      this.processingHistogram.observe({}, processingTime / 1000);
 
       return enhancedMessage;
 
     } catch (error) {
       console.error('Error in Windsurf middleware:', error);
+      this.messagesCounter.inc({ outcome: 'error' });
       return message; // Return original on error
     }
   }
@@ -85,17 +113,53 @@ class WindsurfMiddleware {
    * Send enhanced message to CASCADE bridge
    */
   async sendToBridge(message) {
+    return this.postToBridge('/cascade-intercept', message);
+  }
+
+  /**
+   * Forward counter increments since the last report to the bridge; they are
+   * kept for the next report when the bridge cannot be reached
+   */
+  async reportMetrics() {
+    if (!this.metricsForwarder) return;
+
+    const deltas = this.metricsForwarder.takeDeltas();
+    if (deltas.length === 0) return;
+
+    try {
+      const response = await this.postToBridge('/metrics/report', { source: 'windsurf-middleware', deltas });
+      if (!response || response.status !== 'ok') {
+        throw new Error(response && response.error ? response.error : 'metrics report rejected');
+      }
+    } catch (error) {
+      this.metricsForwarder.restore(deltas);
+    }
+  }
+
+  /**
+   * Stop forwarding metrics, after a final report
+   */
+  async close() {
+    if (this.metricsTimer) {
+      clearInterval(this.metricsTimer);
+      this.metricsTimer = null;
+    }
+    await this.reportMetrics();
+  }
+
+  postToBridge(path, message) {
     return new Promise((resolve, reject) => {
       const data = JSON.stringify(message);
 
       const req = http.request({
         hostname: 'localhost',
         port: 7890,
-        path: '/cascade-intercept',
+        path,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Content-Length': data.length
+          'Content-Length': Buffer.byteLength(data),
+          ...authHeaders()
         },
         timeout: 3000
       }, (res) => {
@@ -127,7 +191,9 @@ class WindsurfMiddleware {
    */
   async enhanceAndSend(message) {
     const enhanced = await this.processMessage(message);
-    return await this.sendToBridge(enhanced);
+    const response = await this.sendToBridge(enhanced);
+    await this.reportMetrics();
+    return response;
   }
 
   /**
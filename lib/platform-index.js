@@ -21,6 +21,7 @@ const ClaudeOrchestrator = require('./claude_orchestrator');
 const AgentFactory = require('../core/agents/agent_factory');
 const SharedMemorySystem = require('../core/infrastructure/shared_memory');
 const { CLICleanup, safeExit } = require('./utils/cleanup');
+const { getMetricsRegistry } = require('../core/infrastructure/metrics');
 
 class PAIREDSystem extends EventEmitter {
   constructor(configPath = null) {
@@ -42,6 +43,7 @@ class PAIREDSystem extends EventEmitter {
       agentTasks: 0,
       tokensSaved: 0
     };
+    this.setupMetricsRegistry();
 
     console.log('🚀 PAIRED System initializing...');
 
@@ -138,11 +140,16 @@ class PAIREDSystem extends EventEmitter {
     this.orchestrator.on('operationCompleted', (data) => {
       this.metrics.requests++;
       this.metrics.tokensSaved += data.tokensSaved || 0;
+      this.counters.operations.inc({ outcome: 'success' });
+      if (data.tokensSaved > 0) {
+        this.counters.tokensSaved.inc({ agent: 'general', source: 'orchestrator' }, data.tokensSaved);
+      }
       this.emit('operationCompleted', data);
     });
 
     this.orchestrator.on('operationFailed', (data) => {
       this.metrics.errors++;
+      this.counters.operations.inc({ outcome: 'error' });
       this.emit('operationFailed', data);
     });
 
@@ -158,11 +165,13 @@ class PAIREDSystem extends EventEmitter {
     // Set up agent factory event listeners
     this.agentFactory.on('agentTaskCompleted', (data) => {
       this.metrics.agentTasks++;
+      this.counters.agentTasks.inc({ outcome: 'success' });
       this.emit('agentTaskCompleted', data);
     });
 
     this.agentFactory.on('agentTaskFailed', (data) => {
       this.metrics.errors++;
+      this.counters.agentTasks.inc({ outcome: 'error' });
       this.emit('agentTaskFailed', data);
     });
 
@@ -363,6 +372,23 @@ class PAIREDSystem extends EventEmitter {
     };
   }
 
+  /**
+   * Counters in the process-wide metrics registry (Prometheus format via the
+   * bridge's /metrics when the system runs in the bridge process)
+   */
+  setupMetricsRegistry() {
+    const registry = getMetricsRegistry();
+    this.counters = {
+      operations: registry.counter('paired_system_operations_total', 'Orchestrator operations, by outcome', ['outcome']),
+      agentTasks: registry.counter('paired_system_agent_tasks_total', 'Agent factory tasks, by outcome', ['outcome']),
+      tokensSaved: registry.counter('paired_tokens_saved_total',
+        'Estimated tokens saved by context optimization, by agent and source', ['agent', 'source'])
+    };
+
+    const uptime = registry.gauge('paired_system_uptime_seconds', 'Seconds since the PAIRED system started');
+    registry.onCollect(() => uptime.set({}, (Date.now() - this.startTime) / 1000));
+  }
+
   /**
    * Collect performance metrics
    */
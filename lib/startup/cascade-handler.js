@@ -7,6 +7,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const { authHeaders } = require('../bridge/auth-token');
 
 class CascadeStartupHandler {
   constructor() {
@@ -54,7 +55,7 @@ class CascadeStartupHandler {
       const WebSocket = require('ws');
       
       return new Promise((resolve, reject) => {
-        const ws = new WebSocket('ws://localhost:7890');
+        const ws = new WebSocket('ws://localhost:7890', { headers: authHeaders() });
         
         ws.on('open', () => {
           ws.send(JSON.stringify({ type: 'HEALTH_CHECK' }));
@@ -7,8 +7,14 @@
  * across both Claude Code and Windsurf integrations.
  */
 
+const { getAgentPluginRegistry } = require('../../core/agents/agent_plugins');
+
 class AgentPersonalityManager {
-  constructor() {
+  /**
+   * @param {Object} options - `plugins`: agent plugins whose profiles to add
+   *   (default: the installed ones)
+   */
+  constructor(options = {}) {
     this.agentProfiles = {
       alex: {
         emoji: '👑',
@@ -74,17 +80,24 @@ class AgentPersonalityManager {
         expertise: ['data_analysis', 'research', 'metrics', 'insights']
       }
     };
+
+    const plugins = options.plugins || getAgentPluginRegistry().list();
+    for (const plugin of plugins) {
+      this.agentProfiles[plugin.id] = plugin.profile();
+    }
   }
 
   /**
-   * Get agent profile by name
-   * @param {string} agentName - Agent name
+   * Get agent profile by id or name
+   * @param {string} agentName - Agent id or name
    * @returns {Object} Agent profile
    */
   getAgentProfile(agentName) {
     // Clean agent name - remove parenthetical suffixes like "(pm)"
-    const cleanName = agentName.toLowerCase().replace(/\s*\([^)]*\)/, '');
-    const profile = this.agentProfiles[cleanName];
+    const cleanName = agentName.toLowerCase().replace(/\s*\([^)]*\)/, '').trim();
+    // Plugin ids differ from their display names
+    const profile = this.agentProfiles[cleanName] ||
+      Object.values(this.agentProfiles).find(candidate => candidate.name.toLowerCase() === cleanName);
     if (!profile) {
       throw new Error(`Unknown agent: ${agentName}`);
     }
@@ -3,7 +3,9 @@
 /**
  * PAIRED Logic Diagram CLI
  *
- * Command-line tool for generating XMind diagrams from code logic
+ * Command-line tool for generating logic diagrams (XMind, Mermaid, Graphviz,
+ * OPML, JSON, markdown) and a complexity report from JS/TS sources
+ * (see logic_diagram_generator.js and logic_diagram_exporters.js)
  *
  * Usage:
  *   paired-logic-diagram [options] [path]
@@ -11,6 +13,7 @@
  */
 
 const { LogicDiagramGenerator } = require('./logic_diagram_generator');
+const { resolveFormats } = require('./logic_diagram_exporters');
 const path = require('path');
 const fs = require('fs');
 
@@ -21,7 +24,13 @@ class LogicDiagramCLI {
 
   async run() {
     const args = process.argv.slice(2);
-    const options = this.parseArgs(args);
+    let options;
+    try {
+      options = this.parseArgs(args);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      process.exit(1);
+    }
 
     if (options.help) {
       this.showHelp();
@@ -45,7 +54,7 @@ class LogicDiagramCLI {
     const options = {
       path: process.cwd(),
       output: './diagrams',
-      format: 'xmind',
+      formats: [],
       focus: 'all',
       maxComplexity: 10,
       help: false,
@@ -71,7 +80,7 @@ class LogicDiagramCLI {
         break;
       case '--format':
       case '-f':
-        options.format = args[++i];
+        options.formats.push(args[++i]);
         break;
       case '--focus':
         options.focus = args[++i];
@@ -91,6 +100,8 @@ class LogicDiagramCLI {
       }
     }
 
+    // Repeated and comma-separated formats combine: -f xmind,mermaid -f dot
+    options.format = resolveFormats(options.formats.length > 0 ? options.formats : ['xmind']);
     return options;
   }
 
@@ -99,7 +110,7 @@ class LogicDiagramCLI {
     console.log('================================');
     console.log(`📁 Analyzing: ${options.path}`);
     console.log(`📊 Output: ${options.output}`);
-    console.log(`🎨 Format: ${options.format}`);
+    console.log(`🎨 Format: ${options.format.join(', ')}`);
     console.log(`🔍 Focus: ${options.focus}`);
     console.log(`⚡ Max Complexity: ${options.maxComplexity}`);
     console.log('');
@@ -129,7 +140,8 @@ class LogicDiagramCLI {
     console.log('📊 Summary:');
     console.log(`   Files analyzed: ${result.analysis.summary.totalFiles}`);
     console.log(`   Logic patterns: ${result.analysis.summary.totalPatterns}`);
-    console.log(`   Average complexity: ${(result.analysis.summary.complexity / result.analysis.summary.totalFiles).toFixed(1)}`);
+    console.log(`   Functions: ${result.analysis.summary.totalFunctions}`);
+    console.log(`   Average complexity: ${result.analysis.summary.averageFunctionComplexity.toFixed(1)} per function, ${(result.analysis.summary.complexity / result.analysis.summary.totalFiles).toFixed(1)} per file`);
     console.log('');
 
     // Display insights
@@ -165,15 +177,18 @@ class LogicDiagramCLI {
     });
     console.log('');
     console.log(`📄 Full Report: ${result.summary.reportPath}`);
-    console.log('');
-    console.log('🎉 Ready to import into XMind for interactive editing!');
+    if (result.diagrams.some(diagram => diagram.files.some(file => file.type === 'xmind'))) {
+      console.log('');
+      console.log('🎉 Ready to import into XMind for interactive editing!');
+    }
   }
 
   showHelp() {
     console.log(`
 🎯 PAIRED Logic Diagram Generator
 
-Generate XMind-compatible diagrams from your codebase logic patterns.
+Generate XMind, Mermaid, Graphviz and OPML logic diagrams and a complexity
+report from your codebase.
 
 USAGE:
     paired-logic-diagram [OPTIONS] [PATH]
@@ -183,9 +198,9 @@ ARGUMENTS:
 
 OPTIONS:
     -o, --output <DIR>      Output directory (default: ./diagrams)
-    -f, --format <FORMAT>   Output format: xmind, json, both (default: both)
+    -f, --format <FORMAT>   Output format(s), comma-separated or repeated (default: xmind)
     --focus <TYPE>          Focus on: all, decisions, flows, processes, errors (default: all)
-    -c, --max-complexity <N> Maximum complexity to include (default: 10)
+    -c, --max-complexity <N> Functions above this complexity are listed but not expanded (default: 10)
     --verbose               Show detailed output
     -h, --help              Show this help message
     -v, --version           Show version
@@ -203,6 +218,9 @@ EXAMPLES:
     # Generate only XMind format for complex logic
     paired-logic-diagram --format xmind --max-complexity 15
 
+    # Mermaid for an ADR plus Graphviz for a poster
+    paired-logic-diagram --format mermaid,dot
+
     # Verbose analysis of specific file
     paired-logic-diagram ./core/complex-module.js --verbose
 
@@ -214,18 +232,18 @@ FOCUS TYPES:
     errors      - Try/catch blocks, error handling patterns
 
 OUTPUT FORMATS:
-    xmind       - XMind-compatible XML files (best for interactive editing)
-    markdown    - Markdown format for documentation
+    xmind       - Native .xmind file (best for interactive editing)
+    mermaid     - Mermaid flowchart (.mmd) with call relationships, for ADRs and docs
+    mindmap     - Mermaid mindmap (.mindmap.mmd)
+    dot         - Graphviz DOT (render with: dot -Tsvg logic-overview.dot)
     opml        - OPML format for outline processors
-    textbundle  - TextBundle format with rich text
-    json        - JSON structure for programmatic use
+    json        - Diagram model (topic tree + call relationships) for programmatic use
+    markdown    - Markdown outline for documentation
+    both        - xmind + json
     all         - Generate all supported formats
 
-The generated XMind files can be imported directly into XMind for:
-- Interactive editing and rearrangement
-- Custom styling and themes
-- Collaborative review and annotation
-- Export to various presentation formats
+Every run also writes logic-analysis-report.md with the summary, insights,
+recommendations and the most complex functions.
 
 🌊 Part of the Platform for AI-Enabled Remote Development (PAIRED)
 `);
@@ -0,0 +1,365 @@
+/**
+ * PAIRED Logic Diagram Exporters
+ *
+ * Interchangeable writers for the diagram model built by
+ * LogicDiagramGenerator:
+ *
+ *   { title, root: { id, title, kind, children, notes?, line?, ... },
+ *     relationships: [{ from, to, kind, title }] }
+ *
+ * Each exporter turns the same model into one file format: native XMind
+ * (zip with content.json), Mermaid flowchart and mindmap text, Graphviz DOT,
+ * OPML, JSON and a markdown outline. Mermaid text can be embedded in ADRs
+ * (see ADRManager `diagrams`).
+ */
+
+const zlib = require('zlib');
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+
+function walkModel(model, visit) {
+  const step = (node, depth, parent) => {
+    visit(node, depth, parent);
+    node.children.forEach(child => step(child, depth + 1, node));
+  };
+  step(model.root, 0, null);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Short, format-safe ids (model ids contain paths and '#')
+ */
+function idMap(model) {
+  const ids = new Map();
+  walkModel(model, node => ids.set(node.id, `n${ids.size}`));
+  return ids;
+}
+
+function nodeLabel(node) {
+  return node.line && node.kind !== 'function' ? `${node.title} (line ${node.line})` : node.title;
+}
+
+// ---------------------------------------------------------------------------
+// XMind (zip with content.json, the XMind Zen/2020+ format)
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Minimal deflate zip archive of { name: Buffer|string }
+ */
+function createZip(entries, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, value] of Object.entries(entries)) {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);     // local file header signature
+    local.writeUInt16LE(20, 4);             // version needed
+    local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+    local.writeUInt16LE(8, 8);              // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, fileName, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);   // central directory signature
+    central.writeUInt16LE(20, 4);           // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);      // local header offset
+    centrals.push(central, fileName);
+
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);         // end of central directory
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function toXMind(model) {
+  const ids = idMap(model);
+  const topic = (node) => {
+    const result = { id: ids.get(node.id), class: 'topic', title: nodeLabel(node) };
+    if (node.notes) {
+      result.notes = { plain: { content: node.notes } };
+    }
+    if (node.children.length > 0) {
+      result.children = { attached: node.children.map(topic) };
+    }
+    return result;
+  };
+
+  const rootTopic = { ...topic(model.root), structureClass: 'org.xmind.ui.logic.right' };
+  const sheet = {
+    id: 'sheet-1',
+    class: 'sheet',
+    title: model.title,
+    rootTopic,
+    relationships: model.relationships.map((rel, i) => ({
+      id: `relationship-${i + 1}`,
+      end1Id: ids.get(rel.from),
+      end2Id: ids.get(rel.to),
+      title: rel.title
+    }))
+  };
+
+  return createZip({
+    'content.json': JSON.stringify([sheet]),
+    'metadata.json': JSON.stringify({ creator: { name: 'PAIRED Logic Diagram Generator', version: '1.0.0' } }),
+    'manifest.json': JSON.stringify({ 'file-entries': { 'content.json': {}, 'metadata.json': {} } })
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Mermaid
+
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;').replace(/\n/g, ' ');
+}
+
+function toMermaidFlowchart(model) {
+  const ids = idMap(model);
+  const lines = ['flowchart LR'];
+
+  walkModel(model, (node, depth, parent) => {
+    const id = ids.get(node.id);
+    const label = mermaidText(nodeLabel(node));
+    const shape = node.kind === 'root' ? `(["${label}"])`
+      : node.kind === 'pattern' ? `("${label}")`
+        : node.kind === 'function' ? `["${label}"]`
+          : `[/"${label}"/]`;
+    lines.push(`  ${id}${shape}`);
+    if (parent) {
+      lines.push(`  ${ids.get(parent.id)} --> ${id}`);
+    }
+  });
+  model.relationships.forEach(rel => {
+    lines.push(`  ${ids.get(rel.from)} -.->|${mermaidText(rel.title)}| ${ids.get(rel.to)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Mermaid mindmap; it has no edges between branches, so call
+ * relationships are left out
+ */
+function toMermaidMindmap(model) {
+  const ids = idMap(model);
+  const lines = ['mindmap'];
+  walkModel(model, (node, depth) => {
+    const label = mermaidText(nodeLabel(node)).replace(/[()[\]{}]/g, ' ').replace(/\s+/g, ' ').trim();
+    const shape = node.kind === 'root' ? `((${label}))` : `[${label}]`;
+    lines.push(`${'  '.repeat(depth + 1)}${ids.get(node.id)}${shape}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// Graphviz DOT
+
+const DOT_SHAPES = { root: 'doubleoctagon', directory: 'folder', file: 'tab', function: 'box', pattern: 'note' };
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function toDot(model) {
+  const ids = idMap(model);
+  const lines = [
+    `digraph ${dotString(model.title)} {`,
+    '  rankdir=LR;',
+    '  node [fontname="Helvetica", fontsize=10];',
+    '  edge [color="#888888"];'
+  ];
+
+  walkModel(model, (node, depth, parent) => {
+    const attributes = [`label=${dotString(nodeLabel(node))}`, `shape=${DOT_SHAPES[node.kind] || 'box'}`];
+    if (node.notes) {
+      attributes.push(`tooltip=${dotString(node.notes)}`, 'color="#d9534f"');
+    }
+    lines.push(`  ${ids.get(node.id)} [${attributes.join(', ')}];`);
+    if (parent) {
+      lines.push(`  ${ids.get(parent.id)} -> ${ids.get(node.id)};`);
+    }
+  });
+  model.relationships.forEach(rel => {
+    lines.push(`  ${ids.get(rel.from)} -> ${ids.get(rel.to)} [style=dashed, color="#1f77b4", constraint=false, label=${dotString(rel.title)}];`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// OPML
+
+function toOpml(model) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(model.title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  const outline = (node, depth) => {
+    const indent = '  '.repeat(depth + 2);
+    const note = node.notes ? ` _note="${escapeXml(node.notes)}"` : '';
+    if (node.children.length === 0) {
+      lines.push(`${indent}<outline text="${escapeXml(nodeLabel(node))}"${note}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline text="${escapeXml(nodeLabel(node))}"${note}>`);
+    node.children.forEach(child => outline(child, depth + 1));
+    lines.push(`${indent}</outline>`);
+  };
+  outline(model.root, 0);
+
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// JSON and markdown outline
+
+function toJson(model) {
+  return `${JSON.stringify(model, null, 2)}\n`;
+}
+
+function toMarkdown(model) {
+  const lines = [`# ${model.title}`, ''];
+  const titles = new Map();
+  walkModel(model, (node, depth) => {
+    titles.set(node.id, node.title);
+    if (node.kind === 'root') return;
+    const location = node.line ? ` (line ${node.line})` : '';
+    lines.push(`${'  '.repeat(depth - 1)}- ${node.title}${location}`);
+    if (node.notes) lines.push(`${'  '.repeat(depth)}- _${node.notes}_`);
+  });
+
+  if (model.relationships.length > 0) {
+    const name = (id) => titles.get(id).replace(/ · .*/, '');
+    lines.push('', '## Call Relationships', '');
+    model.relationships.forEach(rel => {
+      lines.push(`- ${name(rel.from)} → ${name(rel.to)}${rel.title !== 'calls' ? ` (${rel.title})` : ''}`);
+    });
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+
+const EXPORTERS = {
+  xmind: { extension: 'xmind', description: 'Native XMind file (zip with content.json)', export: toXMind },
+  mermaid: { extension: 'mmd', description: 'Mermaid flowchart with call relationships', export: toMermaidFlowchart },
+  mindmap: { extension: 'mindmap.mmd', description: 'Mermaid mindmap', export: toMermaidMindmap },
+  dot: { extension: 'dot', description: 'Graphviz DOT', export: toDot },
+  opml: { extension: 'opml', description: 'OPML outline', export: toOpml },
+  json: { extension: 'json', description: 'Diagram model as JSON', export: toJson },
+  markdown: { extension: 'md', description: 'Markdown outline', export: toMarkdown }
+};
+
+// Shorthands accepted by --format
+const FORMAT_ALIASES = {
+  both: ['xmind', 'json'],
+  all: Object.keys(EXPORTERS),
+  md: ['markdown'],
+  graphviz: ['dot'],
+  'mermaid-mindmap': ['mindmap']
+};
+
+/**
+ * Formats named by `--format` values: comma-separated, repeatable, aliases
+ * expanded, duplicates dropped
+ *
+ * @param {string|string[]} formats
+ * @returns {string[]}
+ */
+function resolveFormats(formats) {
+  const requested = (Array.isArray(formats) ? formats : [formats])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+
+  const resolved = [];
+  for (const format of requested) {
+    const names = FORMAT_ALIASES[format] || [format];
+    for (const name of names) {
+      if (!EXPORTERS[name]) {
+        throw new Error(`Unsupported format: ${format} (use ${[...Object.keys(EXPORTERS), ...Object.keys(FORMAT_ALIASES)].join(', ')})`);
+      }
+      if (!resolved.includes(name)) resolved.push(name);
+    }
+  }
+  return resolved;
+}
+
+function getExporter(format) {
+  return EXPORTERS[format] || null;
+}
+
+module.exports = {
+  EXPORTERS,
+  FORMAT_ALIASES,
+  resolveFormats,
+  getExporter,
+  toXMind,
+  toMermaidFlowchart,
+  toMermaidMindmap,
+  toDot,
+  toOpml,
+  toJson,
+  toMarkdown
+};
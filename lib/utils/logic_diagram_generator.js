@@ -0,0 +1,722 @@
+/**
+ * PAIRED Logic Diagram Generator
+ *
+ * Parses JS/TS sources with @babel/parser and extracts, per function:
+ * - Decisions: if/else, switch, ternaries
+ * - Processes: loops, array iteration, recursion
+ * - Flows: awaits, promise chains, event handlers, and calls to other
+ *   functions of the codebase (the call relationships between diagram nodes)
+ * - Errors: try/catch/finally, throws, promise .catch()
+ *
+ * Each function gets a cyclomatic complexity score. The result is an
+ * in-memory diagram model (a topic tree plus call relationships) that the
+ * exporters in logic_diagram_exporters.js write as XMind, Mermaid, DOT,
+ * OPML, JSON or markdown files, and a markdown report with insights and
+ * recommendations. Used by lib/utils/logic-diagram.js.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { collectFiles } = require('../../core/infrastructure/project_sources');
+const { resolveFormats, getExporter } = require('./logic_diagram_exporters');
+
+const SOURCE_EXTENSIONS = ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx'];
+const MAX_FILE_SIZE = 512 * 1024; // larger files are bundles or generated code
+const LABEL_LENGTH = 60;
+
+const CATEGORIES = {
+  decisions: { title: 'Decision Logic', icon: '🔀' },
+  processes: { title: 'Processes & Loops', icon: '🔁' },
+  flows: { title: 'Flows & Async Operations', icon: '➡️' },
+  errors: { title: 'Error Handling', icon: '🛡️' }
+};
+const FOCUS_TYPES = ['all', ...Object.keys(CATEGORIES)];
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const ITERATION_METHODS = new Set(['map', 'forEach', 'filter', 'reduce', 'reduceRight', 'some', 'every', 'find', 'findIndex', 'flatMap']);
+const EVENT_METHODS = new Set(['on', 'once', 'addEventListener', 'addListener']);
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'range', 'typeAnnotation', 'returnType', 'typeParameters']);
+const RESOLVE_SUFFIXES = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts'];
+
+class LogicDiagramGenerator {
+  constructor(options = {}) {
+    this.maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+  }
+
+  /**
+   * Analyze a file or directory and write diagrams plus a summary report
+   *
+   * @param {string} targetPath - File or directory to analyze
+   * @param {Object} options - `outputDir`, `format` (one or more exporter
+   *   names, comma-separated or an array; default xmind),
+   *   `focusOn` (all, decisions, flows, processes, errors), `maxComplexity`
+   *   (functions above it are listed but not expanded), `title`
+   * @returns {Object} { analysis, diagrams: [{ title, model, files }], summary }
+   */
+  async generateCodebaseLogicDiagram(targetPath, options = {}) {
+    const focusOn = options.focusOn || 'all';
+    if (!FOCUS_TYPES.includes(focusOn)) {
+      throw new Error(`Unknown focus: ${focusOn} (use ${FOCUS_TYPES.join(', ')})`);
+    }
+    const maxComplexity = Number.isFinite(options.maxComplexity) && options.maxComplexity > 0 ? options.maxComplexity : 10;
+    const formats = resolveFormats(options.format || 'xmind');
+    const outputDir = path.resolve(options.outputDir || './diagrams');
+    const title = options.title || `Logic Analysis: ${path.basename(path.resolve(targetPath))}`;
+
+    const analysis = await this.analyzeCodebase(targetPath, { focusOn, maxComplexity });
+    if (analysis.summary.totalFiles === 0) {
+      throw new Error(`No JavaScript or TypeScript sources found in ${targetPath}`);
+    }
+
+    const diagrams = this.buildDiagrams(analysis, { title, focusOn, maxComplexity });
+    await fs.mkdir(outputDir, { recursive: true });
+    for (const diagram of diagrams) {
+      diagram.files = await this.writeDiagram(diagram, outputDir, formats);
+    }
+
+    const summary = this.summarize(analysis, { maxComplexity });
+    summary.reportPath = path.join(outputDir, 'logic-analysis-report.md');
+    await fs.writeFile(summary.reportPath, this.renderReport(analysis, summary, diagrams, { title, focusOn, maxComplexity }));
+
+    return { analysis, diagrams, summary };
+  }
+
+  /**
+   * Parse every source file and link calls across files
+   */
+  async analyzeCodebase(targetPath, options = {}) {
+    const absolute = path.resolve(targetPath);
+    const stats = await fs.stat(absolute);
+    const root = stats.isFile() ? path.dirname(absolute) : absolute;
+    const targets = stats.isFile() ? [path.basename(absolute)] : [];
+    const files = (await collectFiles(root, targets, { extensions: SOURCE_EXTENSIONS }))
+      .filter(file => !file.endsWith('.d.ts'));
+
+    const analyzed = [];
+    const skipped = [];
+    for (const file of files) {
+      const fullPath = path.join(root, file);
+      const { size } = await fs.stat(fullPath);
+      if (size > this.maxFileSize) {
+        skipped.push({ file, reason: `larger than ${Math.round(this.maxFileSize / 1024)}KB` });
+        continue;
+      }
+      const result = this.analyzeSource(await fs.readFile(fullPath, 'utf8'), file);
+      if (result.error) {
+        skipped.push({ file, reason: result.error });
+      } else {
+        analyzed.push(result);
+      }
+    }
+
+    this.linkCalls(analyzed);
+    return {
+      root,
+      files: analyzed,
+      skipped,
+      summary: this.summarizeAnalysis(analyzed, skipped, options)
+    };
+  }
+
+  /**
+   * Functions, patterns, complexity and imports of one source file
+   */
+  analyzeSource(content, file) {
+    let ast;
+    try {
+      ast = this.parse(content, file);
+    } catch (error) {
+      return { file, error: `parse error: ${error.message}` };
+    }
+
+    const state = {
+      file,
+      content,
+      functions: [],
+      imports: new Map(), // local name -> { source, imported }
+      classNames: []
+    };
+    const moduleScope = this.createFunction(state, '(module)', 'module', ast.program);
+    this.walk(ast.program, state, moduleScope, 0);
+
+    const functions = state.functions.filter(fn => fn.kind !== 'module' || fn.patterns.length > 0 || fn.complexity > 1);
+    functions.forEach(fn => this.detectRecursion(fn));
+
+    return {
+      file,
+      lines: content.split('\n').length,
+      functions,
+      imports: state.imports,
+      complexity: functions.reduce((sum, fn) => sum + fn.complexity, 0)
+    };
+  }
+
+  parse(content, filePath) {
+    const extension = path.extname(filePath || '').toLowerCase();
+    const plugins = [];
+    if (['.ts', '.mts', '.cts'].includes(extension)) {
+      plugins.push('typescript');
+    } else if (extension === '.tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return parse(content, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      errorRecovery: true,
+      plugins
+    });
+  }
+
+  createFunction(state, name, kind, node) {
+    const fn = {
+      id: `${state.file}#${name}@${node.loc ? node.loc.start.line : 0}`,
+      name,
+      kind,
+      file: state.file,
+      line: node.loc ? node.loc.start.line : 0,
+      endLine: node.loc ? node.loc.end.line : 0,
+      async: Boolean(node.async),
+      complexity: 1,
+      maxDepth: 0,
+      awaits: 0,
+      hasTryCatch: false,
+      patterns: [],
+      calls: []
+    };
+    state.functions.push(fn);
+    return fn;
+  }
+
+  /**
+   * Pre-order walk; `fn` is the function that owns the node and `depth` the
+   * control-structure nesting inside it
+   */
+  walk(node, state, fn, depth, parent = null) {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      // Inline callbacks inside a function belong to it; everything else is a node of its own
+      const inlineCallback = parent && parent.type === 'CallExpression' && parent.arguments.includes(node) && fn.kind !== 'module';
+      if (!inlineCallback) {
+        const child = this.createFunction(state, this.functionName(node, parent, state), node.type.includes('Method') ? 'method' : 'function', node);
+        this.walkChildren(node, state, child, 0);
+        return;
+      }
+    }
+
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      state.classNames.push(node.id ? node.id.name : (parent && parent.type === 'VariableDeclarator' && parent.id.name) || 'AnonymousClass');
+      this.walkChildren(node, state, fn, depth);
+      state.classNames.pop();
+      return;
+    }
+
+    // An else-if continues its parent's decision ladder rather than nesting in it
+    const elseIf = node.type === 'IfStatement' && parent && parent.type === 'IfStatement' && parent.alternate === node;
+    const level = elseIf ? depth - 1 : depth;
+
+    this.recordImport(node, state);
+    const nested = this.recordPattern(node, state, fn, level, elseIf);
+    this.walkChildren(node, state, fn, nested ? level + 1 : level);
+  }
+
+  walkChildren(node, state, fn, depth) {
+    fn.maxDepth = Math.max(fn.maxDepth, depth);
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => this.walk(item, state, fn, depth, node));
+      } else if (child && typeof child.type === 'string') {
+        this.walk(child, state, fn, depth, node);
+      }
+    }
+  }
+
+  /**
+   * Record a logic pattern for the node, if it is one
+   * @returns {boolean} Whether the node nests control flow
+   */
+  recordPattern(node, state, fn, depth, elseIf = false) {
+    const add = (category, type, label, extra = {}) => {
+      fn.patterns.push({ category, type, label, line: node.loc ? node.loc.start.line : 0, depth, ...extra });
+    };
+    const source = (target) => this.snippet(state.content, target);
+
+    switch (node.type) {
+    case 'IfStatement':
+      fn.complexity++;
+      add('decisions', 'if', `${elseIf ? 'else if' : 'if'} (${source(node.test)})${node.alternate && node.alternate.type !== 'IfStatement' ? ' … else' : ''}`);
+      return true;
+    case 'ConditionalExpression':
+      fn.complexity++;
+      add('decisions', 'ternary', `${source(node.test)} ? … : …`);
+      return false;
+    case 'SwitchStatement': {
+      const cases = node.cases.filter(switchCase => switchCase.test).length;
+      fn.complexity += cases;
+      add('decisions', 'switch', `switch (${source(node.discriminant)}) — ${cases} case${cases === 1 ? '' : 's'}`, { cases });
+      return true;
+    }
+    case 'LogicalExpression':
+      fn.complexity++;
+      return false;
+    case 'TryStatement':
+      fn.hasTryCatch = fn.hasTryCatch || Boolean(node.handler);
+      add('errors', 'try', node.handler ? `try/catch${node.handler.param ? ` (${source(node.handler.param)})` : ''}${node.finalizer ? '/finally' : ''}` : 'try/finally');
+      return true;
+    case 'CatchClause':
+      fn.complexity++;
+      return true;
+    case 'ThrowStatement':
+      add('errors', 'throw', `throw ${source(node.argument)}`);
+      return false;
+    case 'AwaitExpression':
+      fn.awaits++;
+      add('flows', 'await', `await ${source(node.argument)}`);
+      return false;
+    case 'NewExpression':
+      if (node.callee.type === 'Identifier' && node.callee.name === 'Promise') {
+        add('flows', 'promise', 'new Promise(…)');
+      }
+      return false;
+    case 'CallExpression':
+      this.recordCall(node, state, fn, add);
+      return false;
+    default:
+      if (LOOP_TYPES.has(node.type)) {
+        fn.complexity++;
+        add('processes', 'loop', this.loopLabel(node, source));
+        return true;
+      }
+      return false;
+    }
+  }
+
+  recordCall(node, state, fn, add) {
+    const callee = node.callee;
+    const line = node.loc ? node.loc.start.line : 0;
+
+    if (callee.type === 'Identifier') {
+      fn.calls.push({ name: callee.name, line });
+      return;
+    }
+    if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') {
+      return;
+    }
+
+    const method = callee.property.name;
+    const object = callee.object.type === 'ThisExpression' ? 'this'
+      : callee.object.type === 'Identifier' ? callee.object.name : null;
+    fn.calls.push({ name: method, object, className: state.classNames[state.classNames.length - 1] || null, line });
+
+    const hasCallback = node.arguments.some(arg => FUNCTION_TYPES.has(arg.type));
+    if (method === 'then') {
+      add('flows', 'promise', `${this.snippet(state.content, callee.object)}.then(…)`);
+    } else if (method === 'catch' && hasCallback) {
+      add('errors', 'promise-catch', `${this.snippet(state.content, callee.object)}.catch(…)`);
+    } else if (ITERATION_METHODS.has(method) && hasCallback) {
+      add('processes', 'iteration', `${this.snippet(state.content, callee.object)}.${method}(…)`);
+    } else if (EVENT_METHODS.has(method) && hasCallback && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+      add('flows', 'event', `on '${node.arguments[0].value}'`);
+    }
+  }
+
+  /**
+   * require()/import bindings of relative modules, for cross-file calls
+   */
+  recordImport(node, state) {
+    if (node.type === 'ImportDeclaration' && node.source.value.startsWith('.')) {
+      for (const specifier of node.specifiers) {
+        const imported = specifier.type === 'ImportSpecifier'
+          ? (specifier.imported.name || specifier.imported.value)
+          : specifier.type === 'ImportDefaultSpecifier' ? 'default' : '*';
+        state.imports.set(specifier.local.name, { source: node.source.value, imported });
+      }
+      return;
+    }
+
+    if (node.type !== 'VariableDeclarator' || !node.init) return;
+    const call = node.init.type === 'MemberExpression' ? node.init.object : node.init;
+    if (call.type !== 'CallExpression' || call.callee.type !== 'Identifier' || call.callee.name !== 'require') return;
+    const [sourceArg] = call.arguments;
+    if (!sourceArg || sourceArg.type !== 'StringLiteral' || !sourceArg.value.startsWith('.')) return;
+
+    const member = node.init.type === 'MemberExpression' && node.init.property.type === 'Identifier' ? node.init.property.name : null;
+    if (node.id.type === 'Identifier') {
+      state.imports.set(node.id.name, { source: sourceArg.value, imported: member || '*' });
+    } else if (node.id.type === 'ObjectPattern') {
+      for (const property of node.id.properties) {
+        if (property.type === 'ObjectProperty' && property.key.type === 'Identifier' && property.value.type === 'Identifier') {
+          state.imports.set(property.value.name, { source: sourceArg.value, imported: property.key.name });
+        }
+      }
+    }
+  }
+
+  functionName(node, parent, state) {
+    const className = state.classNames[state.classNames.length - 1];
+    const keyName = (key) => {
+      if (!key) return null;
+      if (key.type === 'Identifier') return key.name;
+      if (key.type === 'PrivateName') return `#${key.id.name}`;
+      if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+      return '[computed]';
+    };
+
+    if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+      return `${className || 'Class'}.${keyName(node.key)}`;
+    }
+    if (node.type === 'ObjectMethod') {
+      return keyName(node.key);
+    }
+    if (node.id) {
+      return node.id.name;
+    }
+    if (parent) {
+      if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+      if (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') return parent.type === 'ClassProperty' && className ? `${className}.${keyName(parent.key)}` : keyName(parent.key);
+      if (parent.type === 'AssignmentExpression') return this.snippet(state.content, parent.left).replace(/^module\.exports\.?|^exports\./, '') || 'module.exports';
+      if (parent.type === 'CallExpression') {
+        const route = parent.arguments[0] && parent.arguments[0].type === 'StringLiteral' ? ` '${parent.arguments[0].value}'` : '';
+        return `${this.snippet(state.content, parent.callee)}${route} callback`;
+      }
+    }
+    return `(anonymous@${node.loc ? node.loc.start.line : 0})`;
+  }
+
+  loopLabel(node, source) {
+    switch (node.type) {
+    case 'ForOfStatement':
+      return `for (… of ${source(node.right)})`;
+    case 'ForInStatement':
+      return `for (… in ${source(node.right)})`;
+    case 'ForStatement':
+      return `for (${node.test ? source(node.test) : ';;'})`;
+    case 'DoWhileStatement':
+      return `do … while (${source(node.test)})`;
+    default:
+      return `while (${source(node.test)})`;
+    }
+  }
+
+  detectRecursion(fn) {
+    const shortName = fn.name.split('.').pop();
+    const recursive = fn.calls.find(call => call.name === shortName && (!call.object || call.object === 'this'));
+    if (recursive && fn.kind !== 'module') {
+      fn.complexity++;
+      fn.patterns.push({ category: 'processes', type: 'recursion', label: `recursive call to ${shortName}()`, line: recursive.line, depth: 0 });
+    }
+  }
+
+  snippet(content, node) {
+    if (!node || node.start === undefined) return '';
+    const text = content.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+    return text.length > LABEL_LENGTH ? `${text.slice(0, LABEL_LENGTH - 1)}…` : text;
+  }
+
+  /**
+   * Turn call names into relationships between analyzed functions:
+   * same-file functions and methods, and relative imports
+   */
+  linkCalls(files) {
+    const byFile = new Map(files.map(entry => [entry.file, entry]));
+    const resolveImport = (fromFile, source) => {
+      const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), source));
+      const match = RESOLVE_SUFFIXES.map(suffix => base + suffix).find(candidate => byFile.has(candidate));
+      return match ? byFile.get(match) : null;
+    };
+    const findFunction = (entry, name, className = null) => entry.functions.find(fn =>
+      fn.kind !== 'module' && (className ? fn.name === `${className}.${name}` : fn.name === name || fn.name.endsWith(`.${name}`)));
+
+    for (const entry of files) {
+      for (const fn of entry.functions) {
+        const targets = new Map();
+        for (const call of fn.calls) {
+          let target = null;
+          if (call.object === 'this' && call.className) {
+            target = findFunction(entry, call.name, call.className);
+          } else if (!call.object) {
+            const binding = entry.imports.get(call.name);
+            if (binding) {
+              const module = resolveImport(entry.file, binding.source);
+              const name = binding.imported === '*' || binding.imported === 'default' ? call.name : binding.imported;
+              target = module && findFunction(module, name);
+            } else {
+              target = entry.functions.find(candidate => candidate.name === call.name);
+            }
+          } else if (entry.imports.has(call.object)) {
+            const module = resolveImport(entry.file, entry.imports.get(call.object).source);
+            target = module && findFunction(module, call.name);
+          }
+
+          if (target && target !== fn) {
+            targets.set(target.id, (targets.get(target.id) || 0) + 1);
+          }
+        }
+        fn.callees = Array.from(targets, ([id, count]) => ({ id, count }));
+      }
+    }
+
+    const all = files.flatMap(entry => entry.functions);
+    const callers = new Map();
+    all.forEach(fn => fn.callees.forEach(callee => callers.set(callee.id, (callers.get(callee.id) || 0) + 1)));
+    all.forEach(fn => { fn.fanIn = callers.get(fn.id) || 0; });
+  }
+
+  summarizeAnalysis(files, skipped, { focusOn = 'all', maxComplexity = 10 } = {}) {
+    const functions = files.flatMap(entry => entry.functions);
+    const inFocus = (pattern) => focusOn === 'all' || pattern.category === focusOn;
+    const byCategory = Object.fromEntries(Object.keys(CATEGORIES).map(category => [category, 0]));
+    functions.forEach(fn => fn.patterns.forEach(pattern => { byCategory[pattern.category]++; }));
+
+    return {
+      totalFiles: files.length,
+      totalFunctions: functions.filter(fn => fn.kind !== 'module').length,
+      totalPatterns: functions.reduce((sum, fn) => sum + fn.patterns.filter(inFocus).length, 0),
+      complexity: files.reduce((sum, entry) => sum + entry.complexity, 0),
+      averageFunctionComplexity: functions.length > 0
+        ? functions.reduce((sum, fn) => sum + fn.complexity, 0) / functions.length
+        : 0,
+      byCategory,
+      overComplexity: functions.filter(fn => fn.complexity > maxComplexity).length,
+      relationships: functions.reduce((sum, fn) => sum + fn.callees.length, 0),
+      skippedFiles: skipped.length
+    };
+  }
+
+  /**
+   * Diagram models: an overview of every file and function, plus one
+   * diagram per logic category when no single focus was asked for
+   */
+  buildDiagrams(analysis, { title, focusOn, maxComplexity }) {
+    const categories = focusOn === 'all' ? Object.keys(CATEGORIES) : [focusOn];
+    const diagrams = [{
+      name: 'logic-overview',
+      title: focusOn === 'all' ? title : `${title} — ${CATEGORIES[focusOn].title}`,
+      model: this.buildModel(analysis, { title, categories, maxComplexity, includeEmpty: true })
+    }];
+
+    if (focusOn === 'all') {
+      for (const category of categories) {
+        if (analysis.summary.byCategory[category] === 0) continue;
+        diagrams.push({
+          name: `logic-${category}`,
+          title: `${CATEGORIES[category].title}: ${path.basename(analysis.root)}`,
+          model: this.buildModel(analysis, { title: `${CATEGORIES[category].title}`, categories: [category], maxComplexity, includeEmpty: false })
+        });
+      }
+    }
+    return diagrams;
+  }
+
+  /**
+   * Topic tree (root → directories → files → functions → patterns) and the
+   * call relationships between function topics
+   *
+   * Node: { id, title, kind, children, file?, line?, complexity?, category?, notes? }
+   */
+  buildModel(analysis, { title, categories, maxComplexity, includeEmpty }) {
+    const root = { id: 'root', title, kind: 'root', children: [] };
+    const directories = new Map();
+    const functionIds = new Set();
+    let nextId = 0;
+    const id = (prefix) => `${prefix}-${++nextId}`;
+
+    for (const entry of analysis.files) {
+      const functionNodes = [];
+      for (const fn of entry.functions) {
+        const patterns = fn.patterns.filter(pattern => categories.includes(pattern.category));
+        if (!includeEmpty && patterns.length === 0) continue;
+
+        const node = {
+          id: fn.id,
+          title: `${fn.name}() · complexity ${fn.complexity}`,
+          kind: 'function',
+          file: entry.file,
+          line: fn.line,
+          complexity: fn.complexity,
+          children: []
+        };
+        if (fn.complexity > maxComplexity) {
+          // Too complex to draw usefully: list it, flagged, without its patterns
+          node.title = `⚠️ ${node.title}`;
+          node.notes = `Complexity ${fn.complexity} is above ${maxComplexity}; ${patterns.length} pattern(s) not expanded. Split this function or raise --max-complexity.`;
+        } else {
+          node.children = patterns.map(pattern => ({
+            id: id('pattern'),
+            title: `${CATEGORIES[pattern.category].icon} ${pattern.label}`,
+            kind: 'pattern',
+            category: pattern.category,
+            type: pattern.type,
+            file: entry.file,
+            line: pattern.line,
+            children: []
+          }));
+        }
+        functionIds.add(fn.id);
+        functionNodes.push(node);
+      }
+      if (functionNodes.length === 0) continue;
+
+      const directory = path.posix.dirname(entry.file);
+      if (!directories.has(directory)) {
+        const node = { id: id('dir'), title: `📁 ${directory === '.' ? path.basename(analysis.root) : directory}`, kind: 'directory', children: [] };
+        directories.set(directory, node);
+        root.children.push(node);
+      }
+      directories.get(directory).children.push({
+        id: id('file'),
+        title: `📄 ${path.posix.basename(entry.file)} · complexity ${entry.complexity}`,
+        kind: 'file',
+        file: entry.file,
+        complexity: entry.complexity,
+        children: functionNodes
+      });
+    }
+
+    const relationships = analysis.files
+      .flatMap(entry => entry.functions)
+      .filter(fn => functionIds.has(fn.id))
+      .flatMap(fn => fn.callees
+        .filter(callee => functionIds.has(callee.id))
+        .map(callee => ({ from: fn.id, to: callee.id, kind: 'calls', title: callee.count > 1 ? `calls ×${callee.count}` : 'calls' })));
+
+    return { title, root, relationships };
+  }
+
+  async writeDiagram(diagram, outputDir, formats) {
+    const files = [];
+    for (const format of formats) {
+      const exporter = getExporter(format);
+      const filePath = path.join(outputDir, `${diagram.name}.${exporter.extension}`);
+      await fs.writeFile(filePath, exporter.export(diagram.model));
+      files.push({ type: format, path: filePath });
+    }
+    return files;
+  }
+
+  /**
+   * Insights and recommendations from the analysis
+   */
+  summarize(analysis, { maxComplexity }) {
+    const functions = analysis.files.flatMap(entry => entry.functions).filter(fn => fn.kind !== 'module');
+    const insights = [];
+    const recommendations = [];
+    const name = (fn) => `${fn.name} (${fn.file}:${fn.line})`;
+
+    const tooComplex = functions.filter(fn => fn.complexity > maxComplexity).sort((a, b) => b.complexity - a.complexity);
+    if (tooComplex.length > 0) {
+      insights.push({
+        level: 'warning',
+        message: `${tooComplex.length} function(s) exceed complexity ${maxComplexity}; most complex: ${tooComplex.slice(0, 3).map(fn => `${fn.name} (${fn.complexity})`).join(', ')}`
+      });
+      recommendations.push({
+        priority: 'high',
+        title: `Reduce complexity of ${tooComplex.length} function(s) above ${maxComplexity}`,
+        description: `Extract decision branches into named helpers, starting with ${tooComplex.slice(0, 5).map(name).join(', ')}.`
+      });
+    }
+
+    const unguarded = functions.filter(fn => fn.async && fn.awaits > 0 && !fn.hasTryCatch && fn.fanIn === 0);
+    if (unguarded.length > 0) {
+      insights.push({ level: 'warning', message: `${unguarded.length} async entry point(s) await without a try/catch and have no in-codebase caller to handle rejections` });
+      recommendations.push({
+        priority: 'medium',
+        title: `Handle rejections in ${unguarded.length} async entry point(s)`,
+        description: `Wrap awaits in try/catch or attach .catch() where these are invoked: ${unguarded.slice(0, 5).map(name).join(', ')}.`
+      });
+    }
+
+    const deep = functions.filter(fn => fn.maxDepth >= 4).sort((a, b) => b.maxDepth - a.maxDepth);
+    if (deep.length > 0) {
+      insights.push({ level: 'info', message: `${deep.length} function(s) nest control flow 4+ levels deep` });
+      recommendations.push({
+        priority: 'low',
+        title: `Flatten deeply nested logic in ${deep.length} function(s)`,
+        description: `Use early returns and guard clauses in ${deep.slice(0, 5).map(fn => `${name(fn)} (depth ${fn.maxDepth})`).join(', ')}.`
+      });
+    }
+
+    const bigSwitches = functions.filter(fn => fn.patterns.some(pattern => pattern.type === 'switch' && pattern.cases > 10));
+    if (bigSwitches.length > 0) {
+      recommendations.push({
+        priority: 'low',
+        title: `Replace large switch statements in ${bigSwitches.length} function(s) with lookup tables`,
+        description: `Switches with more than 10 cases: ${bigSwitches.slice(0, 5).map(name).join(', ')}.`
+      });
+    }
+
+    const hub = functions.slice().sort((a, b) => b.fanIn - a.fanIn)[0];
+    if (hub && hub.fanIn > 1) {
+      insights.push({ level: 'info', message: `Most called function: ${name(hub)}, called from ${hub.fanIn} functions` });
+    }
+
+    const { byCategory } = analysis.summary;
+    insights.push({
+      level: 'info',
+      message: `Pattern mix: ${Object.entries(byCategory).map(([category, count]) => `${count} ${category}`).join(', ')}`
+    });
+
+    if (analysis.skipped.length > 0) {
+      insights.push({ level: 'warning', message: `${analysis.skipped.length} file(s) skipped: ${analysis.skipped.slice(0, 3).map(entry => `${entry.file} (${entry.reason})`).join(', ')}` });
+    }
+
+    return { insights, recommendations, mostComplex: functions.slice().sort((a, b) => b.complexity - a.complexity).slice(0, 10) };
+  }
+
+  renderReport(analysis, summary, diagrams, { title, focusOn, maxComplexity }) {
+    const stats = analysis.summary;
+    const lines = [
+      `# ${title}`,
+      '',
+      `Generated ${new Date().toISOString()} · focus: ${focusOn} · max complexity: ${maxComplexity}`,
+      '',
+      '## Summary',
+      '',
+      `- Files analyzed: ${stats.totalFiles}${stats.skippedFiles ? ` (${stats.skippedFiles} skipped)` : ''}`,
+      `- Functions: ${stats.totalFunctions}`,
+      `- Logic patterns: ${stats.totalPatterns}`,
+      `- Average complexity: ${stats.averageFunctionComplexity.toFixed(1)} per function, ${(stats.complexity / stats.totalFiles).toFixed(1)} per file`,
+      `- Functions above complexity ${maxComplexity}: ${stats.overComplexity}`,
+      `- Call relationships: ${stats.relationships}`,
+      ''
+    ];
+
+    lines.push('## Insights', '');
+    summary.insights.forEach(insight => lines.push(`- ${insight.level === 'warning' ? '⚠️' : 'ℹ️'} ${insight.message}`));
+    lines.push('');
+
+    if (summary.recommendations.length > 0) {
+      lines.push('## Recommendations', '');
+      summary.recommendations.forEach(rec => lines.push(`- **${rec.priority}**: ${rec.title}. ${rec.description}`));
+      lines.push('');
+    }
+
+    lines.push('## Most Complex Functions', '', '| Function | File | Line | Complexity | Nesting |', '|---|---|---|---|---|');
+    summary.mostComplex.forEach(fn => lines.push(`| ${fn.name} | ${fn.file} | ${fn.line} | ${fn.complexity} | ${fn.maxDepth} |`));
+    lines.push('');
+
+    lines.push('## Files', '', '| File | Functions | Complexity | Decisions | Processes | Flows | Errors |', '|---|---|---|---|---|---|---|');
+    analysis.files.slice().sort((a, b) => b.complexity - a.complexity).forEach(entry => {
+      const count = (category) => entry.functions.reduce((sum, fn) => sum + fn.patterns.filter(pattern => pattern.category === category).length, 0);
+      lines.push(`| ${entry.file} | ${entry.functions.filter(fn => fn.kind !== 'module').length} | ${entry.complexity} | ${count('decisions')} | ${count('processes')} | ${count('flows')} | ${count('errors')} |`);
+    });
+    lines.push('');
+
+    lines.push('## Diagrams', '');
+    diagrams.forEach(diagram => lines.push(`- ${diagram.title}: ${diagram.files.map(file => path.basename(file.path)).join(', ')}`));
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = { LogicDiagramGenerator, FOCUS_TYPES, CATEGORIES };
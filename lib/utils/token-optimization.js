@@ -17,6 +17,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { getMetricsRegistry, recordCacheLookup } = require('../../core/infrastructure/metrics');
 
 class TokenOptimizationEngine {
   constructor(options = {}) {
@@ -28,6 +29,14 @@ class TokenOptimizationEngine {
     this.l2Cache = new Map(); // Session (1000 items)
     this.l3Cache = new Map(); // Persistent (10000 items)
 
+    // Shared with the bridge's /metrics when running in its process
+    const registry = options.metricsRegistry || getMetricsRegistry();
+    this.registry = registry;
+    this.tokensSavedCounter = registry.counter('paired_tokens_saved_total',
+      'Estimated tokens saved by context optimization, by agent and source', ['agent', 'source']);
+    this.optimizationsCounter = registry.counter('paired_token_optimizations_total',
+      'Context optimizations performed, by agent', ['agent']);
+
     // Optimization metrics
     this.metrics = {
       totalOptimizations: 0,
@@ -101,7 +110,7 @@ class TokenOptimizationEngine {
 
       // Update metrics
       const originalTokens = this.estimateTokens(context);
-      this.updateMetrics(originalTokens, this.estimateTokens(optimized), qualityScore);
+      this.updateMetrics(originalTokens, this.estimateTokens(optimized), qualityScore, targetAgent);
 
       return this.createOptimizationResult(context, optimized, false, startTime);
 
@@ -299,11 +308,13 @@ class TokenOptimizationEngine {
    */
   checkCaches(cacheKey) {
     // L1 Cache (in-memory)
+    recordCacheLookup('token_l1', this.l1Cache.has(cacheKey), this.registry);
     if (this.l1Cache.has(cacheKey)) {
       return this.l1Cache.get(cacheKey);
     }
 
     // L2 Cache (session)
+    recordCacheLookup('token_l2', this.l2Cache.has(cacheKey), this.registry);
     if (this.l2Cache.has(cacheKey)) {
       const cached = this.l2Cache.get(cacheKey);
       this.l1Cache.set(cacheKey, cached); // Promote to L1
@@ -311,6 +322,7 @@ class TokenOptimizationEngine {
     }
 
     // L3 Cache (persistent)
+    recordCacheLookup('token_l3', this.l3Cache.has(cacheKey), this.registry);
     if (this.l3Cache.has(cacheKey)) {
       const cached = this.l3Cache.get(cacheKey);
       this.l2Cache.set(cacheKey, cached); // Promote to L2
@@ -336,11 +348,18 @@ class TokenOptimizationEngine {
   /**
    * Update optimization metrics
    */
-  updateMetrics(originalTokens, optimizedTokens, qualityScore) {
+  updateMetrics(originalTokens, optimizedTokens, qualityScore, targetAgent = 'general') {
     this.metrics.totalOptimizations++;
     const tokensSaved = originalTokens - optimizedTokens;
     this.metrics.tokensSaved += tokensSaved;
 
+    // Label by known agents only; anything else is 'general'
+    const agent = this.agentRules[targetAgent] ? targetAgent : 'general';
+    this.optimizationsCounter.inc({ agent });
+    if (tokensSaved > 0) {
+      this.tokensSavedCounter.inc({ agent, source: 'token_optimizer' }, tokensSaved);
+    }
+
     const reduction = tokensSaved / originalTokens;
     this.metrics.averageReduction =
       (this.metrics.averageReduction * (this.metrics.totalOptimizations - 1) + reduction) /
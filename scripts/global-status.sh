@@ -11,6 +11,8 @@ YELLOW='\033[1;33m'
 BLUE='\033[0;34m'
 CYAN='\033[0;36m'
 NC='\033[0m'
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$HOME/.paired/lib/bridge/auth-token.js"
 
 echo -e "${BLUE}🌍 PAIRED Global Status${NC}"
 echo "========================"
@@ -87,7 +89,7 @@ check_bridge_service() {
         # Test WebSocket connection
         if cd ~/.paired && node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:7890');
+const ws = new WebSocket('ws://localhost:7890', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => { ws.close(); process.exit(0); });
 ws.on('error', () => process.exit(1));
 setTimeout(() => process.exit(1), 2000);
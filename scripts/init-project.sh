@@ -19,6 +19,8 @@ PROJECT_ROOT="$(pwd)"
 PAIRED_DIR="$PROJECT_ROOT/.paired"
 GLOBAL_PAIRED="$HOME/.paired"
 REGISTRY_FILE="$GLOBAL_PAIRED/registry/projects.json"
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$GLOBAL_PAIRED/lib/bridge/auth-token.js"
 
 echo -e "${BLUE}🤝 Initializing PAIRED in $(basename "$PROJECT_ROOT")${NC}"
 echo -e "${YELLOW}🚀 Architecture: Local Execution + Global Knowledge${NC}"
@@ -232,6 +234,20 @@ echo -e "${BLUE}🤖 Setting up agent system...${NC}"
 mkdir -p "$PAIRED_DIR/config/agents"
 echo -e "${GREEN}✅ Agent system structure created${NC}"
 
+# Per-install bridge auth token (owner-readable only); kept if it already exists
+echo -e "${BLUE}🔑 Setting up bridge authentication...${NC}"
+BRIDGE_TOKEN_FILE="$GLOBAL_PAIRED/cascade_bridge/auth_token"
+if [ -f "$GLOBAL_PAIRED/lib/bridge/auth-token.js" ] && command -v node >/dev/null 2>&1; then
+    node "$GLOBAL_PAIRED/lib/bridge/auth-token.js" ensure
+elif [ ! -s "$BRIDGE_TOKEN_FILE" ]; then
+    mkdir -p "$(dirname "$BRIDGE_TOKEN_FILE")"
+    (umask 077 && od -An -tx1 -N32 /dev/urandom | tr -d ' \n' > "$BRIDGE_TOKEN_FILE" && echo >> "$BRIDGE_TOKEN_FILE")
+    echo -e "${GREEN}✅ Bridge auth token created: $BRIDGE_TOKEN_FILE${NC}"
+else
+    chmod 600 "$BRIDGE_TOKEN_FILE"
+    echo -e "${GREEN}✅ Bridge auth token ready: $BRIDGE_TOKEN_FILE${NC}"
+fi
+
 # Create basic project files with enhanced content
 echo -e "${BLUE}📝 Creating project files...${NC}"
 
@@ -582,7 +598,7 @@ fi
 echo -e "${BLUE}🌉 Registering project with CASCADE bridge...${NC}"
 if node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => { ws.close(); process.exit(0); });
 ws.on('error', () => process.exit(1));
 setTimeout(() => process.exit(1), 2000);
@@ -594,7 +610,7 @@ setTimeout(() => process.exit(1), 2000);
     # Register with bridge via WebSocket
     node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => {
   ws.send(JSON.stringify({
     type: 'REGISTER_INSTANCE',
@@ -75,13 +75,15 @@ log() {
 # Get script directory
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PAIRED_ROOT="$(dirname "$SCRIPT_DIR")"
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$PAIRED_ROOT/lib/bridge/auth-token.js"
 
 # Check if bridge is running
 check_bridge_running() {
     if command -v node >/dev/null 2>&1; then
         node -e "
             const WebSocket = require('ws');
-            const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+            const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
             ws.on('open', () => { console.log('RUNNING'); process.exit(0); });
             ws.on('error', () => { console.log('NOT_RUNNING'); process.exit(1); });
             setTimeout(() => { console.log('TIMEOUT'); process.exit(1); }, 3000);
@@ -138,7 +140,7 @@ connect_project() {
     if command -v node >/dev/null 2>&1; then
         node -e "
             const WebSocket = require('ws');
-            const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+            const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
             
             ws.on('open', () => {
                 const message = {
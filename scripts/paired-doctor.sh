@@ -12,6 +12,8 @@ BLUE='\033[0;34m'
 CYAN='\033[0;36m'
 MAGENTA='\033[0;35m'
 NC='\033[0m'
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$HOME/.paired/lib/bridge/auth-token.js"
 
 echo -e "${BLUE}🩺 PAIRED System Doctor${NC}"
 echo "========================"
@@ -26,7 +28,7 @@ check_bridge_health() {
     
     BRIDGE_RESPONSE=$(cd ~/.paired 2>/dev/null && node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:7890');
+const ws = new WebSocket('ws://localhost:7890', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 
 ws.on('open', () => {
     ws.send(JSON.stringify({
@@ -85,7 +87,7 @@ check_agent_health() {
     # Get fresh bridge status for agent health
     local bridge_response=$(cd ~/.paired 2>/dev/null && node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:7890');
+const ws = new WebSocket('ws://localhost:7890', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 
 ws.on('open', () => {
     ws.send(JSON.stringify({
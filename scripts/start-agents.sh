@@ -9,6 +9,7 @@
 #   ./start-agents.sh              - Start all agents
 #   ./start-agents.sh --auto       - Auto-start (connect if running, start if stopped)
 #   ./start-agents.sh --single     - Start agents in single process mode
+#   ./start-agents.sh --supervise  - Start agents under the supervisor (restarts, health checks)
 #   ./start-agents.sh --stop       - Stop all running agents
 #   ./start-agents.sh --status     - Check agent status
 
@@ -33,6 +34,8 @@ BRIDGE_PORT="${BRIDGE_PORT:-7890}" # No Color
 # Configuration
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PAIRED_ROOT="$(dirname "$SCRIPT_DIR")"
+# Bridge clients send the install's token (lib/bridge/auth-token.js)
+BRIDGE_AUTH_JS="$PAIRED_ROOT/lib/bridge/auth-token.js"
 AGENT_LAUNCHER="$PAIRED_ROOT/platform/agent_launcher.js"
 PID_DIR="$HOME/.paired/pids"
 LOG_DIR="$HOME/.paired/logs"
@@ -81,7 +84,7 @@ check_agent_health() {
     local health_response
     health_response=$(node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => {
   ws.send(JSON.stringify({type: 'AGENT_HEALTH', agentId: '$agent_id'}));
 });
@@ -286,7 +289,7 @@ show_status() {
     local bridge_response
     bridge_response=$(node -e "
 const WebSocket = require('ws');
-const ws = new WebSocket('ws://localhost:$BRIDGE_PORT');
+const ws = new WebSocket('ws://localhost:$BRIDGE_PORT', { headers: require('$BRIDGE_AUTH_JS').authHeaders() });
 ws.on('open', () => {
   ws.send(JSON.stringify({type: 'HEALTH_CHECK'}));
 });
@@ -426,6 +429,52 @@ start_single_process() {
     
 }
 
+# Function to start agents under the supervisor, which restarts crashed or
+# unresponsive agents and publishes their ports to the bridge
+start_supervised() {
+    local pid_file="$PID_DIR/supervisor.pid"
+    local log_file="$LOG_DIR/supervisor.log"
+
+    if [ -f "$pid_file" ] && ps -p "$(cat "$pid_file")" > /dev/null 2>&1; then
+        echo -e "${YELLOW}⚠️  Agent supervisor is already running${NC}"
+        return 0
+    fi
+
+    echo -e "${BLUE}🛡️ Starting agent supervisor...${NC}"
+    nohup node "$PAIRED_ROOT/lib/agents/supervisor.js" "$@" > "$log_file" 2>&1 &
+    local pid=$!
+
+    sleep 3
+
+    if ps -p "$pid" > /dev/null 2>&1; then
+        echo -e "${GREEN}✅ Agent supervisor started (PID: $pid)${NC}"
+        start_bridge
+        echo -e "${CYAN}💡 Check agents with: paired-monitor agents${NC}"
+    else
+        echo -e "${RED}❌ Failed to start agent supervisor (see $log_file)${NC}"
+        return 1
+    fi
+}
+
+stop_supervisor() {
+    local pid_file="$PID_DIR/supervisor.pid"
+
+    if [ -f "$pid_file" ]; then
+        local pid=$(cat "$pid_file")
+        if ps -p "$pid" > /dev/null 2>&1; then
+            echo -e "${CYAN}🛑 Stopping agent supervisor (PID: $pid)${NC}"
+            kill -TERM "$pid" 2>/dev/null || true
+
+            local count=0
+            while [ $count -lt 15 ] && ps -p "$pid" > /dev/null 2>&1; do
+                sleep 1
+                count=$((count + 1))
+            done
+        fi
+        rm -f "$pid_file"
+    fi
+}
+
 # Function to stop all agents
 stop_all_agents() {
     echo -e "${BLUE}🛑 Stopping all PAIRED agents...${NC}"
@@ -433,6 +482,9 @@ stop_all_agents() {
     
     # Stop bridge first
     stop_bridge
+
+    # Supervised agents stop with their supervisor
+    stop_supervisor
     
     # Stop single process mode if running
     local single_pid_file="$PID_DIR/agents_all.pid"
@@ -478,6 +530,9 @@ case "${1:-start}" in
     "--single")
         start_single_process
         ;;
+    "--supervise" | "supervise")
+        start_supervised "${@:2}"
+        ;;
     "--stop" | "stop")
         stop_all_agents
         ;;
@@ -502,6 +557,7 @@ case "${1:-start}" in
         echo "  $0 [start]     - Start all agents (default)"
         echo "  $0 --auto      - Auto-start (connect if running, start if stopped)"
         echo "  $0 --single    - Start all agents in single process"
+        echo "  $0 --supervise - Start agents under the supervisor (restart on failure)"
         echo "  $0 --stop      - Stop all agents"
         echo "  $0 --status    - Show agent status"
         echo "  $0 --health    - Comprehensive health check"
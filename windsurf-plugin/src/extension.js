@@ -2,6 +2,8 @@ const vscode = require('vscode');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
@@ -17,6 +19,22 @@ let cascadeClient = null;
 let agentPanel = null;
 let statusBarItem = null;
 
+// Bridge message protocol version (lib/bridge/message-envelope.js)
+const PROTOCOL_VERSION = 1;
+const REQUEST_TIMEOUT = 30000;
+const STREAM_EVENTS = ['STREAM_PROGRESS', 'STREAM_CHUNK'];
+
+// Shown when the bridge cannot list its agents (plugin agents come from LIST_AGENTS)
+const BUILTIN_AGENTS = [
+  { id: 'sherlock', name: 'Sherlock (QA Specialist)', emoji: '🕵️', role: 'Quality assurance, testing, and code review' },
+  { id: 'alex', name: 'Alex (Project Manager)', emoji: '👑', role: 'Strategic coordination and project management' },
+  { id: 'leonardo', name: 'Leonardo (Architect)', emoji: '🏛️', role: 'System design and architecture' },
+  { id: 'edison', name: 'Edison (Developer)', emoji: '⚡', role: 'Implementation and problem solving' },
+  { id: 'maya', name: 'Maya (UX Designer)', emoji: '🎨', role: 'User experience and interface design' },
+  { id: 'vince', name: 'Vince (Scrum Master)', emoji: '🏈', role: 'Process management and team coordination' },
+  { id: 'marie', name: 'Marie (Data Analyst)', emoji: '🔬', role: 'Data analysis and insights' }
+];
+
 /**
  * Extension activation
  */
@@ -63,6 +81,7 @@ function registerCommands(context) {
     vscode.commands.registerCommand('paired.connectAgents', () => cascadeClient.connect()),
     vscode.commands.registerCommand('paired.optimizeContext', optimizeCurrentContext),
     vscode.commands.registerCommand('paired.showAgentPanel', showAgentPanel),
+    vscode.commands.registerCommand('paired.askAgent', pickAndAskAgent),
 
     // Agent-specific commands
     vscode.commands.registerCommand('paired.askSherlock', () => askAgent('sherlock')),
@@ -110,6 +129,24 @@ function setupEventListeners(context) {
   context.subscriptions.push(fileWatcher, selectionWatcher);
 }
 
+/**
+ * Bridge auth token: PAIRED_BRIDGE_TOKEN, else the token file paired-init
+ * created (readable by the owner only)
+ */
+function loadBridgeToken(config) {
+  if (process.env.PAIRED_BRIDGE_TOKEN) {
+    return process.env.PAIRED_BRIDGE_TOKEN;
+  }
+
+  const tokenFile = config.get('bridgeTokenFile', '~/.paired/cascade_bridge/auth_token')
+    .replace(/^~(?=$|[\\/])/, os.homedir());
+  try {
+    return fs.readFileSync(tokenFile, 'utf8').trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * CASCADE WebSocket Client
  */
@@ -120,16 +157,36 @@ class CascadeClient {
     this.connected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    this.pendingRequests = new Map(); // envelope id -> { resolve, reject, timer, onEvent }
+    this.outputChannels = new Map();  // agent name -> output channel
   }
 
   async connect() {
     const config = vscode.workspace.getConfiguration('paired');
     const bridgeUrl = config.get('bridgeUrl', 'ws://localhost:7890');
+    const token = loadBridgeToken(config);
+
+    if (!token) {
+      statusBarItem.text = '$(error) PAIRED Not Authorized';
+      vscode.window.showErrorMessage('PAIRED bridge token not found. Run paired-init or set paired.bridgeTokenFile.');
+      return;
+    }
 
     try {
       statusBarItem.text = '$(loading~spin) PAIRED Connecting...';
 
-      this.ws = new WebSocket(bridgeUrl);
+      this.ws = new WebSocket(bridgeUrl, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      this.ws.on('unexpected-response', (req, res) => {
+        if (res.statusCode === 401) {
+          // Retrying with the same token cannot succeed
+          this.reconnectAttempts = this.maxReconnectAttempts;
+          vscode.window.showErrorMessage('PAIRED bridge rejected the auth token. Run paired-init and reconnect.');
+        }
+        this.ws.terminate();
+      });
 
       this.ws.on('open', () => {
         this.connected = true;
@@ -144,11 +201,16 @@ class CascadeClient {
       });
 
       this.ws.on('message', (data) => {
-        this.handleMessage(JSON.parse(data.toString()));
+        try {
+          this.handleEnvelope(JSON.parse(data.toString()));
+        } catch (error) {
+          console.error('Unreadable message from PAIRED bridge:', error);
+        }
       });
 
       this.ws.on('close', () => {
         this.connected = false;
+        this.rejectPendingRequests('PAIRED bridge connection closed');
         statusBarItem.text = '$(error) PAIRED Disconnected';
         statusBarItem.color = new vscode.ThemeColor('errorForeground');
 
@@ -207,10 +269,102 @@ class CascadeClient {
     }
   }
 
+  /**
+   * Wrap a message in a protocol envelope; `timeout` marks it as a request
+   * that the bridge must answer before the deadline
+   */
+  createEnvelope(message, timeout = null, stream = false) {
+    const { type, ...payload } = message;
+    const now = Date.now();
+    return {
+      version: PROTOCOL_VERSION,
+      id: uuidv4(),
+      correlationId: null,
+      type,
+      source: this.instanceId,
+      target: message.targetAgent || null,
+      deadline: timeout ? now + timeout : null,
+      ...(stream ? { stream: true } : {}),
+      timestamp: now,
+      payload
+    };
+  }
+
+  /**
+   * Fire-and-forget notification
+   */
   sendMessage(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+      this.ws.send(JSON.stringify(this.createEnvelope(message)));
+    }
+  }
+
+  /**
+   * Send a request and resolve with the bridge's correlated reply; rejects
+   * on an ERROR reply, at the deadline, or when the connection drops.
+   * Passing `onEvent` asks for a streaming response and receives its
+   * progress events and partial chunks before the reply; the timeout then
+   * only expires after that long without an event.
+   */
+  request(message, timeout = REQUEST_TIMEOUT, onEvent = null) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Not connected to PAIRED agents'));
+    }
+
+    const envelope = this.createEnvelope(message, timeout, !!onEvent);
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject, timer: null, onEvent };
+      pending.restartTimer = () => {
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => {
+          this.pendingRequests.delete(envelope.id);
+          reject(new Error(`${envelope.type} request timed out after ${timeout}ms`));
+        }, timeout);
+      };
+
+      pending.restartTimer();
+      this.pendingRequests.set(envelope.id, pending);
+      this.ws.send(JSON.stringify(envelope));
+    });
+  }
+
+  rejectPendingRequests(reason) {
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
     }
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Settle the request a reply answers, or dispatch unsolicited messages
+   */
+  handleEnvelope(envelope) {
+    const message = envelope.version ? { ...envelope.payload, type: envelope.type } : envelope;
+    const pending = envelope.correlationId && this.pendingRequests.get(envelope.correlationId);
+
+    if (pending && STREAM_EVENTS.includes(message.type)) {
+      pending.restartTimer();
+      if (pending.onEvent) {
+        pending.onEvent(message);
+      }
+      return;
+    }
+
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingRequests.delete(envelope.correlationId);
+      if (message.type === 'ERROR') {
+        const error = new Error(message.message || 'PAIRED request failed');
+        error.code = message.code;
+        pending.reject(error);
+      } else {
+        pending.resolve(message);
+      }
+      return;
+    }
+
+    this.handleMessage(message);
   }
 
   handleMessage(message) {
@@ -231,17 +385,41 @@ class CascadeClient {
       this.handlePerformanceAlert(message);
       break;
 
+    case 'ERROR':
+      console.error(`PAIRED bridge error (${message.code}): ${message.message}`);
+      break;
+
     default:
       console.log('Unknown message type:', message.type);
     }
   }
 
+  /**
+   * Render an agent response. For streaming requests this is called with
+   * each STREAM_PROGRESS and STREAM_CHUNK event and then the final reply,
+   * all rendered into the agent's output channel as they arrive.
+   */
   handleAgentResponse(message) {
-    const agent = message.agent;
-    const content = message.content;
+    const agent = typeof message.agent === 'object' ? message.agent : { name: message.agent || 'Agent', emoji: '🤖' };
+    const content = message.content || message.message || message.response;
+    const outputChannel = this.getOutputChannel(agent.name);
+
+    if (message.type === 'STREAM_PROGRESS') {
+      const counts = message.total ? ` ${message.current}/${message.total}` : (message.current ? ` (${message.current})` : '');
+      statusBarItem.text = `$(sync~spin) ${agent.name}: ${message.message}${counts}`;
+      return;
+    }
+
+    if (message.type === 'STREAM_CHUNK') {
+      outputChannel.appendLine(message.kind === 'recommendation' ? `  • ${content}` : content);
+      outputChannel.show(true);
+      return;
+    }
 
     // Show agent response in output channel
-    const outputChannel = vscode.window.createOutputChannel(`PAIRED - ${agent.name}`);
+    if (this.connected) {
+      statusBarItem.text = '$(check) PAIRED Connected';
+    }
     outputChannel.appendLine(`${agent.emoji} ${agent.name}: ${content}`);
     outputChannel.show(true);
 
@@ -256,6 +434,13 @@ class CascadeClient {
     });
   }
 
+  getOutputChannel(agentName) {
+    if (!this.outputChannels.has(agentName)) {
+      this.outputChannels.set(agentName, vscode.window.createOutputChannel(`PAIRED - ${agentName}`));
+    }
+    return this.outputChannels.get(agentName);
+  }
+
   handleOptimizedContext(message) {
     const metrics = message.optimizationMetrics;
     if (metrics && metrics.reductionPercentage > 0) {
@@ -367,22 +552,64 @@ async function askAgent(agentName) {
   if (question) {
     const context = cascadeClient.extractCurrentContext();
 
-    cascadeClient.sendMessage({
-      type: 'AGENT_MESSAGE',
-      targetAgent: agentName,
-      message: question,
-      context: context,
-      instanceId: cascadeClient.instanceId
-    });
-
     vscode.window.showInformationMessage(`Question sent to ${agentName}...`);
+
+    try {
+      const response = await cascadeClient.request({
+        type: 'AGENT_MESSAGE',
+        targetAgent: agentName,
+        message: question,
+        context: context,
+        instanceId: cascadeClient.instanceId
+      }, REQUEST_TIMEOUT, (event) => cascadeClient.handleAgentResponse({ ...event, agent: agentName }));
+      cascadeClient.handleAgentResponse({ ...response, agent: response.agent || agentName });
+    } catch (error) {
+      if (cascadeClient.isConnected()) {
+        statusBarItem.text = '$(check) PAIRED Connected';
+      }
+      vscode.window.showErrorMessage(`${agentName} did not answer: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Agents the bridge routes to, including plugin agents
+ */
+async function listAgents() {
+  if (!cascadeClient.isConnected()) {
+    return BUILTIN_AGENTS;
+  }
+
+  try {
+    const response = await cascadeClient.request({ type: 'LIST_AGENTS' });
+    return response.agents && response.agents.length > 0 ? response.agents : BUILTIN_AGENTS;
+  } catch (error) {
+    console.warn('PAIRED: could not list agents:', error.message);
+    return BUILTIN_AGENTS;
+  }
+}
+
+/**
+ * Pick any agent, built-in or plugin, and ask it a question
+ */
+async function pickAndAskAgent() {
+  const agents = await listAgents();
+  const picked = await vscode.window.showQuickPick(agents.map(agent => ({
+    label: `${agent.emoji} ${agent.name}`,
+    description: agent.plugin ? 'plugin' : '',
+    detail: agent.role,
+    agentId: agent.id
+  })), { placeHolder: 'Which agent do you want to ask?' });
+
+  if (picked) {
+    await askAgent(picked.agentId);
   }
 }
 
 /**
  * Show agent panel
  */
-function showAgentPanel() {
+async function showAgentPanel() {
   if (agentPanel) {
     agentPanel.reveal();
   } else {
@@ -396,7 +623,13 @@ function showAgentPanel() {
       }
     );
 
-    agentPanel.webview.html = getAgentPanelHtml();
+    agentPanel.webview.html = getAgentPanelHtml(await listAgents());
+
+    agentPanel.webview.onDidReceiveMessage(message => {
+      if (message.command === 'askAgent') {
+        askAgent(message.agent);
+      }
+    });
 
     agentPanel.onDidDispose(() => {
       agentPanel = null;
@@ -407,7 +640,7 @@ function showAgentPanel() {
 /**
  * Generate HTML for agent panel
  */
-function getAgentPanelHtml() {
+function getAgentPanelHtml(agents = BUILTIN_AGENTS) {
   return `
     <!DOCTYPE html>
     <html>
@@ -442,67 +675,20 @@ function getAgentPanelHtml() {
     </head>
     <body>
         <h1>PAIRED AI Agents</h1>
-        
-        <div class="agent" onclick="askAgent('sherlock')">
+        ${agents.map(agent => `
+        <div class="agent" onclick="askAgent('${escapeHtml(agent.id)}')">
             <div class="agent-name">
                 <span class="status online"></span>
-                🕵️ Sherlock (QA Specialist)
+                ${escapeHtml(agent.emoji)} ${escapeHtml(agent.name)}${agent.plugin ? ' <em>(plugin)</em>' : ''}
             </div>
-            <div class="agent-role">Quality assurance, testing, and code review</div>
+            <div class="agent-role">${escapeHtml(agent.role || '')}</div>
         </div>
-        
-        <div class="agent" onclick="askAgent('alex')">
-            <div class="agent-name">
-                <span class="status online"></span>
-                👑 Alex (Project Manager)
-            </div>
-            <div class="agent-role">Strategic coordination and project management</div>
-        </div>
-        
-        <div class="agent" onclick="askAgent('leonardo')">
-            <div class="agent-name">
-                <span class="status online"></span>
-                🏛️ Leonardo (Architect)
-            </div>
-            <div class="agent-role">System design and architecture</div>
-        </div>
-        
-        <div class="agent" onclick="askAgent('edison')">
-            <div class="agent-name">
-                <span class="status online"></span>
-                ⚡ Edison (Developer)
-            </div>
-            <div class="agent-role">Implementation and problem solving</div>
-        </div>
-        
-        <div class="agent" onclick="askAgent('maya')">
-            <div class="agent-name">
-                <span class="status online"></span>
-                🎨 Maya (UX Designer)
-            </div>
-            <div class="agent-role">User experience and interface design</div>
-        </div>
-        
-        <div class="agent" onclick="askAgent('vince')">
-            <div class="agent-name">
-                <span class="status online"></span>
-                🏈 Vince (Scrum Master)
-            </div>
-            <div class="agent-role">Process management and team coordination</div>
-        </div>
-        
-        <div class="agent" onclick="askAgent('marie')">
-            <div class="agent-name">
-                <span class="status online"></span>
-                🔬 Marie (Data Analyst)
-            </div>
-            <div class="agent-role">Data analysis and insights</div>
-        </div>
-        
+        `).join('')}
+
         <script>
+            const vscode = acquireVsCodeApi();
             function askAgent(agentName) {
-                // This would communicate back to the extension
-                console.log('Asking agent:', agentName);
+                vscode.postMessage({ command: 'askAgent', agent: agentName });
             }
         </script>
     </body>
@@ -510,6 +696,10 @@ function getAgentPanelHtml() {
   `;
 }
 
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[char]);
+}
+
 /**
  * Extension deactivation
  */